@@ -10,7 +10,8 @@ const PORT = process.env.PORT || 3000;
 
 // 中间件配置
 app.use(cors());
-app.use(express.json());
+// 保留原始请求体，供计费事件等需要校验请求体签名的接口使用
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
 // Swagger配置
@@ -0,0 +1,35 @@
+// 生成JWT签名密钥
+// 用法: node scripts/generate-jwt-key.js [RS256|ES256] [kid]
+// 私钥写入 JWT_KEYS_DIR（默认 keys/jwt）目录下的 {kid}.pem
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const algorithm = process.argv[2] || 'RS256';
+const kid = process.argv[3] || new Date().toISOString().slice(0, 10);
+const keysDir = process.env.JWT_KEYS_DIR || 'keys/jwt';
+
+const KEY_OPTIONS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'prime256v1' }]
+};
+
+if (!KEY_OPTIONS[algorithm]) {
+  console.error(`不支持的算法: ${algorithm}，可选值: ${Object.keys(KEY_OPTIONS).join(', ')}`);
+  process.exit(1);
+}
+
+const filePath = path.join(keysDir, `${kid}.pem`);
+if (fs.existsSync(filePath)) {
+  console.error(`密钥已存在: ${filePath}`);
+  process.exit(1);
+}
+
+const [type, options] = KEY_OPTIONS[algorithm];
+const { privateKey } = crypto.generateKeyPairSync(type, options);
+
+fs.mkdirSync(keysDir, { recursive: true });
+fs.writeFileSync(filePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`已生成 ${algorithm} 密钥: ${filePath}`);
+console.log(`启用该密钥请设置 JWT_ALGORITHM=${algorithm} JWT_ACTIVE_KID=${kid}`);
@@ -0,0 +1,24 @@
+// 生成许可证签名密钥
+// 用法: node scripts/generate-license-key.js [kid]
+// Ed25519私钥写入 LICENSE_KEYS_DIR（默认 keys/license）目录下的 {kid}.pem
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const kid = process.argv[2] || new Date().toISOString().slice(0, 10);
+const keysDir = process.env.LICENSE_KEYS_DIR || 'keys/license';
+
+const filePath = path.join(keysDir, `${kid}.pem`);
+if (fs.existsSync(filePath)) {
+  console.error(`密钥已存在: ${filePath}`);
+  process.exit(1);
+}
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+fs.mkdirSync(keysDir, { recursive: true });
+fs.writeFileSync(filePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`已生成许可证签名密钥: ${filePath}`);
+console.log(`桌面产品内置以下公钥（kid: ${kid}）用于离线验证许可证:`);
+console.log(publicKey.export({ type: 'spki', format: 'pem' }));
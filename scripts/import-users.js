@@ -0,0 +1,64 @@
+// 批量导入用户
+// 用法: node scripts/import-users.js <文件.csv|文件.json> [--dry-run] [--source=来源]
+// 文件格式与 POST /api/user-center/users/import 相同；按文件扩展名判断格式，JSON文件为用户数组
+// 处理结果输出到标准输出，有失败的行时退出码为1
+const fs = require('fs');
+const path = require('path');
+const UserImportModel = require('../services/user-center/models/user-import.model');
+const { parseCsv } = require('../services/user-center/utils/csv');
+
+// 每批处理的行数
+const BATCH_SIZE = 1000;
+
+const args = process.argv.slice(2);
+const filePath = args.find(arg => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+const sourceArg = args.find(arg => arg.startsWith('--source='));
+const source = sourceArg ? sourceArg.slice('--source='.length) : 'import';
+
+if (!filePath) {
+  console.error('用法: node scripts/import-users.js <文件.csv|文件.json> [--dry-run] [--source=来源]');
+  process.exit(1);
+}
+
+const main = async () => {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const rows = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : parseCsv(content);
+
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON文件的内容必须是用户数组');
+  }
+
+  let created = 0;
+  let failed = 0;
+
+  // 分批处理，行号按整个文件计算；试运行时不写入数据库，跨批次的重复无法检查
+  for (let offset = 0; offset < rows.length; offset += BATCH_SIZE) {
+    const result = await UserImportModel.importUsers(rows.slice(offset, offset + BATCH_SIZE), { dryRun, source });
+
+    for (const row of result.data.rows) {
+      const rowNumber = offset + row.row;
+      if (row.status === 'error') {
+        console.log(`第${rowNumber}行 ${row.username || '-'}: ${row.errors.join('；')}`);
+      } else if (row.status === 'created') {
+        console.log(`第${rowNumber}行 ${row.username}: 已创建，用户ID ${row.id}`);
+      }
+    }
+
+    created += result.data.created;
+    failed += result.data.failed;
+  }
+
+  console.log(dryRun
+    ? `校验完成，共${rows.length}行，${rows.length - failed}行有效，${failed}行有错误`
+    : `导入完成，共${rows.length}行，成功${created}行，失败${failed}行`);
+
+  return failed;
+};
+
+main()
+  .then(failed => process.exit(failed > 0 ? 1 : 0))
+  .catch(error => {
+    console.error(`导入失败: ${error.message}`);
+    process.exit(1);
+  });
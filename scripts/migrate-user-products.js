@@ -0,0 +1,111 @@
+// 将 User.products 中的旧产品数据迁移到 Product 和 UserProduct 表
+// 用法: node scripts/migrate-user-products.js [--dry-run]
+// 旧数据中出现的产品自动加入产品目录（名称取第一次出现时的名称），授权状态为 active，开始时间取 joinedAt；
+// 已存在的产品和授权保持不变，可以重复执行。迁移不会清空 User.products，确认无误后再删除该字段
+const prisma = require('../services/user-center/utils/prisma');
+
+// 每批读取的用户数
+const BATCH_SIZE = 500;
+// 与产品ID字段的长度一致
+const MAX_PRODUCT_ID_LENGTH = 50;
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+/**
+ * 解析用户的旧产品数据，旧版本以JSON字符串的形式写入该字段
+ * @param {*} value - User.products 的值
+ * @returns {Array<Object>} 产品列表
+ */
+const parseProducts = (value) => {
+  let products = value;
+  if (typeof products === 'string') {
+    products = JSON.parse(products);
+  }
+  return Array.isArray(products) ? products : [];
+};
+
+const main = async () => {
+  const catalog = new Map();
+  const entitlements = [];
+  let skipped = 0;
+  let lastId = 0;
+
+  // 按用户ID分批读取，避免一次加载全部用户
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: { id: { gt: lastId } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      select: { id: true, createdAt: true, products: true }
+    });
+    if (users.length === 0) {
+      break;
+    }
+    lastId = users[users.length - 1].id;
+
+    for (const user of users) {
+      let products;
+      try {
+        products = parseProducts(user.products);
+      } catch (error) {
+        console.log(`用户 ${user.id}: 产品数据不是有效的JSON，已跳过`);
+        skipped++;
+        continue;
+      }
+
+      for (const product of products) {
+        const productId = product && product.id !== undefined && product.id !== null ? String(product.id) : '';
+        if (!productId || productId.length > MAX_PRODUCT_ID_LENGTH) {
+          console.log(`用户 ${user.id}: 产品ID无效（${productId || '空'}），已跳过`);
+          skipped++;
+          continue;
+        }
+
+        if (!catalog.has(productId)) {
+          catalog.set(productId, String(product.name || productId).slice(0, 100));
+        }
+
+        const joinedAt = product.joinedAt ? new Date(product.joinedAt) : null;
+        entitlements.push({
+          userId: user.id,
+          productId: productId,
+          status: 'active',
+          startsAt: joinedAt && !isNaN(joinedAt.getTime()) ? joinedAt : user.createdAt
+        });
+      }
+    }
+  }
+
+  console.log(`共发现${catalog.size}个产品、${entitlements.length}条用户产品关联，跳过${skipped}条无效数据`);
+
+  if (dryRun) {
+    for (const [id, name] of catalog) {
+      console.log(`产品 ${id}: ${name}`);
+    }
+    return;
+  }
+
+  const { count: productCount } = await prisma.product.createMany({
+    data: [...catalog].map(([id, name]) => ({ id, name })),
+    skipDuplicates: true
+  });
+
+  let entitlementCount = 0;
+  for (let offset = 0; offset < entitlements.length; offset += BATCH_SIZE) {
+    const { count } = await prisma.userProduct.createMany({
+      data: entitlements.slice(offset, offset + BATCH_SIZE),
+      skipDuplicates: true
+    });
+    entitlementCount += count;
+  }
+
+  console.log(`迁移完成，新增${productCount}个产品、${entitlementCount}条用户产品授权`);
+};
+
+main()
+  .then(() => prisma.$disconnect())
+  .catch(async error => {
+    console.error(`迁移失败: ${error.message}`);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
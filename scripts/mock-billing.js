@@ -0,0 +1,102 @@
+// 模拟支付平台推送计费事件，用于开发和测试订阅流程
+// 用法: node scripts/mock-billing.js <created|paid|failed|updated|canceled> --external=订阅ID
+//       [--user=用户ID] [--product=产品ID] [--plan=套餐代码] [--period-days=天数] [--cancel-at-period-end]
+// 事件使用 BILLING_EVENT_SECRET 签名后发送到 BILLING_EVENT_URL
+const crypto = require('crypto');
+const { signBillingPayload } = require('../services/user-center/utils/billing-signature');
+
+const BILLING_EVENT_URL = process.env.BILLING_EVENT_URL || 'http://localhost:3000/api/user-center/billing/events';
+const BILLING_EVENT_SECRET = process.env.BILLING_EVENT_SECRET;
+
+const EVENT_TYPES = {
+  created: 'subscription.created',
+  paid: 'invoice.paid',
+  failed: 'invoice.payment_failed',
+  updated: 'subscription.updated',
+  canceled: 'subscription.canceled'
+};
+
+const USAGE = '用法: node scripts/mock-billing.js <created|paid|failed|updated|canceled> --external=订阅ID '
+  + '[--user=用户ID] [--product=产品ID] [--plan=套餐代码] [--period-days=天数] [--cancel-at-period-end]';
+
+const args = process.argv.slice(2);
+const command = args.find(arg => !arg.startsWith('--'));
+const options = Object.fromEntries(
+  args.filter(arg => arg.startsWith('--')).map(arg => {
+    const [key, ...value] = arg.slice(2).split('=');
+    return [key, value.length ? value.join('=') : true];
+  })
+);
+
+if (!EVENT_TYPES[command] || !options.external) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+if (!BILLING_EVENT_SECRET) {
+  console.error('请先设置 BILLING_EVENT_SECRET 环境变量');
+  process.exit(1);
+}
+
+/**
+ * 根据命令行参数生成事件数据
+ * @returns {Object} 事件数据
+ */
+const buildEventData = () => {
+  const data = { externalId: options.external };
+
+  if (options['period-days'] !== undefined) {
+    data.currentPeriodEnd = Math.floor(Date.now() / 1000) + parseInt(options['period-days']) * 24 * 60 * 60;
+  }
+
+  if (command === 'created') {
+    if (!options.user || !options.product || !options.plan) {
+      console.error('created 事件需要 --user、--product 和 --plan 参数');
+      process.exit(1);
+    }
+    data.userId = parseInt(options.user);
+    data.productId = options.product;
+    data.plan = options.plan;
+  }
+
+  if (command === 'updated') {
+    if (options.plan) {
+      data.plan = options.plan;
+    }
+    if (options['cancel-at-period-end'] !== undefined) {
+      data.cancelAtPeriodEnd = options['cancel-at-period-end'] !== 'false';
+    }
+  }
+
+  return data;
+};
+
+const main = async () => {
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: EVENT_TYPES[command],
+    data: buildEventData()
+  };
+  const body = JSON.stringify(event);
+
+  const response = await fetch(BILLING_EVENT_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Billing-Signature': signBillingPayload(BILLING_EVENT_SECRET, body)
+    },
+    body: body
+  });
+
+  console.log(`已发送事件 ${event.id}（${event.type}）`);
+  console.log(`响应 ${response.status}: ${await response.text()}`);
+
+  return response.ok;
+};
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('发送事件失败:', error.message);
+    process.exit(1);
+  });
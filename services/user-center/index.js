@@ -2,16 +2,56 @@
 const express = require('express');
 const router = express.Router();
 const timestampMiddleware = require('./middleware/timestamp.middleware');
+const requestId = require('./middleware/request-id');
+const { limiters } = require('./middleware/rate-limit.policies');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
+const roleRoutes = require('./routes/role');
+const organizationRoutes = require('./routes/organization');
+const productRoutes = require('./routes/product');
+const billingRoutes = require('./routes/billing');
+const licenseRoutes = require('./routes/license');
+const auditLogRoutes = require('./routes/audit-log');
+const oauthRoutes = require('./routes/oauth');
+const wellKnownRoutes = require('./routes/well-known');
+
+// 为每个请求分配请求ID
+router.use(requestId);
 
 // 应用时间戳转换中间件
 router.use(timestampMiddleware);
 
+// 应用全局限流，各路由的限流策略见 middleware/rate-limit.policies.js
+router.use(limiters.global);
+
 // 使用认证路由
 router.use('/auth', authRoutes);
 
 // 使用用户信息路由
 router.use('/users', userRoutes);
 
+// 使用角色管理路由
+router.use('/roles', roleRoutes);
+
+// 使用组织路由
+router.use('/organizations', organizationRoutes);
+
+// 使用产品目录路由
+router.use('/products', productRoutes);
+
+// 使用订阅和计费路由
+router.use('/billing', billingRoutes);
+
+// 使用许可证路由
+router.use('/licenses', licenseRoutes);
+
+// 使用审计日志路由
+router.use('/audit-logs', auditLogRoutes);
+
+// 使用OAuth授权路由
+router.use('/oauth', oauthRoutes);
+
+// 使用公开元数据路由
+router.use('/.well-known', wellKnownRoutes);
+
 module.exports = router;
\ No newline at end of file
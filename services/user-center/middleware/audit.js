@@ -0,0 +1,96 @@
+// 审计中间件 - 在修改数据的接口成功后写入审计日志
+const AuditLogModel = require('../models/audit-log.model');
+
+/**
+ * 判断状态码是否表示成功
+ * @param {number} code - HTTP状态码或响应中的 code
+ * @returns {boolean} 是否为2xx
+ */
+const isSuccess = (code) => code >= 200 && code < 300;
+
+/**
+ * 按当前请求写入一条审计日志，操作者、IP、User-Agent和请求ID取自请求
+ * @param {Object} req - Express请求对象
+ * @param {string} action - 操作名称，如 user.update
+ * @param {Object} entry - 日志内容 { targetType, targetId, before, after, metadata }
+ * @param {string} actorType - 未登录时的操作者类型
+ * @returns {Promise<Object>} 写入的日志
+ */
+const recordAudit = (req, action, { targetType, targetId, before, after, metadata } = {}, actorType = 'anonymous') => {
+  const extra = {
+    ...(req.apiKey ? { apiKeyId: req.apiKey.id } : {}),
+    ...(metadata || {})
+  };
+
+  return AuditLogModel.record({
+    actorId: req.user ? req.user.id : null,
+    actorUsername: req.user ? req.user.username : null,
+    actorType: req.user ? (req.apiKey ? 'api_key' : 'user') : actorType,
+    action: action,
+    targetType: targetType,
+    targetId: targetId,
+    before: before,
+    after: after,
+    metadata: Object.keys(extra).length > 0 ? extra : null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    requestId: req.requestId
+  });
+};
+
+/**
+ * 审计中间件
+ * 放在认证和权限验证之后：处理前记录操作对象的快照，接口返回成功时再次获取快照，
+ * 将变化的字段连同操作者、IP和请求ID写入审计日志后再发送响应。写入失败只输出错误，不影响接口本身。
+ * 部分接口失败时仍返回HTTP 200，因此状态码为2xx、且响应中的 code 不存在或同为2xx时才视为成功
+ * @param {string} action - 操作名称，如 user.update
+ * @param {Object} options - 选项
+ * @param {string} options.target - 操作对象类型，有快照的类型见 AuditLogModel
+ * @param {Function} options.id - 获取操作对象ID的函数，参数为请求对象和响应中的 data；创建操作在处理前 data 为 undefined
+ * @param {Function} options.metadata - 获取其他信息的函数，参数同上
+ * @param {string} options.actorType - 未登录时的操作者类型，默认为 anonymous
+ * @returns {Function} Express中间件函数
+ */
+const audit = (action, { target, id, metadata, actorType = 'anonymous' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const before = target && id ? await AuditLogModel.snapshot(target, id(req, undefined)) : null;
+
+      const originalJson = res.json;
+      res.json = function(body) {
+        res.json = originalJson;
+        const failed = !isSuccess(res.statusCode) || (body && body.code !== undefined && !isSuccess(body.code));
+        if (failed) {
+          return originalJson.call(this, body);
+        }
+
+        const data = body ? body.data : undefined;
+
+        (async () => {
+          const targetId = id ? id(req, data) : undefined;
+          const after = target ? await AuditLogModel.snapshot(target, targetId) : null;
+          const changes = AuditLogModel.diff(before, after);
+
+          await recordAudit(req, action, {
+            targetType: target,
+            targetId: targetId,
+            before: changes.before,
+            after: changes.after,
+            metadata: metadata ? metadata(req, data) : null
+          }, actorType);
+        })()
+          .catch(error => console.error(`审计日志写入失败 (${action}):`, error))
+          .finally(() => originalJson.call(this, body));
+
+        return this;
+      };
+
+      next();
+    } catch (error) {
+      console.error('审计中间件错误:', error);
+      res.status(500).json({ message: '服务器内部错误' });
+    }
+  };
+};
+
+module.exports = { audit, recordAudit };
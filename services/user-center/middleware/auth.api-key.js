@@ -0,0 +1,44 @@
+// API Key认证中间件
+const ApiKeyModel = require('../models/api-key.model');
+const { authJWTWithScopes } = require('./auth.jwt');
+
+/**
+ * JWT或API Key认证中间件
+ * 请求头为 Authorization: ApiKey {key} 时使用API Key认证，并要求Key拥有全部指定的授权范围；
+ * 其他情况按JWT认证，OAuth访问令牌同样要求拥有全部指定的授权范围。
+ * 只有显式使用此中间件的路由才接受API Key和OAuth访问令牌
+ * @param {...string} scopes - 所需的授权范围
+ * @returns {Function} Express中间件函数
+ */
+const authJWTOrApiKey = (...scopes) => {
+  const authJWT = authJWTWithScopes(...scopes);
+
+  return async (req, res, next) => {
+    const authHeader = req.header('Authorization') || '';
+    if (!authHeader.startsWith('ApiKey ')) {
+      return authJWT(req, res, next);
+    }
+
+    try {
+      const result = await ApiKeyModel.authenticate(authHeader.slice('ApiKey '.length).trim(), req.ip);
+      if (!result) {
+        return res.status(401).json({ message: 'API Key无效、已过期或已被撤销' });
+      }
+
+      const missingScopes = scopes.filter(scope => !result.apiKey.scopes.includes(scope));
+      if (missingScopes.length > 0) {
+        return res.status(403).json({ message: `API Key缺少授权范围: ${missingScopes.join(', ')}` });
+      }
+
+      // 将用户信息附加到请求对象，与JWT认证保持一致
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+      next();
+    } catch (error) {
+      console.error('API Key认证错误:', error);
+      res.status(500).json({ message: '服务器内部错误' });
+    }
+  };
+};
+
+module.exports = { authJWTOrApiKey };
@@ -0,0 +1,84 @@
+// OAuth客户端认证中间件
+const OAuthClientModel = require('../models/oauth-client.model');
+
+/**
+ * 从请求中读取客户端凭据
+ * 支持 HTTP Basic 认证（client_secret_basic）和请求体参数（client_secret_post）
+ * @param {Object} req - Express请求对象
+ * @returns {{clientId: string, clientSecret: string, basic: boolean}} 客户端凭据
+ */
+const getClientCredentials = (req) => {
+  const authHeader = req.header('Authorization') || '';
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice('Basic '.length), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator < 0) {
+      return { clientId: null, clientSecret: null, basic: true };
+    }
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+        basic: true
+      };
+    } catch (error) {
+      return { clientId: null, clientSecret: null, basic: true };
+    }
+  }
+
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret,
+    basic: false
+  };
+};
+
+/**
+ * 客户端认证中间件
+ * 认证通过后将客户端附加到 req.client，失败时返回 RFC 6749 格式的 invalid_client 错误
+ * @param {Object} options - 选项
+ * @param {boolean} options.confidentialOnly - 是否只允许机密客户端（服务端）访问
+ * @returns {Function} Express中间件函数
+ */
+const authClient = ({ confidentialOnly = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const { clientId, clientSecret, basic } = getClientCredentials(req);
+      const client = await OAuthClientModel.authenticateClient(clientId, clientSecret);
+
+      if (!client || (confidentialOnly && client.type !== 'confidential')) {
+        if (basic) {
+          res.set('WWW-Authenticate', 'Basic realm="user-center"');
+        }
+        return res.status(401).json({
+          error: 'invalid_client',
+          error_description: confidentialOnly ? '客户端认证失败，此接口只允许机密客户端调用' : '客户端认证失败'
+        });
+      }
+
+      req.client = client;
+      next();
+    } catch (error) {
+      console.error('客户端认证错误:', error);
+      res.status(500).json({
+        error: 'server_error',
+        error_description: '服务器内部错误'
+      });
+    }
+  };
+};
+
+/**
+ * 返回 RFC 6749 格式的错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Object} result - 模型返回的错误结果 { code, error, message }
+ */
+const sendOAuthError = (res, result) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(result.code).json({
+    error: result.error,
+    error_description: result.message
+  });
+};
+
+module.exports = { authClient, sendOAuthError };
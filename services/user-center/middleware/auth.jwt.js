@@ -1,17 +1,17 @@
 // JWT验证中间件
-const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
-
-const prisma = new PrismaClient();
+const prisma = require('../utils/prisma');
+const { verifyJwt } = require('../utils/jwt');
+const RoleModel = require('../models/role.model');
 
 /**
- * JWT认证中间件
  * 验证请求中的JWT令牌，并将用户信息附加到请求对象
+ * OAuth客户端获得的访问令牌只能访问声明了授权范围的接口，并且必须拥有全部所需范围
  * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象
  * @param {Function} next - Express下一个中间件函数
+ * @param {Array<string>|null} scopes - 接口接受OAuth令牌时所需的授权范围，为null表示不接受OAuth令牌
  */
-const authJWT = async (req, res, next) => {
+const authenticate = async (req, res, next, scopes) => {
   try {
     // 从请求头中获取Authorization字段
     const authHeader = req.header('Authorization');
@@ -25,8 +25,11 @@ const authJWT = async (req, res, next) => {
       return res.status(401).json({ message: '无效的认证令牌' });
     }
 
-    // 验证JWT令牌
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // 验证JWT令牌，ID令牌等其他用途的JWT不含 userId，不能用于访问接口
+    const decoded = verifyJwt(token);
+    if (!decoded.userId) {
+      return res.status(401).json({ message: '无效的JWT令牌' });
+    }
 
     // 查找用户信息
     const user = await prisma.user.findUnique({
@@ -51,7 +54,8 @@ const authJWT = async (req, res, next) => {
       where: {
         userId: user.id,
         token: token,
-        expiresAt: { gt: new Date() }
+        expiresAt: { gt: new Date() },
+        revokedAt: null
       }
     });
 
@@ -59,6 +63,20 @@ const authJWT = async (req, res, next) => {
       return res.status(401).json({ message: '会话已过期或无效' });
     }
 
+    if (session.clientId) {
+      if (!scopes) {
+        return res.status(403).json({ message: '此接口不接受OAuth访问令牌' });
+      }
+
+      const grantedScopes = session.scopes || [];
+      const missingScopes = scopes.filter(scope => !grantedScopes.includes(scope));
+      if (missingScopes.length > 0) {
+        return res.status(403).json({ message: `OAuth访问令牌缺少授权范围: ${missingScopes.join(', ')}` });
+      }
+
+      req.oauth = { clientId: decoded.client_id, scopes: grantedScopes };
+    }
+
     // 将用户信息附加到请求对象
     req.user = user;
     req.token = token;
@@ -75,17 +93,63 @@ const authJWT = async (req, res, next) => {
 };
 
 /**
- * 角色权限验证中间件
- * @param {Array} roles - 允许访问的角色列表
- * @returns {Function} - Express中间件函数
+ * JWT认证中间件
+ * 只接受用户直接登录获得的访问令牌
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+const authJWT = (req, res, next) => authenticate(req, res, next, null);
+
+/**
+ * 接受OAuth访问令牌的JWT认证中间件
+ * 用户直接登录获得的访问令牌不受授权范围限制
+ * @param {...string} scopes - OAuth令牌所需的授权范围
+ * @returns {Function} Express中间件函数
+ */
+const authJWTWithScopes = (...scopes) => {
+  return (req, res, next) => authenticate(req, res, next, scopes);
+};
+
+/**
+ * 权限验证中间件
+ * 根据当前用户角色拥有的权限判断能否访问接口；指定 targetUserParam 时，
+ * 还要求当前用户的角色级别不低于路径参数对应用户的角色级别，防止管理更高级别的用户
+ * @param {string} permission - 所需的权限，如 users:delete
+ * @param {Object} options - 选项
+ * @param {string} options.targetUserParam - 被操作用户ID所在的路径参数名
+ * @param {boolean} options.allowSelf - 被操作用户是当前用户时是否无需该权限
+ * @returns {Function} Express中间件函数
  */
-const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ message: '权限不足' });
+const requirePermission = (permission, { targetUserParam, allowSelf = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const targetUserId = targetUserParam ? parseInt(req.params[targetUserParam]) : NaN;
+      if (allowSelf && req.user && targetUserId === req.user.id) {
+        return next();
+      }
+
+      if (!req.user || !(await RoleModel.hasPermission(req.user.role, permission))) {
+        return res.status(403).json({ message: '权限不足' });
+      }
+
+      if (!isNaN(targetUserId)) {
+        const targetUser = await prisma.user.findUnique({
+          where: { id: targetUserId },
+          select: { role: true }
+        });
+        // 用户不存在时交给路由返回404
+        if (targetUser && !(await RoleModel.canManageUser(req.user.role, targetUser.role))) {
+          return res.status(403).json({ message: '权限不足，无法管理更高级别角色的用户' });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('权限验证错误:', error);
+      res.status(500).json({ message: '服务器内部错误' });
     }
-    next();
   };
 };
 
-module.exports = { authJWT, authorizeRoles };
\ No newline at end of file
+module.exports = { authJWT, authJWTWithScopes, requirePermission };
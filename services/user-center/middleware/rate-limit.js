@@ -0,0 +1,152 @@
+// 限流中间件 - 按IP、用户ID或API Key限制请求频率
+const MemoryStore = require('../utils/memory-store');
+const { parseDuration, hashToken } = require('../utils/token');
+
+// 设置为 false 时关闭所有限流（如本地调试、自动化测试）
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+let defaultStore = new MemoryStore();
+
+/**
+ * 设置默认存储，多实例部署时替换为共享存储
+ * @param {Object} customStore - 存储对象，接口见 utils/memory-store.js
+ */
+const setStore = (customStore) => {
+  defaultStore = customStore;
+};
+
+/**
+ * 从请求中提取API Key
+ * 支持 Authorization: ApiKey xxx 和 X-API-Key 请求头
+ * @param {Object} req - Express请求对象
+ * @returns {string|null} API Key
+ */
+const extractApiKey = (req) => {
+  const authHeader = req.header('Authorization') || '';
+  if (authHeader.startsWith('ApiKey ')) {
+    return authHeader.slice('ApiKey '.length).trim();
+  }
+  return req.header('X-API-Key') || null;
+};
+
+// 内置的限流维度
+const KEY_GENERATORS = {
+  ip: (req) => `ip:${req.ip}`,
+  // 需放在 authJWT 之后才能取得用户，未认证的请求按IP限流
+  user: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  // API Key 只以哈希形式出现在存储中，没有API Key的请求按IP限流
+  apiKey: (req) => {
+    const apiKey = extractApiKey(req);
+    return apiKey ? `apikey:${hashToken(apiKey)}` : `ip:${req.ip}`;
+  }
+};
+
+// 限流算法，返回本次请求是否放行以及响应头所需的数据
+const ALGORITHMS = {
+  /**
+   * 固定窗口：窗口内最多 limit 次请求，窗口结束后重新计数
+   */
+  'fixed-window': async (store, key, policy) => {
+    const windowMs = parseDuration(policy.window);
+    const { value, expiresAt } = await store.increment(key, windowMs);
+    const reset = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+
+    return {
+      allowed: value <= policy.limit,
+      limit: policy.limit,
+      remaining: Math.max(0, policy.limit - value),
+      reset,
+      retryAfter: reset,
+      policy: `${policy.limit};w=${Math.ceil(windowMs / 1000)}`
+    };
+  },
+
+  /**
+   * 令牌桶：桶容量为 limit，每 window 时长补满一次，允许短时突发
+   */
+  'token-bucket': async (store, key, policy) => {
+    const windowMs = parseDuration(policy.window);
+    const refillPerMs = policy.limit / windowMs;
+    let allowed = false;
+
+    const { value: bucket } = await store.update(key, (current) => {
+      const now = Date.now();
+      const tokens = current
+        ? Math.min(policy.limit, current.tokens + (now - current.updatedAt) * refillPerMs)
+        : policy.limit;
+
+      allowed = tokens >= 1;
+      return { tokens: allowed ? tokens - 1 : tokens, updatedAt: now };
+    }, windowMs);
+
+    return {
+      allowed,
+      limit: policy.limit,
+      remaining: Math.floor(bucket.tokens),
+      // 桶补满所需的秒数
+      reset: Math.ceil((policy.limit - bucket.tokens) / refillPerMs / 1000),
+      // 补充一个令牌所需的秒数
+      retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)),
+      policy: `${policy.limit};w=${Math.ceil(windowMs / 1000)}`
+    };
+  }
+};
+
+/**
+ * 创建限流中间件
+ * @param {Object} policy - 限流策略
+ * @param {string} policy.name - 策略名称，用于区分不同路由的计数
+ * @param {string} policy.algorithm - 限流算法：fixed-window 或 token-bucket
+ * @param {number} policy.limit - 窗口内允许的请求数（令牌桶容量）
+ * @param {string} policy.window - 窗口时长（令牌桶补满时长），如 '1m'、'1h'
+ * @param {string|Function} policy.keyBy - 限流维度：ip、user、apiKey，或接收 req 返回键的函数
+ * @param {Object} policy.store - 存储对象（可选，默认使用全局存储）
+ * @param {Function} policy.skip - 接收 req，返回 true 时不计入此策略（可选）
+ * @returns {Function} Express中间件函数
+ */
+const rateLimit = (policy) => {
+  const algorithm = ALGORITHMS[policy.algorithm || 'fixed-window'];
+  if (!algorithm) {
+    throw new Error(`不支持的限流算法: ${policy.algorithm}`);
+  }
+
+  const keyGenerator = typeof policy.keyBy === 'function'
+    ? policy.keyBy
+    : KEY_GENERATORS[policy.keyBy || 'ip'];
+  if (!keyGenerator) {
+    throw new Error(`不支持的限流维度: ${policy.keyBy}`);
+  }
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED || (policy.skip && policy.skip(req))) {
+      return next();
+    }
+
+    try {
+      const store = policy.store || defaultStore;
+      const key = `ratelimit:${policy.name}:${keyGenerator(req)}`;
+      const result = await algorithm(store, key, policy);
+
+      res.set('RateLimit-Policy', result.policy);
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      res.set('RateLimit-Reset', String(result.reset));
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          code: 429,
+          message: '请求过于频繁，请稍后再试'
+        });
+      }
+
+      next();
+    } catch (error) {
+      // 存储不可用时放行请求，避免限流故障导致服务不可用
+      console.error('限流检查失败:', error);
+      next();
+    }
+  };
+};
+
+module.exports = { rateLimit, setStore };
@@ -0,0 +1,47 @@
+// 限流策略 - 用户中心各路由使用的限流配置
+const { rateLimit } = require('./rate-limit');
+
+/**
+ * 限流策略定义
+ * 每个策略的 name 独立计数，同一策略可用于多个路由共享配额
+ */
+const policies = {
+  // 用户中心所有接口的兜底限制，令牌内省由产品服务端高频调用，使用单独的策略
+  global: {
+    name: 'global',
+    algorithm: 'fixed-window',
+    limit: 300,
+    window: '1m',
+    keyBy: 'ip',
+    skip: (req) => req.path === '/auth/introspect'
+  },
+  // 注册
+  register: { name: 'register', algorithm: 'fixed-window', limit: 5, window: '1h', keyBy: 'ip' },
+  // 登录及二次验证，允许短时间内少量重试
+  login: { name: 'login', algorithm: 'token-bucket', limit: 10, window: '1m', keyBy: 'ip' },
+  // 刷新令牌
+  refresh: { name: 'refresh', algorithm: 'token-bucket', limit: 30, window: '1m', keyBy: 'ip' },
+  // 会发送邮件的接口（忘记密码、重新发送验证邮件）
+  emailSend: { name: 'email-send', algorithm: 'fixed-window', limit: 5, window: '1h', keyBy: 'ip' },
+  // 提交一次性令牌的接口（重置密码、验证邮箱）
+  tokenVerify: { name: 'token-verify', algorithm: 'fixed-window', limit: 20, window: '15m', keyBy: 'ip' },
+  // 邀请组织成员，按邀请人计数
+  organizationInvite: { name: 'organization-invite', algorithm: 'fixed-window', limit: 50, window: '1h', keyBy: 'user' },
+  // 已登录用户管理二次验证
+  mfaManage: { name: 'mfa-manage', algorithm: 'fixed-window', limit: 10, window: '15m', keyBy: 'user' },
+  // OAuth令牌端点和撤销端点，由产品服务端调用
+  oauthToken: { name: 'oauth-token', algorithm: 'token-bucket', limit: 60, window: '1m', keyBy: 'ip' },
+  // 网页端查询扫码登录状态，支持长轮询，按每秒一次轮询留出余量
+  qrPoll: { name: 'qr-poll', algorithm: 'token-bucket', limit: 120, window: '1m', keyBy: 'ip' },
+  // 令牌内省，产品服务端每次收到请求都可能调用
+  introspect: { name: 'introspect', algorithm: 'token-bucket', limit: 3000, window: '1m', keyBy: 'ip' },
+  // 联网验证许可证，桌面产品启动和定期续期时调用
+  licenseVerify: { name: 'license-verify', algorithm: 'token-bucket', limit: 60, window: '1m', keyBy: 'ip' }
+};
+
+// 预先创建各策略的中间件，路由中直接引用
+const limiters = Object.fromEntries(
+  Object.entries(policies).map(([name, policy]) => [name, rateLimit(policy)])
+);
+
+module.exports = { policies, limiters };
@@ -0,0 +1,21 @@
+// 请求ID中间件 - 为每个请求分配ID，写入响应头并记录在审计日志中，便于关联网关和其他服务的日志
+const crypto = require('crypto');
+
+// 接受上游传入的请求ID的格式，不符合时重新生成
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * 请求ID中间件
+ * 优先使用网关传入的 X-Request-Id 请求头，并通过同名响应头返回
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.header('X-Request-Id');
+  req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  next();
+};
+
+module.exports = requestId;
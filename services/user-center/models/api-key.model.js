@@ -0,0 +1,219 @@
+// API Key模型 - 处理个人访问令牌的创建、查询、撤销和认证
+const prisma = require('../utils/prisma');
+const { generateOpaqueToken, hashToken } = require('../utils/token');
+
+// API Key统一前缀，便于在日志和代码仓库中识别泄露的Key
+const API_KEY_PREFIX = 'uc_';
+// 每个用户最多拥有的有效API Key数量
+const MAX_API_KEYS_PER_USER = 20;
+// 最近使用时间的更新间隔，避免每次请求都写数据库
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+// 可授予的权限范围
+const API_KEY_SCOPES = {
+  'profile:read': '读取当前用户信息',
+  'profile:write': '修改当前用户信息',
+  'users:read': '查询用户（仍需管理员角色）',
+  'users:write': '创建、修改、删除用户（仍需管理员角色）'
+};
+
+// 列表中返回的字段，不包含哈希
+const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true
+};
+
+/**
+ * API Key模型类
+ * Key明文只在创建时返回一次，数据库中只保存哈希
+ */
+class ApiKeyModel {
+  /**
+   * 创建API Key
+   * @param {number} userId - 用户ID
+   * @param {Object} keyData - Key信息
+   * @param {string} keyData.name - 用途说明
+   * @param {Array<string>} keyData.scopes - 授权范围
+   * @param {number} keyData.expiresInDays - 有效天数（可选，不传表示永不过期）
+   * @returns {Promise<Object>} 创建的Key信息（包含明文Key）
+   */
+  static async createApiKey(userId, keyData) {
+    try {
+      const invalidScopes = keyData.scopes.filter(scope => !API_KEY_SCOPES[scope]);
+      if (invalidScopes.length > 0) {
+        return {
+          code: 400,
+          message: `无效的授权范围: ${invalidScopes.join(', ')}`
+        }
+      }
+
+      const activeCount = await prisma.apiKey.count({
+        where: {
+          userId: userId,
+          revokedAt: null,
+          OR: [
+            { expiresAt: null },
+            { expiresAt: { gt: new Date() } }
+          ]
+        }
+      });
+
+      if (activeCount >= MAX_API_KEYS_PER_USER) {
+        return {
+          code: 400,
+          message: `每个用户最多拥有${MAX_API_KEYS_PER_USER}个有效的API Key`
+        }
+      }
+
+      const key = `${API_KEY_PREFIX}${generateOpaqueToken(32)}`;
+      const expiresAt = keyData.expiresInDays
+        ? new Date(Date.now() + keyData.expiresInDays * 24 * 60 * 60 * 1000)
+        : null;
+
+      const apiKey = await prisma.apiKey.create({
+        data: {
+          userId: userId,
+          name: keyData.name,
+          prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+          keyHash: hashToken(key),
+          scopes: [...new Set(keyData.scopes)],
+          expiresAt: expiresAt
+        },
+        select: API_KEY_SELECT
+      });
+
+      return {
+        code: 200,
+        message: '创建API Key成功，请立即保存，Key只显示这一次',
+        data: { ...apiKey, key }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户的API Key列表（不含已撤销的Key）
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} Key列表
+   */
+  static async getApiKeys(userId) {
+    try {
+      const apiKeys = await prisma.apiKey.findMany({
+        where: {
+          userId: userId,
+          revokedAt: null
+        },
+        orderBy: {
+          createdAt: 'desc'
+        },
+        select: API_KEY_SELECT
+      });
+
+      return { code: 200, message: '获取API Key列表成功', data: apiKeys };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销API Key
+   * @param {number} userId - 用户ID
+   * @param {number} apiKeyId - Key ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async revokeApiKey(userId, apiKeyId) {
+    try {
+      const { count } = await prisma.apiKey.updateMany({
+        where: {
+          id: apiKeyId,
+          userId: userId,
+          revokedAt: null
+        },
+        data: { revokedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return {
+          code: 404,
+          message: 'API Key不存在'
+        }
+      }
+
+      return { code: 200, message: '撤销API Key成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 使用API Key认证
+   * @param {string} key - API Key明文
+   * @param {string} ipAddress - 请求IP
+   * @returns {Promise<Object|null>} 认证通过时返回 { user, apiKey }，否则返回null
+   */
+  static async authenticate(key, ipAddress) {
+    try {
+      if (!key || !key.startsWith(API_KEY_PREFIX)) {
+        return null;
+      }
+
+      const apiKey = await prisma.apiKey.findUnique({
+        where: { keyHash: hashToken(key) },
+        include: {
+          user: {
+            select: {
+              id: true,
+              username: true,
+              email: true,
+              nickname: true,
+              avatar: true,
+              role: true,
+              status: true
+            }
+          }
+        }
+      });
+
+      if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+        return null;
+      }
+
+      if (apiKey.user.status !== 'active') {
+        return null;
+      }
+
+      // 按间隔更新最近使用时间
+      if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL) {
+        await prisma.apiKey.update({
+          where: { id: apiKey.id },
+          data: { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+        });
+      }
+
+      const { user, ...keyInfo } = apiKey;
+      return {
+        user,
+        apiKey: { id: keyInfo.id, name: keyInfo.name, scopes: keyInfo.scopes || [] }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取可授予的权限范围
+   * @returns {Object} 权限范围及说明
+   */
+  static getScopes() {
+    return API_KEY_SCOPES;
+  }
+}
+
+module.exports = ApiKeyModel;
@@ -0,0 +1,372 @@
+// 审计日志模型 - 记录管理操作和安全相关操作，支持查询和导出
+const prisma = require('../utils/prisma');
+const { parseTime } = require('../utils/time');
+const { stringifyCsvRow } = require('../utils/csv');
+
+// 导出时每批读取的记录数
+const EXPORT_BATCH_SIZE = 1000;
+// 导出CSV的列，JSON类型的字段以JSON文本输出
+const EXPORT_COLUMNS = [
+  'id', 'createdAt', 'actorId', 'actorUsername', 'actorType', 'action', 'targetType', 'targetId',
+  'before', 'after', 'metadata', 'ipAddress', 'userAgent', 'requestId'
+];
+const ACTOR_TYPES = ['user', 'api_key', 'oauth_client', 'system', 'anonymous'];
+
+/**
+ * 拆分以冒号连接的复合ID
+ * @param {string} targetId - 操作对象ID
+ * @returns {Array<string>} 各部分
+ */
+const splitTargetId = (targetId) => String(targetId).split(':');
+
+/**
+ * 解析整数ID，路径参数无效时由接口返回错误，这里不查询
+ * @param {string} value - ID
+ * @returns {number|null} 整数ID，无效时返回null
+ */
+const toIntId = (value) => (/^\d{1,9}$/.test(value || '') ? parseInt(value) : null);
+
+// 各类操作对象的快照，只包含可以写入审计日志的字段，不包含密码哈希、密钥等敏感信息
+const SNAPSHOTS = {
+  user: (id) => toIntId(id) && prisma.user.findUnique({
+    where: { id: toIntId(id) },
+    select: {
+      id: true,
+      username: true,
+      email: true,
+      emailVerified: true,
+      pendingEmail: true,
+      nickname: true,
+      avatar: true,
+      role: true,
+      status: true,
+      disabledRemark: true,
+      mfaEnabled: true,
+      passwordChangedAt: true,
+      passwordResetRequired: true
+    }
+  }),
+  role: async (name) => {
+    const role = await prisma.role.findUnique({
+      where: { name },
+      include: { permissions: { include: { permission: true } } }
+    });
+    return role && {
+      name: role.name,
+      displayName: role.displayName,
+      description: role.description,
+      level: role.level,
+      permissions: role.permissions.map(item => item.permission.name).sort()
+    };
+  },
+  product: (id) => prisma.product.findUnique({
+    where: { id },
+    select: { id: true, name: true, description: true, status: true }
+  }),
+  plan: (targetId) => {
+    const [productId, code] = splitTargetId(targetId);
+    return productId && code && prisma.plan.findUnique({
+      where: { productId_code: { productId, code } },
+      select: { productId: true, code: true, name: true, features: true, trialDays: true, status: true }
+    });
+  },
+  'user-product': (targetId) => {
+    const [userId, productId] = splitTargetId(targetId);
+    return toIntId(userId) && productId && prisma.userProduct.findUnique({
+      where: { userId_productId: { userId: toIntId(userId), productId } },
+      select: { userId: true, productId: true, status: true, startsAt: true, endsAt: true }
+    });
+  },
+  organization: (id) => toIntId(id) && prisma.organization.findUnique({
+    where: { id: toIntId(id) },
+    select: { id: true, name: true, slug: true }
+  }),
+  'organization-member': (targetId) => {
+    const [organizationId, userId] = splitTargetId(targetId);
+    return toIntId(organizationId) && toIntId(userId) && prisma.organizationMember.findUnique({
+      where: { organizationId_userId: { organizationId: toIntId(organizationId), userId: toIntId(userId) } },
+      select: { organizationId: true, userId: true, role: true }
+    });
+  },
+  subscription: (id) => toIntId(id) && prisma.subscription.findUnique({
+    where: { id: toIntId(id) },
+    select: {
+      id: true,
+      userId: true,
+      productId: true,
+      planId: true,
+      status: true,
+      externalId: true,
+      trialEndsAt: true,
+      currentPeriodEnd: true,
+      cancelAtPeriodEnd: true,
+      canceledAt: true
+    }
+  }),
+  license: (id) => prisma.license.findUnique({
+    where: { id },
+    select: { id: true, userId: true, productId: true, planCode: true, deviceId: true, expiresAt: true, revokedAt: true }
+  }),
+  'oauth-client': (clientId) => prisma.oAuthClient.findUnique({
+    where: { clientId },
+    select: { clientId: true, name: true, type: true, redirectUris: true, scopes: true, status: true }
+  }),
+  'api-key': (id) => toIntId(id) && prisma.apiKey.findUnique({
+    where: { id: toIntId(id) },
+    select: { id: true, userId: true, name: true, prefix: true, scopes: true, expiresAt: true, revokedAt: true }
+  }),
+  'webauthn-credential': (id) => toIntId(id) && prisma.webAuthnCredential.findUnique({
+    where: { id: toIntId(id) },
+    select: { id: true, userId: true, name: true, deviceType: true }
+  })
+};
+
+/**
+ * 将快照转换为可比较、可保存的JSON值，时间转换为Unix时间戳（秒），与接口返回的格式一致
+ * @param {*} value - 快照
+ * @returns {*} 转换后的值
+ */
+const normalize = (value) => {
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * 构建查询条件
+ * @param {Object} filters - 过滤条件 { actorId, actorType, action, targetType, targetId, requestId, from, to }
+ * @returns {Object} Prisma查询条件
+ */
+const buildWhere = (filters) => {
+  const where = {};
+
+  if (filters.actorId) {
+    where.actorId = filters.actorId;
+  }
+  if (filters.actorType) {
+    where.actorType = filters.actorType;
+  }
+  if (filters.action) {
+    // 以 .* 结尾时按前缀匹配，如 user.* 匹配所有用户相关操作
+    where.action = filters.action.endsWith('.*')
+      ? { startsWith: filters.action.slice(0, -1) }
+      : filters.action;
+  }
+  if (filters.targetType) {
+    where.targetType = filters.targetType;
+  }
+  if (filters.targetId) {
+    where.targetId = String(filters.targetId);
+  }
+  if (filters.requestId) {
+    where.requestId = filters.requestId;
+  }
+  if (filters.from || filters.to) {
+    where.createdAt = {
+      ...(filters.from ? { gte: filters.from } : {}),
+      ...(filters.to ? { lt: filters.to } : {})
+    };
+  }
+
+  return where;
+};
+
+/**
+ * 审计日志模型类
+ * 审计日志只追加，不提供修改和删除；记录不关联用户表，删除用户后仍然保留
+ */
+class AuditLogModel {
+  /**
+   * 获取操作对象的快照
+   * @param {string} targetType - 操作对象类型
+   * @param {string} targetId - 操作对象ID
+   * @returns {Promise<Object|null>} 快照，不支持的类型或对象不存在时返回null
+   */
+  static async snapshot(targetType, targetId) {
+    if (!SNAPSHOTS[targetType] || targetId === undefined || targetId === null) {
+      return null;
+    }
+
+    const snapshot = await SNAPSHOTS[targetType](String(targetId));
+    return snapshot ? normalize(snapshot) : null;
+  }
+
+  /**
+   * 比较修改前后的快照，只保留发生变化的字段
+   * 创建操作只有修改后的快照，删除操作只有修改前的快照，均原样保留
+   * @param {Object|null} before - 修改前的快照
+   * @param {Object|null} after - 修改后的快照
+   * @returns {{before: Object|null, after: Object|null}} 变化的字段
+   */
+  static diff(before, after) {
+    if (!before || !after) {
+      return { before, after };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changedBefore[key] = before[key] === undefined ? null : before[key];
+        changedAfter[key] = after[key] === undefined ? null : after[key];
+      }
+    }
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  /**
+   * 写入审计日志
+   * @param {Object} entry - 日志内容 { actorId, actorUsername, actorType, action, targetType, targetId, before, after, metadata, ipAddress, userAgent, requestId }
+   * @returns {Promise<Object>} 写入的日志
+   */
+  static async record(entry) {
+    try {
+      return await prisma.auditLog.create({
+        data: {
+          actorId: entry.actorId || null,
+          actorUsername: entry.actorUsername || null,
+          actorType: entry.actorType,
+          action: entry.action,
+          targetType: entry.targetType || null,
+          targetId: entry.targetId !== undefined && entry.targetId !== null ? String(entry.targetId) : null,
+          before: entry.before ? normalize(entry.before) : undefined,
+          after: entry.after ? normalize(entry.after) : undefined,
+          metadata: entry.metadata ? normalize(entry.metadata) : undefined,
+          ipAddress: entry.ipAddress || '',
+          userAgent: entry.userAgent ? entry.userAgent.slice(0, 255) : null,
+          requestId: entry.requestId
+        }
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 解析查询参数中的过滤条件
+   * @param {Object} query - 查询参数 { actorId, actorType, action, targetType, targetId, requestId, from, to }
+   * @returns {Object} 解析结果，参数无效时包含 code 和 message
+   */
+  static parseFilters(query) {
+    const filters = {};
+
+    if (query.actorId !== undefined) {
+      filters.actorId = parseInt(query.actorId);
+      if (isNaN(filters.actorId)) {
+        return { code: 400, message: '无效的操作者ID' }
+      }
+    }
+    if (query.actorType !== undefined && !ACTOR_TYPES.includes(query.actorType)) {
+      return { code: 400, message: `无效的操作者类型，可选值: ${ACTOR_TYPES.join(', ')}` }
+    }
+    for (const key of ['from', 'to']) {
+      if (query[key] !== undefined) {
+        // 查询参数都是字符串，纯数字按Unix时间戳（秒）解析
+        filters[key] = parseTime(/^\d+$/.test(query[key]) ? Number(query[key]) : query[key]);
+        if (!filters[key]) {
+          return { code: 400, message: '无效的时间范围' }
+        }
+      }
+    }
+
+    for (const key of ['actorType', 'action', 'targetType', 'targetId', 'requestId']) {
+      if (query[key]) {
+        filters[key] = String(query[key]);
+      }
+    }
+
+    return { filters };
+  }
+
+  /**
+   * 查询审计日志
+   * @param {Object} filters - 过滤条件，见 parseFilters
+   * @param {number} page - 页码
+   * @param {number} pageSize - 每页数量，最多100
+   * @returns {Promise<Object>} 日志列表和总数
+   */
+  static async getAuditLogs(filters = {}, page = 1, pageSize = 20) {
+    try {
+      const where = buildWhere(filters);
+      const take = Math.min(Math.max(pageSize || 20, 1), 100);
+      const skip = (Math.max(page || 1, 1) - 1) * take;
+
+      const [logs, total] = await Promise.all([
+        prisma.auditLog.findMany({
+          where: where,
+          skip: skip,
+          take: take,
+          orderBy: { id: 'desc' }
+        }),
+        prisma.auditLog.count({ where: where })
+      ]);
+
+      return { code: 200, message: '获取审计日志成功', data: { logs, total } };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 导出审计日志
+   * 按ID倒序分批读取，每批写出后再读取下一批，导出大量记录时不会占用过多内存
+   * @param {Object} filters - 过滤条件，见 parseFilters
+   * @param {string} format - 导出格式，csv 或 jsonl
+   * @param {Function} write - 写出数据的异步函数，参数为文本
+   * @returns {Promise<number>} 导出的记录数
+   */
+  static async exportAuditLogs(filters, format, write) {
+    try {
+      const where = buildWhere(filters);
+      let count = 0;
+      let cursor = null;
+
+      if (format === 'csv') {
+        // 带BOM，Excel打开时能正确识别UTF-8编码
+        await write('\ufeff' + stringifyCsvRow(EXPORT_COLUMNS));
+      }
+
+      for (;;) {
+        const logs = await prisma.auditLog.findMany({
+          where: cursor ? { AND: [where, { id: { lt: cursor } }] } : where,
+          take: EXPORT_BATCH_SIZE,
+          orderBy: { id: 'desc' }
+        });
+        if (logs.length === 0) {
+          break;
+        }
+
+        const lines = logs.map(log => {
+          const row = normalize(log);
+          if (format === 'csv') {
+            return stringifyCsvRow(EXPORT_COLUMNS.map(column => (
+              ['before', 'after', 'metadata'].includes(column) && row[column] !== null ? JSON.stringify(row[column]) : row[column]
+            )));
+          }
+          return JSON.stringify(row) + '\n';
+        });
+        await write(lines.join(''));
+
+        count += logs.length;
+        cursor = logs[logs.length - 1].id;
+        if (logs.length < EXPORT_BATCH_SIZE) {
+          break;
+        }
+      }
+
+      return count;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = AuditLogModel;
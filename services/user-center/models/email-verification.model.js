@@ -0,0 +1,178 @@
+// 邮箱验证模型 - 处理注册邮箱验证和修改邮箱后的重新验证
+const prisma = require('../utils/prisma');
+const { sendMail } = require('../utils/mailer');
+const { parseDuration, generateOpaqueToken, hashToken } = require('../utils/token');
+
+// 验证令牌有效期，默认24小时
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+// 邮件中的验证地址，令牌以 token 查询参数附加在后面
+const EMAIL_VERIFICATION_URL = process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/api/user-center/auth/verify-email';
+
+/**
+ * 邮箱验证模型类
+ * 每个验证令牌绑定一个待验证的邮箱地址，验证通过后该地址成为用户的已验证邮箱
+ */
+class EmailVerificationModel {
+  /**
+   * 发送验证邮件
+   * @param {number} userId - 用户ID
+   * @param {string} email - 待验证的邮箱，默认为用户当前邮箱
+   * @returns {Promise<void>}
+   */
+  static async sendVerification(userId, email = null) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user) {
+        return;
+      }
+
+      const targetEmail = email || user.email;
+      if (!targetEmail) {
+        return;
+      }
+
+      // 新令牌生成后，此前未使用的令牌全部作废
+      await prisma.emailVerificationToken.deleteMany({
+        where: { userId: user.id, usedAt: null }
+      });
+
+      const token = generateOpaqueToken(32);
+      const expiresAt = new Date(Date.now() + parseDuration(EMAIL_VERIFICATION_EXPIRES_IN));
+
+      await prisma.emailVerificationToken.create({
+        data: {
+          userId: user.id,
+          email: targetEmail,
+          tokenHash: hashToken(token),
+          expiresAt: expiresAt
+        }
+      });
+
+      const separator = EMAIL_VERIFICATION_URL.includes('?') ? '&' : '?';
+      const verifyLink = `${EMAIL_VERIFICATION_URL}${separator}token=${encodeURIComponent(token)}`;
+
+      await sendMail({
+        to: targetEmail,
+        subject: '验证邮箱',
+        text: `您好：\n\n请打开以下链接验证您的邮箱：\n${verifyLink}\n\n如果这不是您本人的操作，请忽略此邮件。`,
+        html: `<p>您好：</p><p>请点击以下链接验证您的邮箱：</p><p><a href="${verifyLink}">${verifyLink}</a></p><p>如果这不是您本人的操作，请忽略此邮件。</p>`
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 重新发送验证邮件
+   * 无论邮箱是否注册都返回相同结果，避免泄露账号是否存在
+   * @param {string} email - 邮箱
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async resendVerification(email) {
+    try {
+      const result = {
+        code: 200,
+        message: '如果该邮箱已注册且未验证，验证邮件已发送'
+      };
+
+      const user = await prisma.user.findUnique({
+        where: { email: email }
+      });
+
+      if (user && !user.emailVerified) {
+        try {
+          await this.sendVerification(user.id);
+        } catch (error) {
+          console.error('发送验证邮件失败:', error);
+          // 不抛出错误，发送失败时同样返回相同结果，避免泄露账号是否存在
+        }
+      }
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 验证邮箱
+   * 令牌对应用户当前邮箱时标记为已验证；对应待生效的新邮箱时替换为新邮箱
+   * @param {string} token - 验证令牌
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async verifyEmail(token) {
+    try {
+      const verificationToken = await prisma.emailVerificationToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+        include: { user: true }
+      });
+
+      if (!verificationToken || verificationToken.usedAt || verificationToken.expiresAt <= new Date()) {
+        return {
+          code: 400,
+          message: '验证链接无效或已过期'
+        }
+      }
+
+      const { user, email } = verificationToken;
+      if (email !== user.email && email !== user.pendingEmail) {
+        return {
+          code: 400,
+          message: '验证链接无效或已过期'
+        }
+      }
+
+      // 新邮箱生效前再次确认没有被其他用户占用
+      if (email !== user.email) {
+        const existingUser = await prisma.user.findFirst({
+          where: { id: { not: user.id }, email: email }
+        });
+        if (existingUser) {
+          return {
+            code: 400,
+            message: '邮箱已被注册'
+          }
+        }
+      }
+
+      // 以条件更新标记令牌已使用，保证令牌只能使用一次
+      const { count } = await prisma.emailVerificationToken.updateMany({
+        where: { id: verificationToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return {
+          code: 400,
+          message: '验证链接无效或已过期'
+        }
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          email: email,
+          pendingEmail: null,
+          emailVerified: true,
+          emailVerifiedAt: new Date()
+        },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          emailVerified: true,
+          emailVerifiedAt: true
+        }
+      });
+
+      return { code: 200, message: '邮箱验证成功', data: updatedUser };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = EmailVerificationModel;
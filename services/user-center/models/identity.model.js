@@ -0,0 +1,405 @@
+// 第三方身份模型 - 处理第三方登录、首次登录自动创建用户以及身份的绑定和解绑
+const prisma = require('../utils/prisma');
+const crypto = require('crypto');
+const {
+  generateOpaqueToken,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/token');
+const {
+  getProvider,
+  buildAuthorizationUrl,
+  fetchProfile
+} = require('../utils/social-providers');
+const UserModel = require('./user.model');
+
+// 从发起第三方登录到完成回调的最长时间
+const SOCIAL_STATE_EXPIRES_IN = process.env.SOCIAL_STATE_EXPIRES_IN || '10m';
+// 第三方账号首次登录时是否自动创建用户，关闭后只能由已登录用户绑定
+const SOCIAL_AUTO_PROVISION = process.env.SOCIAL_AUTO_PROVISION !== 'false';
+
+// 返回给用户的身份字段
+const IDENTITY_SELECT = {
+  id: true,
+  provider: true,
+  email: true,
+  displayName: true,
+  avatar: true,
+  lastLoginAt: true,
+  createdAt: true
+};
+
+/**
+ * 由第三方资料生成可用的用户名
+ * 只保留字母、数字和下划线，重名时追加随机后缀
+ * @param {Object} provider - 平台配置
+ * @param {Object} profile - 第三方用户资料
+ * @returns {Promise<string>} 用户名
+ */
+const generateUsername = async (provider, profile) => {
+  const base = String(profile.username || '').replace(/[^A-Za-z0-9_]/g, '').slice(0, 40) || `${provider.name}_user`;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username = attempt === 0 && profile.username ? base : `${base}_${crypto.randomBytes(3).toString('hex')}`;
+    const existing = await prisma.user.findUnique({ where: { username } });
+    if (!existing) {
+      return username;
+    }
+  }
+  throw new Error('无法生成可用的用户名');
+};
+
+/**
+ * 第三方身份模型类
+ */
+class IdentityModel {
+  /**
+   * 发起第三方登录或绑定
+   * 返回平台的授权地址和 socialToken；socialToken 由前端保存，回调时原样提交，
+   * 用于校验 state 并取回PKCE code_verifier，保证回调来自同一次发起
+   * @param {string} providerName - 平台名称
+   * @param {Object} user - 当前登录用户（绑定时提供，登录时为null）
+   * @returns {Promise<Object>} 授权地址和 socialToken
+   */
+  static async start(providerName, user = null) {
+    try {
+      const provider = getProvider(providerName);
+      if (!provider) {
+        return {
+          code: 404,
+          message: '不支持的第三方登录平台'
+        }
+      }
+
+      const state = generateOpaqueToken(16);
+      const nonce = generateOpaqueToken(16);
+      const codeVerifier = generateOpaqueToken(32);
+      const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+      let authorizationUrl;
+      try {
+        authorizationUrl = await buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+      } catch (error) {
+        return {
+          code: 502,
+          message: `无法连接第三方平台: ${error.message}`
+        }
+      }
+
+      const socialToken = signChallengeToken(user, user ? 'social-link' : 'social-login', SOCIAL_STATE_EXPIRES_IN, {
+        provider: provider.name,
+        state,
+        nonce,
+        codeVerifier
+      });
+
+      return {
+        code: 200,
+        message: '请跳转到第三方平台完成授权',
+        data: { authorizationUrl, socialToken }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 校验回调并获取第三方用户资料
+   * @param {string} providerName - 平台名称
+   * @param {Object} params - 回调参数 { code, state, socialToken }
+   * @param {Object} user - 当前登录用户（绑定时提供，登录时为null）
+   * @returns {Promise<Object>} 平台配置和第三方用户资料
+   */
+  static async resolveProfile(providerName, params, user = null) {
+    try {
+      const provider = getProvider(providerName);
+      if (!provider) {
+        return {
+          code: 404,
+          message: '不支持的第三方登录平台'
+        }
+      }
+
+      const payload = verifyChallengeToken(params.socialToken, [user ? 'social-link' : 'social-login']);
+      if (!payload || payload.provider !== provider.name || payload.state !== params.state
+        || (user && payload.userId !== user.id)) {
+        return {
+          code: 400,
+          message: '第三方登录已过期或无效，请重新发起'
+        }
+      }
+
+      let profile;
+      try {
+        profile = await fetchProfile(provider, {
+          code: params.code,
+          codeVerifier: payload.codeVerifier,
+          nonce: payload.nonce
+        });
+      } catch (error) {
+        return {
+          code: 400,
+          message: `第三方认证失败: ${error.message}`
+        }
+      }
+
+      if (!profile.subject) {
+        return {
+          code: 400,
+          message: '第三方认证失败: 未返回用户标识'
+        }
+      }
+
+      return { code: 200, message: '第三方认证成功', data: { provider, profile } };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 第三方登录
+   * 已绑定的身份直接登录；未绑定时自动创建用户。第三方邮箱与已有用户相同时不会自动关联，
+   * 防止通过在第三方平台填写他人邮箱接管账号，用户需登录原账号后主动绑定
+   * @param {string} providerName - 平台名称
+   * @param {Object} params - 回调参数 { code, state, socialToken, source }
+   * @param {Object} loginInfo - 登录信息（IP、用户代理、设备ID）
+   * @returns {Promise<Object>} 登录结果，与密码登录相同
+   */
+  static async login(providerName, params, loginInfo = {}) {
+    try {
+      const result = await this.resolveProfile(providerName, params);
+      if (result.code !== 200) {
+        return result;
+      }
+
+      const { provider, profile } = result.data;
+      const identity = await prisma.identity.findUnique({
+        where: {
+          provider_subject: { provider: provider.name, subject: profile.subject }
+        },
+        include: { user: true }
+      });
+
+      let user;
+      if (identity) {
+        user = identity.user;
+        await prisma.identity.update({
+          where: { id: identity.id },
+          data: {
+            email: profile.email,
+            displayName: profile.displayName,
+            avatar: profile.avatar,
+            lastLoginAt: new Date()
+          }
+        });
+      } else {
+        if (!SOCIAL_AUTO_PROVISION) {
+          return {
+            code: 403,
+            message: '该第三方账号尚未绑定用户，请登录后在个人中心绑定'
+          }
+        }
+
+        if (profile.email && profile.emailVerified) {
+          const existingUser = await prisma.user.findFirst({
+            where: {
+              OR: [
+                { email: profile.email },
+                { pendingEmail: profile.email }
+              ]
+            }
+          });
+          if (existingUser) {
+            return {
+              code: 409,
+              message: '该邮箱已注册，请使用原账号登录后在个人中心绑定此第三方账号'
+            }
+          }
+        }
+
+        user = await this.provisionUser(provider, profile, params.source);
+      }
+
+      if (user.status !== 'active') {
+        await UserModel.saveLoginLog(user.id, user.username, loginInfo, false, '用户已被禁用');
+        return {
+          code: 400,
+          message: '用户已被禁用'
+        }
+      }
+
+      return await UserModel.continueLogin(user, user.username, loginInfo, `第三方登录: ${provider.displayName}`);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 为首次登录的第三方账号创建用户
+   * 只有第三方平台已验证的邮箱才会作为用户邮箱；用户没有密码，可在个人中心设置
+   * @param {Object} provider - 平台配置
+   * @param {Object} profile - 第三方用户资料
+   * @param {string} source - 用户来源（可选）
+   * @returns {Promise<Object>} 创建的用户
+   */
+  static async provisionUser(provider, profile, source) {
+    try {
+      const username = await generateUsername(provider, profile);
+      const email = profile.email && profile.emailVerified ? profile.email : null;
+
+      return await prisma.user.create({
+        data: {
+          username: username,
+          email: email,
+          emailVerified: Boolean(email),
+          emailVerifiedAt: email ? new Date() : null,
+          passwordHash: null,
+          nickname: (profile.displayName || username).slice(0, 50),
+          avatar: profile.avatar ? profile.avatar.slice(0, 255) : null,
+          role: 'user',
+          status: 'active',
+          source: source || 'unknown',
+          identities: {
+            create: {
+              provider: provider.name,
+              subject: profile.subject,
+              email: profile.email,
+              displayName: profile.displayName,
+              avatar: profile.avatar,
+              lastLoginAt: new Date()
+            }
+          }
+        }
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 为当前用户绑定第三方身份
+   * @param {Object} user - 当前登录用户
+   * @param {string} providerName - 平台名称
+   * @param {Object} params - 回调参数 { code, state, socialToken }
+   * @returns {Promise<Object>} 绑定的身份
+   */
+  static async linkIdentity(user, providerName, params) {
+    try {
+      const result = await this.resolveProfile(providerName, params, user);
+      if (result.code !== 200) {
+        return result;
+      }
+
+      const { provider, profile } = result.data;
+      const existing = await prisma.identity.findUnique({
+        where: {
+          provider_subject: { provider: provider.name, subject: profile.subject }
+        },
+        select: { ...IDENTITY_SELECT, userId: true }
+      });
+
+      if (existing) {
+        if (existing.userId !== user.id) {
+          return {
+            code: 409,
+            message: '该第三方账号已绑定其他用户'
+          }
+        }
+        const { userId, ...identity } = existing;
+        return { code: 200, message: '已绑定该第三方账号', data: identity };
+      }
+
+      const sameProvider = await prisma.identity.findFirst({
+        where: { userId: user.id, provider: provider.name }
+      });
+      if (sameProvider) {
+        return {
+          code: 409,
+          message: `已绑定其他${provider.displayName}账号，请先解绑`
+        }
+      }
+
+      const identity = await prisma.identity.create({
+        data: {
+          userId: user.id,
+          provider: provider.name,
+          subject: profile.subject,
+          email: profile.email,
+          displayName: profile.displayName,
+          avatar: profile.avatar
+        },
+        select: IDENTITY_SELECT
+      });
+
+      return { code: 200, message: '绑定成功', data: identity };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户绑定的第三方身份
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 身份列表
+   */
+  static async getIdentities(userId) {
+    try {
+      const identities = await prisma.identity.findMany({
+        where: { userId: userId },
+        orderBy: { createdAt: 'asc' },
+        select: IDENTITY_SELECT
+      });
+
+      return { code: 200, message: '获取第三方账号成功', data: identities };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 解绑第三方身份
+   * 没有设置密码、也没有通行密钥的用户不能解绑最后一个第三方身份，否则将无法登录
+   * @param {number} userId - 用户ID
+   * @param {number} identityId - 身份ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async unlinkIdentity(userId, identityId) {
+    try {
+      const identity = await prisma.identity.findFirst({
+        where: { id: identityId, userId: userId }
+      });
+
+      if (!identity) {
+        return {
+          code: 404,
+          message: '第三方账号不存在'
+        }
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          passwordHash: true,
+          _count: { select: { identities: true, webAuthnCredentials: true } }
+        }
+      });
+
+      if (!user.passwordHash && user._count.webAuthnCredentials === 0 && user._count.identities <= 1) {
+        return {
+          code: 400,
+          message: '这是唯一的登录方式，请先设置密码或绑定其他第三方账号'
+        }
+      }
+
+      await prisma.identity.delete({
+        where: { id: identity.id }
+      });
+
+      return { code: 200, message: '解绑成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = IdentityModel;
@@ -0,0 +1,154 @@
+// 许可证模型 - 签发、查询、撤销和验证产品许可证
+const prisma = require('../utils/prisma');
+const crypto = require('crypto');
+const SubscriptionModel = require('./subscription.model');
+const { parseDuration } = require('../utils/token');
+const { isLicenseSigningEnabled, signLicense, verifyLicense } = require('../utils/license');
+
+// 许可证有效期，桌面产品应在到期前联网续期；订阅的试用期或计费周期更早结束时以其为准
+const LICENSE_VALIDITY = process.env.LICENSE_VALIDITY || '14d';
+
+/**
+ * 许可证模型类
+ * 许可证密钥是Ed25519签名的JWS，包含用户、产品、套餐和功能限制，桌面产品使用公钥即可离线验证。
+ * 撤销只能在联网验证时生效，离线时许可证在到期前一直有效，因此有效期不宜过长
+ */
+class LicenseModel {
+  /**
+   * 签发许可证
+   * 用户必须有该产品未取消的订阅
+   * @param {Object} user - 当前用户
+   * @param {string} productId - 产品ID
+   * @param {string} deviceId - 绑定的设备ID（可选）
+   * @returns {Promise<Object>} 许可证信息，包含许可证密钥
+   */
+  static async issueLicense(user, productId, deviceId) {
+    try {
+      if (!isLicenseSigningEnabled()) {
+        return { code: 503, message: '未配置许可证签名密钥' }
+      }
+
+      if (deviceId !== undefined && (typeof deviceId !== 'string' || !deviceId || deviceId.length > 100)) {
+        return { code: 400, message: '设备ID不能为空，且不能超过100个字符' }
+      }
+
+      const subscription = await SubscriptionModel.findLiveSubscription(user.id, String(productId || ''));
+      if (!subscription) {
+        return { code: 403, message: '没有该产品的有效订阅' }
+      }
+
+      // 试用期或即将取消的订阅，许可证不超过订阅的结束时间
+      let expiresAt = new Date(Date.now() + parseDuration(LICENSE_VALIDITY));
+      const subscriptionEndsAt = subscription.status === 'trialing'
+        ? subscription.trialEndsAt
+        : (subscription.cancelAtPeriodEnd ? subscription.currentPeriodEnd : null);
+      if (subscriptionEndsAt && subscriptionEndsAt < expiresAt) {
+        expiresAt = subscriptionEndsAt;
+      }
+
+      const license = await prisma.license.create({
+        data: {
+          id: crypto.randomUUID(),
+          userId: user.id,
+          productId: subscription.productId,
+          subscriptionId: subscription.id,
+          planCode: subscription.plan.code,
+          deviceId: deviceId || null,
+          expiresAt: expiresAt
+        }
+      });
+
+      const licenseKey = signLicense({
+        jti: license.id,
+        sub: String(user.id),
+        username: user.username,
+        product: subscription.productId,
+        plan: subscription.plan.code,
+        status: subscription.status,
+        features: subscription.plan.features || {},
+        ...(license.deviceId ? { device: license.deviceId } : {}),
+        iat: Math.floor(license.createdAt.getTime() / 1000),
+        exp: Math.floor(expiresAt.getTime() / 1000)
+      });
+
+      return {
+        code: 200,
+        message: '签发许可证成功',
+        data: { ...license, features: subscription.plan.features || {}, licenseKey }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户未过期的许可证
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 许可证列表，不包含许可证密钥
+   */
+  static async getUserLicenses(userId) {
+    try {
+      const licenses = await prisma.license.findMany({
+        where: { userId: userId, expiresAt: { gt: new Date() } },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return { code: 200, message: '获取许可证列表成功', data: licenses };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销许可证
+   * @param {number} userId - 用户ID
+   * @param {string} licenseId - 许可证ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async revokeLicense(userId, licenseId) {
+    try {
+      const { count } = await prisma.license.updateMany({
+        where: { id: licenseId, userId: userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return { code: 404, message: '许可证不存在或已撤销' }
+      }
+
+      return { code: 200, message: '撤销许可证成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 联网验证许可证
+   * 除签名和有效期外，还检查许可证是否已撤销、订阅是否仍然有效
+   * @param {string} licenseKey - 许可证密钥
+   * @returns {Promise<Object>} 验证结果，data.valid 表示是否有效
+   */
+  static async verifyLicenseKey(licenseKey) {
+    try {
+      const payload = verifyLicense(licenseKey);
+      if (!payload) {
+        return { code: 200, message: '许可证无效或已过期', data: { valid: false } };
+      }
+
+      const license = await prisma.license.findUnique({
+        where: { id: payload.jti },
+        include: { subscription: true }
+      });
+
+      if (!license || license.revokedAt || !SubscriptionModel.isLive(license.subscription)) {
+        return { code: 200, message: '许可证已撤销', data: { valid: false } };
+      }
+
+      return { code: 200, message: '许可证有效', data: { valid: true, license: payload } };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = LicenseModel;
@@ -0,0 +1,407 @@
+// 二次验证模型 - 处理TOTP绑定、解绑、恢复码以及登录时的二次验证
+const prisma = require('../utils/prisma');
+const crypto = require('crypto');
+const UserModel = require('./user.model');
+const { hashToken, verifyChallengeToken } = require('../utils/token');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const loginGuard = require('../utils/login-guard');
+
+// 身份验证器应用中显示的签发方名称
+const MFA_ISSUER = process.env.MFA_ISSUER || 'user-center';
+// 每次生成的恢复码数量
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * 规范化恢复码，忽略大小写、空格和连字符
+ * @param {string} code - 恢复码
+ * @returns {string} 规范化后的恢复码
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+};
+
+/**
+ * 二次验证模型类
+ * 使用TOTP验证码作为第二因素，恢复码用于丢失身份验证器时登录，每个恢复码只能使用一次
+ */
+class MfaModel {
+  /**
+   * 开始绑定二次验证
+   * 生成新的密钥并暂存，确认绑定前二次验证不会生效
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 密钥和 otpauth URI
+   */
+  static async setup(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user) {
+        return {
+          code: 400,
+          message: '用户不存在'
+        }
+      }
+
+      if (user.mfaEnabled) {
+        return {
+          code: 400,
+          message: '已启用二次验证'
+        }
+      }
+
+      const secret = generateSecret();
+      await prisma.user.update({
+        where: { id: userId },
+        data: { mfaSecret: secret, mfaLastUsedStep: null }
+      });
+
+      return {
+        code: 200,
+        message: '请使用身份验证器扫描二维码后输入验证码确认绑定',
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri(secret, user.email || user.username, MFA_ISSUER)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 确认绑定二次验证
+   * 验证码正确后启用二次验证并生成恢复码，恢复码只在此时返回一次
+   * @param {number} userId - 用户ID
+   * @param {string} code - 验证码
+   * @returns {Promise<Object>} 恢复码列表
+   */
+  static async confirm(userId, code) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user || !user.mfaSecret) {
+        return {
+          code: 400,
+          message: '请先开始绑定二次验证'
+        }
+      }
+
+      if (user.mfaEnabled) {
+        return {
+          code: 400,
+          message: '已启用二次验证'
+        }
+      }
+
+      if (!(await this.verifyTotp(user, code))) {
+        return {
+          code: 400,
+          message: '验证码错误'
+        }
+      }
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: { mfaEnabled: true }
+      });
+
+      const recoveryCodes = await this.createRecoveryCodes(userId);
+
+      return {
+        code: 200,
+        message: '二次验证已启用，请妥善保存恢复码',
+        data: { recoveryCodes }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 关闭二次验证
+   * 需要同时提供密码和验证码（或恢复码）
+   * @param {number} userId - 用户ID
+   * @param {string} password - 密码
+   * @param {string} code - 验证码或恢复码
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async disable(userId, password, code) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user || !user.mfaEnabled) {
+        return {
+          code: 400,
+          message: '未启用二次验证'
+        }
+      }
+
+      if (UserModel.isMfaRequired(user.role)) {
+        return {
+          code: 403,
+          message: '当前角色必须启用二次验证，无法关闭'
+        }
+      }
+
+      const isMatch = await UserModel.verifyPassword(userId, password);
+      if (!isMatch) {
+        return {
+          code: 400,
+          message: '密码错误'
+        }
+      }
+
+      if (!(await this.verifyUserCode(user, code))) {
+        return {
+          code: 400,
+          message: '验证码错误'
+        }
+      }
+
+      await prisma.$transaction([
+        prisma.mfaRecoveryCode.deleteMany({
+          where: { userId: userId }
+        }),
+        prisma.user.update({
+          where: { id: userId },
+          data: { mfaEnabled: false, mfaSecret: null, mfaLastUsedStep: null }
+        })
+      ]);
+
+      return { code: 200, message: '二次验证已关闭' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 重新生成恢复码
+   * 原有的恢复码全部作废
+   * @param {number} userId - 用户ID
+   * @param {string} code - 验证码
+   * @returns {Promise<Object>} 新的恢复码列表
+   */
+  static async regenerateRecoveryCodes(userId, code) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user || !user.mfaEnabled) {
+        return {
+          code: 400,
+          message: '未启用二次验证'
+        }
+      }
+
+      if (!(await this.verifyTotp(user, code))) {
+        return {
+          code: 400,
+          message: '验证码错误'
+        }
+      }
+
+      const recoveryCodes = await this.createRecoveryCodes(userId);
+
+      return {
+        code: 200,
+        message: '恢复码已重新生成，请妥善保存',
+        data: { recoveryCodes }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 使用挑战令牌开始绑定二次验证
+   * 用于强制启用二次验证的角色在登录时完成绑定
+   * @param {string} mfaToken - 登录时返回的挑战令牌
+   * @returns {Promise<Object>} 密钥和 otpauth URI
+   */
+  static async setupWithChallenge(mfaToken) {
+    try {
+      const payload = verifyChallengeToken(mfaToken, ['mfa-enroll']);
+      if (!payload) {
+        return {
+          code: 401,
+          message: '二次验证令牌无效或已过期，请重新登录'
+        }
+      }
+
+      return await this.setup(payload.userId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 登录二次验证
+   * 校验挑战令牌和验证码（或恢复码），通过后创建会话。
+   * 对于绑定挑战令牌，验证码用于确认绑定，返回结果中附带恢复码
+   * @param {string} mfaToken - 登录时返回的挑战令牌
+   * @param {string} code - 验证码或恢复码
+   * @param {Object} loginInfo - 登录信息（IP、用户代理等）
+   * @returns {Promise<Object>} 包含用户信息和令牌的对象
+   */
+  static async verifyLogin(mfaToken, code, loginInfo = {}) {
+    try {
+      const payload = verifyChallengeToken(mfaToken, ['mfa', 'mfa-enroll']);
+      if (!payload) {
+        return {
+          code: 401,
+          message: '二次验证令牌无效或已过期，请重新登录'
+        }
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: payload.userId }
+      });
+
+      if (!user || user.status !== 'active') {
+        return {
+          code: 400,
+          message: '用户不存在或已被禁用'
+        }
+      }
+
+      // 验证码错误同样计入登录失败次数，防止穷举验证码
+      const account = loginGuard.accountKey(user.id);
+      const lock = await loginGuard.checkLocked(account, loginInfo.ipAddress);
+      if (lock) {
+        await UserModel.saveLoginLog(user.id, user.username, loginInfo, false, '登录已被临时锁定');
+        return UserModel.lockedResult(lock);
+      }
+
+      if (payload.purpose === 'mfa-enroll') {
+        const confirmResult = await this.confirm(user.id, code);
+        if (confirmResult.code !== 200) {
+          await UserModel.saveLoginLog(user.id, user.username, loginInfo, false, '二次验证绑定失败');
+          return confirmResult;
+        }
+
+        const result = await UserModel.completeLogin(user, user.username, loginInfo);
+        result.data.recoveryCodes = confirmResult.data.recoveryCodes;
+        return result;
+      }
+
+      if (!user.mfaEnabled || !(await this.verifyUserCode(user, code))) {
+        await UserModel.saveLoginLog(user.id, user.username, loginInfo, false, '二次验证失败');
+        const failureLock = await loginGuard.registerFailure(account, loginInfo.ipAddress);
+        if (failureLock) {
+          return UserModel.lockedResult(failureLock);
+        }
+        return {
+          code: 400,
+          message: '验证码错误'
+        }
+      }
+
+      return await UserModel.completeLogin(user, user.username, loginInfo);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 校验验证码或恢复码
+   * @param {Object} user - 用户信息
+   * @param {string} code - 验证码或恢复码
+   * @returns {Promise<boolean>} 是否通过
+   */
+  static async verifyUserCode(user, code) {
+    if (await this.verifyTotp(user, code)) {
+      return true;
+    }
+    return await this.useRecoveryCode(user.id, code);
+  }
+
+  /**
+   * 校验TOTP验证码
+   * 同一时间步的验证码只能使用一次
+   * @param {Object} user - 用户信息
+   * @param {string} code - 验证码
+   * @returns {Promise<boolean>} 是否通过
+   */
+  static async verifyTotp(user, code) {
+    if (!user.mfaSecret || !code) {
+      return false;
+    }
+
+    const step = verifyCode(user.mfaSecret, code);
+    if (step === null) {
+      return false;
+    }
+
+    // 以条件更新记录已使用的时间步，并发提交同一验证码时只有一个能成功
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { mfaLastUsedStep: null },
+          { mfaLastUsedStep: { lt: step } }
+        ]
+      },
+      data: { mfaLastUsedStep: step }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * 使用恢复码
+   * @param {number} userId - 用户ID
+   * @param {string} code - 恢复码
+   * @returns {Promise<boolean>} 是否通过
+   */
+  static async useRecoveryCode(userId, code) {
+    if (!code) {
+      return false;
+    }
+
+    const { count } = await prisma.mfaRecoveryCode.updateMany({
+      where: {
+        userId: userId,
+        codeHash: hashToken(normalizeRecoveryCode(code)),
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * 生成恢复码，原有的恢复码全部作废
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<string>>} 恢复码明文列表
+   */
+  static async createRecoveryCodes(userId) {
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await prisma.$transaction([
+      prisma.mfaRecoveryCode.deleteMany({
+        where: { userId: userId }
+      }),
+      prisma.mfaRecoveryCode.createMany({
+        data: recoveryCodes.map(code => ({
+          userId: userId,
+          codeHash: hashToken(normalizeRecoveryCode(code))
+        }))
+      })
+    ]);
+
+    return recoveryCodes;
+  }
+}
+
+module.exports = MfaModel;
@@ -0,0 +1,414 @@
+// OAuth客户端模型 - 处理接入用户中心登录的产品（客户端）的注册和认证
+const prisma = require('../utils/prisma');
+const crypto = require('crypto');
+const { generateOpaqueToken, hashToken } = require('../utils/token');
+const RoleModel = require('./role.model');
+
+// OAuth授权范围，permission 为用户授予该范围所需的权限，为null表示所有用户都可以授予
+const OAUTH_SCOPES = {
+  'openid': { description: '使用你的用户中心账号登录', permission: null },
+  'profile': { description: '获取你的用户名、昵称和头像', permission: null },
+  'email': { description: '获取你的邮箱地址', permission: null },
+  'profile:read': { description: '读取你的基本信息', permission: null },
+  'profile:write': { description: '修改你的昵称和头像', permission: null },
+  'users:read': { description: '以你的管理员身份查询用户', permission: 'users:read' },
+  'users:write': { description: '以你的管理员身份创建、修改、删除用户', permission: 'users:update' }
+};
+
+// 客户端类型
+const CLIENT_TYPES = ['confidential', 'public'];
+
+// 返回给管理员的字段，不包含密钥哈希
+const CLIENT_SELECT = {
+  id: true,
+  clientId: true,
+  name: true,
+  type: true,
+  redirectUris: true,
+  scopes: true,
+  status: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * 校验回调地址
+ * 必须是不含片段的绝对地址；http 只允许用于本机调试，自定义协议只允许公开客户端（移动应用）使用
+ * @param {string} uri - 回调地址
+ * @param {string} type - 客户端类型
+ * @returns {boolean} 是否有效
+ */
+const isValidRedirectUri = (uri, type) => {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.hash || uri.length > 500) {
+    return false;
+  }
+  if (url.protocol === 'https:') {
+    return true;
+  }
+  if (url.protocol === 'http:') {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  }
+  return type === 'public' && !['javascript:', 'data:', 'file:'].includes(url.protocol);
+};
+
+/**
+ * 校验客户端配置
+ * @param {Object} clientData - 客户端信息
+ * @param {string} type - 客户端类型
+ * @returns {string|null} 错误信息，有效时返回null
+ */
+const validateClientData = (clientData, type) => {
+  if (clientData.redirectUris !== undefined) {
+    if (!Array.isArray(clientData.redirectUris) || clientData.redirectUris.length === 0) {
+      return '请提供至少一个回调地址';
+    }
+    const invalidUris = clientData.redirectUris.filter(uri => !isValidRedirectUri(uri, type));
+    if (invalidUris.length > 0) {
+      return `无效的回调地址: ${invalidUris.join(', ')}`;
+    }
+  }
+
+  if (clientData.scopes !== undefined) {
+    if (!Array.isArray(clientData.scopes) || clientData.scopes.length === 0) {
+      return '请提供至少一个授权范围';
+    }
+    const invalidScopes = clientData.scopes.filter(scope => !OAUTH_SCOPES[scope]);
+    if (invalidScopes.length > 0) {
+      return `无效的授权范围: ${invalidScopes.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * OAuth客户端模型类
+ * 客户端密钥只在创建和重置时返回一次，数据库中只保存哈希
+ */
+class OAuthClientModel {
+  /**
+   * 注册客户端
+   * @param {Object} clientData - 客户端信息
+   * @param {string} clientData.name - 名称
+   * @param {string} clientData.type - 类型：confidential 或 public
+   * @param {Array<string>} clientData.redirectUris - 回调地址
+   * @param {Array<string>} clientData.scopes - 可申请的授权范围
+   * @returns {Promise<Object>} 创建的客户端信息（机密客户端包含明文密钥）
+   */
+  static async createClient(clientData) {
+    try {
+      const type = clientData.type || 'confidential';
+      if (!CLIENT_TYPES.includes(type)) {
+        return {
+          code: 400,
+          message: `无效的客户端类型: ${type}`
+        }
+      }
+
+      const error = validateClientData(clientData, type);
+      if (error) {
+        return {
+          code: 400,
+          message: error
+        }
+      }
+
+      const clientSecret = type === 'confidential' ? generateOpaqueToken(32) : null;
+
+      const client = await prisma.oAuthClient.create({
+        data: {
+          clientId: crypto.randomBytes(12).toString('hex'),
+          clientSecretHash: clientSecret ? hashToken(clientSecret) : null,
+          name: clientData.name,
+          type: type,
+          redirectUris: [...new Set(clientData.redirectUris)],
+          scopes: [...new Set(clientData.scopes)]
+        },
+        select: CLIENT_SELECT
+      });
+
+      return {
+        code: 201,
+        message: clientSecret ? '注册客户端成功，请立即保存客户端密钥，密钥只显示这一次' : '注册客户端成功',
+        data: clientSecret ? { ...client, clientSecret } : client
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取客户端列表
+   * @returns {Promise<Object>} 客户端列表
+   */
+  static async getClients() {
+    try {
+      const clients = await prisma.oAuthClient.findMany({
+        orderBy: {
+          createdAt: 'desc'
+        },
+        select: CLIENT_SELECT
+      });
+
+      return { code: 200, message: '获取客户端列表成功', data: clients };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取客户端信息
+   * @param {string} clientId - 客户端标识
+   * @returns {Promise<Object>} 客户端信息
+   */
+  static async getClient(clientId) {
+    try {
+      const client = await prisma.oAuthClient.findUnique({
+        where: { clientId: clientId },
+        select: CLIENT_SELECT
+      });
+
+      if (!client) {
+        return {
+          code: 404,
+          message: '客户端不存在'
+        }
+      }
+
+      return { code: 200, message: '获取客户端信息成功', data: client };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 更新客户端
+   * 禁用客户端或收回授权范围时，撤销该客户端已获得的全部令牌
+   * @param {string} clientId - 客户端标识
+   * @param {Object} clientData - 要更新的字段（name、redirectUris、scopes、status）
+   * @returns {Promise<Object>} 更新后的客户端信息
+   */
+  static async updateClient(clientId, clientData) {
+    try {
+      const client = await prisma.oAuthClient.findUnique({
+        where: { clientId: clientId }
+      });
+
+      if (!client) {
+        return {
+          code: 404,
+          message: '客户端不存在'
+        }
+      }
+
+      if (clientData.status !== undefined && !['active', 'disabled'].includes(clientData.status)) {
+        return {
+          code: 400,
+          message: `无效的客户端状态: ${clientData.status}`
+        }
+      }
+
+      const error = validateClientData(clientData, client.type);
+      if (error) {
+        return {
+          code: 400,
+          message: error
+        }
+      }
+
+      const data = {};
+      if (clientData.name !== undefined) data.name = clientData.name;
+      if (clientData.status !== undefined) data.status = clientData.status;
+      if (clientData.redirectUris !== undefined) data.redirectUris = [...new Set(clientData.redirectUris)];
+      if (clientData.scopes !== undefined) data.scopes = [...new Set(clientData.scopes)];
+
+      const removedScopes = data.scopes
+        ? (client.scopes || []).filter(scope => !data.scopes.includes(scope))
+        : [];
+      const revokeTokens = data.status === 'disabled' || removedScopes.length > 0;
+
+      const [updatedClient] = await prisma.$transaction([
+        prisma.oAuthClient.update({
+          where: { id: client.id },
+          data: data,
+          select: CLIENT_SELECT
+        }),
+        ...(revokeTokens ? [
+          prisma.userSession.deleteMany({
+            where: { clientId: client.id }
+          })
+        ] : [])
+      ]);
+
+      return { code: 200, message: '更新客户端成功', data: updatedClient };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 重置客户端密钥
+   * 旧密钥立即失效，已签发的令牌不受影响
+   * @param {string} clientId - 客户端标识
+   * @returns {Promise<Object>} 新的客户端密钥
+   */
+  static async rotateSecret(clientId) {
+    try {
+      const client = await prisma.oAuthClient.findUnique({
+        where: { clientId: clientId }
+      });
+
+      if (!client) {
+        return {
+          code: 404,
+          message: '客户端不存在'
+        }
+      }
+
+      if (client.type !== 'confidential') {
+        return {
+          code: 400,
+          message: '公开客户端没有客户端密钥'
+        }
+      }
+
+      const clientSecret = generateOpaqueToken(32);
+      await prisma.oAuthClient.update({
+        where: { id: client.id },
+        data: { clientSecretHash: hashToken(clientSecret) }
+      });
+
+      return {
+        code: 200,
+        message: '重置客户端密钥成功，请立即保存，密钥只显示这一次',
+        data: { clientId: client.clientId, clientSecret }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 删除客户端
+   * 同时删除该客户端的授权码、授权同意记录和已签发的令牌
+   * @param {string} clientId - 客户端标识
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async deleteClient(clientId) {
+    try {
+      const client = await prisma.oAuthClient.findUnique({
+        where: { clientId: clientId }
+      });
+
+      if (!client) {
+        return {
+          code: 404,
+          message: '客户端不存在'
+        }
+      }
+
+      await prisma.$transaction([
+        prisma.userSession.deleteMany({
+          where: { clientId: client.id }
+        }),
+        prisma.oAuthAuthorizationCode.deleteMany({
+          where: { clientId: client.id }
+        }),
+        prisma.oAuthConsent.deleteMany({
+          where: { clientId: client.id }
+        }),
+        prisma.oAuthClient.delete({
+          where: { id: client.id }
+        })
+      ]);
+
+      return { code: 200, message: '删除客户端成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 查找可用的客户端
+   * @param {string} clientId - 客户端标识
+   * @returns {Promise<Object|null>} 客户端，不存在或已禁用时返回null
+   */
+  static async findActiveClient(clientId) {
+    try {
+      if (!clientId || typeof clientId !== 'string') {
+        return null;
+      }
+
+      const client = await prisma.oAuthClient.findUnique({
+        where: { clientId: clientId }
+      });
+
+      return client && client.status === 'active' ? client : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 认证客户端
+   * 机密客户端必须提供正确的密钥；公开客户端不能提供密钥，依靠PKCE保证安全
+   * @param {string} clientId - 客户端标识
+   * @param {string} clientSecret - 客户端密钥
+   * @returns {Promise<Object|null>} 认证通过时返回客户端，否则返回null
+   */
+  static async authenticateClient(clientId, clientSecret) {
+    try {
+      const client = await this.findActiveClient(clientId);
+      if (!client) {
+        return null;
+      }
+
+      if (client.type === 'public') {
+        return clientSecret ? null : client;
+      }
+
+      if (!clientSecret || hashToken(clientSecret) !== client.clientSecretHash) {
+        return null;
+      }
+
+      return client;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 按用户角色过滤授权范围
+   * 用户只能授予其角色本身具备的权限
+   * @param {Array<string>} scopes - 授权范围
+   * @param {string} role - 用户角色
+   * @returns {Promise<Array<string>>} 用户可以授予的授权范围
+   */
+  static async filterScopesForRole(scopes, role) {
+    try {
+      const permissions = await RoleModel.getPermissions(role);
+      return scopes.filter(scope => {
+        return OAUTH_SCOPES[scope] && (!OAUTH_SCOPES[scope].permission || permissions.includes(OAUTH_SCOPES[scope].permission));
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取授权范围定义
+   * @returns {Object} 授权范围及说明
+   */
+  static getScopes() {
+    return OAUTH_SCOPES;
+  }
+}
+
+module.exports = OAuthClientModel;
@@ -0,0 +1,500 @@
+// OAuth授权模型 - 处理授权码流程（PKCE）、令牌签发和撤销
+const prisma = require('../utils/prisma');
+const crypto = require('crypto');
+const { generateOpaqueToken, hashToken, parseDuration } = require('../utils/token');
+const { verifyJwt } = require('../utils/jwt');
+const OAuthClientModel = require('./oauth-client.model');
+const OidcModel = require('./oidc.model');
+const UserModel = require('./user.model');
+
+// 授权码有效期，RFC 6749 建议不超过10分钟
+const OAUTH_CODE_EXPIRES_IN = process.env.OAUTH_CODE_EXPIRES_IN || '10m';
+
+/**
+ * 在回调地址上附加查询参数
+ * @param {string} redirectUri - 回调地址
+ * @param {Object} params - 查询参数，值为空的参数会被忽略
+ * @returns {string} 完整的回调地址
+ */
+const buildRedirectUri = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  }
+  return url.toString();
+};
+
+/**
+ * 校验PKCE code_verifier
+ * @param {string} codeVerifier - 客户端提交的 code_verifier
+ * @param {string} codeChallenge - 申请授权码时提交的 code_challenge
+ * @returns {boolean} 是否匹配
+ */
+const verifyCodeChallenge = (codeVerifier, codeChallenge) => {
+  if (typeof codeVerifier !== 'string' || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return expected === codeChallenge;
+};
+
+/**
+ * 构造OAuth错误结果
+ * @param {number} code - HTTP状态码
+ * @param {string} error - RFC 6749 错误码
+ * @param {string} message - 错误描述
+ * @returns {Object} 错误结果
+ */
+const oauthError = (code, error, message) => ({ code, error, message });
+
+/**
+ * 将会话令牌转换为 RFC 6749 格式的令牌响应
+ * @param {Object} tokens - UserModel.createSession 返回的令牌信息
+ * @returns {Object} 令牌响应
+ */
+const toTokenResponse = (tokens) => ({
+  access_token: tokens.token,
+  token_type: tokens.tokenType,
+  expires_in: Math.max(0, Math.round((tokens.expiresAt.getTime() - Date.now()) / 1000)),
+  refresh_token: tokens.refreshToken,
+  scope: tokens.scopes.join(' ')
+});
+
+/**
+ * 根据令牌查找会话
+ * @param {string} token - 访问令牌或刷新令牌
+ * @param {string} tokenTypeHint - 令牌类型提示：access_token 或 refresh_token，用于决定查找顺序
+ * @returns {Promise<{session: Object|null, tokenType: string|null}>} 会话及令牌类型
+ */
+const findSessionByToken = async (token, tokenTypeHint) => {
+  const lookups = [
+    { tokenType: 'refresh_token', where: { refreshTokenHash: hashToken(token) } },
+    { tokenType: 'access_token', where: { token: token } }
+  ];
+  if (tokenTypeHint === 'access_token') {
+    lookups.reverse();
+  }
+
+  for (const { tokenType, where } of lookups) {
+    const session = await prisma.userSession.findFirst({
+      where,
+      include: { client: true }
+    });
+    if (session) {
+      return { session, tokenType };
+    }
+  }
+  return { session: null, tokenType: null };
+};
+
+/**
+ * OAuth授权模型类
+ */
+class OAuthModel {
+  /**
+   * 校验授权请求
+   * client_id 或 redirect_uri 无效时不能重定向回客户端，直接返回错误；
+   * 其他错误附带应重定向到的回调地址
+   * @param {Object} params - 授权请求参数（response_type、client_id、redirect_uri、scope、state、code_challenge、code_challenge_method、nonce）
+   * @param {Object} user - 当前登录用户
+   * @returns {Promise<Object>} 校验结果，成功时 data 包含客户端、回调地址和授予的范围
+   */
+  static async validateAuthorizationRequest(params, user) {
+    try {
+      const client = await OAuthClientModel.findActiveClient(params.client_id);
+      if (!client) {
+        return {
+          code: 400,
+          message: '无效的客户端'
+        }
+      }
+
+      const registeredUris = client.redirectUris || [];
+      // 客户端只注册了一个回调地址时可以省略 redirect_uri
+      const redirectUri = params.redirect_uri || (registeredUris.length === 1 ? registeredUris[0] : null);
+      if (!redirectUri || !registeredUris.includes(redirectUri)) {
+        return {
+          code: 400,
+          message: '回调地址与客户端注册的不一致'
+        }
+      }
+
+      const fail = (error, message) => ({
+        code: 400,
+        message,
+        data: {
+          redirectUri: buildRedirectUri(redirectUri, { error, error_description: message, state: params.state })
+        }
+      });
+
+      if (params.response_type !== 'code') {
+        return fail('unsupported_response_type', '只支持授权码模式（response_type=code）');
+      }
+
+      if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+        return fail('invalid_request', '必须使用PKCE（code_challenge_method=S256）');
+      }
+
+      if (!/^[A-Za-z0-9\-_]{43}$/.test(params.code_challenge)) {
+        return fail('invalid_request', '无效的code_challenge');
+      }
+
+      if (params.nonce !== undefined && (typeof params.nonce !== 'string' || params.nonce.length > 255)) {
+        return fail('invalid_request', '无效的nonce');
+      }
+
+      const clientScopes = client.scopes || [];
+      const requestedScopes = params.scope
+        ? [...new Set(String(params.scope).split(' ').filter(Boolean))]
+        : clientScopes;
+      if (requestedScopes.length === 0) {
+        return fail('invalid_scope', '请提供授权范围');
+      }
+
+      const invalidScopes = requestedScopes.filter(scope => !clientScopes.includes(scope));
+      if (invalidScopes.length > 0) {
+        return fail('invalid_scope', `客户端无权申请授权范围: ${invalidScopes.join(', ')}`);
+      }
+
+      if (requestedScopes.includes('openid') && !OidcModel.isEnabled()) {
+        return fail('invalid_scope', '未配置非对称签名密钥，不支持openid授权范围');
+      }
+
+      // 超出用户角色的范围不会被授予，令牌响应中的 scope 会体现实际授予的范围
+      const scopes = await OAuthClientModel.filterScopesForRole(requestedScopes, user.role);
+      if (scopes.length === 0) {
+        return fail('invalid_scope', '你的账号无法授予所申请的权限');
+      }
+
+      return {
+        code: 200,
+        message: '授权请求有效',
+        data: {
+          client,
+          redirectUri,
+          scopes,
+          state: params.state,
+          codeChallenge: params.code_challenge,
+          codeChallengeMethod: params.code_challenge_method,
+          nonce: params.nonce
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取授权页面所需的信息
+   * @param {Object} params - 授权请求参数
+   * @param {Object} user - 当前登录用户
+   * @returns {Promise<Object>} 客户端信息、申请的范围以及是否需要用户确认
+   */
+  static async getAuthorization(params, user) {
+    try {
+      const result = await this.validateAuthorizationRequest(params, user);
+      if (result.code !== 200) {
+        return result;
+      }
+
+      const { client, scopes } = result.data;
+      const consent = await prisma.oAuthConsent.findUnique({
+        where: {
+          userId_clientId: { userId: user.id, clientId: client.id }
+        }
+      });
+      const consentedScopes = consent ? consent.scopes || [] : [];
+      const descriptions = OAuthClientModel.getScopes();
+
+      return {
+        code: 200,
+        message: '获取授权信息成功',
+        data: {
+          client: { clientId: client.clientId, name: client.name },
+          scopes: scopes.map(scope => ({ scope, description: descriptions[scope].description })),
+          // 用户已同意过全部范围时，授权页面可以直接提交同意
+          consentRequired: scopes.some(scope => !consentedScopes.includes(scope))
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 处理用户的授权决定
+   * 同意时记录授权同意并签发授权码，拒绝时返回 access_denied
+   * @param {Object} params - 授权请求参数
+   * @param {Object} user - 当前登录用户
+   * @param {boolean} approve - 用户是否同意授权
+   * @returns {Promise<Object>} 结果，data.redirectUri 为应跳转的回调地址
+   */
+  static async authorize(params, user, approve) {
+    try {
+      const result = await this.validateAuthorizationRequest(params, user);
+      if (result.code !== 200) {
+        return result;
+      }
+
+      const { client, redirectUri, scopes, state, codeChallenge, codeChallengeMethod, nonce } = result.data;
+
+      if (!approve) {
+        return {
+          code: 200,
+          message: '已拒绝授权',
+          data: {
+            redirectUri: buildRedirectUri(redirectUri, { error: 'access_denied', error_description: '用户拒绝授权', state })
+          }
+        };
+      }
+
+      const consent = await prisma.oAuthConsent.findUnique({
+        where: {
+          userId_clientId: { userId: user.id, clientId: client.id }
+        }
+      });
+      const consentedScopes = [...new Set([...(consent ? consent.scopes || [] : []), ...scopes])];
+
+      const code = generateOpaqueToken(32);
+
+      await prisma.$transaction([
+        prisma.oAuthConsent.upsert({
+          where: {
+            userId_clientId: { userId: user.id, clientId: client.id }
+          },
+          create: { userId: user.id, clientId: client.id, scopes: consentedScopes },
+          update: { scopes: consentedScopes }
+        }),
+        prisma.oAuthAuthorizationCode.create({
+          data: {
+            codeHash: hashToken(code),
+            clientId: client.id,
+            userId: user.id,
+            redirectUri: redirectUri,
+            scopes: scopes,
+            codeChallenge: codeChallenge,
+            codeChallengeMethod: codeChallengeMethod,
+            nonce: nonce,
+            expiresAt: new Date(Date.now() + parseDuration(OAUTH_CODE_EXPIRES_IN))
+          }
+        })
+      ]);
+
+      return {
+        code: 200,
+        message: '授权成功',
+        data: {
+          redirectUri: buildRedirectUri(redirectUri, { code, state })
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 使用授权码换取令牌（grant_type=authorization_code）
+   * 授权码只能使用一次，重复使用时撤销此前用它换取的令牌。
+   * 授予了 openid 范围时，同时签发OpenID Connect ID令牌
+   * @param {Object} client - 已认证的客户端
+   * @param {Object} params - 请求参数（code、redirect_uri、code_verifier）
+   * @param {Object} loginInfo - 登录信息（IP、用户代理）
+   * @returns {Promise<Object>} 令牌响应
+   */
+  static async exchangeCode(client, params, loginInfo = {}) {
+    try {
+      if (!params.code || !params.code_verifier) {
+        return oauthError(400, 'invalid_request', '请提供code和code_verifier');
+      }
+
+      const authorizationCode = await prisma.oAuthAuthorizationCode.findUnique({
+        where: { codeHash: hashToken(params.code) },
+        include: { user: true }
+      });
+
+      if (!authorizationCode || authorizationCode.clientId !== client.id) {
+        return oauthError(400, 'invalid_grant', '无效的授权码');
+      }
+
+      if (authorizationCode.usedAt) {
+        if (authorizationCode.familyId) {
+          await prisma.userSession.deleteMany({
+            where: { userId: authorizationCode.userId, familyId: authorizationCode.familyId }
+          });
+        }
+        return oauthError(400, 'invalid_grant', '授权码已被使用');
+      }
+
+      if (authorizationCode.expiresAt <= new Date()) {
+        return oauthError(400, 'invalid_grant', '授权码已过期');
+      }
+
+      // 申请授权码时省略了 redirect_uri 的，换取令牌时也可以省略
+      if (params.redirect_uri && params.redirect_uri !== authorizationCode.redirectUri) {
+        return oauthError(400, 'invalid_grant', '回调地址与申请授权码时的不一致');
+      }
+
+      if (!verifyCodeChallenge(params.code_verifier, authorizationCode.codeChallenge)) {
+        return oauthError(400, 'invalid_grant', 'code_verifier校验失败');
+      }
+
+      const user = authorizationCode.user;
+      if (user.status !== 'active') {
+        return oauthError(400, 'invalid_grant', '用户不存在或已被禁用');
+      }
+
+      // 以条件更新标记授权码已使用，防止并发请求重复换取令牌
+      const familyId = crypto.randomUUID();
+      const { count } = await prisma.oAuthAuthorizationCode.updateMany({
+        where: { id: authorizationCode.id, usedAt: null },
+        data: { usedAt: new Date(), familyId: familyId }
+      });
+
+      if (count === 0) {
+        return oauthError(400, 'invalid_grant', '授权码已被使用');
+      }
+
+      const scopes = authorizationCode.scopes || [];
+      const tokens = await UserModel.createSession(user, loginInfo, familyId, { client, scopes });
+
+      await UserModel.saveLoginLog(user.id, user.username, loginInfo, true, `OAuth授权登录: ${client.name}`);
+
+      const data = toTokenResponse(tokens);
+      if (scopes.includes('openid')) {
+        data.id_token = OidcModel.createIdToken(user, client, scopes, authorizationCode.nonce);
+      }
+
+      return { code: 200, message: '签发令牌成功', data };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 使用刷新令牌换取新令牌（grant_type=refresh_token）
+   * @param {Object} client - 已认证的客户端
+   * @param {Object} params - 请求参数（refresh_token）
+   * @param {Object} loginInfo - 登录信息（IP、用户代理）
+   * @returns {Promise<Object>} 令牌响应
+   */
+  static async refreshToken(client, params, loginInfo = {}) {
+    try {
+      if (!params.refresh_token) {
+        return oauthError(400, 'invalid_request', '请提供refresh_token');
+      }
+
+      const result = await UserModel.refreshToken(params.refresh_token, loginInfo, client);
+      if (result.code !== 200) {
+        return oauthError(400, 'invalid_grant', result.message);
+      }
+
+      return { code: 200, message: '刷新令牌成功', data: toTokenResponse(result.data) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 令牌内省（RFC 7662）
+   * 供产品服务端确认令牌是否仍然有效：签名和有效期、会话是否被撤销、用户是否被禁用。
+   * 刷新令牌只对签发它的客户端可见，其他情况一律返回 active: false
+   * @param {Object} client - 已认证的客户端
+   * @param {string} token - 要检查的令牌
+   * @param {string} tokenTypeHint - 令牌类型提示：access_token 或 refresh_token
+   * @returns {Promise<Object>} 内省结果
+   */
+  static async introspectToken(client, token, tokenTypeHint) {
+    try {
+      const inactive = { code: 200, message: '令牌无效', data: { active: false } };
+
+      const { session, tokenType } = await findSessionByToken(token, tokenTypeHint);
+      if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return inactive;
+      }
+
+      if (tokenType === 'refresh_token' && session.clientId !== client.id) {
+        return inactive;
+      }
+
+      let exp = Math.floor(session.expiresAt.getTime() / 1000);
+      let iat = Math.floor(session.createdAt.getTime() / 1000);
+      if (tokenType === 'access_token') {
+        try {
+          const payload = verifyJwt(token);
+          if (payload.userId !== session.userId) {
+            return inactive;
+          }
+          ({ exp, iat } = payload);
+        } catch (error) {
+          return inactive;
+        }
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: session.userId },
+        select: { id: true, username: true, role: true, status: true }
+      });
+
+      if (!user || user.status !== 'active') {
+        return inactive;
+      }
+
+      // 会话的当前组织，用户已退出该组织时不再返回
+      const membership = session.organizationId
+        ? await prisma.organizationMember.findUnique({
+          where: { organizationId_userId: { organizationId: session.organizationId, userId: user.id } },
+          select: { organizationId: true, role: true }
+        })
+        : null;
+
+      return {
+        code: 200,
+        message: '令牌有效',
+        data: {
+          active: true,
+          sub: String(user.id),
+          user_id: user.id,
+          username: user.username,
+          role: user.role,
+          scope: session.scopes ? session.scopes.join(' ') : undefined,
+          client_id: session.client ? session.client.clientId : undefined,
+          org_id: membership ? membership.organizationId : undefined,
+          org_role: membership ? membership.role : undefined,
+          token_type: tokenType === 'access_token' ? 'Bearer' : undefined,
+          exp,
+          iat
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销令牌（RFC 7009）
+   * 访问令牌和刷新令牌均可撤销，同一次授权轮换出的令牌一并失效。
+   * 客户端可以撤销自己获得的OAuth令牌，以及用户直接登录获得的令牌（持有令牌本就可以登出）；
+   * 令牌无效或属于其他客户端时同样视为成功，避免泄露令牌是否存在
+   * @param {Object} client - 已认证的客户端
+   * @param {string} token - 要撤销的令牌
+   * @param {string} tokenTypeHint - 令牌类型提示：access_token 或 refresh_token
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async revokeToken(client, token, tokenTypeHint) {
+    try {
+      const { session } = await findSessionByToken(token, tokenTypeHint);
+
+      if (session && (!session.clientId || session.clientId === client.id)) {
+        await UserModel.revokeSessionFamily(session);
+      }
+
+      return { code: 200, message: '令牌已撤销' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = OAuthModel;
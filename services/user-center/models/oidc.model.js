@@ -0,0 +1,146 @@
+// OpenID Connect模型 - 处理ID令牌、用户信息声明和发现文档
+const prisma = require('../utils/prisma');
+const { signJwt, getSigningAlgorithm } = require('../utils/jwt');
+const OAuthClientModel = require('./oauth-client.model');
+
+// 签发者标识，必须是客户端访问用户中心接口的公开地址，发现文档位于 {OIDC_ISSUER}/.well-known/openid-configuration
+const OIDC_ISSUER = process.env.OIDC_ISSUER || 'http://localhost:3000/api/user-center';
+// 用户中心前端的授权页面，客户端将用户引导到这里
+const OAUTH_AUTHORIZE_URL = process.env.OAUTH_AUTHORIZE_URL || 'http://localhost:3000/oauth/authorize';
+// ID令牌有效期
+const OIDC_ID_TOKEN_EXPIRES_IN = process.env.OIDC_ID_TOKEN_EXPIRES_IN || '1h';
+
+// 各授权范围可以获取的声明
+const SCOPE_CLAIMS = {
+  profile: ['preferred_username', 'nickname', 'picture', 'updated_at'],
+  email: ['email', 'email_verified']
+};
+
+/**
+ * 根据授权范围生成用户声明
+ * @param {Object} user - 用户信息（需包含 emailVerified、updatedAt）
+ * @param {Array<string>|null} scopes - 授权范围，为null表示不按范围过滤（用户直接登录的令牌）
+ * @returns {Object} 用户声明
+ */
+const buildClaims = (user, scopes) => {
+  const allClaims = {
+    preferred_username: user.username,
+    nickname: user.nickname || undefined,
+    picture: user.avatar || undefined,
+    updated_at: Math.floor(user.updatedAt.getTime() / 1000),
+    email: user.email || undefined,
+    email_verified: user.email ? user.emailVerified : undefined
+  };
+
+  const claims = { sub: String(user.id) };
+  for (const [scope, names] of Object.entries(SCOPE_CLAIMS)) {
+    if (scopes && !scopes.includes(scope)) {
+      continue;
+    }
+    for (const name of names) {
+      if (allClaims[name] !== undefined) {
+        claims[name] = allClaims[name];
+      }
+    }
+  }
+  return claims;
+};
+
+/**
+ * OpenID Connect模型类
+ */
+class OidcModel {
+  /**
+   * 是否可以使用OpenID Connect
+   * ID令牌需要客户端使用公开的公钥验证签名，HS256共享密钥无法安全地提供给客户端，因此只在使用RS256或ES256签名时启用
+   * @returns {boolean} 是否启用
+   */
+  static isEnabled() {
+    return getSigningAlgorithm() !== 'HS256';
+  }
+
+  /**
+   * 签发ID令牌
+   * @param {Object} user - 用户信息
+   * @param {Object} client - OAuth客户端
+   * @param {Array<string>} scopes - 授予的范围
+   * @param {string} nonce - 授权请求中的nonce（可选）
+   * @returns {string} ID令牌
+   */
+  static createIdToken(user, client, scopes, nonce) {
+    if (!OidcModel.isEnabled()) {
+      throw new Error('未配置非对称签名密钥，无法签发ID令牌');
+    }
+
+    return signJwt(
+      { ...buildClaims(user, scopes), ...(nonce ? { nonce } : {}) },
+      {
+        issuer: OIDC_ISSUER,
+        audience: client.clientId,
+        expiresIn: OIDC_ID_TOKEN_EXPIRES_IN
+      }
+    );
+  }
+
+  /**
+   * 获取用户信息声明（UserInfo端点）
+   * @param {number} userId - 用户ID
+   * @param {Array<string>|null} scopes - OAuth访问令牌的授权范围，用户直接登录的令牌为null
+   * @returns {Promise<Object>} 用户声明
+   */
+  static async getUserInfo(userId, scopes) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          emailVerified: true,
+          nickname: true,
+          avatar: true,
+          updatedAt: true
+        }
+      });
+
+      if (!user) {
+        return {
+          code: 404,
+          message: '用户不存在'
+        }
+      }
+
+      return { code: 200, message: '获取用户信息成功', data: buildClaims(user, scopes) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取发现文档（/.well-known/openid-configuration）
+   * @returns {Object} 发现文档
+   */
+  static getDiscoveryDocument() {
+    return {
+      issuer: OIDC_ISSUER,
+      authorization_endpoint: OAUTH_AUTHORIZE_URL,
+      token_endpoint: `${OIDC_ISSUER}/oauth/token`,
+      userinfo_endpoint: `${OIDC_ISSUER}/oauth/userinfo`,
+      revocation_endpoint: `${OIDC_ISSUER}/oauth/revoke`,
+      introspection_endpoint: `${OIDC_ISSUER}/auth/introspect`,
+      jwks_uri: `${OIDC_ISSUER}/.well-known/jwks.json`,
+      scopes_supported: Object.keys(OAuthClientModel.getScopes()),
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [getSigningAlgorithm()],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['iss', 'sub', 'aud', 'exp', 'iat', 'nonce', ...Object.values(SCOPE_CLAIMS).flat()]
+    };
+  }
+}
+
+module.exports = OidcModel;
@@ -0,0 +1,704 @@
+// 组织模型 - 处理组织、成员、邀请和当前组织切换相关业务逻辑
+const prisma = require('../utils/prisma');
+const crypto = require('crypto');
+const UserModel = require('./user.model');
+const { sendMail } = require('../utils/mailer');
+const { parseDuration, generateOpaqueToken, hashToken } = require('../utils/token');
+
+// 邀请有效期，默认7天
+const ORGANIZATION_INVITATION_EXPIRES_IN = process.env.ORGANIZATION_INVITATION_EXPIRES_IN || '7d';
+// 前端接受邀请页面地址，令牌以 token 查询参数附加在后面
+const ORGANIZATION_INVITATION_URL = process.env.ORGANIZATION_INVITATION_URL || 'http://localhost:3000/invitations';
+
+// 组织内角色的级别，级别高的成员可以管理级别低的成员
+const ORG_ROLE_LEVELS = {
+  owner: 3,
+  admin: 2,
+  member: 1
+};
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,49}$/;
+
+// 成员列表返回的用户字段
+const MEMBER_USER_SELECT = {
+  id: true,
+  username: true,
+  nickname: true,
+  email: true,
+  avatar: true
+};
+
+/**
+ * 组织模型类
+ * 每个组织只有一个所有者（owner），所有者可以转让所有权；
+ * 成员只能管理级别低于自己的成员，也只能邀请或设置为级别低于自己的角色
+ */
+class OrganizationModel {
+  /**
+   * 获取用户在组织中的成员信息
+   * @param {number} organizationId - 组织ID
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object|null>} 成员信息，不是成员时返回null
+   */
+  static async getMembership(organizationId, userId) {
+    return prisma.organizationMember.findUnique({
+      where: { organizationId_userId: { organizationId, userId } }
+    });
+  }
+
+  /**
+   * 检查用户是否为组织成员并且角色不低于要求
+   * @param {number} organizationId - 组织ID
+   * @param {number} userId - 用户ID
+   * @param {string} minRole - 要求的最低角色
+   * @returns {Promise<{error: Object|null, membership: Object|null}>} 检查结果
+   */
+  static async checkMembership(organizationId, userId, minRole = 'member') {
+    const membership = await this.getMembership(organizationId, userId);
+
+    // 非成员与组织不存在返回相同结果，避免泄露组织是否存在
+    if (!membership) {
+      return { error: { code: 404, message: '组织不存在' }, membership: null };
+    }
+
+    if (ORG_ROLE_LEVELS[membership.role] < ORG_ROLE_LEVELS[minRole]) {
+      return { error: { code: 403, message: '组织内权限不足' }, membership };
+    }
+
+    return { error: null, membership };
+  }
+
+  /**
+   * 校验组织名称和标识
+   * @param {Object} data - 组织数据 { name, slug }
+   * @param {boolean} partial - 是否只校验提供的字段
+   * @returns {Object|null} 校验失败时返回错误结果
+   */
+  static validateOrganization({ name, slug }, partial = false) {
+    if (name !== undefined || !partial) {
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return { code: 400, message: '组织名称为必填项' }
+      }
+      if (name.trim().length > 100) {
+        return { code: 400, message: '组织名称不能超过100个字符' }
+      }
+    }
+
+    if (slug !== undefined && (typeof slug !== 'string' || !SLUG_PATTERN.test(slug))) {
+      return { code: 400, message: '组织标识只能包含小写字母、数字和连字符，长度为2到50个字符，且不能以连字符开头' }
+    }
+
+    return null;
+  }
+
+  /**
+   * 创建组织，创建者成为所有者
+   * @param {Object} user - 当前用户
+   * @param {Object} data - 组织数据 { name, slug }，未提供标识时随机生成
+   * @returns {Promise<Object>} 创建的组织
+   */
+  static async createOrganization(user, { name, slug }) {
+    try {
+      const validationError = this.validateOrganization({ name, slug });
+      if (validationError) {
+        return validationError;
+      }
+
+      const organization = await prisma.organization.create({
+        data: {
+          name: name.trim(),
+          slug: slug || `org-${crypto.randomBytes(4).toString('hex')}`,
+          members: {
+            create: { userId: user.id, role: 'owner' }
+          }
+        }
+      });
+
+      return { code: 200, message: '创建组织成功', data: { ...organization, role: 'owner' } };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { code: 409, message: '组织标识已被使用' }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户加入的组织列表
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 组织列表，包含用户在各组织中的角色
+   */
+  static async getUserOrganizations(userId) {
+    try {
+      const memberships = await prisma.organizationMember.findMany({
+        where: { userId: userId },
+        orderBy: { createdAt: 'asc' },
+        include: { organization: true }
+      });
+
+      const data = memberships.map(({ organization, role, createdAt }) => ({
+        ...organization,
+        role,
+        joinedAt: createdAt
+      }));
+
+      return { code: 200, message: '获取组织列表成功', data };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取组织详情和成员列表
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @returns {Promise<Object>} 组织详情
+   */
+  static async getOrganization(user, organizationId) {
+    try {
+      const { error, membership } = await this.checkMembership(organizationId, user.id);
+      if (error) {
+        return error;
+      }
+
+      const organization = await prisma.organization.findUnique({
+        where: { id: organizationId },
+        include: {
+          members: {
+            orderBy: { createdAt: 'asc' },
+            include: { user: { select: MEMBER_USER_SELECT } }
+          }
+        }
+      });
+
+      const members = organization.members.map(({ user: memberUser, role, createdAt }) => ({
+        ...memberUser,
+        role,
+        joinedAt: createdAt
+      }));
+
+      return {
+        code: 200,
+        message: '获取组织信息成功',
+        data: { ...organization, role: membership.role, members }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 修改组织信息（所有者和管理员可用）
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @param {Object} data - 组织数据 { name, slug }
+   * @returns {Promise<Object>} 修改后的组织
+   */
+  static async updateOrganization(user, organizationId, { name, slug }) {
+    try {
+      const { error } = await this.checkMembership(organizationId, user.id, 'admin');
+      if (error) {
+        return error;
+      }
+
+      const validationError = this.validateOrganization({ name, slug }, true);
+      if (validationError) {
+        return validationError;
+      }
+
+      const organization = await prisma.organization.update({
+        where: { id: organizationId },
+        data: {
+          name: name !== undefined ? name.trim() : undefined,
+          slug: slug
+        }
+      });
+
+      return { code: 200, message: '修改组织成功', data: organization };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { code: 409, message: '组织标识已被使用' }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 删除组织（仅所有者可用）
+   * 成员和邀请一并删除，以该组织为当前组织的会话在下次刷新令牌时切换到用户的其他组织
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async deleteOrganization(user, organizationId) {
+    try {
+      const { error } = await this.checkMembership(organizationId, user.id, 'owner');
+      if (error) {
+        return error;
+      }
+
+      await prisma.$transaction([
+        prisma.organizationInvitation.deleteMany({
+          where: { organizationId: organizationId }
+        }),
+        prisma.organizationMember.deleteMany({
+          where: { organizationId: organizationId }
+        }),
+        prisma.userSession.updateMany({
+          where: { organizationId: organizationId },
+          data: { organizationId: null }
+        }),
+        prisma.user.updateMany({
+          where: { lastOrganizationId: organizationId },
+          data: { lastOrganizationId: null }
+        }),
+        prisma.organization.delete({
+          where: { id: organizationId }
+        })
+      ]);
+
+      return { code: 200, message: '删除组织成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 邀请成员（所有者和管理员可用）
+   * 向被邀请的邮箱发送邀请链接，同一邮箱此前未处理的邀请随即作废
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @param {Object} data - 邀请数据 { email, role }
+   * @returns {Promise<Object>} 邀请信息
+   */
+  static async inviteMember(user, organizationId, { email, role = 'member' }) {
+    try {
+      const { error, membership } = await this.checkMembership(organizationId, user.id, 'admin');
+      if (error) {
+        return error;
+      }
+
+      if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return { code: 400, message: '邮箱格式不正确' }
+      }
+
+      // 所有者只能通过转让产生，只能邀请为级别低于自己的角色
+      if (!['admin', 'member'].includes(role)) {
+        return { code: 400, message: '无效的角色，可选值: admin, member' }
+      }
+      if (ORG_ROLE_LEVELS[role] >= ORG_ROLE_LEVELS[membership.role]) {
+        return { code: 403, message: '只能邀请为级别低于自己的角色' }
+      }
+
+      const normalizedEmail = email.trim().toLowerCase();
+
+      const existingMember = await prisma.organizationMember.findFirst({
+        where: {
+          organizationId: organizationId,
+          user: { email: normalizedEmail }
+        }
+      });
+      if (existingMember) {
+        return { code: 409, message: '该用户已是组织成员' }
+      }
+
+      const organization = await prisma.organization.findUnique({
+        where: { id: organizationId }
+      });
+
+      const token = generateOpaqueToken(32);
+      const expiresAt = new Date(Date.now() + parseDuration(ORGANIZATION_INVITATION_EXPIRES_IN));
+
+      const [, invitation] = await prisma.$transaction([
+        prisma.organizationInvitation.updateMany({
+          where: { organizationId: organizationId, email: normalizedEmail, status: 'pending' },
+          data: { status: 'revoked', respondedAt: new Date() }
+        }),
+        prisma.organizationInvitation.create({
+          data: {
+            organizationId: organizationId,
+            email: normalizedEmail,
+            role: role,
+            tokenHash: hashToken(token),
+            invitedById: user.id,
+            expiresAt: expiresAt
+          }
+        })
+      ]);
+
+      const separator = ORGANIZATION_INVITATION_URL.includes('?') ? '&' : '?';
+      const invitationLink = `${ORGANIZATION_INVITATION_URL}${separator}token=${encodeURIComponent(token)}`;
+      const inviterName = user.nickname || user.username;
+
+      await sendMail({
+        to: normalizedEmail,
+        subject: `${inviterName} 邀请您加入 ${organization.name}`,
+        text: `您好：\n\n${inviterName} 邀请您加入组织“${organization.name}”。请打开以下链接接受或拒绝邀请：\n${invitationLink}\n\n邀请将于 ${expiresAt.toLocaleString()} 过期。如果您不认识邀请人，请忽略此邮件。`,
+        html: `<p>您好：</p><p>${inviterName} 邀请您加入组织“${organization.name}”。请点击以下链接接受或拒绝邀请：</p><p><a href="${invitationLink}">${invitationLink}</a></p><p>邀请将于 ${expiresAt.toLocaleString()} 过期。如果您不认识邀请人，请忽略此邮件。</p>`
+      });
+
+      const { tokenHash, ...data } = invitation;
+      return { code: 200, message: '邀请已发送', data };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取组织未处理的邀请列表（所有者和管理员可用）
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @returns {Promise<Object>} 邀请列表
+   */
+  static async getInvitations(user, organizationId) {
+    try {
+      const { error } = await this.checkMembership(organizationId, user.id, 'admin');
+      if (error) {
+        return error;
+      }
+
+      const invitations = await prisma.organizationInvitation.findMany({
+        where: {
+          organizationId: organizationId,
+          status: 'pending',
+          expiresAt: { gt: new Date() }
+        },
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          invitedById: true,
+          expiresAt: true,
+          createdAt: true
+        }
+      });
+
+      return { code: 200, message: '获取邀请列表成功', data: invitations };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销邀请（所有者和管理员可用）
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @param {number} invitationId - 邀请ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async revokeInvitation(user, organizationId, invitationId) {
+    try {
+      const { error } = await this.checkMembership(organizationId, user.id, 'admin');
+      if (error) {
+        return error;
+      }
+
+      const { count } = await prisma.organizationInvitation.updateMany({
+        where: { id: invitationId, organizationId: organizationId, status: 'pending' },
+        data: { status: 'revoked', respondedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return { code: 404, message: '邀请不存在或已处理' }
+      }
+
+      return { code: 200, message: '撤销邀请成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 根据令牌查找有效的邀请
+   * @param {string} token - 邀请令牌
+   * @returns {Promise<Object|null>} 邀请信息（包含组织），无效或已过期时返回null
+   */
+  static async findPendingInvitation(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const invitation = await prisma.organizationInvitation.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { organization: true }
+    });
+
+    if (!invitation || invitation.status !== 'pending' || invitation.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return invitation;
+  }
+
+  /**
+   * 查看邀请信息
+   * 供接受邀请页面在用户登录前展示组织名称和角色
+   * @param {string} token - 邀请令牌
+   * @returns {Promise<Object>} 邀请信息
+   */
+  static async getInvitationByToken(token) {
+    try {
+      const invitation = await this.findPendingInvitation(token);
+      if (!invitation) {
+        return { code: 400, message: '邀请链接无效或已过期' }
+      }
+
+      return {
+        code: 200,
+        message: '获取邀请信息成功',
+        data: {
+          organization: {
+            id: invitation.organization.id,
+            name: invitation.organization.name,
+            slug: invitation.organization.slug
+          },
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 接受或拒绝邀请
+   * 当前用户的邮箱必须与被邀请的邮箱一致，邀请只能处理一次
+   * @param {Object} user - 当前用户
+   * @param {string} token - 邀请令牌
+   * @param {boolean} accept - true 接受，false 拒绝
+   * @returns {Promise<Object>} 处理结果，接受时返回加入的组织
+   */
+  static async respondInvitation(user, token, accept) {
+    try {
+      const invitation = await this.findPendingInvitation(token);
+      if (!invitation) {
+        return { code: 400, message: '邀请链接无效或已过期' }
+      }
+
+      if (!user.email || user.email.toLowerCase() !== invitation.email) {
+        return { code: 403, message: '该邀请不是发给当前账号的，请使用被邀请的邮箱登录' }
+      }
+
+      if (accept && await this.getMembership(invitation.organizationId, user.id)) {
+        return { code: 409, message: '您已是该组织成员' }
+      }
+
+      // 以条件更新标记邀请已处理，保证邀请只能使用一次
+      const { count } = await prisma.organizationInvitation.updateMany({
+        where: { id: invitation.id, status: 'pending' },
+        data: { status: accept ? 'accepted' : 'declined', respondedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return { code: 400, message: '邀请链接无效或已过期' }
+      }
+
+      if (!accept) {
+        return { code: 200, message: '已拒绝邀请' };
+      }
+
+      try {
+        await prisma.organizationMember.create({
+          data: {
+            organizationId: invitation.organizationId,
+            userId: user.id,
+            role: invitation.role
+          }
+        });
+      } catch (error) {
+        // 并发接受了同一组织的其他邀请
+        if (error.code === 'P2002') {
+          return { code: 409, message: '您已是该组织成员' }
+        }
+        throw error;
+      }
+
+      return {
+        code: 200,
+        message: '已加入组织',
+        data: { ...invitation.organization, role: invitation.role }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 修改成员角色
+   * 只能修改级别低于自己的成员，并且只能设置为级别低于自己的角色；所有者需通过转让所有权变更
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @param {number} memberUserId - 成员的用户ID
+   * @param {string} role - 新角色
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async updateMemberRole(user, organizationId, memberUserId, role) {
+    try {
+      const { error, membership } = await this.checkMembership(organizationId, user.id, 'admin');
+      if (error) {
+        return error;
+      }
+
+      if (!['admin', 'member'].includes(role)) {
+        return { code: 400, message: '无效的角色，可选值: admin, member' }
+      }
+
+      const target = await this.getMembership(organizationId, memberUserId);
+      if (!target) {
+        return { code: 404, message: '成员不存在' }
+      }
+
+      const actorLevel = ORG_ROLE_LEVELS[membership.role];
+      if (ORG_ROLE_LEVELS[target.role] >= actorLevel || ORG_ROLE_LEVELS[role] >= actorLevel) {
+        return { code: 403, message: '只能管理级别低于自己的成员' }
+      }
+
+      await prisma.organizationMember.update({
+        where: { id: target.id },
+        data: { role: role }
+      });
+
+      return { code: 200, message: '修改成员角色成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 移除成员或退出组织
+   * 成员可以自行退出，所有者需要先转让所有权；移除其他成员时对方的级别必须低于自己
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @param {number} memberUserId - 成员的用户ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async removeMember(user, organizationId, memberUserId) {
+    try {
+      const { error, membership } = await this.checkMembership(organizationId, user.id);
+      if (error) {
+        return error;
+      }
+
+      let target = membership;
+      if (memberUserId === user.id) {
+        if (membership.role === 'owner') {
+          return { code: 400, message: '所有者不能退出组织，请先转让所有权或删除组织' }
+        }
+      } else {
+        target = await this.getMembership(organizationId, memberUserId);
+        if (!target) {
+          return { code: 404, message: '成员不存在' }
+        }
+        if (ORG_ROLE_LEVELS[target.role] >= ORG_ROLE_LEVELS[membership.role]) {
+          return { code: 403, message: '只能管理级别低于自己的成员' }
+        }
+      }
+
+      await prisma.organizationMember.delete({
+        where: { id: target.id }
+      });
+
+      return { code: 200, message: memberUserId === user.id ? '已退出组织' : '移除成员成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 转让所有权（仅所有者可用）
+   * 新所有者必须已是组织成员，原所有者转为管理员
+   * @param {Object} user - 当前用户
+   * @param {number} organizationId - 组织ID
+   * @param {number} newOwnerUserId - 新所有者的用户ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async transferOwnership(user, organizationId, newOwnerUserId) {
+    try {
+      const { error, membership } = await this.checkMembership(organizationId, user.id, 'owner');
+      if (error) {
+        return error;
+      }
+
+      if (newOwnerUserId === user.id) {
+        return { code: 400, message: '您已是该组织的所有者' }
+      }
+
+      const target = await this.getMembership(organizationId, newOwnerUserId);
+      if (!target) {
+        return { code: 404, message: '成员不存在' }
+      }
+
+      await prisma.$transaction([
+        prisma.organizationMember.update({
+          where: { id: membership.id },
+          data: { role: 'admin' }
+        }),
+        prisma.organizationMember.update({
+          where: { id: target.id },
+          data: { role: 'owner' }
+        })
+      ]);
+
+      return { code: 200, message: '转让所有权成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 切换当前组织
+   * 轮换当前会话，签发以指定组织为当前组织的新令牌，旧的访问令牌和刷新令牌随即失效；
+   * 该组织同时记为用户上次使用的组织，之后登录时默认使用
+   * @param {Object} user - 当前用户
+   * @param {string} currentToken - 当前请求使用的访问令牌
+   * @param {number} organizationId - 组织ID
+   * @param {Object} loginInfo - 登录信息（IP、用户代理）
+   * @returns {Promise<Object>} 新的令牌信息
+   */
+  static async switchOrganization(user, currentToken, organizationId, loginInfo = {}) {
+    try {
+      const { error } = await this.checkMembership(organizationId, user.id);
+      if (error) {
+        return error;
+      }
+
+      const session = await prisma.userSession.findFirst({
+        where: { userId: user.id, token: currentToken, revokedAt: null }
+      });
+
+      if (!session) {
+        return { code: 401, message: '会话已过期或无效' }
+      }
+
+      // 以条件更新标记旧会话失效，防止并发请求重复轮换同一个会话
+      const { count } = await prisma.userSession.updateMany({
+        where: { id: session.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return { code: 401, message: '会话已过期或无效' }
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { lastOrganizationId: organizationId }
+      });
+
+      const tokens = await UserModel.createSession(user, {
+        ipAddress: loginInfo.ipAddress,
+        userAgent: loginInfo.userAgent,
+        deviceId: session.deviceId
+      }, session.familyId || crypto.randomUUID(), null, organizationId);
+
+      return { code: 200, message: '切换组织成功', data: tokens };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = OrganizationModel;
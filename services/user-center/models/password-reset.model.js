@@ -0,0 +1,149 @@
+// 密码重置模型 - 处理忘记密码、重置密码相关业务逻辑
+const prisma = require('../utils/prisma');
+const UserModel = require('./user.model');
+const { sendMail } = require('../utils/mailer');
+const { parseDuration, generateOpaqueToken, hashToken } = require('../utils/token');
+const { validatePassword } = require('../utils/password-policy');
+
+// 重置令牌有效期，默认30分钟
+const PASSWORD_RESET_EXPIRES_IN = process.env.PASSWORD_RESET_EXPIRES_IN || '30m';
+// 前端重置密码页面地址，令牌以 token 查询参数附加在后面
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
+/**
+ * 密码重置模型类
+ * 重置令牌一次性有效，数据库中只保存令牌哈希
+ */
+class PasswordResetModel {
+  /**
+   * 申请重置密码
+   * 无论邮箱是否注册都返回相同结果，避免泄露账号是否存在
+   * @param {string} email - 邮箱
+   * @param {Object} requestInfo - 请求信息（IP等）
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async requestReset(email, requestInfo = {}) {
+    try {
+      const result = {
+        code: 200,
+        message: '如果该邮箱已注册，重置密码邮件已发送'
+      };
+
+      const user = await prisma.user.findUnique({
+        where: { email: email }
+      });
+
+      if (!user || user.status !== 'active') {
+        return result;
+      }
+
+      // 新令牌生成后，此前未使用的令牌全部作废
+      await prisma.passwordResetToken.deleteMany({
+        where: { userId: user.id, usedAt: null }
+      });
+
+      const token = generateOpaqueToken(32);
+      const expiresAt = new Date(Date.now() + parseDuration(PASSWORD_RESET_EXPIRES_IN));
+
+      await prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: hashToken(token),
+          expiresAt: expiresAt,
+          ipAddress: requestInfo.ipAddress
+        }
+      });
+
+      const separator = PASSWORD_RESET_URL.includes('?') ? '&' : '?';
+      const resetLink = `${PASSWORD_RESET_URL}${separator}token=${encodeURIComponent(token)}`;
+      const minutes = Math.round(parseDuration(PASSWORD_RESET_EXPIRES_IN) / 60000);
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: '重置密码',
+          text: `您好：\n\n请在${minutes}分钟内打开以下链接重置密码：\n${resetLink}\n\n如果这不是您本人的操作，请忽略此邮件。`,
+          html: `<p>您好：</p><p>请在${minutes}分钟内点击以下链接重置密码：</p><p><a href="${resetLink}">${resetLink}</a></p><p>如果这不是您本人的操作，请忽略此邮件。</p>`
+        });
+      } catch (error) {
+        console.error('发送重置密码邮件失败:', error);
+        // 不抛出错误，发送失败时同样返回相同结果，避免泄露账号是否存在
+      }
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 重置密码
+   * 重置成功后注销该用户的所有会话
+   * @param {string} token - 重置令牌
+   * @param {string} newPassword - 新密码
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async resetPassword(token, newPassword) {
+    try {
+      const resetToken = await prisma.passwordResetToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+        include: { user: true }
+      });
+
+      if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+        return {
+          code: 400,
+          message: '重置链接无效或已过期'
+        }
+      }
+
+      if (resetToken.user.status !== 'active') {
+        return {
+          code: 400,
+          message: '用户已被禁用'
+        }
+      }
+
+      // 新密码不符合密码策略时不消耗令牌，用户可以换一个密码重试
+      const passwordError = await validatePassword(newPassword, resetToken.user);
+      if (passwordError) {
+        return passwordError;
+      }
+
+      // 新密码与最近用过的密码相同时同样不消耗令牌
+      if (await UserModel.isPasswordReused(resetToken.userId, newPassword)) {
+        return {
+          code: 400,
+          message: '不能使用最近用过的密码'
+        }
+      }
+
+      // 以条件更新标记令牌已使用，保证令牌只能使用一次
+      const { count } = await prisma.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return {
+          code: 400,
+          message: '重置链接无效或已过期'
+        }
+      }
+
+      const result = await UserModel.updateUser(resetToken.userId, { password: newPassword });
+      if (result.code !== 200) {
+        return result;
+      }
+
+      // 为了安全，注销所有会话
+      await UserModel.logout(resetToken.userId);
+
+      return { code: 200, message: '密码重置成功，请重新登录', data: { userId: resetToken.userId } };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = PasswordResetModel;
@@ -0,0 +1,259 @@
+// 免密登录模型 - 通过邮件中的一次性登录链接或6位验证码登录
+const prisma = require('../utils/prisma');
+const crypto = require('crypto');
+const UserModel = require('./user.model');
+const loginGuard = require('../utils/login-guard');
+const { sendMail } = require('../utils/mailer');
+const { parseDuration, generateOpaqueToken, hashToken } = require('../utils/token');
+
+// 登录链接和验证码的有效期，默认10分钟
+const PASSWORDLESS_EXPIRES_IN = process.env.PASSWORDLESS_EXPIRES_IN || '10m';
+// 每个验证码允许的错误次数，达到后验证码作废，需要重新获取
+const PASSWORDLESS_MAX_ATTEMPTS = parseInt(process.env.PASSWORDLESS_MAX_ATTEMPTS || '5');
+// 前端免密登录页面地址，令牌以 token 查询参数附加在后面
+const PASSWORDLESS_LOGIN_URL = process.env.PASSWORDLESS_LOGIN_URL || 'http://localhost:3000/passwordless';
+
+// 免密登录方式
+const PASSWORDLESS_TYPES = ['link', 'code'];
+
+/**
+ * 免密登录模型类
+ * 登录链接和验证码都是一次性的，数据库中只保存哈希；验证通过后与密码登录相同，
+ * 同样需要通过二次验证，并记录会话和登录日志
+ */
+class PasswordlessModel {
+  /**
+   * 发起免密登录
+   * 无论邮箱是否注册都返回相同结果，避免泄露账号是否存在
+   * @param {string} email - 邮箱
+   * @param {string} type - 登录方式：link（登录链接）或 code（验证码）
+   * @param {Object} requestInfo - 请求信息（IP等）
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async start(email, type = 'link', requestInfo = {}) {
+    try {
+      if (!PASSWORDLESS_TYPES.includes(type)) {
+        return {
+          code: 400,
+          message: `无效的免密登录方式: ${type}`
+        }
+      }
+
+      const result = {
+        code: 200,
+        message: type === 'code' ? '如果该邮箱已注册，登录验证码已发送' : '如果该邮箱已注册，登录链接已发送'
+      };
+
+      const user = await prisma.user.findUnique({
+        where: { email: email }
+      });
+
+      if (!user || user.status !== 'active') {
+        return result;
+      }
+
+      // 新令牌生成后，此前未使用的令牌全部作废
+      await prisma.passwordlessToken.deleteMany({
+        where: { userId: user.id, usedAt: null }
+      });
+
+      const expiresAt = new Date(Date.now() + parseDuration(PASSWORDLESS_EXPIRES_IN));
+      const minutes = Math.round(parseDuration(PASSWORDLESS_EXPIRES_IN) / 60000);
+
+      let mail;
+      if (type === 'code') {
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+        await prisma.passwordlessToken.create({
+          data: {
+            userId: user.id,
+            type: 'code',
+            codeHash: hashToken(code),
+            expiresAt: expiresAt,
+            ipAddress: requestInfo.ipAddress
+          }
+        });
+
+        mail = {
+          to: user.email,
+          subject: '登录验证码',
+          text: `您好：\n\n您的登录验证码是 ${code}，${minutes}分钟内有效。\n\n如果这不是您本人的操作，请忽略此邮件，不要将验证码告诉他人。`,
+          html: `<p>您好：</p><p>您的登录验证码是 <strong>${code}</strong>，${minutes}分钟内有效。</p><p>如果这不是您本人的操作，请忽略此邮件，不要将验证码告诉他人。</p>`
+        };
+      } else {
+        const token = generateOpaqueToken(32);
+
+        await prisma.passwordlessToken.create({
+          data: {
+            userId: user.id,
+            type: 'link',
+            tokenHash: hashToken(token),
+            expiresAt: expiresAt,
+            ipAddress: requestInfo.ipAddress
+          }
+        });
+
+        const separator = PASSWORDLESS_LOGIN_URL.includes('?') ? '&' : '?';
+        const loginLink = `${PASSWORDLESS_LOGIN_URL}${separator}token=${encodeURIComponent(token)}`;
+
+        mail = {
+          to: user.email,
+          subject: '登录链接',
+          text: `您好：\n\n请在${minutes}分钟内打开以下链接登录：\n${loginLink}\n\n如果这不是您本人的操作，请忽略此邮件。`,
+          html: `<p>您好：</p><p>请在${minutes}分钟内点击以下链接登录：</p><p><a href="${loginLink}">${loginLink}</a></p><p>如果这不是您本人的操作，请忽略此邮件。</p>`
+        };
+      }
+
+      try {
+        await sendMail(mail);
+      } catch (error) {
+        console.error('发送免密登录邮件失败:', error);
+        // 不抛出错误，发送失败时同样返回相同结果，避免泄露账号是否存在
+      }
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 使用登录链接中的令牌登录
+   * @param {string} token - 登录令牌
+   * @param {Object} loginInfo - 登录信息（IP、用户代理、设备ID）
+   * @returns {Promise<Object>} 登录结果，与密码登录相同
+   */
+  static async verifyLink(token, loginInfo = {}) {
+    try {
+      const loginToken = await prisma.passwordlessToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+        include: { user: true }
+      });
+
+      if (!loginToken || loginToken.usedAt || loginToken.expiresAt <= new Date()) {
+        return {
+          code: 400,
+          message: '登录链接无效或已过期'
+        }
+      }
+
+      return await this.consume(loginToken, loginInfo, '登录链接无效或已过期');
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 使用邮箱和验证码登录
+   * 验证码错误计入登录失败次数；同一验证码错误次数达到上限后作废
+   * @param {string} email - 邮箱
+   * @param {string} code - 6位验证码
+   * @param {Object} loginInfo - 登录信息（IP、用户代理、设备ID）
+   * @returns {Promise<Object>} 登录结果，与密码登录相同
+   */
+  static async verifyCode(email, code, loginInfo = {}) {
+    try {
+      const invalidResult = {
+        code: 400,
+        message: '验证码无效或已过期'
+      };
+
+      const user = await prisma.user.findUnique({
+        where: { email: email }
+      });
+
+      // 检查账号或IP是否因多次登录失败被临时锁定
+      const account = loginGuard.accountKey(user && user.id, email);
+      const lock = await loginGuard.checkLocked(account, loginInfo.ipAddress);
+      if (lock) {
+        await UserModel.saveLoginLog(user && user.id, email, loginInfo, false, '登录已被临时锁定');
+        return UserModel.lockedResult(lock);
+      }
+
+      const loginToken = user ? await prisma.passwordlessToken.findFirst({
+        where: {
+          userId: user.id,
+          type: 'code',
+          usedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        orderBy: { createdAt: 'desc' }
+      }) : null;
+
+      if (!loginToken || hashToken(String(code)) !== loginToken.codeHash) {
+        if (loginToken) {
+          // 错误次数达到上限时作废验证码
+          const { attempts } = await prisma.passwordlessToken.update({
+            where: { id: loginToken.id },
+            data: { attempts: { increment: 1 } }
+          });
+          if (attempts >= PASSWORDLESS_MAX_ATTEMPTS) {
+            await prisma.passwordlessToken.updateMany({
+              where: { id: loginToken.id, usedAt: null },
+              data: { usedAt: new Date() }
+            });
+          }
+        }
+
+        await UserModel.saveLoginLog(user && user.id, email, loginInfo, false, '免密登录验证码错误');
+        const failureLock = await loginGuard.registerFailure(account, loginInfo.ipAddress);
+        if (failureLock) {
+          return UserModel.lockedResult(failureLock);
+        }
+        return invalidResult;
+      }
+
+      return await this.consume({ ...loginToken, user }, loginInfo, invalidResult.message);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 使用令牌完成登录
+   * 能收到邮件说明用户拥有该邮箱，尚未验证的邮箱同时标记为已验证
+   * @param {Object} loginToken - 免密登录令牌（包含 user）
+   * @param {Object} loginInfo - 登录信息
+   * @param {string} invalidMessage - 令牌已被使用时的提示
+   * @returns {Promise<Object>} 登录结果
+   */
+  static async consume(loginToken, loginInfo, invalidMessage) {
+    try {
+      let user = loginToken.user;
+
+      if (user.status !== 'active') {
+        await UserModel.saveLoginLog(user.id, user.email, loginInfo, false, '用户已被禁用');
+        return {
+          code: 400,
+          message: '用户已被禁用'
+        }
+      }
+
+      // 以条件更新标记令牌已使用，保证令牌只能使用一次，并发的错误尝试达到上限后也不再可用
+      const { count } = await prisma.passwordlessToken.updateMany({
+        where: { id: loginToken.id, usedAt: null, attempts: { lt: PASSWORDLESS_MAX_ATTEMPTS } },
+        data: { usedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return {
+          code: 400,
+          message: invalidMessage
+        }
+      }
+
+      if (!user.emailVerified) {
+        user = await prisma.user.update({
+          where: { id: user.id },
+          data: { emailVerified: true, emailVerifiedAt: new Date() }
+        });
+      }
+
+      return await UserModel.continueLogin(user, user.email, loginInfo, loginToken.type === 'code' ? '验证码登录' : '登录链接登录');
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = PasswordlessModel;
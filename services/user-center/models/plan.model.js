@@ -0,0 +1,227 @@
+// 套餐模型 - 管理各产品的订阅套餐和功能限制
+const { Prisma } = require('@prisma/client');
+const prisma = require('../utils/prisma');
+
+// 套餐代码，每个产品的每种套餐最多一个
+const PLAN_CODES = ['free', 'pro', 'enterprise'];
+// 套餐状态
+const PLAN_STATUSES = ['active', 'archived'];
+
+/**
+ * 校验功能限制
+ * 功能限制为扁平对象，值只能是数字、布尔值或字符串，便于桌面产品直接读取
+ * @param {*} features - 功能限制
+ * @returns {boolean} 是否有效
+ */
+const isValidFeatures = (features) => {
+  if (features === null) {
+    return true;
+  }
+  if (typeof features !== 'object' || Array.isArray(features)) {
+    return false;
+  }
+  return Object.values(features).every(value => ['number', 'boolean', 'string'].includes(typeof value));
+};
+
+/**
+ * 套餐模型类
+ * 套餐属于某个产品，功能限制（features）由产品自行解释，并原样写入许可证
+ */
+class PlanModel {
+  /**
+   * 获取产品的套餐列表
+   * @param {string} productId - 产品ID
+   * @param {Object} filters - 过滤条件 { status }
+   * @returns {Promise<Object>} 套餐列表
+   */
+  static async getPlans(productId, filters = {}) {
+    try {
+      const product = await prisma.product.findUnique({ where: { id: productId } });
+      if (!product) {
+        return { code: 404, message: '产品不存在' }
+      }
+
+      const plans = await prisma.plan.findMany({
+        where: { productId: productId, ...(filters.status ? { status: filters.status } : {}) },
+        orderBy: { id: 'asc' }
+      });
+
+      // 按 free、pro、enterprise 的顺序返回
+      plans.sort((a, b) => PLAN_CODES.indexOf(a.code) - PLAN_CODES.indexOf(b.code));
+
+      return { code: 200, message: '获取套餐列表成功', data: plans };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取可订阅的套餐
+   * @param {string} productId - 产品ID
+   * @param {string} code - 套餐代码
+   * @returns {Promise<Object|null>} 套餐，不存在或已归档时返回null
+   */
+  static async findActivePlan(productId, code) {
+    const plan = await prisma.plan.findUnique({
+      where: { productId_code: { productId, code } },
+      include: { product: true }
+    });
+
+    if (!plan || plan.status !== 'active' || plan.product.status !== 'active') {
+      return null;
+    }
+
+    return plan;
+  }
+
+  /**
+   * 创建套餐
+   * @param {string} productId - 产品ID
+   * @param {Object} planData - 套餐信息 { code, name, features, trialDays }
+   * @returns {Promise<Object>} 创建的套餐
+   */
+  static async createPlan(productId, { code, name, features, trialDays }) {
+    try {
+      if (!PLAN_CODES.includes(code)) {
+        return {
+          code: 400,
+          message: `无效的套餐代码，可选值: ${PLAN_CODES.join(', ')}`
+        }
+      }
+      if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+        return {
+          code: 400,
+          message: '套餐名称为必填项，且不能超过100个字符'
+        }
+      }
+      if (features !== undefined && !isValidFeatures(features)) {
+        return {
+          code: 400,
+          message: '功能限制必须是对象，值只能是数字、布尔值或字符串'
+        }
+      }
+      if (trialDays !== undefined && (!Number.isInteger(trialDays) || trialDays < 0)) {
+        return {
+          code: 400,
+          message: '试用天数必须是非负整数'
+        }
+      }
+
+      const product = await prisma.product.findUnique({ where: { id: productId } });
+      if (!product) {
+        return { code: 404, message: '产品不存在' }
+      }
+
+      const plan = await prisma.plan.create({
+        data: {
+          productId: productId,
+          code: code,
+          name: name.trim(),
+          features: features || undefined,
+          trialDays: code === 'free' ? 0 : (trialDays || 0)
+        }
+      });
+
+      return { code: 200, message: '创建套餐成功', data: plan };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { code: 409, message: '该产品已有此套餐' }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 修改套餐
+   * 修改功能限制后，已签发的许可证在续期时才会包含新的限制
+   * @param {string} productId - 产品ID
+   * @param {string} code - 套餐代码
+   * @param {Object} planData - 套餐信息 { name, features, trialDays, status }
+   * @returns {Promise<Object>} 修改后的套餐
+   */
+  static async updatePlan(productId, code, { name, features, trialDays, status }) {
+    try {
+      if (name !== undefined && (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+        return {
+          code: 400,
+          message: '套餐名称不能为空，且不能超过100个字符'
+        }
+      }
+      if (features !== undefined && !isValidFeatures(features)) {
+        return {
+          code: 400,
+          message: '功能限制必须是对象，值只能是数字、布尔值或字符串'
+        }
+      }
+      if (trialDays !== undefined && (!Number.isInteger(trialDays) || trialDays < 0 || (code === 'free' && trialDays > 0))) {
+        return {
+          code: 400,
+          message: '试用天数必须是非负整数，免费套餐不提供试用'
+        }
+      }
+      if (status !== undefined && !PLAN_STATUSES.includes(status)) {
+        return {
+          code: 400,
+          message: `无效的套餐状态，可选值: ${PLAN_STATUSES.join(', ')}`
+        }
+      }
+
+      const existing = await prisma.plan.findUnique({
+        where: { productId_code: { productId, code } }
+      });
+      if (!existing) {
+        return { code: 404, message: '套餐不存在' }
+      }
+
+      const plan = await prisma.plan.update({
+        where: { id: existing.id },
+        data: {
+          name: name !== undefined ? name.trim() : undefined,
+          // 传入null时清空功能限制
+          features: features === null ? Prisma.DbNull : features,
+          trialDays: trialDays,
+          status: status
+        }
+      });
+
+      return { code: 200, message: '修改套餐成功', data: plan };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 删除套餐
+   * 有订阅记录的套餐不能删除，可以改为归档
+   * @param {string} productId - 产品ID
+   * @param {string} code - 套餐代码
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async deletePlan(productId, code) {
+    try {
+      const plan = await prisma.plan.findUnique({
+        where: { productId_code: { productId, code } },
+        include: { _count: { select: { subscriptions: true } } }
+      });
+
+      if (!plan) {
+        return { code: 404, message: '套餐不存在' }
+      }
+
+      if (plan._count.subscriptions > 0) {
+        return {
+          code: 400,
+          message: '该套餐已有订阅记录，不能删除，可以改为归档'
+        }
+      }
+
+      await prisma.plan.delete({ where: { id: plan.id } });
+
+      return { code: 200, message: '删除套餐成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = PlanModel;
@@ -0,0 +1,421 @@
+// 产品模型 - 管理产品目录和用户的产品授权
+const prisma = require('../utils/prisma');
+const { parseTime } = require('../utils/time');
+
+// 产品状态
+const PRODUCT_STATUSES = ['active', 'archived'];
+// 授权状态
+const ENTITLEMENT_STATUSES = ['trial', 'active', 'expired'];
+
+const PRODUCT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// 查询授权时一并返回的产品字段
+const ENTITLEMENT_INCLUDE = {
+  product: { select: { id: true, name: true, status: true } }
+};
+
+/**
+ * 计算授权的当前状态，超过结束时间的授权视为已过期
+ * @param {Object} entitlement - 授权记录
+ * @param {Date} now - 当前时间
+ * @returns {string} 授权状态
+ */
+const effectiveStatus = (entitlement, now = new Date()) => {
+  if (entitlement.endsAt && entitlement.endsAt <= now) {
+    return 'expired';
+  }
+  return entitlement.status;
+};
+
+/**
+ * 格式化授权记录
+ * @param {Object} entitlement - 包含 product 的授权记录
+ * @returns {Object} 授权信息
+ */
+const formatEntitlement = (entitlement) => ({
+  id: entitlement.product.id,
+  name: entitlement.product.name,
+  productStatus: entitlement.product.status,
+  status: effectiveStatus(entitlement),
+  startsAt: entitlement.startsAt,
+  endsAt: entitlement.endsAt,
+  createdAt: entitlement.createdAt,
+  updatedAt: entitlement.updatedAt
+});
+
+/**
+ * 判断授权是否由订阅管理
+ * 有未取消订阅的授权由计费事件同步，直接修改或移除会在下一次同步时被覆盖
+ * @param {number} userId - 用户ID
+ * @param {string} productId - 产品ID
+ * @returns {Promise<boolean>} 是否由订阅管理
+ */
+const isManagedBySubscription = async (userId, productId) => {
+  const count = await prisma.subscription.count({
+    where: { userId: userId, productId: productId, status: { not: 'canceled' } }
+  });
+  return count > 0;
+};
+
+/**
+ * 产品模型类
+ * 产品目录由管理员维护，用户与产品的关联记录在 UserProduct 中，
+ * 授权状态分为试用（trial）、有效（active）和已过期（expired），超过结束时间的授权自动按已过期处理
+ */
+class ProductModel {
+  /**
+   * 构造按产品授权筛选用户的条件
+   * @param {string} productId - 产品ID
+   * @param {string} status - 授权状态（可选）
+   * @returns {Object} 用于 User 查询的 where 条件
+   */
+  static userFilter(productId, status) {
+    const now = new Date();
+    const where = { productId: productId };
+
+    if (status === 'expired') {
+      where.OR = [{ status: 'expired' }, { endsAt: { lte: now } }];
+    } else if (status) {
+      where.status = status;
+      where.OR = [{ endsAt: null }, { endsAt: { gt: now } }];
+    }
+
+    return { userProducts: { some: where } };
+  }
+
+  /**
+   * 获取产品列表
+   * @param {Object} filters - 过滤条件 { status }
+   * @returns {Promise<Object>} 产品列表，包含各产品的授权用户数
+   */
+  static async getProducts(filters = {}) {
+    try {
+      const products = await prisma.product.findMany({
+        where: filters.status ? { status: filters.status } : {},
+        orderBy: { createdAt: 'asc' },
+        include: { _count: { select: { userProducts: true } } }
+      });
+
+      const data = products.map(({ _count, ...product }) => ({ ...product, userCount: _count.userProducts }));
+
+      return { code: 200, message: '获取产品列表成功', data };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 创建产品
+   * @param {Object} productData - 产品信息 { id, name, description }
+   * @returns {Promise<Object>} 创建的产品
+   */
+  static async createProduct({ id, name, description }) {
+    try {
+      if (!id || typeof id !== 'string' || !PRODUCT_ID_PATTERN.test(id)) {
+        return {
+          code: 400,
+          message: '产品ID只能包含小写字母、数字、下划线和连字符，且不能超过50个字符'
+        }
+      }
+      if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+        return {
+          code: 400,
+          message: '产品名称为必填项，且不能超过100个字符'
+        }
+      }
+
+      const product = await prisma.product.create({
+        data: {
+          id: id,
+          name: name.trim(),
+          description: description || null
+        }
+      });
+
+      return { code: 200, message: '创建产品成功', data: product };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { code: 409, message: '产品ID已存在' }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 修改产品
+   * 归档后已有的授权不受影响，但不能再分配给用户
+   * @param {string} productId - 产品ID
+   * @param {Object} productData - 产品信息 { name, description, status }
+   * @returns {Promise<Object>} 修改后的产品
+   */
+  static async updateProduct(productId, { name, description, status }) {
+    try {
+      if (name !== undefined && (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+        return {
+          code: 400,
+          message: '产品名称不能为空，且不能超过100个字符'
+        }
+      }
+      if (status !== undefined && !PRODUCT_STATUSES.includes(status)) {
+        return {
+          code: 400,
+          message: `无效的产品状态，可选值: ${PRODUCT_STATUSES.join(', ')}`
+        }
+      }
+
+      const existing = await prisma.product.findUnique({ where: { id: productId } });
+      if (!existing) {
+        return { code: 404, message: '产品不存在' }
+      }
+
+      const product = await prisma.product.update({
+        where: { id: productId },
+        data: {
+          name: name !== undefined ? name.trim() : undefined,
+          description: description,
+          status: status
+        }
+      });
+
+      return { code: 200, message: '修改产品成功', data: product };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 删除产品
+   * 仍有用户授权或订阅记录的产品不能删除，可以改为归档；产品的套餐一并删除
+   * @param {string} productId - 产品ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async deleteProduct(productId) {
+    try {
+      const product = await prisma.product.findUnique({
+        where: { id: productId },
+        include: { _count: { select: { userProducts: true } } }
+      });
+
+      if (!product) {
+        return { code: 404, message: '产品不存在' }
+      }
+
+      const subscriptionCount = await prisma.subscription.count({ where: { productId: productId } });
+      if (subscriptionCount > 0) {
+        return {
+          code: 400,
+          message: '该产品已有订阅记录，不能删除，可以改为归档'
+        }
+      }
+
+      if (product._count.userProducts > 0) {
+        return {
+          code: 400,
+          message: `仍有${product._count.userProducts}个用户拥有该产品的授权，不能删除，可以改为归档`
+        }
+      }
+
+      await prisma.$transaction([
+        prisma.plan.deleteMany({ where: { productId: productId } }),
+        prisma.product.delete({ where: { id: productId } })
+      ]);
+
+      return { code: 200, message: '删除产品成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 查询用户的产品授权
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<Object>>} 授权列表
+   */
+  static async listUserProducts(userId) {
+    const entitlements = await prisma.userProduct.findMany({
+      where: { userId: userId },
+      orderBy: { createdAt: 'asc' },
+      include: ENTITLEMENT_INCLUDE
+    });
+
+    return entitlements.map(formatEntitlement);
+  }
+
+  /**
+   * 获取用户的产品授权列表
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 授权列表
+   */
+  static async getUserProducts(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true }
+      });
+
+      if (!user) {
+        return { code: 404, message: '用户不存在' }
+      }
+
+      return { code: 200, message: '获取用户产品成功', data: await this.listUserProducts(userId) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 校验授权状态和时间
+   * @param {Object} entitlementData - 授权信息 { status, startsAt, endsAt }
+   * @returns {{error: Object|null, data: Object}} 校验结果和待写入的数据
+   */
+  static validateEntitlement({ status, startsAt, endsAt }) {
+    const data = {};
+
+    if (status !== undefined) {
+      if (!ENTITLEMENT_STATUSES.includes(status)) {
+        return {
+          error: { code: 400, message: `无效的授权状态，可选值: ${ENTITLEMENT_STATUSES.join(', ')}` },
+          data
+        };
+      }
+      data.status = status;
+    }
+
+    if (startsAt !== undefined) {
+      data.startsAt = parseTime(startsAt);
+      if (!data.startsAt) {
+        return { error: { code: 400, message: '无效的开始时间' }, data };
+      }
+    }
+
+    if (endsAt !== undefined) {
+      data.endsAt = parseTime(endsAt);
+      if (data.endsAt === undefined) {
+        return { error: { code: 400, message: '无效的结束时间' }, data };
+      }
+    }
+
+    return { error: null, data };
+  }
+
+  /**
+   * 为用户添加产品授权
+   * 同一用户的同一产品只有一条授权，由唯一约束保证并发添加时不会重复
+   * @param {number} userId - 用户ID
+   * @param {string} productId - 产品ID
+   * @param {Object} entitlementData - 授权信息 { status, startsAt, endsAt }，默认为长期有效
+   * @returns {Promise<Object>} 创建的授权
+   */
+  static async grantUserProduct(userId, productId, entitlementData = {}) {
+    try {
+      const { error, data } = this.validateEntitlement(entitlementData);
+      if (error) {
+        return error;
+      }
+      if (data.endsAt && data.endsAt <= (data.startsAt || new Date())) {
+        return { code: 400, message: '结束时间必须晚于开始时间' }
+      }
+
+      const [user, product] = await Promise.all([
+        prisma.user.findUnique({ where: { id: userId }, select: { id: true } }),
+        prisma.product.findUnique({ where: { id: String(productId || '') } })
+      ]);
+
+      if (!user) {
+        return { code: 404, message: '用户不存在' }
+      }
+      if (!product) {
+        return { code: 400, message: '产品不存在' }
+      }
+      if (product.status !== 'active') {
+        return { code: 400, message: '产品已归档，不能再分配给用户' }
+      }
+
+      const entitlement = await prisma.userProduct.create({
+        data: { ...data, userId: userId, productId: product.id },
+        include: ENTITLEMENT_INCLUDE
+      });
+
+      return { code: 200, message: '添加用户产品成功', data: formatEntitlement(entitlement) };
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return { code: 400, message: '产品已关联' }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 修改用户的产品授权
+   * 由订阅管理的授权需要通过订阅修改
+   * @param {number} userId - 用户ID
+   * @param {string} productId - 产品ID
+   * @param {Object} entitlementData - 授权信息 { status, startsAt, endsAt }，endsAt 为null表示长期有效
+   * @returns {Promise<Object>} 修改后的授权
+   */
+  static async updateUserProduct(userId, productId, entitlementData) {
+    try {
+      const { error, data } = this.validateEntitlement(entitlementData);
+      if (error) {
+        return error;
+      }
+
+      const existing = await prisma.userProduct.findUnique({
+        where: { userId_productId: { userId, productId } }
+      });
+
+      if (!existing) {
+        return { code: 404, message: '产品关联不存在' }
+      }
+
+      if (await isManagedBySubscription(userId, productId)) {
+        return { code: 409, message: '该产品授权由订阅管理，请通过订阅修改' }
+      }
+
+      const startsAt = data.startsAt || existing.startsAt;
+      const endsAt = data.endsAt !== undefined ? data.endsAt : existing.endsAt;
+      if (endsAt && endsAt <= startsAt) {
+        return { code: 400, message: '结束时间必须晚于开始时间' }
+      }
+
+      const entitlement = await prisma.userProduct.update({
+        where: { id: existing.id },
+        data: data,
+        include: ENTITLEMENT_INCLUDE
+      });
+
+      return { code: 200, message: '修改用户产品成功', data: formatEntitlement(entitlement) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 移除用户的产品授权
+   * 由订阅管理的授权需要先取消订阅，否则下一次计费事件会重新创建授权
+   * @param {number} userId - 用户ID
+   * @param {string} productId - 产品ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async revokeUserProduct(userId, productId) {
+    try {
+      if (await isManagedBySubscription(userId, productId)) {
+        return { code: 409, message: '该产品授权由订阅管理，请先取消订阅' }
+      }
+
+      const { count } = await prisma.userProduct.deleteMany({
+        where: { userId: userId, productId: productId }
+      });
+
+      if (count === 0) {
+        return { code: 404, message: '产品关联不存在' }
+      }
+
+      return { code: 200, message: '移除用户产品成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ProductModel;
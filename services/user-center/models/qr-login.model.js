@@ -0,0 +1,256 @@
+// 扫码登录模型 - 网页端展示二维码，已登录的移动端扫码确认后网页端完成登录
+const prisma = require('../utils/prisma');
+const UserModel = require('./user.model');
+const { parseUserAgent } = require('../utils/user-agent');
+const { parseDuration, generateOpaqueToken, hashToken } = require('../utils/token');
+
+// 票据有效期，超过后需要刷新二维码
+const QR_LOGIN_EXPIRES_IN = process.env.QR_LOGIN_EXPIRES_IN || '2m';
+// 二维码内容的地址前缀，移动端扫码后从 ticket 查询参数读取票据标识
+const QR_LOGIN_URL = process.env.QR_LOGIN_URL || 'http://localhost:3000/qr-login';
+// 长轮询的最长等待时间（秒）和检查间隔（毫秒）
+const QR_LOGIN_MAX_WAIT_SECONDS = 25;
+const QR_LOGIN_POLL_INTERVAL_MS = 1000;
+
+/**
+ * 判断票据是否已失效（过期、取消或已被领取）
+ * @param {Object} ticket - 票据
+ * @returns {boolean} 是否已失效
+ */
+const isExpired = (ticket) => {
+  return ticket.status === 'expired' || Boolean(ticket.consumedAt) || ticket.expiresAt <= new Date();
+};
+
+/**
+ * 扫码登录模型类
+ * 票据标识放在二维码中，任何人都可以看到；网页端另外持有轮询令牌，只有它能查询状态并领取会话
+ */
+class QrLoginModel {
+  /**
+   * 申请扫码登录票据（网页端）
+   * @param {Object} loginInfo - 网页端的请求信息（IP、用户代理）
+   * @returns {Promise<Object>} 票据标识、轮询令牌和二维码内容
+   */
+  static async createTicket(loginInfo = {}) {
+    try {
+      const ticketId = generateOpaqueToken(24);
+      const pollToken = generateOpaqueToken(32);
+      const expiresAt = new Date(Date.now() + parseDuration(QR_LOGIN_EXPIRES_IN));
+
+      await prisma.qrLoginTicket.create({
+        data: {
+          ticketId: ticketId,
+          pollTokenHash: hashToken(pollToken),
+          ipAddress: loginInfo.ipAddress,
+          userAgent: loginInfo.userAgent ? loginInfo.userAgent.slice(0, 255) : null,
+          expiresAt: expiresAt
+        }
+      });
+
+      const separator = QR_LOGIN_URL.includes('?') ? '&' : '?';
+
+      return {
+        code: 200,
+        message: '获取扫码登录二维码成功',
+        data: {
+          ticketId,
+          pollToken,
+          qrContent: `${QR_LOGIN_URL}${separator}ticket=${encodeURIComponent(ticketId)}`,
+          expiresAt
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 查询票据状态（网页端）
+   * 票据已确认时领取新的会话，返回内容与密码登录相同；会话只能领取一次。
+   * 指定 waitSeconds 时使用长轮询，状态与 knownStatus 不同或超时后才返回
+   * @param {string} ticketId - 票据标识
+   * @param {string} pollToken - 轮询令牌
+   * @param {Object} loginInfo - 网页端的登录信息（IP、用户代理、设备ID）
+   * @param {Object} options - 长轮询选项
+   * @param {string} options.knownStatus - 网页端当前已知的状态
+   * @param {number} options.waitSeconds - 最长等待秒数（0-25）
+   * @returns {Promise<Object>} 票据状态
+   */
+  static async getStatus(ticketId, pollToken, loginInfo = {}, { knownStatus, waitSeconds = 0 } = {}) {
+    try {
+      const deadline = Date.now() + Math.min(Math.max(waitSeconds, 0), QR_LOGIN_MAX_WAIT_SECONDS) * 1000;
+
+      for (;;) {
+        const ticket = await prisma.qrLoginTicket.findUnique({
+          where: { ticketId: ticketId },
+          include: { user: true }
+        });
+
+        if (!ticket || ticket.pollTokenHash !== hashToken(pollToken)) {
+          return {
+            code: 404,
+            message: '二维码不存在'
+          }
+        }
+
+        const status = isExpired(ticket) ? 'expired' : ticket.status;
+        if (status === 'confirmed') {
+          return await this.consume(ticket, loginInfo);
+        }
+
+        if (status !== knownStatus || Date.now() + QR_LOGIN_POLL_INTERVAL_MS > deadline) {
+          return {
+            code: 200,
+            message: status === 'expired' ? '二维码已失效，请刷新' : '获取二维码状态成功',
+            data: {
+              status,
+              // 已扫码时展示扫码用户，便于网页端提示“请在手机上确认”
+              user: status === 'scanned' && ticket.user
+                ? { nickname: ticket.user.nickname, avatar: ticket.user.avatar }
+                : undefined
+            }
+          };
+        }
+
+        await new Promise(resolve => setTimeout(resolve, QR_LOGIN_POLL_INTERVAL_MS));
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 领取已确认票据的会话
+   * @param {Object} ticket - 票据（包含 user）
+   * @param {Object} loginInfo - 网页端的登录信息
+   * @returns {Promise<Object>} 登录结果
+   */
+  static async consume(ticket, loginInfo) {
+    try {
+      // 以条件更新标记票据已使用，保证会话只能领取一次
+      const { count } = await prisma.qrLoginTicket.updateMany({
+        where: { id: ticket.id, status: 'confirmed', consumedAt: null },
+        data: { consumedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return {
+          code: 400,
+          message: '二维码已失效，请刷新'
+        }
+      }
+
+      if (ticket.user.status !== 'active') {
+        await UserModel.saveLoginLog(ticket.user.id, ticket.user.username, loginInfo, false, '用户已被禁用');
+        return {
+          code: 400,
+          message: '用户已被禁用'
+        }
+      }
+
+      // 移动端已登录的会话已经通过了密码和二次验证，网页端直接创建会话
+      const result = await UserModel.completeLogin(ticket.user, ticket.user.username, loginInfo, '扫码登录');
+
+      return { ...result, data: { status: 'confirmed', ...result.data } };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 扫码（移动端）
+   * 返回发起登录的网页端信息，供用户确认是否是本人操作
+   * @param {string} ticketId - 票据标识
+   * @param {Object} user - 移动端的当前登录用户
+   * @returns {Promise<Object>} 网页端信息
+   */
+  static async scan(ticketId, user) {
+    try {
+      const ticket = await prisma.qrLoginTicket.findUnique({
+        where: { ticketId: ticketId }
+      });
+
+      if (!ticket || isExpired(ticket)) {
+        return {
+          code: 400,
+          message: '二维码已失效，请在网页上刷新后重新扫码'
+        }
+      }
+
+      // 同一用户重复扫码时保持已扫码状态
+      const { count } = await prisma.qrLoginTicket.updateMany({
+        where: {
+          id: ticket.id,
+          OR: [
+            { status: 'pending' },
+            { status: 'scanned', userId: user.id }
+          ]
+        },
+        data: { status: 'scanned', userId: user.id, scannedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return {
+          code: 409,
+          message: '二维码已被其他用户扫描'
+        }
+      }
+
+      return {
+        code: 200,
+        message: '扫码成功，请确认是否在该设备上登录',
+        data: {
+          ipAddress: ticket.ipAddress,
+          device: parseUserAgent(ticket.userAgent),
+          createdAt: ticket.createdAt,
+          expiresAt: ticket.expiresAt
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 确认或取消登录（移动端）
+   * 只有扫码的用户可以确认；取消后票据失效，网页端需要刷新二维码
+   * @param {string} ticketId - 票据标识
+   * @param {Object} user - 移动端的当前登录用户
+   * @param {boolean} approve - true 确认登录，false 取消
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async confirm(ticketId, user, approve = true) {
+    try {
+      const ticket = await prisma.qrLoginTicket.findUnique({
+        where: { ticketId: ticketId }
+      });
+
+      if (!ticket || isExpired(ticket)) {
+        return {
+          code: 400,
+          message: '二维码已失效，请在网页上刷新后重新扫码'
+        }
+      }
+
+      const { count } = await prisma.qrLoginTicket.updateMany({
+        where: { id: ticket.id, status: 'scanned', userId: user.id },
+        data: approve
+          ? { status: 'confirmed', confirmedAt: new Date() }
+          : { status: 'expired' }
+      });
+
+      if (count === 0) {
+        return {
+          code: 400,
+          message: '请先扫码'
+        }
+      }
+
+      return { code: 200, message: approve ? '已确认登录' : '已取消登录' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = QrLoginModel;
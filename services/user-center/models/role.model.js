@@ -0,0 +1,519 @@
+// 角色模型 - 管理角色、权限和角色级别，并集中判断用户是否有权执行操作
+const prisma = require('../utils/prisma');
+
+// 权限定义，新增权限只需在此添加，服务启动后首次检查权限时写入数据库
+const PERMISSIONS = {
+  'users:read': '查看用户列表和用户信息',
+  'users:create': '创建用户',
+  'users:update': '修改用户信息和角色',
+  'users:delete': '删除用户',
+  'users:import': '批量导入用户',
+  'users:security': '管理用户的登录安全（解除锁定、要求修改密码、查看和注销登录设备）',
+  'roles:read': '查看角色和权限',
+  'roles:manage': '创建、修改、删除角色',
+  'oauth-clients:manage': '管理OAuth客户端',
+  'products:manage': '管理产品目录',
+  'audit-logs:read': '查看和导出审计日志'
+};
+
+// 只授予超级管理员的权限，内置的管理员角色不包含
+const SUPERADMIN_ONLY_PERMISSIONS = ['roles:manage', 'audit-logs:read'];
+
+// 内置角色，数据库中不存在时按此创建；超级管理员始终拥有全部权限
+const BUILT_IN_ROLES = [
+  { name: 'user', displayName: '普通用户', level: 0, permissions: [] },
+  {
+    name: 'admin',
+    displayName: '管理员',
+    level: 50,
+    permissions: Object.keys(PERMISSIONS).filter(permission => !SUPERADMIN_ONLY_PERMISSIONS.includes(permission))
+  },
+  { name: 'superadmin', displayName: '超级管理员', level: 100, permissions: Object.keys(PERMISSIONS) }
+];
+
+const SUPERADMIN_ROLE = 'superadmin';
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+// 角色缓存时间，多实例部署时其他实例的修改最多延迟这么久生效
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+
+let roleCache = null;
+let roleCacheExpiresAt = 0;
+let builtInRolesPromise = null;
+
+/**
+ * 格式化角色，权限转换为名称列表
+ * @param {Object} role - 包含 permissions.permission 的角色
+ * @returns {Object} 角色
+ */
+const formatRole = (role) => {
+  const { permissions, ...rest } = role;
+  return { ...rest, permissions: permissions.map(item => item.permission.name).sort() };
+};
+
+/**
+ * 构造创建角色权限关联的嵌套写入
+ * @param {Array<string>} permissions - 权限名称列表
+ * @returns {Object} Prisma嵌套写入
+ */
+const permissionsCreate = (permissions) => {
+  return { create: permissions.map(name => ({ permission: { connect: { name } } })) };
+};
+
+// 查询角色时一并查询权限
+const ROLE_INCLUDE = { permissions: { include: { permission: true } } };
+
+/**
+ * 角色模型类
+ * 用户通过 User.role 关联一个角色，拥有该角色的全部权限。
+ * 角色级别用于防止越权：只能管理级别不高于自己的用户，只能分配级别不高于自己的角色，
+ * 只能创建和修改级别低于自己的角色，且只能授予自己拥有的权限
+ */
+class RoleModel {
+  /**
+   * 同步权限定义并创建缺少的内置角色
+   * 已存在的内置角色保留管理员修改过的权限，只有超级管理员会补齐新增的权限
+   * @returns {Promise<void>}
+   */
+  static async ensureBuiltInRoles() {
+    if (!builtInRolesPromise) {
+      builtInRolesPromise = (async () => {
+        for (const [name, description] of Object.entries(PERMISSIONS)) {
+          await prisma.permission.upsert({
+            where: { name },
+            update: { description },
+            create: { name, description }
+          });
+        }
+
+        const permissions = await prisma.permission.findMany({ select: { id: true, name: true } });
+        const permissionIds = new Map(permissions.map(permission => [permission.name, permission.id]));
+
+        for (const builtInRole of BUILT_IN_ROLES) {
+          let role = await prisma.role.findUnique({ where: { name: builtInRole.name } });
+          const isNew = !role;
+          if (isNew) {
+            role = await prisma.role.create({
+              data: {
+                name: builtInRole.name,
+                displayName: builtInRole.displayName,
+                level: builtInRole.level,
+                builtIn: true
+              }
+            });
+          }
+
+          if (isNew || builtInRole.name === SUPERADMIN_ROLE) {
+            await prisma.rolePermission.createMany({
+              data: builtInRole.permissions.map(name => ({ roleId: role.id, permissionId: permissionIds.get(name) })),
+              skipDuplicates: true
+            });
+          }
+        }
+      })().catch(error => {
+        builtInRolesPromise = null;
+        throw error;
+      });
+    }
+    return builtInRolesPromise;
+  }
+
+  /**
+   * 加载全部角色及其权限
+   * @returns {Promise<Map<string, {level: number, permissions: Set<string>}>>} 以角色名称为键的角色
+   */
+  static async loadRoles() {
+    try {
+      if (roleCache && roleCacheExpiresAt > Date.now()) {
+        return roleCache;
+      }
+
+      await this.ensureBuiltInRoles();
+
+      const roles = await prisma.role.findMany({
+        include: ROLE_INCLUDE
+      });
+
+      roleCache = new Map(roles.map(role => [role.name, {
+        level: role.level,
+        permissions: new Set(role.permissions.map(item => item.permission.name))
+      }]));
+      roleCacheExpiresAt = Date.now() + ROLE_CACHE_TTL_MS;
+
+      return roleCache;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 清除角色缓存，角色或权限修改后调用
+   */
+  static clearCache() {
+    roleCache = null;
+    roleCacheExpiresAt = 0;
+  }
+
+  /**
+   * 获取角色的权限
+   * @param {string} roleName - 角色名称
+   * @returns {Promise<Array<string>>} 权限列表，角色不存在时为空
+   */
+  static async getPermissions(roleName) {
+    try {
+      const roles = await this.loadRoles();
+      const role = roles.get(roleName);
+      return role ? [...role.permissions] : [];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 判断角色是否拥有权限
+   * @param {string} roleName - 角色名称
+   * @param {string} permission - 权限名称
+   * @returns {Promise<boolean>} 是否拥有
+   */
+  static async hasPermission(roleName, permission) {
+    try {
+      const roles = await this.loadRoles();
+      const role = roles.get(roleName);
+      return Boolean(role && role.permissions.has(permission));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取角色级别
+   * @param {string} roleName - 角色名称
+   * @returns {Promise<number|null>} 角色级别，角色不存在时返回null
+   */
+  static async getLevel(roleName) {
+    try {
+      const roles = await this.loadRoles();
+      const role = roles.get(roleName);
+      return role ? role.level : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 判断操作者能否管理某个角色的用户（级别不低于对方）
+   * 对方的角色已被删除时按最低级别处理
+   * @param {string} actorRole - 操作者的角色
+   * @param {string} targetRole - 被管理用户的角色
+   * @returns {Promise<boolean>} 是否可以管理
+   */
+  static async canManageUser(actorRole, targetRole) {
+    try {
+      const actorLevel = await this.getLevel(actorRole);
+      const targetLevel = await this.getLevel(targetRole);
+      return actorLevel !== null && actorLevel >= (targetLevel === null ? 0 : targetLevel);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 检查操作者能否为用户分配角色
+   * @param {Object|null} actor - 操作者，命令行导入等系统操作时为null，只检查角色是否存在
+   * @param {string} roleName - 要分配的角色
+   * @returns {Promise<Object|null>} 不能分配时返回错误结果，可以分配时返回null
+   */
+  static async checkAssignableRole(actor, roleName) {
+    try {
+      const level = await this.getLevel(roleName);
+      if (level === null) {
+        return {
+          code: 400,
+          message: `角色不存在: ${roleName}`
+        }
+      }
+
+      if (actor) {
+        const actorLevel = await this.getLevel(actor.role);
+        if (actorLevel === null || level > actorLevel) {
+          return {
+            code: 403,
+            message: `无权分配角色: ${roleName}`
+          }
+        }
+      }
+
+      return null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 检查操作者能否创建、修改或删除角色
+   * 只能操作级别低于自己的角色，并且只能授予自己拥有的权限
+   * @param {Object} actor - 操作者
+   * @param {number} level - 角色级别
+   * @param {Array<string>} permissions - 要授予的权限，不修改权限时为undefined
+   * @returns {Promise<Object|null>} 不能操作时返回错误结果，可以操作时返回null
+   */
+  static async checkManageableRole(actor, level, permissions) {
+    try {
+      const actorLevel = await this.getLevel(actor.role);
+      if (actorLevel === null || level >= actorLevel) {
+        return {
+          code: 403,
+          message: '只能管理级别低于自己的角色'
+        }
+      }
+
+      if (permissions !== undefined) {
+        if (!Array.isArray(permissions)) {
+          return {
+            code: 400,
+            message: '权限必须是数组'
+          }
+        }
+
+        const invalidPermissions = permissions.filter(permission => !PERMISSIONS[permission]);
+        if (invalidPermissions.length > 0) {
+          return {
+            code: 400,
+            message: `无效的权限: ${invalidPermissions.join(', ')}`
+          }
+        }
+
+        const actorPermissions = await this.getPermissions(actor.role);
+        const deniedPermissions = permissions.filter(permission => !actorPermissions.includes(permission));
+        if (deniedPermissions.length > 0) {
+          return {
+            code: 403,
+            message: `不能授予自己没有的权限: ${deniedPermissions.join(', ')}`
+          }
+        }
+      }
+
+      return null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取权限定义
+   * @returns {Array<Object>} 权限列表
+   */
+  static getPermissionDefinitions() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  /**
+   * 获取角色列表
+   * @returns {Promise<Object>} 角色列表，包含权限和使用该角色的用户数
+   */
+  static async getRoles() {
+    try {
+      await this.ensureBuiltInRoles();
+
+      const roles = await prisma.role.findMany({
+        orderBy: [{ level: 'desc' }, { name: 'asc' }],
+        include: ROLE_INCLUDE
+      });
+
+      const counts = await prisma.user.groupBy({
+        by: ['role'],
+        _count: { _all: true }
+      });
+      const userCounts = new Map(counts.map(item => [item.role, item._count._all]));
+
+      return {
+        code: 200,
+        message: '获取角色列表成功',
+        data: roles.map(role => ({ ...formatRole(role), userCount: userCounts.get(role.name) || 0 }))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 创建角色
+   * @param {Object} actor - 操作者
+   * @param {Object} roleData - 角色信息 { name, displayName, description, level, permissions }
+   * @returns {Promise<Object>} 创建的角色
+   */
+  static async createRole(actor, roleData) {
+    try {
+      const { name, displayName, description, level = 0, permissions = [] } = roleData;
+
+      if (!name || !ROLE_NAME_PATTERN.test(name)) {
+        return {
+          code: 400,
+          message: '角色名称只能包含小写字母、数字、下划线和连字符，以字母开头，长度2-50'
+        }
+      }
+
+      if (!Number.isInteger(level) || level < 0) {
+        return {
+          code: 400,
+          message: '角色级别必须是非负整数'
+        }
+      }
+
+      const manageError = await this.checkManageableRole(actor, level, permissions);
+      if (manageError) {
+        return manageError;
+      }
+
+      await this.ensureBuiltInRoles();
+
+      const existingRole = await prisma.role.findUnique({ where: { name } });
+      if (existingRole) {
+        return {
+          code: 409,
+          message: '角色已存在'
+        }
+      }
+
+      const role = await prisma.role.create({
+        data: {
+          name,
+          displayName: displayName || name,
+          description,
+          level,
+          permissions: permissionsCreate([...new Set(permissions)])
+        },
+        include: ROLE_INCLUDE
+      });
+
+      this.clearCache();
+
+      return { code: 200, message: '创建角色成功', data: formatRole(role) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 修改角色
+   * 角色名称不能修改；内置角色的级别不能修改
+   * @param {Object} actor - 操作者
+   * @param {string} name - 角色名称
+   * @param {Object} roleData - 要修改的信息 { displayName, description, level, permissions }
+   * @returns {Promise<Object>} 修改后的角色
+   */
+  static async updateRole(actor, name, roleData) {
+    try {
+      await this.ensureBuiltInRoles();
+
+      const role = await prisma.role.findUnique({ where: { name } });
+      if (!role) {
+        return {
+          code: 404,
+          message: '角色不存在'
+        }
+      }
+
+      const { displayName, description, level, permissions } = roleData;
+
+      if (level !== undefined) {
+        if (role.builtIn && level !== role.level) {
+          return {
+            code: 400,
+            message: '内置角色的级别不能修改'
+          }
+        }
+        if (!Number.isInteger(level) || level < 0) {
+          return {
+            code: 400,
+            message: '角色级别必须是非负整数'
+          }
+        }
+      }
+
+      // 原级别和新级别都必须低于操作者
+      const manageError = await this.checkManageableRole(actor, role.level, permissions)
+        || await this.checkManageableRole(actor, level === undefined ? role.level : level);
+      if (manageError) {
+        return manageError;
+      }
+
+      const data = {};
+      if (displayName !== undefined) data.displayName = displayName;
+      if (description !== undefined) data.description = description;
+      if (level !== undefined) data.level = level;
+
+      // 修改权限时先删除原有的关联，再按新的列表创建
+      const operations = [];
+      if (permissions !== undefined) {
+        operations.push(prisma.rolePermission.deleteMany({ where: { roleId: role.id } }));
+        data.permissions = permissionsCreate([...new Set(permissions)]);
+      }
+      operations.push(prisma.role.update({
+        where: { id: role.id },
+        data: data,
+        include: ROLE_INCLUDE
+      }));
+
+      const updatedRole = (await prisma.$transaction(operations)).pop();
+
+      this.clearCache();
+
+      return { code: 200, message: '修改角色成功', data: formatRole(updatedRole) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 删除角色
+   * 内置角色和仍有用户使用的角色不能删除
+   * @param {Object} actor - 操作者
+   * @param {string} name - 角色名称
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async deleteRole(actor, name) {
+    try {
+      const role = await prisma.role.findUnique({ where: { name } });
+      if (!role) {
+        return {
+          code: 404,
+          message: '角色不存在'
+        }
+      }
+
+      if (role.builtIn) {
+        return {
+          code: 400,
+          message: '内置角色不能删除'
+        }
+      }
+
+      const manageError = await this.checkManageableRole(actor, role.level);
+      if (manageError) {
+        return manageError;
+      }
+
+      const userCount = await prisma.user.count({ where: { role: name } });
+      if (userCount > 0) {
+        return {
+          code: 400,
+          message: `仍有${userCount}个用户使用该角色，请先修改这些用户的角色`
+        }
+      }
+
+      await prisma.$transaction([
+        prisma.rolePermission.deleteMany({ where: { roleId: role.id } }),
+        prisma.role.delete({ where: { id: role.id } })
+      ]);
+
+      this.clearCache();
+
+      return { code: 200, message: '删除角色成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = RoleModel;
@@ -0,0 +1,422 @@
+// 订阅模型 - 处理订阅的生命周期、计费事件以及与产品授权的同步
+const prisma = require('../utils/prisma');
+const PlanModel = require('./plan.model');
+const { parseTime } = require('../utils/time');
+
+// 仍可使用产品的订阅状态，逾期（past_due）期间支付平台会继续重试扣款，暂不停止使用
+const LIVE_STATUSES = ['trialing', 'active', 'past_due'];
+
+// 允许的状态变化，已取消的订阅不能恢复，需要重新订阅
+const STATUS_TRANSITIONS = {
+  trialing: ['trialing', 'active', 'past_due', 'canceled'],
+  active: ['active', 'past_due', 'canceled'],
+  past_due: ['active', 'past_due', 'canceled'],
+  canceled: []
+};
+
+// 订阅状态对应的产品授权状态
+const ENTITLEMENT_STATUS = {
+  trialing: 'trial',
+  active: 'active',
+  past_due: 'active',
+  canceled: 'expired'
+};
+
+/**
+ * 生成未取消订阅的唯一键，并发订阅同一产品时由唯一约束保证只有一个成功
+ * @param {number} userId - 用户ID
+ * @param {string} productId - 产品ID
+ * @returns {string} 唯一键
+ */
+const liveKeyOf = (userId, productId) => `${userId}:${productId}`;
+
+/**
+ * 格式化订阅
+ * @param {Object} subscription - 包含 plan 的订阅
+ * @returns {Object} 订阅信息
+ */
+const formatSubscription = (subscription) => {
+  const { plan, planId, liveKey, ...rest } = subscription;
+  return {
+    ...rest,
+    plan: { code: plan.code, name: plan.name, features: plan.features }
+  };
+};
+
+/**
+ * 订阅模型类
+ * 付费订阅由支付平台（或内部计费服务）推送的计费事件驱动，免费套餐由用户自行订阅和取消。
+ * 同一用户的同一产品同时只有一个未取消的订阅，订阅状态变化时同步更新产品授权（UserProduct）
+ */
+class SubscriptionModel {
+  /**
+   * 订阅是否仍可使用产品
+   * @param {Object} subscription - 订阅
+   * @returns {boolean} 是否有效
+   */
+  static isLive(subscription) {
+    return LIVE_STATUSES.includes(subscription.status);
+  }
+
+  /**
+   * 获取用户在某个产品上未取消的订阅
+   * @param {number} userId - 用户ID
+   * @param {string} productId - 产品ID
+   * @returns {Promise<Object|null>} 订阅（包含套餐），不存在时返回null
+   */
+  static async findLiveSubscription(userId, productId) {
+    return prisma.subscription.findFirst({
+      where: { userId: userId, productId: productId, status: { in: LIVE_STATUSES } },
+      orderBy: { createdAt: 'desc' },
+      include: { plan: true }
+    });
+  }
+
+  /**
+   * 获取订阅列表
+   * @param {Object} filters - 过滤条件 { userId, productId, status }
+   * @returns {Promise<Object>} 订阅列表
+   */
+  static async getSubscriptions(filters = {}) {
+    try {
+      const where = {};
+      if (filters.userId) {
+        where.userId = filters.userId;
+      }
+      if (filters.productId) {
+        where.productId = filters.productId;
+      }
+      if (filters.status) {
+        where.status = filters.status;
+      }
+
+      const subscriptions = await prisma.subscription.findMany({
+        where: where,
+        orderBy: { createdAt: 'desc' },
+        take: 100,
+        include: { plan: true }
+      });
+
+      return { code: 200, message: '获取订阅列表成功', data: subscriptions.map(formatSubscription) };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 将订阅状态同步到产品授权
+   * @param {Object} subscription - 订阅
+   * @returns {Promise<void>}
+   */
+  static async syncEntitlement(subscription) {
+    let endsAt = null;
+    if (subscription.status === 'trialing') {
+      endsAt = subscription.trialEndsAt;
+    } else if (subscription.status === 'canceled') {
+      endsAt = subscription.canceledAt || new Date();
+    } else if (subscription.cancelAtPeriodEnd) {
+      endsAt = subscription.currentPeriodEnd;
+    }
+
+    const data = { status: ENTITLEMENT_STATUS[subscription.status], endsAt: endsAt };
+
+    await prisma.userProduct.upsert({
+      where: { userId_productId: { userId: subscription.userId, productId: subscription.productId } },
+      update: data,
+      create: { ...data, userId: subscription.userId, productId: subscription.productId }
+    });
+  }
+
+  /**
+   * 修改订阅
+   * 以当前状态作为更新条件，防止并发事件覆盖彼此的状态变化；取消订阅时撤销已签发的许可证
+   * @param {Object} subscription - 当前订阅
+   * @param {Object} data - 要更新的字段
+   * @returns {Promise<Object>} 处理结果，成功时返回更新后的订阅
+   */
+  static async transition(subscription, data) {
+    const status = data.status || subscription.status;
+    if (!STATUS_TRANSITIONS[subscription.status].includes(status)) {
+      return {
+        code: 409,
+        message: `订阅状态不能从 ${subscription.status} 变为 ${status}`
+      }
+    }
+
+    const { count } = await prisma.subscription.updateMany({
+      where: { id: subscription.id, status: subscription.status },
+      // 取消后释放唯一键，允许重新订阅
+      data: status === 'canceled' ? { ...data, liveKey: null } : data
+    });
+
+    if (count === 0) {
+      return { code: 409, message: '订阅状态已变化，请重试' }
+    }
+
+    const updated = await prisma.subscription.findUnique({
+      where: { id: subscription.id },
+      include: { plan: true }
+    });
+
+    if (status === 'canceled') {
+      await prisma.license.updateMany({
+        where: { subscriptionId: subscription.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+    }
+
+    await this.syncEntitlement(updated);
+
+    return { code: 200, message: '订阅已更新', data: formatSubscription(updated) };
+  }
+
+  /**
+   * 订阅免费套餐
+   * @param {Object} user - 当前用户
+   * @param {string} productId - 产品ID
+   * @returns {Promise<Object>} 创建的订阅
+   */
+  static async subscribeFree(user, productId) {
+    try {
+      const plan = await PlanModel.findActivePlan(String(productId || ''), 'free');
+      if (!plan) {
+        return { code: 400, message: '该产品没有可订阅的免费套餐' }
+      }
+
+      if (await this.findLiveSubscription(user.id, plan.productId)) {
+        return { code: 409, message: '已订阅该产品' }
+      }
+
+      const subscription = await prisma.subscription.create({
+        data: {
+          userId: user.id,
+          productId: plan.productId,
+          planId: plan.id,
+          status: 'active',
+          liveKey: liveKeyOf(user.id, plan.productId)
+        },
+        include: { plan: true }
+      });
+
+      await this.syncEntitlement(subscription);
+
+      return { code: 200, message: '订阅成功', data: formatSubscription(subscription) };
+    } catch (error) {
+      // 并发请求已创建了未取消的订阅
+      if (error.code === 'P2002') {
+        return { code: 409, message: '已订阅该产品' }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 取消免费订阅
+   * 付费订阅需要在支付平台取消，由计费事件同步
+   * @param {Object} user - 当前用户
+   * @param {number} subscriptionId - 订阅ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async cancelFreeSubscription(user, subscriptionId) {
+    try {
+      const subscription = await prisma.subscription.findFirst({
+        where: { id: subscriptionId, userId: user.id }
+      });
+
+      if (!subscription) {
+        return { code: 404, message: '订阅不存在' }
+      }
+
+      if (subscription.externalId) {
+        return { code: 400, message: '付费订阅请在支付平台取消' }
+      }
+
+      return await this.transition(subscription, { status: 'canceled', canceledAt: new Date() });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 根据计费事件查找订阅
+   * @param {Object} data - 事件数据 { externalId }
+   * @returns {Promise<Object|null>} 订阅
+   */
+  static async findByExternalId(data) {
+    if (!data.externalId) {
+      return null;
+    }
+    return prisma.subscription.findUnique({
+      where: { externalId: String(data.externalId) }
+    });
+  }
+
+  /**
+   * 处理订阅创建事件
+   * 用户已有免费订阅时视为升级，免费订阅随即取消
+   * @param {Object} data - 事件数据 { externalId, userId, productId, plan, status, trialEndsAt, currentPeriodEnd }
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async handleSubscriptionCreated(data) {
+    if (!data.externalId || !data.userId || !data.productId || !data.plan) {
+      return { code: 400, message: 'externalId、userId、productId、plan 为必填项' }
+    }
+
+    if (await this.findByExternalId(data)) {
+      return { code: 409, message: '订阅已存在' }
+    }
+
+    const plan = await PlanModel.findActivePlan(String(data.productId), String(data.plan));
+    if (!plan) {
+      return { code: 400, message: '套餐不存在或已归档' }
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: parseInt(data.userId) }, select: { id: true } });
+    if (!user) {
+      return { code: 400, message: '用户不存在' }
+    }
+
+    const status = data.status || (plan.trialDays > 0 ? 'trialing' : 'active');
+    if (!['trialing', 'active'].includes(status)) {
+      return { code: 400, message: '新订阅的状态只能是 trialing 或 active' }
+    }
+
+    const trialEndsAt = status === 'trialing'
+      ? (parseTime(data.trialEndsAt) || new Date(Date.now() + plan.trialDays * 24 * 60 * 60 * 1000))
+      : null;
+    const currentPeriodEnd = data.currentPeriodEnd !== undefined ? parseTime(data.currentPeriodEnd) : null;
+    if (currentPeriodEnd === undefined) {
+      return { code: 400, message: '无效的计费周期结束时间' }
+    }
+
+    const existing = await this.findLiveSubscription(user.id, plan.productId);
+    if (existing) {
+      if (existing.externalId) {
+        return { code: 409, message: '用户已有该产品的付费订阅' }
+      }
+      await this.transition(existing, { status: 'canceled', canceledAt: new Date() });
+    }
+
+    const subscription = await prisma.subscription.create({
+      data: {
+        userId: user.id,
+        productId: plan.productId,
+        planId: plan.id,
+        status: status,
+        externalId: String(data.externalId),
+        trialEndsAt: trialEndsAt,
+        currentPeriodEnd: currentPeriodEnd,
+        liveKey: liveKeyOf(user.id, plan.productId)
+      },
+      include: { plan: true }
+    });
+
+    await this.syncEntitlement(subscription);
+
+    return { code: 200, message: '订阅已创建', data: formatSubscription(subscription) };
+  }
+
+  /**
+   * 处理订阅修改事件（更换套餐、设置到期取消、修改计费周期）
+   * @param {Object} subscription - 当前订阅
+   * @param {Object} data - 事件数据 { plan, cancelAtPeriodEnd, currentPeriodEnd }
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async handleSubscriptionUpdated(subscription, data) {
+    const update = {};
+
+    if (data.plan !== undefined) {
+      const plan = await PlanModel.findActivePlan(subscription.productId, String(data.plan));
+      if (!plan) {
+        return { code: 400, message: '套餐不存在或已归档' }
+      }
+      update.planId = plan.id;
+    }
+    if (data.cancelAtPeriodEnd !== undefined) {
+      update.cancelAtPeriodEnd = data.cancelAtPeriodEnd === true;
+    }
+    if (data.currentPeriodEnd !== undefined) {
+      update.currentPeriodEnd = parseTime(data.currentPeriodEnd);
+      if (update.currentPeriodEnd === undefined) {
+        return { code: 400, message: '无效的计费周期结束时间' }
+      }
+    }
+
+    return this.transition(subscription, update);
+  }
+
+  /**
+   * 处理计费事件
+   * 事件ID只处理一次，重复推送的事件直接返回成功；处理失败时不记录事件，支付平台重试时会重新处理
+   * @param {Object} event - 计费事件 { id, type, data }
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async handleBillingEvent(event) {
+    try {
+      if (!event || !event.id || !event.type || typeof event.data !== 'object' || !event.data) {
+        return { code: 400, message: '事件格式无效，需要 id、type、data 字段' }
+      }
+
+      const handlers = {
+        'subscription.created': () => this.handleSubscriptionCreated(event.data),
+        'subscription.updated': (subscription) => this.handleSubscriptionUpdated(subscription, event.data),
+        'invoice.paid': (subscription) => {
+          const currentPeriodEnd = event.data.currentPeriodEnd !== undefined ? parseTime(event.data.currentPeriodEnd) : subscription.currentPeriodEnd;
+          if (currentPeriodEnd === undefined) {
+            return { code: 400, message: '无效的计费周期结束时间' }
+          }
+          return this.transition(subscription, { status: 'active', trialEndsAt: null, currentPeriodEnd });
+        },
+        'invoice.payment_failed': (subscription) => this.transition(subscription, { status: 'past_due' }),
+        'subscription.canceled': (subscription) => this.transition(subscription, { status: 'canceled', canceledAt: new Date() })
+      };
+
+      const handler = handlers[event.type];
+      if (!handler) {
+        return { code: 200, message: `已忽略不支持的事件类型: ${event.type}` };
+      }
+
+      // 先记录事件ID，并发推送的同一事件只有一个会继续处理
+      let record;
+      try {
+        record = await prisma.billingEvent.create({
+          data: { eventId: String(event.id), type: event.type, payload: event }
+        });
+      } catch (error) {
+        if (error.code === 'P2002') {
+          return { code: 200, message: '事件已处理' };
+        }
+        throw error;
+      }
+
+      let result;
+      try {
+        if (event.type === 'subscription.created') {
+          result = await handler();
+        } else {
+          const subscription = await this.findByExternalId(event.data);
+          result = subscription ? await handler(subscription) : { code: 404, message: '订阅不存在' };
+        }
+      } catch (error) {
+        await prisma.billingEvent.delete({ where: { id: record.id } });
+        throw error;
+      }
+
+      if (result.code !== 200) {
+        await prisma.billingEvent.delete({ where: { id: record.id } });
+        return result;
+      }
+
+      await prisma.billingEvent.update({
+        where: { id: record.id },
+        data: { subscriptionId: result.data.id }
+      });
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = SubscriptionModel;
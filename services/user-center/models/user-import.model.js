@@ -0,0 +1,228 @@
+// 用户导入模型 - 批量导入其他系统的用户，支持明文密码和旧系统的密码哈希
+const prisma = require('../utils/prisma');
+const passwordHasher = require('../utils/password-hasher');
+const { validatePassword } = require('../utils/password-policy');
+const RoleModel = require('./role.model');
+
+// 可导入的状态
+const IMPORT_STATUSES = ['active', 'inactive', 'blocked'];
+// 可导入的密码哈希格式
+const IMPORT_HASH_FORMATS = ['bcrypt', 'argon2id', 'md5-salted', 'sha256'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * 将 CSV 中的布尔值字符串转换为布尔值
+ * @param {*} value - 原始值
+ * @returns {boolean} 布尔值
+ */
+const toBoolean = (value) => {
+  if (typeof value === 'string') {
+    return ['true', '1', 'yes', 'y'].includes(value.trim().toLowerCase());
+  }
+  return value === true || value === 1;
+};
+
+/**
+ * 用户导入模型类
+ * 每行单独校验和创建，某一行失败不影响其他行；试运行时只校验，不写入数据库
+ */
+class UserImportModel {
+  /**
+   * 校验一行导入数据
+   * @param {Object} row - 导入数据
+   * @param {Object} operator - 执行导入的管理员，命令行导入时为null
+   * @returns {Promise<{errors: Array<string>, data: Object}>} 错误列表和待创建的用户数据
+   */
+  static async validateRow(row, operator) {
+    const errors = [];
+    const username = row.username ? String(row.username).trim() : '';
+    const email = row.email ? String(row.email).trim() : '';
+    const role = row.role || 'user';
+    const status = row.status || 'active';
+
+    if (!username) {
+      errors.push('用户名为必填项');
+    } else if (username.length > 50) {
+      errors.push('用户名不能超过50个字符');
+    }
+
+    if (!email) {
+      errors.push('邮箱为必填项');
+    } else if (email.length > 100 || !EMAIL_PATTERN.test(email)) {
+      errors.push('邮箱格式不正确');
+    }
+
+    // 只能导入级别不高于操作者的角色
+    const roleError = await RoleModel.checkAssignableRole(operator, String(role));
+    if (roleError) {
+      errors.push(roleError.message);
+    }
+
+    if (!IMPORT_STATUSES.includes(status)) {
+      errors.push(`无效的状态: ${status}`);
+    }
+
+    // 明文密码按密码策略校验后加密；旧系统的哈希原样保存，用户首次登录成功后升级到当前算法
+    let passwordHash = null;
+    if (row.password && row.passwordHash) {
+      errors.push('密码和密码哈希只能提供一个');
+    } else if (row.password) {
+      const passwordError = await validatePassword(String(row.password), { username, email });
+      if (passwordError) {
+        errors.push(passwordError.message);
+      }
+    } else if (row.passwordHash) {
+      const format = row.passwordHashFormat || 'bcrypt';
+      if (!IMPORT_HASH_FORMATS.includes(format)) {
+        errors.push(`不支持的密码哈希格式: ${format}，可选值: ${IMPORT_HASH_FORMATS.join(', ')}`);
+      } else {
+        passwordHash = passwordHasher.importHash(format, String(row.passwordHash), row.passwordSalt);
+        if (!passwordHash) {
+          errors.push(`密码哈希不是有效的 ${format} 格式`);
+        }
+      }
+    } else {
+      errors.push('请提供密码或密码哈希');
+    }
+
+    return {
+      errors,
+      data: {
+        username,
+        email,
+        password: row.password ? String(row.password) : null,
+        passwordHash,
+        nickname: row.nickname ? String(row.nickname).slice(0, 50) : username,
+        role,
+        status,
+        source: row.source ? String(row.source).slice(0, 50) : null,
+        emailVerified: toBoolean(row.emailVerified),
+        passwordResetRequired: toBoolean(row.passwordResetRequired)
+      }
+    };
+  }
+
+  /**
+   * 批量导入用户
+   * 用户名和邮箱不能与已有用户或同一批次中的其他行重复。
+   * 导入的用户不发送验证邮件，未确认的邮箱按邮箱验证策略处理
+   * @param {Array<Object>} rows - 导入数据，字段见 validateRow
+   * @param {Object} options - 导入选项
+   * @param {boolean} options.dryRun - 是否只校验不写入
+   * @param {string} options.source - 未指定来源的行使用的注册来源
+   * @param {Object} options.operator - 执行导入的管理员，命令行导入时为null
+   * @returns {Promise<Object>} 导入结果，包含每一行的处理结果
+   */
+  static async importUsers(rows, { dryRun = false, source = 'import', operator = null } = {}) {
+    try {
+      const results = [];
+      for (let i = 0; i < rows.length; i++) {
+        const { errors, data } = await this.validateRow(rows[i] || {}, operator);
+        results.push({ row: i + 1, username: data.username, email: data.email, errors, data });
+      }
+
+      // 检查同一批次内的重复
+      const seenUsernames = new Map();
+      const seenEmails = new Map();
+      for (const result of results) {
+        const { username, email } = result;
+        if (username && seenUsernames.has(username)) {
+          result.errors.push(`用户名与第${seenUsernames.get(username)}行重复`);
+        } else if (username) {
+          seenUsernames.set(username, result.row);
+        }
+        if (email && seenEmails.has(email)) {
+          result.errors.push(`邮箱与第${seenEmails.get(email)}行重复`);
+        } else if (email) {
+          seenEmails.set(email, result.row);
+        }
+      }
+
+      // 检查与已有用户的重复
+      const existingUsers = await prisma.user.findMany({
+        where: {
+          OR: [
+            { username: { in: [...seenUsernames.keys()] } },
+            { email: { in: [...seenEmails.keys()] } }
+          ]
+        },
+        select: { username: true, email: true }
+      });
+      const existingUsernames = new Set(existingUsers.map(user => user.username));
+      const existingEmails = new Set(existingUsers.map(user => user.email));
+      for (const result of results) {
+        if (existingUsernames.has(result.username)) {
+          result.errors.push('用户名已存在');
+        }
+        if (existingEmails.has(result.email)) {
+          result.errors.push('邮箱已被注册');
+        }
+      }
+
+      for (const result of results) {
+        if (result.errors.length > 0) {
+          result.status = 'error';
+          continue;
+        }
+        if (dryRun) {
+          result.status = 'valid';
+          continue;
+        }
+
+        const { data } = result;
+        try {
+          const user = await prisma.user.create({
+            data: {
+              username: data.username,
+              email: data.email,
+              passwordHash: data.password ? await passwordHasher.hashPassword(data.password) : data.passwordHash,
+              passwordChangedAt: new Date(),
+              passwordResetRequired: data.passwordResetRequired,
+              nickname: data.nickname,
+              role: data.role,
+              status: data.status,
+              source: data.source || source,
+              emailVerified: data.emailVerified,
+              emailVerifiedAt: data.emailVerified ? new Date() : null
+            },
+            select: { id: true }
+          });
+          result.status = 'created';
+          result.id = user.id;
+        } catch (error) {
+          // 校验后被其他请求抢先创建了相同的用户名或邮箱
+          if (error.code === 'P2002') {
+            result.status = 'error';
+            result.errors.push('用户名或邮箱已存在');
+            continue;
+          }
+          throw error;
+        }
+      }
+
+      const summary = {
+        dryRun,
+        total: results.length,
+        created: results.filter(result => result.status === 'created').length,
+        valid: results.filter(result => result.status !== 'error').length,
+        failed: results.filter(result => result.status === 'error').length
+      };
+
+      return {
+        code: 200,
+        message: dryRun
+          ? `校验完成，${summary.valid}行有效，${summary.failed}行有错误`
+          : `导入完成，成功${summary.created}行，失败${summary.failed}行`,
+        data: {
+          ...summary,
+          rows: results.map(({ row, username, email, status, errors, id }) => ({ row, username, email, status, errors, id }))
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = UserImportModel;
@@ -1,9 +1,37 @@
 // 用户模型 - 处理用户相关业务逻辑
-const { PrismaClient } = require('@prisma/client');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const prisma = require('../utils/prisma');
+const crypto = require('crypto');
+const {
+  parseDuration,
+  generateOpaqueToken,
+  hashToken,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/token');
+const EmailVerificationModel = require('./email-verification.model');
+const ProductModel = require('./product.model');
+const { validatePassword } = require('../utils/password-policy');
+const passwordHasher = require('../utils/password-hasher');
+const { parseUserAgent } = require('../utils/user-agent');
+const loginGuard = require('../utils/login-guard');
 
-const prisma = new PrismaClient();
+// 刷新令牌有效期，默认30天
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
+// 邮箱验证策略：optional 允许未验证邮箱的用户登录，required 必须验证后才能登录
+const EMAIL_VERIFICATION_POLICY = process.env.EMAIL_VERIFICATION_POLICY || 'optional';
+// 二次验证挑战令牌有效期，默认5分钟
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+// 强制启用二次验证的角色，多个角色用逗号分隔，如 admin,superadmin
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean);
+// 禁止重复使用最近几次用过的密码（包含当前密码），0 表示不限制
+const PASSWORD_HISTORY_COUNT = parseInt(process.env.PASSWORD_HISTORY_COUNT || '0');
+// 密码有效天数，超过后登录时必须修改密码，0 表示永不过期
+const PASSWORD_MAX_AGE_DAYS = parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0');
+// 密码有效期适用的角色，多个角色用逗号分隔，为空表示所有角色
+const PASSWORD_EXPIRY_ROLES = (process.env.PASSWORD_EXPIRY_ROLES || '').split(',').map(role => role.trim()).filter(Boolean);
+// 登录时要求修改密码的令牌有效期
+const PASSWORD_CHANGE_TOKEN_EXPIRES_IN = process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN || '10m';
 
 /**
  * 用户模型类
@@ -43,8 +71,7 @@ class UserModel {
       }
 
       // 加密密码
-      const salt = await bcrypt.genSalt(10);
-      const passwordHash = await bcrypt.hash(userData.password, salt);
+      const passwordHash = await passwordHasher.hashPassword(userData.password);
 
       // 创建用户
       const user = await prisma.user.create({
@@ -52,6 +79,7 @@ class UserModel {
           username: userData.username,
           email: userData.email,
           passwordHash: passwordHash,
+          passwordChangedAt: new Date(),
           nickname: userData.nickname || userData.username,
           role: userData.role || 'user',
           status: 'active',
@@ -61,6 +89,7 @@ class UserModel {
           id: true,
           username: true,
           email: true,
+          emailVerified: true,
           nickname: true,
           role: true,
           status: true,
@@ -69,6 +98,9 @@ class UserModel {
         }
       });
 
+      // 发送邮箱验证邮件
+      await this.sendVerificationEmail(user.id);
+
       return { code: 200, message: '创建用户成功', data: user };
     } catch (error) {
       throw error;
@@ -94,8 +126,20 @@ class UserModel {
         }
       });
 
+      // 检查账号或IP是否因多次登录失败被临时锁定
+      const account = loginGuard.accountKey(user && user.id, username);
+      const lock = await loginGuard.checkLocked(account, loginInfo.ipAddress);
+      if (lock) {
+        await this.saveLoginLog(user && user.id, username, loginInfo, false, '登录已被临时锁定');
+        return this.lockedResult(lock);
+      }
+
       if (!user) {
         await this.saveLoginLog(null, username, loginInfo, false, '用户不存在');
+        const failureLock = await loginGuard.registerFailure(account, loginInfo.ipAddress);
+        if (failureLock) {
+          return this.lockedResult(failureLock);
+        }
         return {
           code: 400,
           message: '用户不存在'
@@ -110,40 +154,354 @@ class UserModel {
         }
       }
 
-      // 验证密码
-      const isMatch = await bcrypt.compare(password, user.passwordHash);
+      // 验证密码，通过第三方登录创建且未设置密码的用户不能使用密码登录
+      const isMatch = await passwordHasher.verifyPassword(password, user.passwordHash);
       if (!isMatch) {
         await this.saveLoginLog(user.id, username, loginInfo, false, '密码错误');
+        const failureLock = await loginGuard.registerFailure(account, loginInfo.ipAddress);
+        if (failureLock) {
+          return this.lockedResult(failureLock);
+        }
         return {
           code: 400,
           message: '用户名或密码错误'
         }
       }
 
-      // 生成JWT令牌
-      const token = jwt.sign(
-        { userId: user.id, username: user.username, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-      );
+      // 密码哈希使用的算法或参数不是当前配置时，用本次登录的明文密码重新加密
+      if (passwordHasher.needsRehash(user.passwordHash)) {
+        await this.rehashPassword(user, password);
+      }
 
-      // 计算令牌过期时间
-      const expiresAt = new Date();
-      const [hours] = process.env.JWT_EXPIRES_IN.match(/\d+/);
-      expiresAt.setHours(expiresAt.getHours() + parseInt(hours));
+      return await this.continueLogin(user, username, loginInfo);
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      // 创建用户会话
-      await prisma.userSession.create({
-        data: {
-          userId: user.id,
-          token: token,
-          expiresAt: expiresAt,
-          ipAddress: loginInfo.ipAddress,
-          userAgent: loginInfo.userAgent,
-          deviceId: loginInfo.deviceId
+  /**
+   * 继续登录
+   * 用户身份验证通过后（密码、第三方登录、通行密钥等），按邮箱验证策略和二次验证要求决定是否可以直接完成登录
+   * @param {Object} user - 用户信息
+   * @param {string} username - 登录时使用的标识，记录在登录日志中
+   * @param {Object} loginInfo - 登录信息（IP、用户代理等）
+   * @param {string} logMessage - 登录成功时记录的日志内容
+   * @param {Object} options - 选项
+   * @param {boolean} options.mfaSatisfied - 本次验证方式本身已满足二次验证要求（如经过用户验证的通行密钥）
+   * @returns {Promise<Object>} 登录结果
+   */
+  static async continueLogin(user, username, loginInfo = {}, logMessage = '登录成功', { mfaSatisfied = false } = {}) {
+    try {
+      // 按邮箱验证策略检查邮箱是否已验证（没有邮箱的第三方登录用户不受限制）
+      if (EMAIL_VERIFICATION_POLICY === 'required' && user.email && !user.emailVerified) {
+        await this.saveLoginLog(user.id, username, loginInfo, false, '邮箱未验证');
+        return {
+          code: 403,
+          message: '邮箱未验证，请先完成邮箱验证'
+        }
+      }
+
+      // 验证方式本身已满足二次验证要求时直接完成登录
+      if (mfaSatisfied) {
+        return await this.completeLogin(user, username, loginInfo, logMessage);
+      }
+
+      // 已启用二次验证的用户需要先通过 /auth/login/mfa 完成验证
+      if (user.mfaEnabled) {
+        return {
+          code: 200,
+          message: '需要二次验证',
+          data: {
+            mfaRequired: true,
+            mfaToken: signChallengeToken(user, 'mfa', MFA_CHALLENGE_EXPIRES_IN)
+          }
+        };
+      }
+
+      // 角色强制要求二次验证但尚未绑定时，需要先完成绑定
+      if (this.isMfaRequired(user.role)) {
+        return {
+          code: 200,
+          message: '当前角色必须启用二次验证，请先完成绑定',
+          data: {
+            mfaEnrollmentRequired: true,
+            mfaToken: signChallengeToken(user, 'mfa-enroll', MFA_CHALLENGE_EXPIRES_IN)
+          }
+        };
+      }
+
+      return await this.completeLogin(user, username, loginInfo, logMessage);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 生成登录锁定的返回结果
+   * @param {Object} lock - 锁定信息
+   * @param {number} lock.retryAfter - 剩余锁定秒数
+   * @returns {Object} 返回结果
+   */
+  static lockedResult(lock) {
+    return {
+      code: 423,
+      message: `登录失败次数过多，请在${Math.ceil(lock.retryAfter / 60)}分钟后重试`,
+      data: { retryAfter: lock.retryAfter }
+    };
+  }
+
+  /**
+   * 按当前配置的算法重新加密用户密码
+   * 密码本身没有变化，不更新密码修改时间和密码历史；哈希已被并发修改时放弃本次升级
+   * @param {Object} user - 用户信息（包含当前的 passwordHash）
+   * @param {string} password - 已验证通过的明文密码
+   * @returns {Promise<void>}
+   */
+  static async rehashPassword(user, password) {
+    try {
+      const passwordHash = await passwordHasher.hashPassword(password);
+      await prisma.user.updateMany({
+        where: { id: user.id, passwordHash: user.passwordHash },
+        data: { passwordHash: passwordHash }
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 判断用户登录时是否必须修改密码
+   * @param {Object} user - 用户信息
+   * @returns {string|null} admin: 管理员要求修改，expired: 密码已过期；无需修改时返回null
+   */
+  static getPasswordChangeReason(user) {
+    // 未设置密码的用户（只使用第三方登录、通行密钥或免密登录）没有可修改的密码
+    if (!user.passwordHash) {
+      return null;
+    }
+
+    if (user.passwordResetRequired) {
+      return 'admin';
+    }
+
+    if (PASSWORD_MAX_AGE_DAYS > 0 && (PASSWORD_EXPIRY_ROLES.length === 0 || PASSWORD_EXPIRY_ROLES.includes(user.role))) {
+      // 启用密码有效期前设置的密码从注册时间起算
+      const changedAt = user.passwordChangedAt || user.createdAt;
+      if (Date.now() - changedAt.getTime() > PASSWORD_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+        return 'expired';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 生成需要修改密码的登录结果
+   * 修改密码令牌在密码修改后作废，保证只能使用一次
+   * @param {Object} user - 用户信息
+   * @param {string} reason - 需要修改密码的原因
+   * @returns {Object} 登录结果
+   */
+  static passwordChangeResult(user, reason) {
+    return {
+      code: 200,
+      message: reason === 'expired' ? '密码已过期，请修改密码' : '管理员要求修改密码，请修改密码',
+      data: {
+        passwordChangeRequired: true,
+        reason: reason,
+        passwordChangeToken: signChallengeToken(user, 'password-change', PASSWORD_CHANGE_TOKEN_EXPIRES_IN, {
+          changedAt: user.passwordChangedAt ? user.passwordChangedAt.getTime() : null
+        })
+      }
+    };
+  }
+
+  /**
+   * 登录时修改密码
+   * 使用登录返回的 passwordChangeToken 设置新密码，成功后注销该用户的所有会话并完成登录。
+   * 令牌只在二次验证通过后签发，因此修改密码后不再要求二次验证
+   * @param {string} passwordChangeToken - 修改密码令牌
+   * @param {string} newPassword - 新密码
+   * @param {Object} loginInfo - 登录信息（IP、用户代理、设备ID）
+   * @returns {Promise<Object>} 登录结果，与密码登录相同
+   */
+  static async changePasswordOnLogin(passwordChangeToken, newPassword, loginInfo = {}) {
+    try {
+      const payload = verifyChallengeToken(passwordChangeToken, ['password-change']);
+      const user = payload ? await prisma.user.findUnique({ where: { id: payload.userId } }) : null;
+
+      // 密码在令牌签发后已被修改时令牌作废，保证令牌只能使用一次
+      const changedAt = user && user.passwordChangedAt ? user.passwordChangedAt.getTime() : null;
+      if (!user || changedAt !== payload.changedAt) {
+        return {
+          code: 401,
+          message: '修改密码令牌无效或已过期，请重新登录'
+        }
+      }
+
+      if (user.status !== 'active') {
+        await this.saveLoginLog(user.id, user.username, loginInfo, false, '用户已被禁用');
+        return {
+          code: 400,
+          message: '用户已被禁用'
+        }
+      }
+
+      const passwordError = await validatePassword(newPassword, user);
+      if (passwordError) {
+        return passwordError;
+      }
+
+      const result = await this.updateUser(user.id, { password: newPassword });
+      if (result.code !== 200) {
+        return result;
+      }
+
+      // 为了安全，注销所有会话
+      await this.logout(user.id);
+
+      const updatedUser = await prisma.user.findUnique({ where: { id: user.id } });
+      return await this.completeLogin(updatedUser, updatedUser.username, loginInfo, '修改密码后登录');
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 要求用户下次登录时修改密码（管理员操作）
+   * 同时注销该用户的所有会话，使要求立即生效
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async requirePasswordChange(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, passwordHash: true }
+      });
+
+      if (!user) {
+        return {
+          code: 404,
+          message: '用户不存在'
+        }
+      }
+
+      if (!user.passwordHash) {
+        return {
+          code: 400,
+          message: '该用户未设置密码'
         }
+      }
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: { passwordResetRequired: true }
+      });
+      await this.logout(userId);
+
+      return { code: 200, message: '已要求用户下次登录时修改密码' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 判断密码是否与当前密码或最近用过的密码相同
+   * @param {number} userId - 用户ID
+   * @param {string} password - 新密码
+   * @returns {Promise<boolean>} 是否重复使用
+   */
+  static async isPasswordReused(userId, password) {
+    try {
+      if (PASSWORD_HISTORY_COUNT <= 0) {
+        return false;
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { passwordHash: true }
+      });
+      const history = await prisma.passwordHistory.findMany({
+        where: { userId: userId },
+        orderBy: { createdAt: 'desc' },
+        take: PASSWORD_HISTORY_COUNT - 1,
+        select: { passwordHash: true }
+      });
+
+      const hashes = [user && user.passwordHash, ...history.map(item => item.passwordHash)].filter(Boolean);
+      for (const hash of hashes) {
+        if (await passwordHasher.verifyPassword(password, hash)) {
+          return true;
+        }
+      }
+      return false;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 解除账号的登录锁定
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async unlockAccount(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true }
       });
 
+      if (!user) {
+        return {
+          code: 404,
+          message: '用户不存在'
+        }
+      }
+
+      await loginGuard.unlockAccount(loginGuard.accountKey(user.id));
+
+      return { code: 200, message: '账号已解除锁定' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 判断角色是否强制要求二次验证
+   * @param {string} role - 角色
+   * @returns {boolean} 是否强制要求
+   */
+  static isMfaRequired(role) {
+    return MFA_REQUIRED_ROLES.includes(role);
+  }
+
+  /**
+   * 完成登录
+   * 在所有验证步骤（包括二次验证）通过后创建会话、更新最后登录时间并记录登录日志。
+   * 密码已过期或管理员要求修改密码时不创建会话，改为返回修改密码令牌；所有登录方式都经过这里，
+   * 因此该要求对第三方登录、通行密钥、免密登录和扫码登录同样生效（未设置密码的用户除外）
+   * @param {Object} user - 用户信息
+   * @param {string} username - 登录时使用的用户名或邮箱
+   * @param {Object} loginInfo - 登录信息（IP、用户代理等）
+   * @param {string} logMessage - 记录的日志内容
+   * @returns {Promise<Object>} 包含用户信息和令牌的对象
+   */
+  static async completeLogin(user, username, loginInfo = {}, logMessage = '登录成功') {
+    try {
+      // 密码已过期或管理员要求修改密码时，需要先通过 /auth/login/password-change 修改密码
+      const passwordChangeReason = this.getPasswordChangeReason(user);
+      if (passwordChangeReason) {
+        return this.passwordChangeResult(user, passwordChangeReason);
+      }
+
+      // 登录成功后清除失败计数
+      await loginGuard.registerSuccess(loginGuard.accountKey(user.id));
+
+      // 创建用户会话，签发访问令牌和刷新令牌
+      const tokens = await this.createSession(user, loginInfo);
+
       // 更新用户最后登录时间
       await prisma.user.update({
         where: { id: user.id },
@@ -151,20 +509,284 @@ class UserModel {
       });
 
       // 保存登录日志
-      await this.saveLoginLog(user.id, username, loginInfo, true, '登录成功');
+      await this.saveLoginLog(user.id, username, loginInfo, true, logMessage);
 
       // 返回用户信息和令牌
       const userInfo = {
         id: user.id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         nickname: user.nickname,
         avatar: user.avatar,
         role: user.role,
         status: user.status
       };
 
-      return { code: 200, message: '登录成功', data: { user: userInfo, token } };
+      return { code: 200, message: '登录成功', data: { user: userInfo, ...tokens } };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 确定会话的当前组织
+   * 优先使用指定的组织，用户已不是该组织成员时使用最早加入的组织
+   * @param {number} userId - 用户ID
+   * @param {number|null} organizationId - 优先使用的组织ID
+   * @returns {Promise<Object|null>} 组织成员信息 { organizationId, role }，未加入任何组织时返回null
+   */
+  static async resolveOrganization(userId, organizationId) {
+    try {
+      if (organizationId) {
+        const membership = await prisma.organizationMember.findUnique({
+          where: { organizationId_userId: { organizationId, userId } },
+          select: { organizationId: true, role: true }
+        });
+        if (membership) {
+          return membership;
+        }
+      }
+
+      return await prisma.organizationMember.findFirst({
+        where: { userId: userId },
+        orderBy: { createdAt: 'asc' },
+        select: { organizationId: true, role: true }
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 创建用户会话
+   * 签发短期访问令牌和不透明的刷新令牌，数据库中只保存刷新令牌的哈希。
+   * 用户加入了组织时，访问令牌包含当前组织ID（org_id）和在该组织中的角色（org_role），供产品服务端按组织隔离数据
+   * @param {Object} user - 用户信息
+   * @param {Object} loginInfo - 登录信息（IP、用户代理、设备ID）
+   * @param {string} familyId - 会话族ID（轮换时沿用，首次登录时生成）
+   * @param {Object} grant - OAuth授权信息 { client, scopes }（可选，为空表示用户直接登录）
+   * @param {number} organizationId - 当前组织ID（可选，默认使用用户上次使用的组织）
+   * @returns {Promise<Object>} 令牌信息
+   */
+  static async createSession(user, loginInfo = {}, familyId = crypto.randomUUID(), grant = null, organizationId = user.lastOrganizationId) {
+    const membership = await this.resolveOrganization(user.id, organizationId);
+    const { token, expiresAt } = signAccessToken(user, {
+      ...(grant ? { client_id: grant.client.clientId, scope: grant.scopes.join(' ') } : {}),
+      ...(membership ? { org_id: membership.organizationId, org_role: membership.role } : {})
+    });
+    const refreshToken = generateOpaqueToken();
+    const refreshExpiresAt = new Date(Date.now() + parseDuration(REFRESH_TOKEN_EXPIRES_IN));
+
+    await prisma.userSession.create({
+      data: {
+        userId: user.id,
+        token: token,
+        expiresAt: refreshExpiresAt,
+        ipAddress: loginInfo.ipAddress,
+        userAgent: loginInfo.userAgent,
+        deviceId: loginInfo.deviceId,
+        refreshTokenHash: hashToken(refreshToken),
+        familyId: familyId,
+        clientId: grant ? grant.client.id : null,
+        scopes: grant ? grant.scopes : undefined,
+        organizationId: membership ? membership.organizationId : null
+      }
+    });
+
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresAt,
+      refreshToken,
+      refreshExpiresAt,
+      ...(grant ? { scopes: grant.scopes } : {}),
+      ...(membership ? { organizationId: membership.organizationId } : {})
+    };
+  }
+
+  /**
+   * 刷新令牌
+   * 使用刷新令牌换取新的访问令牌和刷新令牌，旧的刷新令牌随即失效。
+   * 若已轮换过的刷新令牌被再次使用，视为令牌泄露，撤销整个会话族
+   * @param {string} refreshToken - 刷新令牌
+   * @param {Object} loginInfo - 登录信息（IP、用户代理等）
+   * @param {Object} client - OAuth客户端（可选），OAuth会话只能由签发它的客户端刷新
+   * @returns {Promise<Object>} 新的令牌信息
+   */
+  static async refreshToken(refreshToken, loginInfo = {}, client = null) {
+    try {
+      const session = await prisma.userSession.findUnique({
+        where: { refreshTokenHash: hashToken(refreshToken) },
+        include: { user: true, client: true }
+      });
+
+      // OAuth会话不能换取完整权限的登录会话，反之亦然
+      if (!session || (session.clientId || null) !== (client ? client.id : null)) {
+        return {
+          code: 401,
+          message: '无效的刷新令牌'
+        }
+      }
+
+      // 已被轮换的刷新令牌再次出现，说明令牌可能已泄露
+      if (session.revokedAt) {
+        await this.revokeSessionFamily(session);
+        return {
+          code: 401,
+          message: '刷新令牌已被使用，请重新登录'
+        }
+      }
+
+      if (session.expiresAt <= new Date()) {
+        return {
+          code: 401,
+          message: '刷新令牌已过期，请重新登录'
+        }
+      }
+
+      if (session.user.status !== 'active') {
+        return {
+          code: 401,
+          message: '用户不存在或已被禁用'
+        }
+      }
+
+      // 以条件更新标记旧会话失效，防止并发请求重复轮换同一个刷新令牌
+      const { count } = await prisma.userSession.updateMany({
+        where: { id: session.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      if (count === 0) {
+        await this.revokeSessionFamily(session);
+        return {
+          code: 401,
+          message: '刷新令牌已被使用，请重新登录'
+        }
+      }
+
+      const tokens = await this.createSession(session.user, {
+        ipAddress: loginInfo.ipAddress,
+        userAgent: loginInfo.userAgent,
+        deviceId: loginInfo.deviceId || session.deviceId
+      }, session.familyId || crypto.randomUUID(), session.client ? {
+        client: session.client,
+        scopes: session.scopes || []
+      } : null, session.organizationId);
+
+      return { code: 200, message: '刷新令牌成功', data: tokens };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销会话族
+   * 删除与指定会话同属一次登录的全部会话
+   * @param {Object} session - 会话信息
+   * @returns {Promise<void>}
+   */
+  static async revokeSessionFamily(session) {
+    await prisma.userSession.deleteMany({
+      where: session.familyId
+        ? { userId: session.userId, familyId: session.familyId }
+        : { id: session.id }
+    });
+  }
+
+  /**
+   * 获取用户的有效会话列表
+   * @param {number} userId - 用户ID
+   * @param {string} currentToken - 当前请求使用的令牌，用于标记当前会话（可选）
+   * @returns {Promise<Object>} 会话列表
+   */
+  static async getUserSessions(userId, currentToken = null) {
+    try {
+      const sessions = await prisma.userSession.findMany({
+        where: {
+          userId: userId,
+          expiresAt: { gt: new Date() },
+          revokedAt: null
+        },
+        orderBy: {
+          createdAt: 'desc'
+        },
+        select: {
+          id: true,
+          token: true,
+          createdAt: true,
+          expiresAt: true,
+          ipAddress: true,
+          userAgent: true,
+          deviceId: true,
+          client: {
+            select: { clientId: true, name: true }
+          }
+        }
+      });
+
+      const data = sessions.map(({ token, ...session }) => ({
+        ...session,
+        device: parseUserAgent(session.userAgent),
+        current: token === currentToken
+      }));
+
+      return { code: 200, message: '获取会话列表成功', data };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销用户的指定会话
+   * 同一次登录轮换出的会话一并撤销，对应设备需要重新登录
+   * @param {number} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async revokeSession(userId, sessionId) {
+    try {
+      const session = await prisma.userSession.findFirst({
+        where: {
+          id: sessionId,
+          userId: userId
+        }
+      });
+
+      if (!session) {
+        return {
+          code: 404,
+          message: '会话不存在'
+        }
+      }
+
+      await this.revokeSessionFamily(session);
+
+      return { code: 200, message: '会话已注销' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 校验用户密码
+   * @param {number} userId - 用户ID
+   * @param {string} password - 密码
+   * @returns {Promise<boolean>} 密码是否正确
+   */
+  static async verifyPassword(userId, password) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { passwordHash: true }
+      });
+
+      if (!user || !user.passwordHash) {
+        return false;
+      }
+
+      return await passwordHasher.verifyPassword(password, user.passwordHash);
     } catch (error) {
       throw error;
     }
@@ -183,6 +805,9 @@ class UserModel {
           id: true,
           username: true,
           email: true,
+          emailVerified: true,
+          pendingEmail: true,
+          mfaEnabled: true,
           nickname: true,
           avatar: true,
           role: true,
@@ -191,7 +816,6 @@ class UserModel {
           updatedAt: true,
           lastLoginAt: true,
           source: true,
-          products: true,
           disabledRemark: true
         }
       });
@@ -203,6 +827,8 @@ class UserModel {
         }
       }
 
+      user.products = await ProductModel.listUserProducts(user.id);
+
       return { code: 200, message: '获取用户信息成功', data: user };
     } catch (error) {
       throw error;
@@ -220,10 +846,27 @@ class UserModel {
       // 构建更新数据
       const data = { ...updateData };
 
-      // 如果更新密码，需要加密
+      // 如果更新密码，检查是否重复使用最近的密码，加密后记录修改时间并清除管理员的修改要求
+      let previousPasswordHash = null;
       if (data.password) {
-        const salt = await bcrypt.genSalt(10);
-        data.passwordHash = await bcrypt.hash(data.password, salt);
+        if (await this.isPasswordReused(userId, data.password)) {
+          const message = `不能使用最近${PASSWORD_HISTORY_COUNT}次用过的密码`;
+          return {
+            code: 400,
+            message: message,
+            data: { reasons: [{ code: 'reused', message }] }
+          }
+        }
+
+        const currentUser = await prisma.user.findUnique({
+          where: { id: userId },
+          select: { passwordHash: true }
+        });
+        previousPasswordHash = currentUser && currentUser.passwordHash;
+
+        data.passwordHash = await passwordHasher.hashPassword(data.password);
+        data.passwordChangedAt = new Date();
+        data.passwordResetRequired = false;
         delete data.password;
       }
 
@@ -255,6 +898,18 @@ class UserModel {
         }
       }
 
+      // 修改邮箱需要验证新邮箱，验证通过前继续使用原邮箱
+      if (data.email) {
+        const currentUser = await prisma.user.findUnique({
+          where: { id: userId },
+          select: { email: true }
+        });
+        if (currentUser && currentUser.email !== data.email) {
+          data.pendingEmail = data.email;
+        }
+        delete data.email;
+      }
+
       // 更新用户信息
       const user = await prisma.user.update({
         where: { id: userId },
@@ -263,17 +918,42 @@ class UserModel {
           id: true,
           username: true,
           email: true,
+          emailVerified: true,
+          pendingEmail: true,
           nickname: true,
           avatar: true,
           role: true,
           status: true,
           updatedAt: true,
           source: true,
-          products: true,
           disabledRemark: true
         }
       });
 
+      // 保存旧密码的哈希，只保留判断重复使用需要的数量
+      if (previousPasswordHash && PASSWORD_HISTORY_COUNT > 1) {
+        await prisma.passwordHistory.create({
+          data: { userId: userId, passwordHash: previousPasswordHash }
+        });
+        const expired = await prisma.passwordHistory.findMany({
+          where: { userId: userId },
+          orderBy: { createdAt: 'desc' },
+          skip: PASSWORD_HISTORY_COUNT - 1,
+          select: { id: true }
+        });
+        if (expired.length > 0) {
+          await prisma.passwordHistory.deleteMany({
+            where: { id: { in: expired.map(item => item.id) } }
+          });
+        }
+      }
+
+      // 向待验证的新邮箱发送验证邮件
+      if (data.pendingEmail) {
+        await this.sendVerificationEmail(user.id, data.pendingEmail);
+        return { code: 200, message: '更新用户信息成功，新邮箱验证后生效', data: user };
+      }
+
       return { code: 200, message: '更新用户信息成功', data: user };
     } catch (error) {
       throw error;
@@ -283,7 +963,7 @@ class UserModel {
   /**
    * 删除用户
    * @param {number} userId - 用户ID
-   * @returns {Promise<Object>} 删除的用户信息
+   * @returns {Promise<Object>} 处理结果，用户不能删除时返回原因
    */
   static async deleteUser(userId) {
     try {
@@ -294,28 +974,109 @@ class UserModel {
 
       if (!user) {
         return {
-          code: 400,
+          code: 404,
           message: '用户不存在'
         }
       }
 
+      // 组织不能没有所有者，所有者需要先转让所有权或删除组织
+      const ownedOrganizations = await prisma.organizationMember.count({
+        where: { userId: userId, role: 'owner' }
+      });
+      if (ownedOrganizations > 0) {
+        return {
+          code: 400,
+          message: '用户是组织的所有者，请先转让所有权或删除组织'
+        }
+      }
+
+      // 支付平台仍在扣费的订阅不能随用户一起删除，需要先在支付平台取消
+      const paidSubscriptions = await prisma.subscription.count({
+        where: { userId: userId, externalId: { not: null }, status: { not: 'canceled' } }
+      });
+      if (paidSubscriptions > 0) {
+        return {
+          code: 400,
+          message: '用户有未取消的付费订阅，请先在支付平台取消订阅'
+        }
+      }
+
       // 事务处理：删除用户及其相关数据
       await prisma.$transaction([
         // 删除用户会话
         prisma.userSession.deleteMany({
           where: { userId: userId }
         }),
-        // 删除用户登录日志
-        prisma.userLoginLog.deleteMany({
+        // 删除密码重置令牌
+        prisma.passwordResetToken.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除邮箱验证令牌
+        prisma.emailVerificationToken.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除免密登录令牌
+        prisma.passwordlessToken.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除扫码登录票据
+        prisma.qrLoginTicket.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除通行密钥
+        prisma.webAuthnCredential.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除密码历史
+        prisma.passwordHistory.deleteMany({
           where: { userId: userId }
         }),
+        // 删除二次验证恢复码
+        prisma.mfaRecoveryCode.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除API Key
+        prisma.apiKey.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除OAuth授权码和授权同意记录
+        prisma.oAuthAuthorizationCode.deleteMany({
+          where: { userId: userId }
+        }),
+        prisma.oAuthConsent.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除绑定的第三方身份
+        prisma.identity.deleteMany({
+          where: { userId: userId }
+        }),
+        // 退出所有组织
+        prisma.organizationMember.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除产品授权
+        prisma.userProduct.deleteMany({
+          where: { userId: userId }
+        }),
+        // 删除许可证和订阅
+        prisma.license.deleteMany({
+          where: { userId: userId }
+        }),
+        prisma.subscription.deleteMany({
+          where: { userId: userId }
+        }),
+        // 保留登录日志用于安全审计，只解除与用户的关联，日志中的用户名仍可识别
+        prisma.userLoginLog.updateMany({
+          where: { userId: userId },
+          data: { userId: null }
+        }),
         // 删除用户
         prisma.user.delete({
           where: { id: userId }
         })
       ]);
 
-      return { code: 200, message: '删除用户成功', data: user };
+      return { code: 200, message: '删除用户成功' };
     } catch (error) {
       throw error;
     }
@@ -348,6 +1109,9 @@ class UserModel {
       if (filters.source) {
         where.source = filters.source;
       }
+      if (filters.productId) {
+        Object.assign(where, ProductModel.userFilter(filters.productId, filters.productStatus));
+      }
 
       // 计算偏移量
       const offset = (page - 1) * pageSize;
@@ -365,6 +1129,7 @@ class UserModel {
             id: true,
             username: true,
             email: true,
+            emailVerified: true,
             nickname: true,
             avatar: true,
             role: true,
@@ -418,8 +1183,7 @@ class UserModel {
       }
 
       // 加密密码
-      const salt = await bcrypt.genSalt(10);
-      const passwordHash = await bcrypt.hash(userData.password, salt);
+      const passwordHash = await passwordHasher.hashPassword(userData.password);
 
       // 创建用户
       const user = await prisma.user.create({
@@ -427,16 +1191,21 @@ class UserModel {
           username: userData.username,
           email: userData.email,
           passwordHash: passwordHash,
+          passwordChangedAt: new Date(),
+          passwordResetRequired: userData.passwordResetRequired === true,
           nickname: userData.nickname || userData.username,
           role: userData.role || 'user',
           status: userData.status || 'active',
           source: userData.source || 'admin-created',
-          disabledRemark: userData.disabledRemark
+          disabledRemark: userData.disabledRemark,
+          emailVerified: userData.emailVerified === true,
+          emailVerifiedAt: userData.emailVerified === true ? new Date() : null
         },
         select: {
           id: true,
           username: true,
           email: true,
+          emailVerified: true,
           nickname: true,
           role: true,
           status: true,
@@ -446,6 +1215,11 @@ class UserModel {
         }
       });
 
+      // 管理员未确认邮箱时，同样需要用户自行验证
+      if (!user.emailVerified) {
+        await this.sendVerificationEmail(user.id);
+      }
+
       return {
         code: 200,
         message: '创建用户成功',
@@ -465,13 +1239,16 @@ class UserModel {
   static async logout(userId, token = null) {
     try {
       if (token) {
-        // 注销指定令牌
-        await prisma.userSession.deleteMany({
+        // 注销指定令牌所在的会话族，使轮换前后的刷新令牌一并失效
+        const session = await prisma.userSession.findFirst({
           where: {
             userId: userId,
             token: token
           }
         });
+        if (session) {
+          await this.revokeSessionFamily(session);
+        }
       } else {
         // 注销所有会话
         await prisma.userSession.deleteMany({
@@ -485,6 +1262,21 @@ class UserModel {
     }
   }
 
+  /**
+   * 发送邮箱验证邮件
+   * @param {number} userId - 用户ID
+   * @param {string} email - 待验证的邮箱，默认为用户当前邮箱
+   * @returns {Promise<void>}
+   */
+  static async sendVerificationEmail(userId, email = null) {
+    try {
+      await EmailVerificationModel.sendVerification(userId, email);
+    } catch (error) {
+      console.error('发送验证邮件失败:', error);
+      // 不抛出错误，用户可以稍后重新发送验证邮件
+    }
+  }
+
   /**
    * 保存登录日志
    * @param {number|null} userId - 用户ID
@@ -511,121 +1303,6 @@ class UserModel {
       // 不抛出错误，防止影响主要业务流程
     }
   }
-
-  /**
-   * 添加用户产品关联
-   * @param {number} userId - 用户ID
-   * @param {Object} productInfo - 产品信息
-   * @returns {Promise<Object>} 更新后的用户信息
-   */
-  static async addUserProduct(userId, productInfo) {
-    try {
-      // 获取当前用户产品列表
-      const user = await prisma.user.findUnique({
-        where: { id: userId },
-        select: { products: true }
-      });
-
-      if (!user) {
-        return {
-          code: 400,
-          message: '用户不存在'
-        }
-      }
-
-      // 初始化产品列表（如果不存在）
-      let products = user.products || [];
-      if (typeof products === 'string') {
-        products = JSON.parse(products);
-      }
-
-      // 检查产品是否已存在
-      const existingProductIndex = products.findIndex(p => p.id === productInfo.id);
-      if (existingProductIndex >= 0) {
-        return {
-          code: 400,
-          message: '产品已关联'
-        }
-      }
-
-      // 添加新的产品关联
-      products.push({
-        id: productInfo.id,
-        name: productInfo.name,
-        joinedAt: new Date().toISOString()
-      });
-
-      // 更新用户产品列表
-      const updatedUser = await prisma.user.update({
-        where: { id: userId },
-        data: { products: JSON.stringify(products) },
-        select: {
-          id: true,
-          username: true,
-          products: true
-        }
-      });
-
-      return { code: 200, message: '添加用户产品关联成功', data: updatedUser };
-    } catch (error) {
-      throw error;
-    }
-  }
-
-  /**
-   * 移除用户产品关联
-   * @param {number} userId - 用户ID
-   * @param {string} productId - 产品ID
-   * @returns {Promise<Object>} 更新后的用户信息
-   */
-  static async removeUserProduct(userId, productId) {
-    try {
-      // 获取当前用户产品列表
-      const user = await prisma.user.findUnique({
-        where: { id: userId },
-        select: { products: true }
-      });
-
-      if (!user) {
-        return {
-          code: 400,
-          message: '用户不存在'
-        }
-      }
-
-      // 初始化产品列表（如果不存在）
-      let products = user.products || [];
-      if (typeof products === 'string') {
-        products = JSON.parse(products);
-      }
-
-      // 过滤掉要移除的产品
-      const filteredProducts = products.filter(p => p.id !== productId);
-      if (filteredProducts.length === products.length) {
-        return {
-          code: 400,
-          message: '产品关联不存在'
-        }
-      }
-
-      // 更新用户产品列表
-      const updatedUser = await prisma.user.update({
-        where: { id: userId },
-        data: { products: JSON.stringify(filteredProducts) },
-        select: {
-          id: true,
-          username: true,
-          products: true
-        }
-      });
-
-      return { code: 200, message: '移除用户产品关联成功', data: updatedUser };
-    } catch (error) {
-      throw error;
-    }
-  }
-
-
 }
 
 module.exports = UserModel;
\ No newline at end of file
@@ -0,0 +1,441 @@
+// 通行密钥模型 - 处理WebAuthn凭据的注册、登录验证和管理
+const prisma = require('../utils/prisma');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const UserModel = require('./user.model');
+const loginGuard = require('../utils/login-guard');
+const { signChallengeToken, verifyChallengeToken } = require('../utils/token');
+
+// 依赖方标识，必须是前端页面的域名或其上级域名
+const WEBAUTHN_RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+// 依赖方名称，创建通行密钥时展示给用户
+const WEBAUTHN_RP_NAME = process.env.WEBAUTHN_RP_NAME || '用户中心';
+// 允许发起WebAuthn的前端页面来源，多个来源用逗号分隔
+const WEBAUTHN_ORIGINS = (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean);
+// 注册和登录挑战的有效期
+const WEBAUTHN_CHALLENGE_EXPIRES_IN = process.env.WEBAUTHN_CHALLENGE_EXPIRES_IN || '5m';
+// 每个用户最多可以注册的通行密钥数量
+const WEBAUTHN_MAX_CREDENTIALS = 10;
+
+// 返回给用户的凭据字段，不包含公钥
+const CREDENTIAL_SELECT = {
+  id: true,
+  name: true,
+  deviceType: true,
+  backedUp: true,
+  transports: true,
+  lastUsedAt: true,
+  createdAt: true
+};
+
+/**
+ * 验证并消耗挑战令牌
+ * 同一挑战只能提交一次，无论验证结果如何，防止截获的响应在有效期内被重放
+ * @param {string} webauthnToken - 挑战令牌
+ * @param {string} purpose - 令牌用途
+ * @returns {Promise<Object|null>} 令牌载荷，无效或已使用时返回null
+ */
+const consumeChallenge = async (webauthnToken, purpose) => {
+  const payload = verifyChallengeToken(webauthnToken, [purpose]);
+  if (!payload || !payload.jti) {
+    return null;
+  }
+
+  await prisma.webAuthnChallenge.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+
+  try {
+    await prisma.webAuthnChallenge.create({
+      data: {
+        id: payload.jti,
+        purpose: purpose,
+        expiresAt: new Date(payload.exp * 1000)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+
+  return payload;
+};
+
+/**
+ * 通行密钥模型类
+ * 挑战放在短期有效的签名令牌中返回给前端，验证时原样提交；服务端只记录已使用的挑战，拒绝重复提交
+ */
+class WebAuthnModel {
+  /**
+   * 生成注册选项（已登录用户添加通行密钥）
+   * @param {Object} user - 当前登录用户
+   * @returns {Promise<Object>} 传给 navigator.credentials.create() 的选项和 webauthnToken
+   */
+  static async getRegistrationOptions(user) {
+    try {
+      const credentials = await prisma.webAuthnCredential.findMany({
+        where: { userId: user.id },
+        select: { credentialId: true, transports: true }
+      });
+
+      if (credentials.length >= WEBAUTHN_MAX_CREDENTIALS) {
+        return {
+          code: 400,
+          message: `最多只能添加${WEBAUTHN_MAX_CREDENTIALS}个通行密钥`
+        }
+      }
+
+      const options = await generateRegistrationOptions({
+        rpName: WEBAUTHN_RP_NAME,
+        rpID: WEBAUTHN_RP_ID,
+        userName: user.username,
+        userDisplayName: user.nickname || user.username,
+        userID: Buffer.from(String(user.id)),
+        attestationType: 'none',
+        // 已注册的凭据不能重复注册到同一个认证器
+        excludeCredentials: credentials.map(credential => ({
+          id: credential.credentialId,
+          transports: credential.transports || undefined
+        })),
+        authenticatorSelection: {
+          residentKey: 'preferred',
+          userVerification: 'preferred'
+        }
+      });
+
+      const webauthnToken = signChallengeToken(user, 'webauthn-register', WEBAUTHN_CHALLENGE_EXPIRES_IN, {
+        challenge: options.challenge
+      });
+
+      return { code: 200, message: '获取注册选项成功', data: { options, webauthnToken } };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 验证注册响应并保存凭据
+   * @param {Object} user - 当前登录用户
+   * @param {string} webauthnToken - 获取注册选项时返回的令牌
+   * @param {Object} response - navigator.credentials.create() 的结果（JSON格式）
+   * @param {string} name - 凭据名称（可选）
+   * @returns {Promise<Object>} 保存的凭据
+   */
+  static async verifyRegistration(user, webauthnToken, response, name) {
+    try {
+      const payload = await consumeChallenge(webauthnToken, 'webauthn-register');
+      if (!payload || payload.userId !== user.id) {
+        return {
+          code: 400,
+          message: '注册已过期或无效，请重新开始'
+        }
+      }
+
+      let verification;
+      try {
+        verification = await verifyRegistrationResponse({
+          response,
+          expectedChallenge: payload.challenge,
+          expectedOrigin: WEBAUTHN_ORIGINS,
+          expectedRPID: WEBAUTHN_RP_ID,
+          requireUserVerification: false
+        });
+      } catch (error) {
+        return {
+          code: 400,
+          message: `通行密钥验证失败: ${error.message}`
+        }
+      }
+
+      if (!verification.verified) {
+        return {
+          code: 400,
+          message: '通行密钥验证失败'
+        }
+      }
+
+      const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+      const existing = await prisma.webAuthnCredential.findUnique({
+        where: { credentialId: credential.id }
+      });
+      if (existing) {
+        return {
+          code: 409,
+          message: '该通行密钥已被添加'
+        }
+      }
+
+      const savedCredential = await prisma.webAuthnCredential.create({
+        data: {
+          userId: user.id,
+          credentialId: credential.id,
+          publicKey: Buffer.from(credential.publicKey),
+          counter: credential.counter,
+          transports: credential.transports || null,
+          deviceType: credentialDeviceType,
+          backedUp: credentialBackedUp,
+          name: (name || '通行密钥').slice(0, 50)
+        },
+        select: CREDENTIAL_SELECT
+      });
+
+      return { code: 200, message: '添加通行密钥成功', data: savedCredential };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 生成登录选项
+   * 提供用户名时只允许该用户的凭据；不提供时由认证器选择可发现的通行密钥。
+   * 用户不存在时同样返回选项，避免泄露账号是否存在
+   * @param {string} username - 用户名或邮箱（可选）
+   * @returns {Promise<Object>} 传给 navigator.credentials.get() 的选项和 webauthnToken
+   */
+  static async getAuthenticationOptions(username) {
+    try {
+      let credentials = [];
+      if (username) {
+        const user = await prisma.user.findFirst({
+          where: {
+            OR: [
+              { username: username },
+              { email: username }
+            ]
+          },
+          select: { id: true }
+        });
+
+        if (user) {
+          credentials = await prisma.webAuthnCredential.findMany({
+            where: { userId: user.id },
+            select: { credentialId: true, transports: true }
+          });
+        }
+      }
+
+      const options = await generateAuthenticationOptions({
+        rpID: WEBAUTHN_RP_ID,
+        allowCredentials: credentials.map(credential => ({
+          id: credential.credentialId,
+          transports: credential.transports || undefined
+        })),
+        userVerification: 'preferred'
+      });
+
+      const webauthnToken = signChallengeToken(null, 'webauthn-login', WEBAUTHN_CHALLENGE_EXPIRES_IN, {
+        challenge: options.challenge
+      });
+
+      return { code: 200, message: '获取登录选项成功', data: { options, webauthnToken } };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 使用通行密钥登录
+   * 认证器完成了用户验证（指纹、面容或PIN）时视为已满足二次验证要求，否则仍需二次验证
+   * @param {string} webauthnToken - 获取登录选项时返回的令牌
+   * @param {Object} response - navigator.credentials.get() 的结果（JSON格式）
+   * @param {Object} loginInfo - 登录信息（IP、用户代理、设备ID）
+   * @returns {Promise<Object>} 登录结果，与密码登录相同
+   */
+  static async verifyAuthentication(webauthnToken, response, loginInfo = {}) {
+    try {
+      const payload = await consumeChallenge(webauthnToken, 'webauthn-login');
+      if (!payload) {
+        return {
+          code: 400,
+          message: '登录已过期或无效，请重新开始'
+        }
+      }
+
+      const credential = await prisma.webAuthnCredential.findUnique({
+        where: { credentialId: String(response.id) },
+        include: { user: true }
+      });
+
+      // 检查账号或IP是否因多次登录失败被临时锁定；凭据不存在时按提交的凭据ID统计
+      const account = credential
+        ? loginGuard.accountKey(credential.userId)
+        : loginGuard.accountKey(null, `webauthn:${response.id}`);
+      const lock = await loginGuard.checkLocked(account, loginInfo.ipAddress);
+      if (lock) {
+        await UserModel.saveLoginLog(credential && credential.userId, credential ? credential.user.username : 'webauthn', loginInfo, false, '登录已被临时锁定');
+        return UserModel.lockedResult(lock);
+      }
+
+      // 验证失败计入登录失败次数
+      const fail = async (userId, username, reason, message) => {
+        await UserModel.saveLoginLog(userId, username, loginInfo, false, reason);
+        const failureLock = await loginGuard.registerFailure(account, loginInfo.ipAddress);
+        if (failureLock) {
+          return UserModel.lockedResult(failureLock);
+        }
+        return {
+          code: 400,
+          message: message
+        }
+      };
+
+      if (!credential) {
+        return await fail(null, 'webauthn', '通行密钥不存在', '通行密钥不存在或已被删除');
+      }
+
+      const { user } = credential;
+
+      let verification;
+      try {
+        verification = await verifyAuthenticationResponse({
+          response,
+          expectedChallenge: payload.challenge,
+          expectedOrigin: WEBAUTHN_ORIGINS,
+          expectedRPID: WEBAUTHN_RP_ID,
+          credential: {
+            id: credential.credentialId,
+            publicKey: new Uint8Array(credential.publicKey),
+            counter: credential.counter,
+            transports: credential.transports || undefined
+          },
+          requireUserVerification: false
+        });
+      } catch (error) {
+        return await fail(user.id, user.username, `通行密钥验证失败: ${error.message}`, '通行密钥验证失败');
+      }
+
+      if (!verification.verified) {
+        return await fail(user.id, user.username, '通行密钥验证失败', '通行密钥验证失败');
+      }
+
+      if (user.status !== 'active') {
+        await UserModel.saveLoginLog(user.id, user.username, loginInfo, false, '用户已被禁用');
+        return {
+          code: 400,
+          message: '用户已被禁用'
+        }
+      }
+
+      const { newCounter, userVerified, credentialBackedUp } = verification.authenticationInfo;
+      await prisma.webAuthnCredential.update({
+        where: { id: credential.id },
+        data: {
+          counter: newCounter,
+          backedUp: credentialBackedUp,
+          lastUsedAt: new Date()
+        }
+      });
+
+      return await UserModel.continueLogin(user, user.username, loginInfo, '通行密钥登录', {
+        mfaSatisfied: userVerified
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户的通行密钥列表
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 凭据列表
+   */
+  static async getCredentials(userId) {
+    try {
+      const credentials = await prisma.webAuthnCredential.findMany({
+        where: { userId: userId },
+        orderBy: { createdAt: 'asc' },
+        select: CREDENTIAL_SELECT
+      });
+
+      return { code: 200, message: '获取通行密钥成功', data: credentials };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 重命名通行密钥
+   * @param {number} userId - 用户ID
+   * @param {number} credentialId - 凭据记录ID
+   * @param {string} name - 新名称
+   * @returns {Promise<Object>} 更新后的凭据
+   */
+  static async renameCredential(userId, credentialId, name) {
+    try {
+      const credential = await prisma.webAuthnCredential.findFirst({
+        where: { id: credentialId, userId: userId }
+      });
+
+      if (!credential) {
+        return {
+          code: 404,
+          message: '通行密钥不存在'
+        }
+      }
+
+      const updatedCredential = await prisma.webAuthnCredential.update({
+        where: { id: credential.id },
+        data: { name: name.slice(0, 50) },
+        select: CREDENTIAL_SELECT
+      });
+
+      return { code: 200, message: '更新通行密钥成功', data: updatedCredential };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * 删除通行密钥
+   * 没有设置密码、也没有绑定第三方账号的用户不能删除最后一个通行密钥，否则将无法登录
+   * @param {number} userId - 用户ID
+   * @param {number} credentialId - 凭据记录ID
+   * @returns {Promise<Object>} 处理结果
+   */
+  static async deleteCredential(userId, credentialId) {
+    try {
+      const credential = await prisma.webAuthnCredential.findFirst({
+        where: { id: credentialId, userId: userId }
+      });
+
+      if (!credential) {
+        return {
+          code: 404,
+          message: '通行密钥不存在'
+        }
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          passwordHash: true,
+          _count: { select: { identities: true, webAuthnCredentials: true } }
+        }
+      });
+
+      if (!user.passwordHash && user._count.identities === 0 && user._count.webAuthnCredentials <= 1) {
+        return {
+          code: 400,
+          message: '这是唯一的登录方式，请先设置密码或添加其他通行密钥'
+        }
+      }
+
+      await prisma.webAuthnCredential.delete({
+        where: { id: credential.id }
+      });
+
+      return { code: 200, message: '删除通行密钥成功' };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = WebAuthnModel;
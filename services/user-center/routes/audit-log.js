@@ -0,0 +1,278 @@
+// 审计日志路由 - 处理审计日志的查询和导出
+const express = require('express');
+const router = express.Router();
+const AuditLogModel = require('../models/audit-log.model');
+const { authJWT, requirePermission } = require('../middleware/auth.jwt');
+const { recordAudit } = require('../middleware/audit');
+
+// 导出格式对应的响应类型
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: AuditLog
+ *   description: 审计日志相关接口，记录管理操作和安全相关操作，默认只有超级管理员可以查看
+ */
+
+/**
+ * @swagger
+ * /api/user-center/audit-logs:
+ *   get:
+ *     summary: 查询审计日志（超级管理员可用）
+ *     description: 按时间倒序返回，before 和 after 为修改前后发生变化的字段；创建操作只有 after，删除操作只有 before
+ *     tags: [AuditLog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: integer
+ *         description: 操作者用户ID
+ *       - in: query
+ *         name: actorType
+ *         schema:
+ *           type: string
+ *           enum: [user, api_key, oauth_client, system, anonymous]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: 操作名称，如 user.update；以 .* 结尾时按前缀匹配，如 user.*
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *         description: 操作对象类型，如 user、role、product
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: 开始时间（含），Unix时间戳（秒）或ISO 8601格式
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: 结束时间（不含），格式同上
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: 每页数量，最多100
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: number
+ *                           actorId:
+ *                             type: number
+ *                           actorUsername:
+ *                             type: string
+ *                           actorType:
+ *                             type: string
+ *                           action:
+ *                             type: string
+ *                           targetType:
+ *                             type: string
+ *                           targetId:
+ *                             type: string
+ *                           before:
+ *                             type: object
+ *                           after:
+ *                             type: object
+ *                           metadata:
+ *                             type: object
+ *                           ipAddress:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           requestId:
+ *                             type: string
+ *                           createdAt:
+ *                             type: number
+ *                     total:
+ *                       type: number
+ *       400:
+ *         description: 查询参数无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get('/', authJWT, requirePermission('audit-logs:read'), async (req, res) => {
+  try {
+    const { page = 1, pageSize = 20 } = req.query;
+
+    const parsed = AuditLogModel.parseFilters(req.query);
+    if (!parsed.filters) {
+      return res.status(parsed.code).json(parsed);
+    }
+
+    const result = await AuditLogModel.getAuditLogs(parsed.filters, parseInt(page), parseInt(pageSize));
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取审计日志失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/audit-logs/export:
+ *   get:
+ *     summary: 导出审计日志（超级管理员可用）
+ *     description: 导出符合条件的全部记录，过滤参数与查询接口相同；导出操作本身也会记录在审计日志中
+ *     tags: [AuditLog]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *           default: csv
+ *         description: csv 的 before、after、metadata 列为JSON文本；jsonl 每行一条记录
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: actorType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 导出成功
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: 查询参数无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get('/export', authJWT, requirePermission('audit-logs:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        code: 400,
+        message: `无效的导出格式，可选值: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const parsed = AuditLogModel.parseFilters(req.query);
+    if (!parsed.filters) {
+      return res.status(parsed.code).json(parsed);
+    }
+
+    await recordAudit(req, 'audit-log.export', { metadata: { format, filters: req.query } });
+
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.set('Content-Type', EXPORT_FORMATS[format]);
+    res.set('Content-Disposition', `attachment; filename="audit-logs-${date}.${format}"`);
+
+    // 客户端断开后停止导出；缓冲区满时等待写出，避免大量记录堆积在内存中
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+    const write = async (chunk) => {
+      if (closed) {
+        throw new Error('客户端已断开连接');
+      }
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    };
+
+    await AuditLogModel.exportAuditLogs(parsed.filters, format, write);
+
+    res.end();
+  } catch (error) {
+    // 已开始输出时无法再返回错误信息，直接结束响应
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.removeHeader('Content-Disposition');
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.status(500).json({
+      code: 500,
+      message: error.message || '导出审计日志失败'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,32 @@
 const express = require('express');
 const router = express.Router();
 const UserModel = require('../models/user.model');
+const PasswordResetModel = require('../models/password-reset.model');
+const EmailVerificationModel = require('../models/email-verification.model');
+const MfaModel = require('../models/mfa.model');
+const OAuthModel = require('../models/oauth.model');
+const IdentityModel = require('../models/identity.model');
+const PasswordlessModel = require('../models/passwordless.model');
+const QrLoginModel = require('../models/qr-login.model');
+const WebAuthnModel = require('../models/webauthn.model');
 const { authJWT } = require('../middleware/auth.jwt');
+const { authJWTOrApiKey } = require('../middleware/auth.api-key');
+const { authClient, sendOAuthError } = require('../middleware/auth.client');
+const { limiters } = require('../middleware/rate-limit.policies');
+const { audit, recordAudit } = require('../middleware/audit');
+const { listProviders } = require('../utils/social-providers');
+const { validatePassword, getPasswordPolicy } = require('../utils/password-policy');
+const { verifyChallengeToken } = require('../utils/token');
+
+/**
+ * 获取登录时修改密码的用户ID，用于审计日志
+ * @param {Object} req - Express请求对象
+ * @returns {number|undefined} 用户ID，令牌无效时返回undefined
+ */
+const passwordChangeUserId = (req) => {
+  const payload = verifyChallengeToken(req.body.passwordChangeToken, ['password-change']);
+  return payload ? payload.userId : undefined;
+};
 
 /**
  * @swagger
@@ -36,7 +61,7 @@ const { authJWT } = require('../middleware/auth.jwt');
  *                 description: 邮箱
  *               password: 
  *                 type: string
- *                 description: 密码
+ *                 description: 密码，需符合密码策略（见 /auth/password-policy）
  *               nickname: 
  *                 type: string
  *                 description: 昵称
@@ -69,7 +94,7 @@ const { authJWT } = require('../middleware/auth.jwt');
  *                 message: 
  *                   type: string
  */
-router.post('/register', async (req, res) => {
+router.post('/register', limiters.register, audit('user.register', { target: 'user', id: (req, data) => data && data.id }), async (req, res) => {
   try {
     const { username, email, password, nickname, source } = req.body;
 
@@ -81,12 +106,10 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // 验证密码长度
-    if (password.length < 6) {
-      return res.status(400).json({
-        code: 400,
-        message: '密码长度不能少于6位'
-      });
+    // 按密码策略校验密码
+    const passwordError = await validatePassword(password, { username, email });
+    if (passwordError) {
+      return res.status(400).json(passwordError);
     }
 
     // 创建用户
@@ -98,9 +121,207 @@ router.post('/register', async (req, res) => {
       source
     });
 
-    res.status(201).json(user);
+    res.status(user.code === 200 ? 201 : 400).json(user);
+  } catch (error) {
+    res.status(400).json({
+      code: 400,
+      message: error.message || '注册失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/password-policy:
+ *   get:
+ *     summary: 获取密码策略
+ *     description: 注册、创建用户、修改密码和重置密码都按此策略校验；不符合时返回400，data.reasons 列出不符合的规则
+ *     tags: [Auth]
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     minLength: 
+ *                       type: integer
+ *                     maxLength: 
+ *                       type: integer
+ *                     minCharClasses: 
+ *                       type: integer
+ *                       description: 至少包含的字符种类数
+ *                     charClasses: 
+ *                       type: array
+ *                       items: 
+ *                         type: string
+ *                     disallowIdentity: 
+ *                       type: boolean
+ *                       description: 是否禁止包含用户名或邮箱
+ *                     disallowBreached: 
+ *                       type: boolean
+ *                       description: 是否禁止使用常见或已泄露的密码
+ */
+router.get('/password-policy', (req, res) => {
+  res.status(200).json({ code: 200, message: '获取密码策略成功', data: getPasswordPolicy() });
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/verify-email:
+ *   get:
+ *     summary: 验证邮箱（邮件链接）
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 验证令牌
+ *     responses:
+ *       200: 
+ *         description: 验证成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *       400: 
+ *         description: 验证链接无效或已过期
+ *   post:
+ *     summary: 验证邮箱
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token: 
+ *                 type: string
+ *                 description: 验证令牌
+ *     responses:
+ *       200: 
+ *         description: 验证成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *       400: 
+ *         description: 验证链接无效或已过期
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.method === 'GET' ? req.query.token : req.body.token;
+
+    // 验证参数
+    if (!token) {
+      return res.status(400).json({
+        code: 400,
+        message: '验证令牌为必填项'
+      });
+    }
+
+    const result = await EmailVerificationModel.verifyEmail(token);
+
+    // 验证前的邮箱和验证状态无法从令牌得知，只记录验证后的结果
+    if (result.code === 200) {
+      await recordAudit(req, 'user.verify-email', {
+        targetType: 'user',
+        targetId: result.data.id,
+        after: { email: result.data.email, emailVerified: result.data.emailVerified }
+      }).catch(error => console.error('审计日志写入失败 (user.verify-email):', error));
+    }
+
+    res.status(result.code === 200 ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '邮箱验证失败'
+    });
+  }
+};
+
+router.get('/verify-email', limiters.tokenVerify, verifyEmail);
+router.post('/verify-email', limiters.tokenVerify, verifyEmail);
+
+/**
+ * @swagger
+ * /api/user-center/auth/resend-verification:
+ *   post:
+ *     summary: 重新发送验证邮件
+ *     description: 无论邮箱是否注册都返回相同结果
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email: 
+ *                 type: string
+ *                 description: 注册邮箱
+ *     responses:
+ *       200: 
+ *         description: 请求已受理
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ */
+router.post('/resend-verification', limiters.emailSend, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // 验证参数
+    if (!email) {
+      return res.status(400).json({
+        code: 400,
+        message: '邮箱为必填项'
+      });
+    }
+
+    const result = await EmailVerificationModel.resendVerification(email);
+
+    res.status(200).json(result);
   } catch (error) {
-    res.status(400).json(user);
+    res.status(500).json({
+      code: 500,
+      message: error.message || '发送验证邮件失败'
+    });
   }
 });
 
@@ -126,6 +347,9 @@ router.post('/register', async (req, res) => {
  *               password: 
  *                 type: string
  *                 description: 密码
+ *               deviceId: 
+ *                 type: string
+ *                 description: 客户端设备标识（可选）
  *     responses:
  *       200: 
  *         description: 登录成功
@@ -145,6 +369,56 @@ router.post('/register', async (req, res) => {
  *                       type: object
  *                     token: 
  *                       type: string
+ *                       description: 访问令牌（JWT）
+ *                     tokenType: 
+ *                       type: string
+ *                     expiresAt: 
+ *                       type: number
+ *                       description: 访问令牌过期时间戳（秒）
+ *                     refreshToken: 
+ *                       type: string
+ *                       description: 刷新令牌
+ *                     refreshExpiresAt: 
+ *                       type: number
+ *                       description: 刷新令牌过期时间戳（秒）
+ *                     organizationId: 
+ *                       type: number
+ *                       description: 当前组织ID，访问令牌中的 org_id 和 org_role 对应该组织；默认为上次使用的组织，未加入组织时没有此字段
+ *                     mfaRequired: 
+ *                       type: boolean
+ *                       description: 为true时需使用mfaToken调用 /auth/login/mfa 完成二次验证
+ *                     mfaEnrollmentRequired: 
+ *                       type: boolean
+ *                       description: 为true时当前角色必须先绑定二次验证，使用mfaToken调用 /auth/login/mfa/setup
+ *                     mfaToken: 
+ *                       type: string
+ *                       description: 二次验证挑战令牌，短期有效
+ *                     passwordChangeRequired: 
+ *                       type: boolean
+ *                       description: 为true时密码已过期或管理员要求修改密码，需使用passwordChangeToken调用 /auth/login/password-change 设置新密码；启用了二次验证时在二次验证通过后才会返回
+ *                     reason: 
+ *                       type: string
+ *                       enum: [expired, admin]
+ *                       description: 需要修改密码的原因
+ *                     passwordChangeToken: 
+ *                       type: string
+ *                       description: 修改密码令牌，短期有效，只能用于修改密码
+ *       423: 
+ *         description: 登录失败次数过多，账号或IP已被临时锁定，响应头 Retry-After 为剩余秒数
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     retryAfter: 
+ *                       type: number
  *       401: 
  *         description: 登录失败
  *         content:
@@ -157,9 +431,9 @@ router.post('/register', async (req, res) => {
  *                 message: 
  *                   type: string
  */
-router.post('/login', async (req, res) => {
+router.post('/login', limiters.login, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, deviceId } = req.body;
 
     // 验证参数
     if (!username || !password) {
@@ -172,12 +446,19 @@ router.post('/login', async (req, res) => {
     // 获取登录信息
     const loginInfo = {
       ipAddress: req.ip,
-      userAgent: req.headers['user-agent']
+      userAgent: req.headers['user-agent'],
+      deviceId
     };
 
     // 用户登录
     const result = await UserModel.login(username, password, loginInfo);
 
+    // 登录被临时锁定时返回423，并告知客户端多久后可以重试
+    if (result.code === 423) {
+      res.set('Retry-After', String(result.data.retryAfter));
+      return res.status(423).json(result);
+    }
+
     res.status(200).json(result);
   } catch (error) {
     res.status(200).json({
@@ -189,15 +470,33 @@ router.post('/login', async (req, res) => {
 
 /**
  * @swagger
- * /api/user-center/auth/logout:
+ * /api/user-center/auth/login/mfa:
  *   post:
- *     summary: 用户登出
+ *     summary: 登录二次验证
+ *     description: 使用登录返回的mfaToken和身份验证器中的验证码（或恢复码）完成登录；绑定流程中的验证码同时用于确认绑定，并在返回结果中附带恢复码
  *     tags: [Auth]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken: 
+ *                 type: string
+ *                 description: 二次验证挑战令牌
+ *               code: 
+ *                 type: string
+ *                 description: 6位验证码或恢复码
+ *               deviceId: 
+ *                 type: string
+ *                 description: 客户端设备标识（可选）
  *     responses:
  *       200: 
- *         description: 登出成功
+ *         description: 登录成功，返回内容与 /auth/login 相同
  *         content:
  *           application/json:
  *             schema:
@@ -207,8 +506,69 @@ router.post('/login', async (req, res) => {
  *                   type: number
  *                 message: 
  *                   type: string
- *       401: 
- *         description: 未授权
+ *                 data: 
+ *                   type: object
+ *       423: 
+ *         description: 登录失败次数过多，账号或IP已被临时锁定
+ */
+router.post('/login/mfa', limiters.login, async (req, res) => {
+  try {
+    const { mfaToken, code, deviceId } = req.body;
+
+    // 验证参数
+    if (!mfaToken || !code) {
+      return res.status(400).json({
+        code: 400,
+        message: '二次验证令牌和验证码为必填项'
+      });
+    }
+
+    // 获取登录信息
+    const loginInfo = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceId
+    };
+
+    const result = await MfaModel.verifyLogin(mfaToken, code, loginInfo);
+
+    // 登录被临时锁定时返回423，并告知客户端多久后可以重试
+    if (result.code === 423) {
+      res.set('Retry-After', String(result.data.retryAfter));
+      return res.status(423).json(result);
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(200).json({
+      code: 401,
+      message: error.message || '二次验证失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/login/mfa/setup:
+ *   post:
+ *     summary: 登录时绑定二次验证
+ *     description: 强制启用二次验证的角色在登录时使用mfaToken获取密钥，再调用 /auth/login/mfa 确认绑定并完成登录
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken: 
+ *                 type: string
+ *                 description: 二次验证挑战令牌
+ *     responses:
+ *       200: 
+ *         description: 获取成功
  *         content:
  *           application/json:
  *             schema:
@@ -218,35 +578,66 @@ router.post('/login', async (req, res) => {
  *                   type: number
  *                 message: 
  *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     secret: 
+ *                       type: string
+ *                     otpauthUri: 
+ *                       type: string
  */
-router.post('/logout', authJWT, async (req, res) => {
+router.post('/login/mfa/setup', limiters.login, async (req, res) => {
   try {
-    // 注销当前会话
-    await UserModel.logout(req.user.id, req.token);
+    const { mfaToken } = req.body;
 
-    res.status(200).json({
-      code: 200,
-      message: '登出成功'
-    });
+    // 验证参数
+    if (!mfaToken) {
+      return res.status(400).json({
+        code: 400,
+        message: '二次验证令牌为必填项'
+      });
+    }
+
+    const result = await MfaModel.setupWithChallenge(mfaToken);
+
+    res.status(200).json(result);
   } catch (error) {
     res.status(500).json({
       code: 500,
-      message: error.message || '登出失败'
+      message: error.message || '获取二次验证密钥失败'
     });
   }
 });
 
 /**
  * @swagger
- * /api/user-center/auth/logout-all:
+ * /api/user-center/auth/login/password-change:
  *   post:
- *     summary: 注销所有设备会话
+ *     summary: 登录时修改密码
+ *     description: 密码已过期或管理员要求修改密码时，使用登录返回的passwordChangeToken设置新密码；修改成功后注销该用户的所有会话并完成登录，返回内容与 /auth/login 相同。所有登录方式（包括第三方登录、通行密钥、免密登录和扫码登录）在二次验证通过后都会检查该要求，未设置密码的用户不受影响
  *     tags: [Auth]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - passwordChangeToken
+ *               - newPassword
+ *             properties:
+ *               passwordChangeToken: 
+ *                 type: string
+ *                 description: 修改密码令牌
+ *               newPassword: 
+ *                 type: string
+ *                 description: 新密码，需符合密码策略且不能与最近用过的密码相同
+ *               deviceId: 
+ *                 type: string
+ *                 description: 客户端设备标识（可选）
  *     responses:
  *       200: 
- *         description: 注销成功
+ *         description: 修改成功，返回内容与 /auth/login 相同
  *         content:
  *           application/json:
  *             schema:
@@ -256,8 +647,1296 @@ router.post('/logout', authJWT, async (req, res) => {
  *                   type: number
  *                 message: 
  *                   type: string
- *       401: 
- *         description: 未授权
+ *                 data: 
+ *                   type: object
+ *       400: 
+ *         description: 新密码不符合密码策略或与最近用过的密码相同
+ *       401: 
+ *         description: 修改密码令牌无效或已过期
+ */
+router.post('/login/password-change', limiters.login, audit('user.change-password', { target: 'user', id: req => passwordChangeUserId(req) }), async (req, res) => {
+  try {
+    const { passwordChangeToken, newPassword, deviceId } = req.body;
+
+    // 验证参数
+    if (!passwordChangeToken || !newPassword) {
+      return res.status(400).json({
+        code: 400,
+        message: '修改密码令牌和新密码为必填项'
+      });
+    }
+
+    // 获取登录信息
+    const loginInfo = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceId
+    };
+
+    const result = await UserModel.changePasswordOnLogin(passwordChangeToken, newPassword, loginInfo);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '修改密码失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/social/providers:
+ *   get:
+ *     summary: 获取可用的第三方登录平台
+ *     tags: [Auth]
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: array
+ *                   items: 
+ *                     type: object
+ *                     properties:
+ *                       name: 
+ *                         type: string
+ *                         description: 平台名称，用于后续接口的路径
+ *                       displayName: 
+ *                         type: string
+ */
+router.get('/social/providers', async (req, res) => {
+  try {
+    res.status(200).json({ code: 200, message: '获取第三方登录平台成功', data: listProviders() });
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取第三方登录平台失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/social/{provider}/start:
+ *   post:
+ *     summary: 发起第三方登录
+ *     description: 返回第三方平台的授权地址和socialToken；前端保存socialToken后跳转到授权地址，第三方平台回调时将 code 和 state 连同socialToken提交到 /auth/social/{provider}/callback
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 平台名称
+ *     responses:
+ *       200: 
+ *         description: 发起成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     authorizationUrl: 
+ *                       type: string
+ *                     socialToken: 
+ *                       type: string
+ *                       description: 短期有效，回调时原样提交
+ *       404: 
+ *         description: 不支持的第三方登录平台
+ *       502: 
+ *         description: 无法连接第三方平台
+ */
+router.post('/social/:provider/start', limiters.login, async (req, res) => {
+  try {
+    const result = await IdentityModel.start(req.params.provider);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '发起第三方登录失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/social/{provider}/callback:
+ *   post:
+ *     summary: 完成第三方登录
+ *     description: 已绑定的第三方账号直接登录；首次登录时自动创建用户。第三方邮箱已被其他用户使用时返回409，需要登录原账号后在个人中心绑定。返回内容与 /auth/login 相同，同样可能需要二次验证
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 平台名称
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *               - socialToken
+ *             properties:
+ *               code: 
+ *                 type: string
+ *                 description: 第三方平台回调的授权码
+ *               state: 
+ *                 type: string
+ *                 description: 第三方平台回调的state
+ *               socialToken: 
+ *                 type: string
+ *                 description: 发起第三方登录时返回的socialToken
+ *               source: 
+ *                 type: string
+ *                 description: 首次登录创建用户时记录的用户来源（可选）
+ *               deviceId: 
+ *                 type: string
+ *                 description: 客户端设备标识（可选）
+ *     responses:
+ *       200: 
+ *         description: 登录成功，返回内容与 /auth/login 相同
+ *       400: 
+ *         description: 第三方认证失败
+ *       403: 
+ *         description: 第三方账号未绑定用户且未开启自动创建用户
+ *       409: 
+ *         description: 第三方邮箱已被其他用户使用
+ */
+router.post('/social/:provider/callback', limiters.login, async (req, res) => {
+  try {
+    const { code, state, socialToken, source, deviceId } = req.body;
+
+    // 验证参数
+    if (!code || !state || !socialToken) {
+      return res.status(400).json({
+        code: 400,
+        message: '授权码、state和socialToken为必填项'
+      });
+    }
+
+    // 获取登录信息
+    const loginInfo = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceId
+    };
+
+    const result = await IdentityModel.login(req.params.provider, { code, state, socialToken, source }, loginInfo);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '第三方登录失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/passwordless/start:
+ *   post:
+ *     summary: 发起免密登录
+ *     description: 向邮箱发送一次性登录链接或6位验证码；无论邮箱是否注册都返回相同结果
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email: 
+ *                 type: string
+ *                 description: 邮箱
+ *               type: 
+ *                 type: string
+ *                 enum: [link, code]
+ *                 default: link
+ *                 description: link 发送登录链接，code 发送验证码（适合移动应用）
+ *     responses:
+ *       200: 
+ *         description: 处理成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ */
+router.post('/passwordless/start', limiters.emailSend, async (req, res) => {
+  try {
+    const { email, type } = req.body;
+
+    // 验证参数
+    if (!email) {
+      return res.status(400).json({
+        code: 400,
+        message: '邮箱为必填项'
+      });
+    }
+
+    const result = await PasswordlessModel.start(email, type || 'link', {
+      ipAddress: req.ip
+    });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '发送免密登录邮件失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/passwordless/verify:
+ *   post:
+ *     summary: 完成免密登录
+ *     description: 提交登录链接中的token，或提交邮箱和验证码。验证码错误次数达到上限后作废，并计入登录失败次数。返回内容与 /auth/login 相同，同样可能需要二次验证
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token: 
+ *                 type: string
+ *                 description: 登录链接中的令牌
+ *               email: 
+ *                 type: string
+ *                 description: 邮箱（使用验证码时必填）
+ *               code: 
+ *                 type: string
+ *                 description: 6位验证码
+ *               deviceId: 
+ *                 type: string
+ *                 description: 客户端设备标识（可选）
+ *     responses:
+ *       200: 
+ *         description: 登录成功，返回内容与 /auth/login 相同
+ *       400: 
+ *         description: 登录链接或验证码无效或已过期
+ *       423: 
+ *         description: 登录失败次数过多，账号或IP已被临时锁定，响应头 Retry-After 为剩余秒数
+ */
+router.post('/passwordless/verify', limiters.login, async (req, res) => {
+  try {
+    const { token, email, code, deviceId } = req.body;
+
+    // 验证参数
+    if (!token && !(email && code)) {
+      return res.status(400).json({
+        code: 400,
+        message: '请提供登录令牌，或邮箱和验证码'
+      });
+    }
+
+    // 获取登录信息
+    const loginInfo = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceId
+    };
+
+    const result = token
+      ? await PasswordlessModel.verifyLink(token, loginInfo)
+      : await PasswordlessModel.verifyCode(email, code, loginInfo);
+
+    // 登录被临时锁定时返回423，并告知客户端多久后可以重试
+    if (result.code === 423) {
+      res.set('Retry-After', String(result.data.retryAfter));
+    }
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '免密登录失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/qr/tickets:
+ *   post:
+ *     summary: 申请扫码登录二维码（网页端）
+ *     description: 将 qrContent 生成二维码展示给用户，并保存 pollToken 用于查询状态
+ *     tags: [Auth]
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     ticketId: 
+ *                       type: string
+ *                     pollToken: 
+ *                       type: string
+ *                       description: 轮询令牌，只由网页端持有，不要放入二维码
+ *                     qrContent: 
+ *                       type: string
+ *                       description: 二维码内容
+ *                     expiresAt: 
+ *                       type: number
+ */
+router.post('/qr/tickets', limiters.login, async (req, res) => {
+  try {
+    const result = await QrLoginModel.createTicket({
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取扫码登录二维码失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/qr/tickets/{ticketId}/status:
+ *   post:
+ *     summary: 查询扫码登录状态（网页端）
+ *     description: 状态为 pending（等待扫码）、scanned（已扫码，等待确认）、confirmed（已确认）或 expired（已过期或已取消）。状态为 confirmed 时同时返回新的会话，内容与 /auth/login 相同，会话只能领取一次。传入 knownStatus 和 wait 时使用长轮询，状态变化或等待超时后返回
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pollToken
+ *             properties:
+ *               pollToken: 
+ *                 type: string
+ *                 description: 申请二维码时返回的轮询令牌
+ *               knownStatus: 
+ *                 type: string
+ *                 enum: [pending, scanned]
+ *                 description: 网页端当前已知的状态（长轮询时使用）
+ *               wait: 
+ *                 type: integer
+ *                 description: 长轮询最长等待秒数（0-25），默认0立即返回
+ *               deviceId: 
+ *                 type: string
+ *                 description: 客户端设备标识（可选）
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     status: 
+ *                       type: string
+ *                       enum: [pending, scanned, confirmed, expired]
+ *                     user: 
+ *                       type: object
+ *                       description: 已扫码时返回扫码用户的昵称和头像
+ *       404: 
+ *         description: 二维码不存在
+ */
+router.post('/qr/tickets/:ticketId/status', limiters.qrPoll, async (req, res) => {
+  try {
+    const { pollToken, knownStatus, wait, deviceId } = req.body;
+
+    // 验证参数
+    if (!pollToken) {
+      return res.status(400).json({
+        code: 400,
+        message: '轮询令牌为必填项'
+      });
+    }
+
+    const waitSeconds = parseInt(wait || 0);
+    if (isNaN(waitSeconds)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的等待时间'
+      });
+    }
+
+    // 获取登录信息
+    const loginInfo = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceId
+    };
+
+    const result = await QrLoginModel.getStatus(req.params.ticketId, pollToken, loginInfo, {
+      knownStatus,
+      waitSeconds
+    });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取扫码登录状态失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/qr/tickets/{ticketId}/scan:
+ *   post:
+ *     summary: 扫描登录二维码（移动端）
+ *     description: 返回发起登录的网页端IP和设备信息，供用户确认是否是本人操作
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200: 
+ *         description: 扫码成功
+ *       400: 
+ *         description: 二维码已失效
+ *       401: 
+ *         description: 未授权
+ *       409: 
+ *         description: 二维码已被其他用户扫描
+ */
+router.post('/qr/tickets/:ticketId/scan', authJWT, async (req, res) => {
+  try {
+    const result = await QrLoginModel.scan(req.params.ticketId, req.user);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '扫码失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/qr/tickets/{ticketId}/confirm:
+ *   post:
+ *     summary: 确认扫码登录（移动端）
+ *     description: 只有扫码的用户可以确认，确认后网页端查询状态时获得新的会话
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200: 
+ *         description: 已确认登录
+ *       400: 
+ *         description: 二维码已失效或尚未扫码
+ *       401: 
+ *         description: 未授权
+ * /api/user-center/auth/qr/tickets/{ticketId}/cancel:
+ *   post:
+ *     summary: 取消扫码登录（移动端）
+ *     description: 取消后二维码失效，网页端需要刷新二维码
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200: 
+ *         description: 已取消登录
+ *       400: 
+ *         description: 二维码已失效或尚未扫码
+ *       401: 
+ *         description: 未授权
+ */
+router.post('/qr/tickets/:ticketId/confirm', authJWT, async (req, res) => {
+  try {
+    const result = await QrLoginModel.confirm(req.params.ticketId, req.user, true);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '确认登录失败'
+    });
+  }
+});
+
+router.post('/qr/tickets/:ticketId/cancel', authJWT, async (req, res) => {
+  try {
+    const result = await QrLoginModel.confirm(req.params.ticketId, req.user, false);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '取消登录失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/webauthn/register/options:
+ *   post:
+ *     summary: 获取通行密钥注册选项
+ *     description: 将 options 传给浏览器的 navigator.credentials.create()，并保存 webauthnToken 用于提交注册结果
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     options: 
+ *                       type: object
+ *                       description: PublicKeyCredentialCreationOptions（JSON格式）
+ *                     webauthnToken: 
+ *                       type: string
+ *                       description: 短期有效，提交注册结果时原样提交
+ *       401: 
+ *         description: 未授权
+ */
+router.post('/webauthn/register/options', authJWT, async (req, res) => {
+  try {
+    const result = await WebAuthnModel.getRegistrationOptions(req.user);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取通行密钥注册选项失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/webauthn/register/verify:
+ *   post:
+ *     summary: 提交通行密钥注册结果
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - webauthnToken
+ *               - response
+ *             properties:
+ *               webauthnToken: 
+ *                 type: string
+ *                 description: 获取注册选项时返回的令牌
+ *               response: 
+ *                 type: object
+ *                 description: navigator.credentials.create() 的结果（RegistrationResponseJSON）
+ *               name: 
+ *                 type: string
+ *                 description: 通行密钥名称（可选），如“我的手机”
+ *     responses:
+ *       200: 
+ *         description: 添加成功
+ *       400: 
+ *         description: 验证失败或注册已过期
+ *       401: 
+ *         description: 未授权
+ *       409: 
+ *         description: 该通行密钥已被添加
+ */
+router.post('/webauthn/register/verify', authJWT, audit('webauthn-credential.create', { target: 'webauthn-credential', id: (req, data) => data && data.id }), async (req, res) => {
+  try {
+    const { webauthnToken, response, name } = req.body;
+
+    // 验证参数
+    if (!webauthnToken || !response || typeof response !== 'object') {
+      return res.status(400).json({
+        code: 400,
+        message: '注册令牌和认证器响应为必填项'
+      });
+    }
+
+    const result = await WebAuthnModel.verifyRegistration(req.user, webauthnToken, response, name);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '添加通行密钥失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/webauthn/login/options:
+ *   post:
+ *     summary: 获取通行密钥登录选项
+ *     description: 将 options 传给浏览器的 navigator.credentials.get()；不提供用户名时由认证器选择可发现的通行密钥
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username: 
+ *                 type: string
+ *                 description: 用户名或邮箱（可选）
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     options: 
+ *                       type: object
+ *                       description: PublicKeyCredentialRequestOptions（JSON格式）
+ *                     webauthnToken: 
+ *                       type: string
+ *                       description: 短期有效，提交登录结果时原样提交
+ */
+router.post('/webauthn/login/options', limiters.login, async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    const result = await WebAuthnModel.getAuthenticationOptions(username);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取通行密钥登录选项失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/webauthn/login/verify:
+ *   post:
+ *     summary: 使用通行密钥登录
+ *     description: 认证器完成了用户验证（指纹、面容或PIN）时不再要求二次验证。返回内容与 /auth/login 相同。每个登录令牌只能提交一次，验证失败后需要重新获取登录选项，失败次数与密码登录共同计入登录保护
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - webauthnToken
+ *               - response
+ *             properties:
+ *               webauthnToken: 
+ *                 type: string
+ *                 description: 获取登录选项时返回的令牌
+ *               response: 
+ *                 type: object
+ *                 description: navigator.credentials.get() 的结果（AuthenticationResponseJSON）
+ *               deviceId: 
+ *                 type: string
+ *                 description: 客户端设备标识（可选）
+ *     responses:
+ *       200: 
+ *         description: 登录成功，返回内容与 /auth/login 相同
+ *       400: 
+ *         description: 验证失败、登录已过期或登录令牌已使用
+ *       423: 
+ *         description: 登录失败次数过多，账号或IP已被临时锁定，响应头 Retry-After 为剩余秒数
+ */
+router.post('/webauthn/login/verify', limiters.login, async (req, res) => {
+  try {
+    const { webauthnToken, response, deviceId } = req.body;
+
+    // 验证参数
+    if (!webauthnToken || !response || typeof response !== 'object' || !response.id) {
+      return res.status(400).json({
+        code: 400,
+        message: '登录令牌和认证器响应为必填项'
+      });
+    }
+
+    // 获取登录信息
+    const loginInfo = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceId
+    };
+
+    const result = await WebAuthnModel.verifyAuthentication(webauthnToken, response, loginInfo);
+
+    // 登录被临时锁定时返回423，并告知客户端多久后可以重试
+    if (result.code === 423) {
+      res.set('Retry-After', String(result.data.retryAfter));
+      return res.status(423).json(result);
+    }
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '通行密钥登录失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/refresh:
+ *   post:
+ *     summary: 刷新访问令牌
+ *     description: 使用刷新令牌换取新的访问令牌和刷新令牌，旧的刷新令牌随即失效；重复使用旧的刷新令牌将撤销该次登录的所有会话
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken: 
+ *                 type: string
+ *                 description: 刷新令牌
+ *               deviceId: 
+ *                 type: string
+ *                 description: 客户端设备标识（可选，默认沿用登录时的设备标识）
+ *     responses:
+ *       200: 
+ *         description: 刷新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     token: 
+ *                       type: string
+ *                     tokenType: 
+ *                       type: string
+ *                     expiresAt: 
+ *                       type: number
+ *                     refreshToken: 
+ *                       type: string
+ *                     refreshExpiresAt: 
+ *                       type: number
+ *       401: 
+ *         description: 刷新令牌无效或已过期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ */
+router.post('/refresh', limiters.refresh, async (req, res) => {
+  try {
+    const { refreshToken, deviceId } = req.body;
+
+    // 验证参数
+    if (!refreshToken) {
+      return res.status(400).json({
+        code: 400,
+        message: '刷新令牌为必填项'
+      });
+    }
+
+    // 获取登录信息
+    const loginInfo = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceId
+    };
+
+    const result = await UserModel.refreshToken(refreshToken, loginInfo);
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '刷新令牌失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/forgot-password:
+ *   post:
+ *     summary: 忘记密码
+ *     description: 向注册邮箱发送一次性重置密码链接；无论邮箱是否注册都返回相同结果
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email: 
+ *                 type: string
+ *                 description: 注册邮箱
+ *     responses:
+ *       200: 
+ *         description: 请求已受理
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ */
+router.post('/forgot-password', limiters.emailSend, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // 验证参数
+    if (!email) {
+      return res.status(400).json({
+        code: 400,
+        message: '邮箱为必填项'
+      });
+    }
+
+    const result = await PasswordResetModel.requestReset(email, {
+      ipAddress: req.ip
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '发送重置密码邮件失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/reset-password:
+ *   post:
+ *     summary: 重置密码
+ *     description: 使用邮件中的一次性令牌设置新密码，成功后该用户的所有会话将被注销
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token: 
+ *                 type: string
+ *                 description: 重置令牌
+ *               newPassword: 
+ *                 type: string
+ *                 description: 新密码
+ *     responses:
+ *       200: 
+ *         description: 重置成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     userId: 
+ *                       type: number
+ *       400: 
+ *         description: 重置链接无效或已过期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ */
+router.post('/reset-password', limiters.tokenVerify, audit('user.reset-password', { target: 'user', id: (req, data) => data && data.userId }), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    // 验证参数
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        code: 400,
+        message: '重置令牌和新密码为必填项'
+      });
+    }
+
+    // 新密码在找到令牌对应的用户后按密码策略校验
+    const result = await PasswordResetModel.resetPassword(token, newPassword);
+
+    res.status(result.code === 200 ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '重置密码失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/logout:
+ *   post:
+ *     summary: 用户登出
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: 
+ *         description: 登出成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *       401: 
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ */
+router.post('/logout', authJWT, audit('session.logout', { target: 'user', id: req => req.user.id }), async (req, res) => {
+  try {
+    // 注销当前会话
+    await UserModel.logout(req.user.id, req.token);
+
+    res.status(200).json({
+      code: 200,
+      message: '登出成功'
+    });
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '登出失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/logout-all:
+ *   post:
+ *     summary: 注销所有设备会话
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: 
+ *         description: 注销成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *       401: 
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ */
+router.post('/logout-all', authJWT, audit('session.revoke-all', { target: 'user', id: req => req.user.id }), async (req, res) => {
+  try {
+    // 注销所有会话
+    await UserModel.logout(req.user.id);
+
+    res.status(200).json({
+      code: 200,
+      message: '所有设备已登出'
+    });
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '操作失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/introspect:
+ *   post:
+ *     summary: 令牌内省（服务端调用）
+ *     description: 产品服务端确认收到的令牌是否仍然有效（RFC 7662），无需自行验证签名和查询会话。需使用注册为机密客户端的客户端凭据认证，令牌无效时返回 active 为 false
+ *     tags: [Auth]
+ *     security:
+ *       - clientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 访问令牌或刷新令牌
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *     responses:
+ *       200: 
+ *         description: 内省结果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active: 
+ *                   type: boolean
+ *                 sub: 
+ *                   type: string
+ *                 user_id: 
+ *                   type: number
+ *                 username: 
+ *                   type: string
+ *                 role: 
+ *                   type: string
+ *                 scope: 
+ *                   type: string
+ *                   description: OAuth令牌的授权范围，用户直接登录的令牌没有此字段
+ *                 client_id: 
+ *                   type: string
+ *                 org_id: 
+ *                   type: number
+ *                   description: 会话的当前组织ID，用户未加入组织时没有此字段
+ *                 org_role: 
+ *                   type: string
+ *                   description: 用户在当前组织中的角色（owner、admin、member）
+ *                 token_type: 
+ *                   type: string
+ *                 exp: 
+ *                   type: number
+ *                 iat: 
+ *                   type: number
+ *       400: 
+ *         description: 请求无效
+ *       401: 
+ *         description: 客户端认证失败
+ */
+router.post('/introspect', limiters.introspect, authClient({ confidentialOnly: true }), async (req, res) => {
+  try {
+    const { token, token_type_hint: tokenTypeHint } = req.body;
+    if (!token) {
+      return sendOAuthError(res, { code: 400, error: 'invalid_request', message: '请提供要检查的令牌' });
+    }
+
+    const result = await OAuthModel.introspectToken(req.client, token, tokenTypeHint);
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(result.data);
+  } catch (error) {
+    res.status(500).json({
+      error: 'server_error',
+      error_description: error.message || '令牌内省失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/revoke:
+ *   post:
+ *     summary: 撤销令牌（服务端调用）
+ *     description: 产品服务端撤销用户的令牌（RFC 7009），令牌所在会话的所有令牌一并失效。需使用注册为机密客户端的客户端凭据认证，只能撤销用户直接登录的令牌和该客户端自己获得的OAuth令牌；令牌无效时同样返回成功
+ *     tags: [Auth]
+ *     security:
+ *       - clientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *     responses:
+ *       200: 
+ *         description: 撤销成功
+ *       400: 
+ *         description: 请求无效
+ *       401: 
+ *         description: 客户端认证失败
+ */
+router.post('/revoke', limiters.oauthToken, authClient({ confidentialOnly: true }), audit('oauth.revoke', { metadata: req => ({ clientId: req.client.clientId, tokenTypeHint: req.body.token_type_hint }), actorType: 'oauth_client' }), async (req, res) => {
+  try {
+    const { token, token_type_hint: tokenTypeHint } = req.body;
+    if (!token) {
+      return sendOAuthError(res, { code: 400, error: 'invalid_request', message: '请提供要撤销的令牌' });
+    }
+
+    const result = await OAuthModel.revokeToken(req.client, token, tokenTypeHint);
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'server_error',
+      error_description: error.message || '撤销令牌失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/sessions:
+ *   get:
+ *     summary: 获取当前用户的登录设备列表
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: 
+ *         description: 获取成功
  *         content:
  *           application/json:
  *             schema:
@@ -267,20 +1946,77 @@ router.post('/logout', authJWT, async (req, res) => {
  *                   type: number
  *                 message: 
  *                   type: string
+ *                 data: 
+ *                   type: array
+ *                   items: 
+ *                     type: object
+ *                     properties:
+ *                       id: 
+ *                         type: string
+ *                       ipAddress: 
+ *                         type: string
+ *                       userAgent: 
+ *                         type: string
+ *                       deviceId: 
+ *                         type: string
+ *                       device: 
+ *                         type: object
+ *                         description: 解析后的设备类型、操作系统和浏览器
+ *                       createdAt: 
+ *                         type: number
+ *                       expiresAt: 
+ *                         type: number
+ *                       current: 
+ *                         type: boolean
+ *                         description: 是否为当前请求所在的会话
+ *       401: 
+ *         description: 未授权
  */
-router.post('/logout-all', authJWT, async (req, res) => {
+router.get('/sessions', authJWT, async (req, res) => {
   try {
-    // 注销所有会话
-    await UserModel.logout(req.user.id);
+    const result = await UserModel.getUserSessions(req.user.id, req.token);
 
-    res.status(200).json({
-      code: 200,
-      message: '所有设备已登出'
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取会话列表失败'
     });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/sessions/{id}:
+ *   delete:
+ *     summary: 注销指定设备的会话
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会话ID
+ *     responses:
+ *       200: 
+ *         description: 注销成功
+ *       401: 
+ *         description: 未授权
+ *       404: 
+ *         description: 会话不存在
+ */
+router.delete('/sessions/:id', authJWT, audit('session.revoke', { target: 'session', id: req => req.params.id }), async (req, res) => {
+  try {
+    const result = await UserModel.revokeSession(req.user.id, req.params.id);
+
+    res.status(result.code).json(result);
   } catch (error) {
     res.status(500).json({
       code: 500,
-      message: error.message || '操作失败'
+      message: error.message || '注销会话失败'
     });
   }
 });
@@ -293,6 +2029,7 @@ router.post('/logout-all', authJWT, async (req, res) => {
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200: 
  *         description: 获取成功
@@ -319,7 +2056,7 @@ router.post('/logout-all', authJWT, async (req, res) => {
  *                 message: 
  *                   type: string
  */
-router.get('/me', authJWT, async (req, res) => {
+router.get('/me', authJWTOrApiKey('profile:read'), async (req, res) => {
   try {
     // 获取当前用户详细信息
     const userInfo = await UserModel.getUserInfo(req.user.id);
@@ -333,6 +2070,243 @@ router.get('/me', authJWT, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/user-center/auth/mfa/setup:
+ *   post:
+ *     summary: 开始绑定二次验证
+ *     description: 生成TOTP密钥和otpauth URI，需调用 /auth/mfa/confirm 确认后才会生效
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     secret: 
+ *                       type: string
+ *                     otpauthUri: 
+ *                       type: string
+ *       401: 
+ *         description: 未授权
+ */
+router.post('/mfa/setup', authJWT, async (req, res) => {
+  try {
+    const result = await MfaModel.setup(req.user.id);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取二次验证密钥失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/mfa/confirm:
+ *   post:
+ *     summary: 确认绑定二次验证
+ *     description: 验证码正确后启用二次验证，并返回只显示一次的恢复码
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code: 
+ *                 type: string
+ *                 description: 6位验证码
+ *     responses:
+ *       200: 
+ *         description: 启用成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes: 
+ *                       type: array
+ *                       items: 
+ *                         type: string
+ *       400: 
+ *         description: 验证码错误
+ *       401: 
+ *         description: 未授权
+ */
+router.post('/mfa/confirm', authJWT, limiters.mfaManage, audit('mfa.enable', { target: 'user', id: req => req.user.id }), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    // 验证参数
+    if (!code) {
+      return res.status(400).json({
+        code: 400,
+        message: '验证码为必填项'
+      });
+    }
+
+    const result = await MfaModel.confirm(req.user.id, code);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '启用二次验证失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/mfa/disable:
+ *   post:
+ *     summary: 关闭二次验证
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password: 
+ *                 type: string
+ *                 description: 当前密码
+ *               code: 
+ *                 type: string
+ *                 description: 6位验证码或恢复码
+ *     responses:
+ *       200: 
+ *         description: 关闭成功
+ *       400: 
+ *         description: 密码或验证码错误
+ *       401: 
+ *         description: 未授权
+ *       403: 
+ *         description: 当前角色必须启用二次验证
+ */
+router.post('/mfa/disable', authJWT, limiters.mfaManage, audit('mfa.disable', { target: 'user', id: req => req.user.id }), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    // 验证参数
+    if (!password || !code) {
+      return res.status(400).json({
+        code: 400,
+        message: '密码和验证码为必填项'
+      });
+    }
+
+    const result = await MfaModel.disable(req.user.id, password, code);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '关闭二次验证失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: 重新生成恢复码
+ *     description: 原有的恢复码全部作废，新的恢复码只显示一次
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code: 
+ *                 type: string
+ *                 description: 6位验证码
+ *     responses:
+ *       200: 
+ *         description: 生成成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes: 
+ *                       type: array
+ *                       items: 
+ *                         type: string
+ *       400: 
+ *         description: 验证码错误
+ *       401: 
+ *         description: 未授权
+ */
+router.post('/mfa/recovery-codes', authJWT, limiters.mfaManage, audit('mfa.regenerate-recovery-codes', { target: 'user', id: req => req.user.id }), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    // 验证参数
+    if (!code) {
+      return res.status(400).json({
+        code: 400,
+        message: '验证码为必填项'
+      });
+    }
+
+    const result = await MfaModel.regenerateRecoveryCodes(req.user.id, code);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '生成恢复码失败'
+    });
+  }
+});
+
 // Swagger定义JWT认证方式
 /**
  * @swagger
@@ -342,6 +2316,15 @@ router.get('/me', authJWT, async (req, res) => {
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: Authorization
+ *       description: 格式为 ApiKey {key}
+ *     clientBasicAuth:
+ *       type: http
+ *       scheme: basic
+ *       description: OAuth客户端凭据，用户名为 client_id，密码为 client_secret
  */
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,316 @@
+// 计费路由 - 处理订阅查询、免费套餐订阅以及支付平台推送的计费事件
+const express = require('express');
+const router = express.Router();
+const SubscriptionModel = require('../models/subscription.model');
+const RoleModel = require('../models/role.model');
+const { authJWT } = require('../middleware/auth.jwt');
+const { audit } = require('../middleware/audit');
+const { verifyBillingSignature } = require('../utils/billing-signature');
+
+// 计费事件签名密钥，由支付平台或内部计费服务共享；未配置时不接受计费事件
+const BILLING_EVENT_SECRET = process.env.BILLING_EVENT_SECRET;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Billing
+ *   description: 订阅和计费事件相关接口
+ */
+
+/**
+ * @swagger
+ * /api/user-center/billing/events:
+ *   post:
+ *     summary: 接收计费事件（支付平台或内部计费服务调用）
+ *     description: |
+ *       请求头 X-Billing-Signature 的格式为 t={时间戳},v1={签名}，签名为使用 BILLING_EVENT_SECRET 对 "{时间戳}.{原始请求体}" 计算的 HMAC-SHA256 十六进制值。
+ *       同一事件ID只处理一次，处理失败时可以重试。支持的事件类型有 subscription.created、subscription.updated、invoice.paid、invoice.payment_failed、subscription.canceled，其余类型会被忽略
+ *     tags: [Billing]
+ *     parameters:
+ *       - in: header
+ *         name: X-Billing-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - type
+ *               - data
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: 事件ID
+ *               type:
+ *                 type: string
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   externalId:
+ *                     type: string
+ *                     description: 支付平台的订阅ID
+ *                   userId:
+ *                     type: integer
+ *                     description: 仅 subscription.created 需要
+ *                   productId:
+ *                     type: string
+ *                     description: 仅 subscription.created 需要
+ *                   plan:
+ *                     type: string
+ *                     enum: [free, pro, enterprise]
+ *                     description: subscription.created 必填，subscription.updated 中用于更换套餐
+ *                   status:
+ *                     type: string
+ *                     enum: [trialing, active]
+ *                     description: 仅 subscription.created 使用，默认根据套餐的试用天数决定
+ *                   trialEndsAt:
+ *                     type: number
+ *                   currentPeriodEnd:
+ *                     type: number
+ *                   cancelAtPeriodEnd:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: 处理成功、事件已处理或已忽略
+ *       400:
+ *         description: 事件格式无效
+ *       401:
+ *         description: 签名无效
+ *       404:
+ *         description: 订阅不存在
+ *       409:
+ *         description: 订阅状态冲突
+ *       503:
+ *         description: 未配置计费事件密钥
+ */
+router.post('/events', audit('billing.event', { target: 'subscription', id: (req, data) => data && data.id, metadata: req => ({ eventId: req.body.id, type: req.body.type }), actorType: 'system' }), async (req, res) => {
+  try {
+    if (!BILLING_EVENT_SECRET) {
+      return res.status(503).json({
+        code: 503,
+        message: '未配置计费事件密钥'
+      });
+    }
+
+    if (!verifyBillingSignature(BILLING_EVENT_SECRET, req.header('X-Billing-Signature'), req.rawBody)) {
+      return res.status(401).json({
+        code: 401,
+        message: '计费事件签名无效'
+      });
+    }
+
+    const result = await SubscriptionModel.handleBillingEvent(req.body);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '处理计费事件失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/billing/subscriptions:
+ *   get:
+ *     summary: 获取订阅列表
+ *     description: 默认返回当前用户的订阅；查询其他用户或全部用户的订阅需要 users:read 权限
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: 用户ID，为 all 时查询全部用户
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [trialing, active, past_due, canceled]
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: number
+ *                       userId:
+ *                         type: number
+ *                       productId:
+ *                         type: string
+ *                       plan:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           features:
+ *                             type: object
+ *                       status:
+ *                         type: string
+ *                       externalId:
+ *                         type: string
+ *                       trialEndsAt:
+ *                         type: number
+ *                       currentPeriodEnd:
+ *                         type: number
+ *                       cancelAtPeriodEnd:
+ *                         type: boolean
+ *                       canceledAt:
+ *                         type: number
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get('/subscriptions', authJWT, async (req, res) => {
+  try {
+    const { userId, productId, status } = req.query;
+
+    let targetUserId = req.user.id;
+    if (userId !== undefined) {
+      targetUserId = userId === 'all' ? null : parseInt(userId);
+      if (targetUserId !== req.user.id && !(await RoleModel.hasPermission(req.user.role, 'users:read'))) {
+        return res.status(403).json({
+          code: 403,
+          message: '权限不足'
+        });
+      }
+    }
+
+    if (Number.isNaN(targetUserId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的用户ID'
+      });
+    }
+
+    const result = await SubscriptionModel.getSubscriptions({ userId: targetUserId, productId, status });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取订阅列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/billing/subscriptions:
+ *   post:
+ *     summary: 订阅免费套餐
+ *     description: 付费套餐通过支付平台购买，支付完成后由计费事件创建订阅
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 订阅成功
+ *       400:
+ *         description: 该产品没有可订阅的免费套餐
+ *       401:
+ *         description: 未授权
+ *       409:
+ *         description: 已订阅该产品
+ */
+router.post('/subscriptions', authJWT, audit('subscription.create', { target: 'subscription', id: (req, data) => data && data.id }), async (req, res) => {
+  try {
+    const result = await SubscriptionModel.subscribeFree(req.user, req.body.productId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '订阅失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/billing/subscriptions/{id}/cancel:
+ *   post:
+ *     summary: 取消免费订阅
+ *     description: 付费订阅需要在支付平台取消；取消后该订阅签发的许可证一并撤销
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 订阅ID
+ *     responses:
+ *       200:
+ *         description: 取消成功
+ *       400:
+ *         description: 付费订阅不能在此取消
+ *       401:
+ *         description: 未授权
+ *       404:
+ *         description: 订阅不存在
+ *       409:
+ *         description: 订阅已取消
+ */
+router.post('/subscriptions/:id/cancel', authJWT, audit('subscription.cancel', { target: 'subscription', id: req => req.params.id }), async (req, res) => {
+  try {
+    const subscriptionId = parseInt(req.params.id);
+    if (isNaN(subscriptionId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的订阅ID'
+      });
+    }
+
+    const result = await SubscriptionModel.cancelFreeSubscription(req.user, subscriptionId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '取消订阅失败'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+// 许可证路由 - 处理许可证签发、撤销、联网验证和公钥获取
+const express = require('express');
+const router = express.Router();
+const LicenseModel = require('../models/license.model');
+const { authJWT } = require('../middleware/auth.jwt');
+const { audit } = require('../middleware/audit');
+const { limiters } = require('../middleware/rate-limit.policies');
+const { getLicenseJwks } = require('../utils/license');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Licenses
+ *   description: 产品许可证相关接口，桌面产品使用许可证离线验证订阅
+ */
+
+/**
+ * @swagger
+ * /api/user-center/licenses/keys:
+ *   get:
+ *     summary: 获取许可证验证公钥（JWKS）
+ *     description: 桌面产品内置或缓存这里的公钥，按许可证头中的kid离线验证许可证签名；未配置签名密钥时返回空列表
+ *     tags: [Licenses]
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get('/keys', (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=600');
+    res.status(200).json(getLicenseJwks());
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取公钥失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/licenses/verify:
+ *   post:
+ *     summary: 联网验证许可证
+ *     description: 除签名和有效期外，还检查许可证是否已撤销、订阅是否仍然有效
+ *     tags: [Licenses]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - licenseKey
+ *             properties:
+ *               licenseKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 验证完成
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     license:
+ *                       type: object
+ *                       description: 许可证内容，仅在有效时返回
+ *       400:
+ *         description: 许可证密钥不能为空
+ *       429:
+ *         description: 请求过于频繁
+ */
+router.post('/verify', limiters.licenseVerify, async (req, res) => {
+  try {
+    const { licenseKey } = req.body;
+    if (!licenseKey || typeof licenseKey !== 'string') {
+      return res.status(400).json({
+        code: 400,
+        message: '许可证密钥不能为空'
+      });
+    }
+
+    const result = await LicenseModel.verifyLicenseKey(licenseKey);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '验证许可证失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/licenses:
+ *   get:
+ *     summary: 获取当前用户未过期的许可证
+ *     tags: [Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       productId:
+ *                         type: string
+ *                       subscriptionId:
+ *                         type: number
+ *                       planCode:
+ *                         type: string
+ *                       deviceId:
+ *                         type: string
+ *                       expiresAt:
+ *                         type: number
+ *                       revokedAt:
+ *                         type: number
+ *                       createdAt:
+ *                         type: number
+ *       401:
+ *         description: 未授权
+ */
+router.get('/', authJWT, async (req, res) => {
+  try {
+    const result = await LicenseModel.getUserLicenses(req.user.id);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取许可证列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/licenses:
+ *   post:
+ *     summary: 签发许可证
+ *     description: 需要有该产品未取消的订阅。许可证默认有效期由 LICENSE_VALIDITY 配置，试用期或即将取消的订阅以订阅结束时间为准，到期前重新签发即可续期
+ *     tags: [Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               deviceId:
+ *                 type: string
+ *                 description: 绑定的设备ID，桌面产品验证时应与本机一致
+ *     responses:
+ *       200:
+ *         description: 签发成功，licenseKey 为许可证密钥
+ *       400:
+ *         description: 参数无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 没有该产品的有效订阅
+ *       503:
+ *         description: 未配置许可证签名密钥
+ */
+router.post('/', authJWT, audit('license.issue', { target: 'license', id: (req, data) => data && data.id }), async (req, res) => {
+  try {
+    const { productId, deviceId } = req.body;
+
+    const result = await LicenseModel.issueLicense(req.user, productId, deviceId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '签发许可证失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/licenses/{id}:
+ *   delete:
+ *     summary: 撤销许可证
+ *     description: 撤销后联网验证失败，离线验证在许可证到期前仍然通过
+ *     tags: [Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 许可证ID
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *       401:
+ *         description: 未授权
+ *       404:
+ *         description: 许可证不存在或已撤销
+ */
+router.delete('/:id', authJWT, audit('license.revoke', { target: 'license', id: req => req.params.id }), async (req, res) => {
+  try {
+    const result = await LicenseModel.revokeLicense(req.user.id, req.params.id);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '撤销许可证失败'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,721 @@
+// OAuth 2.0 路由 - 处理客户端注册、授权码授权、令牌签发和撤销
+const express = require('express');
+const router = express.Router();
+const OAuthModel = require('../models/oauth.model');
+const OAuthClientModel = require('../models/oauth-client.model');
+const OidcModel = require('../models/oidc.model');
+const { authJWT, authJWTWithScopes, requirePermission } = require('../middleware/auth.jwt');
+const { authClient, sendOAuthError } = require('../middleware/auth.client');
+const { limiters } = require('../middleware/rate-limit.policies');
+const { audit } = require('../middleware/audit');
+
+/**
+ * @swagger
+ * tags:
+ *   name: OAuth
+ *   description: OAuth 2.0 授权相关接口，供其他产品通过用户中心登录
+ */
+
+/**
+ * @swagger
+ * /api/user-center/oauth/authorize:
+ *   get:
+ *     summary: 获取授权页面信息
+ *     description: 产品将用户引导到用户中心的授权页面，授权页面以当前登录用户的身份调用此接口，校验授权请求并展示客户端名称和申请的权限。校验失败且 data.redirectUri 存在时，应跳转到该地址将错误告知客户端
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: response_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [code]
+ *       - in: query
+ *         name: client_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         schema:
+ *           type: string
+ *         description: 回调地址，必须与注册的完全一致；客户端只注册了一个回调地址时可省略
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *         description: 以空格分隔的授权范围，省略时申请客户端可申请的全部范围
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge_method
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [S256]
+ *       - in: query
+ *         name: nonce
+ *         schema:
+ *           type: string
+ *         description: OpenID Connect nonce，原样写入ID令牌
+ *     responses:
+ *       200:
+ *         description: 授权请求有效
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     client:
+ *                       type: object
+ *                       properties:
+ *                         clientId:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                     scopes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           scope:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                     consentRequired:
+ *                       type: boolean
+ *                       description: 是否需要用户确认，用户已同意过全部范围时为false
+ *       400:
+ *         description: 授权请求无效
+ *       401:
+ *         description: 未授权
+ */
+router.get('/authorize', authJWT, async (req, res) => {
+  try {
+    const result = await OAuthModel.getAuthorization(req.query, req.user);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取授权信息失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/authorize:
+ *   post:
+ *     summary: 提交授权决定
+ *     description: 用户在授权页面同意或拒绝授权后调用，授权页面随后跳转到返回的 data.redirectUri（同意时携带授权码，拒绝时携带 access_denied 错误）
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - approve
+ *               - response_type
+ *               - client_id
+ *               - code_challenge
+ *               - code_challenge_method
+ *             properties:
+ *               approve:
+ *                 type: boolean
+ *                 description: 是否同意授权
+ *               response_type:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               code_challenge:
+ *                 type: string
+ *               code_challenge_method:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 处理成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     redirectUri:
+ *                       type: string
+ *                       description: 应跳转到的回调地址
+ *       400:
+ *         description: 授权请求无效
+ *       401:
+ *         description: 未授权
+ */
+router.post('/authorize', authJWT, audit('oauth.authorize', { metadata: req => ({ clientId: req.body.client_id, scope: req.body.scope, approved: req.body.approve }) }), async (req, res) => {
+  try {
+    const { approve, ...params } = req.body;
+
+    if (typeof approve !== 'boolean') {
+      return res.status(400).json({
+        code: 400,
+        message: '请选择是否同意授权'
+      });
+    }
+
+    const result = await OAuthModel.authorize(params, req.user, approve);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '授权失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/token:
+ *   post:
+ *     summary: 令牌端点
+ *     description: 使用授权码（需提供PKCE code_verifier）或刷新令牌换取访问令牌，授予了openid范围时使用授权码换取令牌会同时返回ID令牌。机密客户端使用HTTP Basic认证或在请求体中提供client_secret，公开客户端只提供client_id。错误响应遵循RFC 6749格式
+ *     tags: [OAuth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [authorization_code, refresh_token]
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               refresh_token:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 签发成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 access_token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                 expires_in:
+ *                   type: number
+ *                 refresh_token:
+ *                   type: string
+ *                 scope:
+ *                   type: string
+ *                 id_token:
+ *                   type: string
+ *                   description: OpenID Connect ID令牌，仅在授予了openid范围时返回
+ *       400:
+ *         description: 请求无效或授权无效
+ *       401:
+ *         description: 客户端认证失败
+ */
+router.post('/token', limiters.oauthToken, authClient(), async (req, res) => {
+  try {
+    const client = req.client;
+    const loginInfo = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    };
+
+    let result;
+    if (req.body.grant_type === 'authorization_code') {
+      result = await OAuthModel.exchangeCode(client, req.body, loginInfo);
+    } else if (req.body.grant_type === 'refresh_token') {
+      result = await OAuthModel.refreshToken(client, req.body, loginInfo);
+    } else {
+      result = { code: 400, error: 'unsupported_grant_type', message: '只支持authorization_code和refresh_token' };
+    }
+
+    if (result.code !== 200) {
+      return sendOAuthError(res, result);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(result.data);
+  } catch (error) {
+    res.status(500).json({
+      error: 'server_error',
+      error_description: error.message || '签发令牌失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/revoke:
+ *   post:
+ *     summary: 撤销令牌
+ *     description: 客户端撤销自己获得的访问令牌或刷新令牌（RFC 7009），同一次授权轮换出的令牌一并失效。令牌无效时同样返回成功
+ *     tags: [OAuth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *       400:
+ *         description: 请求无效
+ *       401:
+ *         description: 客户端认证失败
+ */
+router.post('/revoke', limiters.oauthToken, authClient(), async (req, res) => {
+  try {
+    const { token, token_type_hint: tokenTypeHint } = req.body;
+    if (!token) {
+      return sendOAuthError(res, { code: 400, error: 'invalid_request', message: '请提供要撤销的令牌' });
+    }
+
+    const result = await OAuthModel.revokeToken(req.client, token, tokenTypeHint);
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'server_error',
+      error_description: error.message || '撤销令牌失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/userinfo:
+ *   get:
+ *     summary: OpenID Connect用户信息端点
+ *     description: OAuth访问令牌需要openid范围，返回的声明由授予的profile、email范围决定；用户直接登录的令牌返回全部声明
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sub:
+ *                   type: string
+ *                   description: 用户ID
+ *                 preferred_username:
+ *                   type: string
+ *                 nickname:
+ *                   type: string
+ *                 picture:
+ *                   type: string
+ *                 updated_at:
+ *                   type: number
+ *                 email:
+ *                   type: string
+ *                 email_verified:
+ *                   type: boolean
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 访问令牌缺少openid范围
+ *   post:
+ *     summary: OpenID Connect用户信息端点
+ *     description: 与GET相同
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 访问令牌缺少openid范围
+ */
+const userInfoHandler = async (req, res) => {
+  try {
+    const result = await OidcModel.getUserInfo(req.user.id, req.oauth ? req.oauth.scopes : null);
+    if (result.code !== 200) {
+      return res.status(result.code).json(result);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(result.data);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取用户信息失败'
+    });
+  }
+};
+
+router.get('/userinfo', authJWTWithScopes('openid'), userInfoHandler);
+router.post('/userinfo', authJWTWithScopes('openid'), userInfoHandler);
+
+/**
+ * @swagger
+ * /api/user-center/oauth/scopes:
+ *   get:
+ *     summary: 获取可用的授权范围（管理员可用）
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功，permission 为用户授予该范围所需的权限，为空表示所有用户都可以授予
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get('/scopes', authJWT, requirePermission('oauth-clients:manage'), (req, res) => {
+  res.status(200).json({
+    code: 200,
+    message: '获取授权范围成功',
+    data: OAuthClientModel.getScopes()
+  });
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/clients:
+ *   get:
+ *     summary: 获取客户端列表（管理员可用）
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get('/clients', authJWT, requirePermission('oauth-clients:manage'), async (req, res) => {
+  try {
+    const result = await OAuthClientModel.getClients();
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取客户端列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/clients:
+ *   post:
+ *     summary: 注册客户端（管理员可用）
+ *     description: 机密客户端的密钥只在注册时返回一次
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - redirectUris
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 名称，展示在授权页面上
+ *               type:
+ *                 type: string
+ *                 enum: [confidential, public]
+ *                 default: confidential
+ *                 description: 有服务端的产品使用confidential，单页应用和移动应用使用public
+ *               redirectUris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 回调地址，必须使用https（本机调试可用http），公开客户端可使用自定义协议
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 可申请的授权范围
+ *     responses:
+ *       201:
+ *         description: 注册成功
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.post('/clients', authJWT, requirePermission('oauth-clients:manage'), audit('oauth-client.create', { target: 'oauth-client', id: (req, data) => data && data.clientId }), async (req, res) => {
+  try {
+    const { name, type, redirectUris, scopes } = req.body;
+
+    if (!name || !redirectUris || !scopes) {
+      return res.status(400).json({
+        code: 400,
+        message: '名称、回调地址和授权范围为必填项'
+      });
+    }
+
+    const result = await OAuthClientModel.createClient({ name, type, redirectUris, scopes });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '注册客户端失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/clients/{clientId}:
+ *   get:
+ *     summary: 获取客户端信息（管理员可用）
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 客户端标识
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 客户端不存在
+ */
+router.get('/clients/:clientId', authJWT, requirePermission('oauth-clients:manage'), async (req, res) => {
+  try {
+    const result = await OAuthClientModel.getClient(req.params.clientId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取客户端信息失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/clients/{clientId}:
+ *   put:
+ *     summary: 更新客户端（管理员可用）
+ *     description: 禁用客户端或收回授权范围时，该客户端已获得的令牌全部失效
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 客户端标识
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               redirectUris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, disabled]
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 客户端不存在
+ */
+router.put('/clients/:clientId', authJWT, requirePermission('oauth-clients:manage'), audit('oauth-client.update', { target: 'oauth-client', id: req => req.params.clientId }), async (req, res) => {
+  try {
+    const { name, redirectUris, scopes, status } = req.body;
+
+    const result = await OAuthClientModel.updateClient(req.params.clientId, { name, redirectUris, scopes, status });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '更新客户端失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/clients/{clientId}/secret:
+ *   post:
+ *     summary: 重置客户端密钥（管理员可用）
+ *     description: 旧密钥立即失效，新密钥只显示这一次
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 客户端标识
+ *     responses:
+ *       200:
+ *         description: 重置成功
+ *       400:
+ *         description: 公开客户端没有密钥
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 客户端不存在
+ */
+router.post('/clients/:clientId/secret', authJWT, requirePermission('oauth-clients:manage'), audit('oauth-client.rotate-secret', { target: 'oauth-client', id: req => req.params.clientId }), async (req, res) => {
+  try {
+    const result = await OAuthClientModel.rotateSecret(req.params.clientId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '重置客户端密钥失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/oauth/clients/{clientId}:
+ *   delete:
+ *     summary: 删除客户端（管理员可用）
+ *     description: 同时删除该客户端的授权记录，已签发的令牌全部失效
+ *     tags: [OAuth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 客户端标识
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 客户端不存在
+ */
+router.delete('/clients/:clientId', authJWT, requirePermission('oauth-clients:manage'), audit('oauth-client.delete', { target: 'oauth-client', id: req => req.params.clientId }), async (req, res) => {
+  try {
+    const result = await OAuthClientModel.deleteClient(req.params.clientId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '删除客户端失败'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,926 @@
+// 组织路由 - 处理组织、成员、邀请和当前组织切换
+const express = require('express');
+const router = express.Router();
+const OrganizationModel = require('../models/organization.model');
+const { authJWT } = require('../middleware/auth.jwt');
+const { limiters } = require('../middleware/rate-limit.policies');
+const { audit } = require('../middleware/audit');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organization
+ *   description: 组织、成员和邀请相关接口
+ */
+
+/**
+ * @swagger
+ * /api/user-center/organizations:
+ *   get:
+ *     summary: 获取当前用户加入的组织列表
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: number
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         description: 当前用户在组织中的角色（owner、admin、member）
+ *                       joinedAt:
+ *                         type: number
+ *       401:
+ *         description: 未授权
+ */
+router.get('/', authJWT, async (req, res) => {
+  try {
+    const result = await OrganizationModel.getUserOrganizations(req.user.id);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取组织列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations:
+ *   post:
+ *     summary: 创建组织
+ *     description: 创建者成为组织的所有者
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: 组织标识，只能包含小写字母、数字和连字符，不提供时随机生成
+ *     responses:
+ *       200:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       409:
+ *         description: 组织标识已被使用
+ */
+router.post('/', authJWT, audit('organization.create', { target: 'organization', id: (req, data) => data && data.id }), async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+
+    const result = await OrganizationModel.createOrganization(req.user, { name, slug });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '创建组织失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/invitations/preview:
+ *   get:
+ *     summary: 查看邀请信息
+ *     description: 接受邀请页面在用户登录前展示组织名称和角色，无需认证
+ *     tags: [Organization]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 邀请邮件中的令牌
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     organization:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: number
+ *                         name:
+ *                           type: string
+ *                         slug:
+ *                           type: string
+ *                     email:
+ *                       type: string
+ *                       description: 被邀请的邮箱
+ *                     role:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: number
+ *       400:
+ *         description: 邀请链接无效或已过期
+ */
+router.get('/invitations/preview', limiters.tokenVerify, async (req, res) => {
+  try {
+    const result = await OrganizationModel.getInvitationByToken(req.query.token);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取邀请信息失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/invitations/accept:
+ *   post:
+ *     summary: 接受邀请
+ *     description: 当前用户的邮箱必须与被邀请的邮箱一致（不区分大小写），接受后以邀请中的角色加入组织
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 已加入组织
+ *       400:
+ *         description: 邀请链接无效或已过期
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 邀请不是发给当前账号的
+ *       409:
+ *         description: 已是该组织成员
+ */
+router.post('/invitations/accept', authJWT, limiters.tokenVerify, audit('organization-invitation.accept', { target: 'organization-member', id: (req, data) => data && `${data.id}:${req.user.id}` }), async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        code: 400,
+        message: '邀请令牌为必填项'
+      });
+    }
+
+    const result = await OrganizationModel.respondInvitation(req.user, token, true);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '接受邀请失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/invitations/decline:
+ *   post:
+ *     summary: 拒绝邀请
+ *     description: 当前用户的邮箱必须与被邀请的邮箱一致（不区分大小写）
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 已拒绝邀请
+ *       400:
+ *         description: 邀请链接无效或已过期
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 邀请不是发给当前账号的
+ */
+router.post('/invitations/decline', authJWT, limiters.tokenVerify, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        code: 400,
+        message: '邀请令牌为必填项'
+      });
+    }
+
+    const result = await OrganizationModel.respondInvitation(req.user, token, false);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '拒绝邀请失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}:
+ *   get:
+ *     summary: 获取组织详情和成员列表（组织成员可用）
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: number
+ *                     name:
+ *                       type: string
+ *                     slug:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                       description: 当前用户在组织中的角色
+ *                     members:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: number
+ *                           username:
+ *                             type: string
+ *                           nickname:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                           avatar:
+ *                             type: string
+ *                           role:
+ *                             type: string
+ *                           joinedAt:
+ *                             type: number
+ *       401:
+ *         description: 未授权
+ *       404:
+ *         description: 组织不存在或不是组织成员
+ */
+router.get('/:id', authJWT, async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    if (isNaN(organizationId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID'
+      });
+    }
+
+    const result = await OrganizationModel.getOrganization(req.user, organizationId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取组织信息失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}:
+ *   put:
+ *     summary: 修改组织信息（组织所有者和管理员可用）
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 组织内权限不足
+ *       404:
+ *         description: 组织不存在或不是组织成员
+ *       409:
+ *         description: 组织标识已被使用
+ */
+router.put('/:id', authJWT, audit('organization.update', { target: 'organization', id: req => req.params.id }), async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    if (isNaN(organizationId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID'
+      });
+    }
+
+    const { name, slug } = req.body;
+
+    const result = await OrganizationModel.updateOrganization(req.user, organizationId, { name, slug });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '修改组织失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}:
+ *   delete:
+ *     summary: 删除组织（组织所有者可用）
+ *     description: 成员和邀请一并删除
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 组织内权限不足
+ *       404:
+ *         description: 组织不存在或不是组织成员
+ */
+router.delete('/:id', authJWT, audit('organization.delete', { target: 'organization', id: req => req.params.id }), async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    if (isNaN(organizationId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID'
+      });
+    }
+
+    const result = await OrganizationModel.deleteOrganization(req.user, organizationId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '删除组织失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}/switch:
+ *   post:
+ *     summary: 切换当前组织
+ *     description: 签发以该组织为当前组织的新访问令牌和刷新令牌（令牌中的 org_id 和 org_role），旧令牌随即失效；之后登录时默认使用该组织
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *     responses:
+ *       200:
+ *         description: 切换成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     tokenType:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: number
+ *                     refreshToken:
+ *                       type: string
+ *                     refreshExpiresAt:
+ *                       type: number
+ *                     organizationId:
+ *                       type: number
+ *       401:
+ *         description: 未授权
+ *       404:
+ *         description: 组织不存在或不是组织成员
+ */
+router.post('/:id/switch', authJWT, async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    if (isNaN(organizationId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID'
+      });
+    }
+
+    const result = await OrganizationModel.switchOrganization(req.user, req.token, organizationId, {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '切换组织失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}/invitations:
+ *   get:
+ *     summary: 获取未处理的邀请列表（组织所有者和管理员可用）
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: number
+ *                       email:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                       invitedById:
+ *                         type: number
+ *                       expiresAt:
+ *                         type: number
+ *                       createdAt:
+ *                         type: number
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 组织内权限不足
+ *       404:
+ *         description: 组织不存在或不是组织成员
+ */
+router.get('/:id/invitations', authJWT, async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    if (isNaN(organizationId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID'
+      });
+    }
+
+    const result = await OrganizationModel.getInvitations(req.user, organizationId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取邀请列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}/invitations:
+ *   post:
+ *     summary: 邀请成员（组织所有者和管理员可用）
+ *     description: 向被邀请的邮箱发送邀请链接，同一邮箱此前未处理的邀请随即作废；只能邀请为级别低于自己的角色
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *                 description: 加入后的角色，默认为 member
+ *     responses:
+ *       200:
+ *         description: 邀请已发送
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 组织内权限不足
+ *       404:
+ *         description: 组织不存在或不是组织成员
+ *       409:
+ *         description: 该用户已是组织成员
+ */
+router.post('/:id/invitations', authJWT, limiters.organizationInvite, audit('organization-invitation.create', { target: 'organization-invitation', id: (req, data) => data && data.id, metadata: req => ({ organizationId: parseInt(req.params.id), email: req.body.email, role: req.body.role }) }), async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    if (isNaN(organizationId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID'
+      });
+    }
+
+    const { email, role } = req.body;
+
+    const result = await OrganizationModel.inviteMember(req.user, organizationId, { email, role });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '邀请成员失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: 撤销邀请（组织所有者和管理员可用）
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 邀请ID
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 组织内权限不足
+ *       404:
+ *         description: 邀请不存在或已处理
+ */
+router.delete('/:id/invitations/:invitationId', authJWT, audit('organization-invitation.revoke', { target: 'organization-invitation', id: req => req.params.invitationId, metadata: req => ({ organizationId: parseInt(req.params.id) }) }), async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    const invitationId = parseInt(req.params.invitationId);
+    if (isNaN(organizationId) || isNaN(invitationId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID或邀请ID'
+      });
+    }
+
+    const result = await OrganizationModel.revokeInvitation(req.user, organizationId, invitationId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '撤销邀请失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}/members/{userId}:
+ *   put:
+ *     summary: 修改成员角色（组织所有者和管理员可用）
+ *     description: 只能修改级别低于自己的成员，并且只能设置为级别低于自己的角色；所有者需通过转让所有权变更。令牌中的 org_role 在刷新令牌后更新
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 成员的用户ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 组织内权限不足
+ *       404:
+ *         description: 成员不存在
+ */
+router.put('/:id/members/:userId', authJWT, audit('organization-member.update', { target: 'organization-member', id: req => `${req.params.id}:${req.params.userId}` }), async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    const memberUserId = parseInt(req.params.userId);
+    if (isNaN(organizationId) || isNaN(memberUserId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID或用户ID'
+      });
+    }
+
+    const result = await OrganizationModel.updateMemberRole(req.user, organizationId, memberUserId, req.body.role);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '修改成员角色失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}/members/{userId}:
+ *   delete:
+ *     summary: 移除成员或退出组织
+ *     description: userId 为当前用户时退出组织，所有者需要先转让所有权；移除其他成员时对方的级别必须低于自己
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 成员的用户ID
+ *     responses:
+ *       200:
+ *         description: 处理成功
+ *       400:
+ *         description: 所有者不能退出组织
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 组织内权限不足
+ *       404:
+ *         description: 成员不存在
+ */
+router.delete('/:id/members/:userId', authJWT, audit('organization-member.remove', { target: 'organization-member', id: req => `${req.params.id}:${req.params.userId}` }), async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    const memberUserId = parseInt(req.params.userId);
+    if (isNaN(organizationId) || isNaN(memberUserId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID或用户ID'
+      });
+    }
+
+    const result = await OrganizationModel.removeMember(req.user, organizationId, memberUserId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '移除成员失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/organizations/{id}/transfer:
+ *   post:
+ *     summary: 转让所有权（组织所有者可用）
+ *     description: 新所有者必须已是组织成员，原所有者转为管理员
+ *     tags: [Organization]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 组织ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *                 description: 新所有者的用户ID
+ *     responses:
+ *       200:
+ *         description: 转让成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 组织内权限不足
+ *       404:
+ *         description: 成员不存在
+ */
+router.post('/:id/transfer', authJWT, audit('organization.transfer', { target: 'organization-member', id: req => `${req.params.id}:${req.body.userId}`, metadata: req => ({ previousOwnerId: req.user.id }) }), async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.id);
+    const newOwnerUserId = parseInt(req.body.userId);
+    if (isNaN(organizationId) || isNaN(newOwnerUserId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的组织ID或用户ID'
+      });
+    }
+
+    const result = await OrganizationModel.transferOwnership(req.user, organizationId, newOwnerUserId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '转让所有权失败'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,480 @@
+// 产品目录路由 - 处理产品和套餐的查询、创建、修改和删除
+const express = require('express');
+const router = express.Router();
+const ProductModel = require('../models/product.model');
+const PlanModel = require('../models/plan.model');
+const { authJWT, requirePermission } = require('../middleware/auth.jwt');
+const { audit } = require('../middleware/audit');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Product
+ *   description: 产品目录和套餐管理相关接口
+ */
+
+/**
+ * @swagger
+ * /api/user-center/products:
+ *   get:
+ *     summary: 获取产品列表
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, archived]
+ *         description: 状态筛选
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       userCount:
+ *                         type: number
+ *                         description: 拥有该产品授权的用户数
+ *                       createdAt:
+ *                         type: number
+ *                       updatedAt:
+ *                         type: number
+ *       401:
+ *         description: 未授权
+ */
+router.get('/', authJWT, async (req, res) => {
+  try {
+    const result = await ProductModel.getProducts({ status: req.query.status });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取产品列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/products:
+ *   post:
+ *     summary: 创建产品（管理员可用）
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - name
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: 产品ID，只能包含小写字母、数字、下划线和连字符，创建后不能修改
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       409:
+ *         description: 产品ID已存在
+ */
+router.post('/', authJWT, requirePermission('products:manage'), audit('product.create', { target: 'product', id: (req, data) => data && data.id }), async (req, res) => {
+  try {
+    const { id, name, description } = req.body;
+
+    const result = await ProductModel.createProduct({ id, name, description });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '创建产品失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/products/{id}:
+ *   put:
+ *     summary: 修改产品（管理员可用）
+ *     description: 归档后已有的授权不受影响，但不能再分配给用户
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 产品ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, archived]
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 产品不存在
+ */
+router.put('/:id', authJWT, requirePermission('products:manage'), audit('product.update', { target: 'product', id: req => req.params.id }), async (req, res) => {
+  try {
+    const { name, description, status } = req.body;
+
+    const result = await ProductModel.updateProduct(req.params.id, { name, description, status });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '修改产品失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/products/{id}:
+ *   delete:
+ *     summary: 删除产品（管理员可用）
+ *     description: 仍有用户授权或订阅记录的产品不能删除，可以改为归档；产品的套餐一并删除
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 产品ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       400:
+ *         description: 仍有用户授权或订阅记录
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 产品不存在
+ */
+router.delete('/:id', authJWT, requirePermission('products:manage'), audit('product.delete', { target: 'product', id: req => req.params.id }), async (req, res) => {
+  try {
+    const result = await ProductModel.deleteProduct(req.params.id);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '删除产品失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/products/{id}/plans:
+ *   get:
+ *     summary: 获取产品的套餐列表
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 产品ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, archived]
+ *         description: 状态筛选
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: number
+ *                       productId:
+ *                         type: string
+ *                       code:
+ *                         type: string
+ *                         enum: [free, pro, enterprise]
+ *                       name:
+ *                         type: string
+ *                       features:
+ *                         type: object
+ *                         description: 功能限制，由产品自行解释，会写入许可证
+ *                       trialDays:
+ *                         type: number
+ *                       status:
+ *                         type: string
+ *       401:
+ *         description: 未授权
+ *       404:
+ *         description: 产品不存在
+ */
+router.get('/:id/plans', authJWT, async (req, res) => {
+  try {
+    const result = await PlanModel.getPlans(req.params.id, { status: req.query.status });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取套餐列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/products/{id}/plans:
+ *   post:
+ *     summary: 创建套餐（管理员可用）
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 产品ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 enum: [free, pro, enterprise]
+ *               name:
+ *                 type: string
+ *               features:
+ *                 type: object
+ *                 description: 功能限制，值只能是数字、布尔值或字符串，如 maxProjects 为 10
+ *               trialDays:
+ *                 type: integer
+ *                 description: 试用天数，默认为0，免费套餐不提供试用
+ *     responses:
+ *       200:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 产品不存在
+ *       409:
+ *         description: 该产品已有此套餐
+ */
+router.post('/:id/plans', authJWT, requirePermission('products:manage'), audit('plan.create', { target: 'plan', id: (req, data) => data && `${data.productId}:${data.code}` }), async (req, res) => {
+  try {
+    const { code, name, features, trialDays } = req.body;
+
+    const result = await PlanModel.createPlan(req.params.id, { code, name, features, trialDays });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '创建套餐失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/products/{id}/plans/{code}:
+ *   put:
+ *     summary: 修改套餐（管理员可用）
+ *     description: 已签发的许可证在续期后才包含新的功能限制
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 产品ID
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [free, pro, enterprise]
+ *         description: 套餐代码
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               features:
+ *                 type: object
+ *                 nullable: true
+ *               trialDays:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [active, archived]
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 套餐不存在
+ */
+router.put('/:id/plans/:code', authJWT, requirePermission('products:manage'), audit('plan.update', { target: 'plan', id: req => `${req.params.id}:${req.params.code}` }), async (req, res) => {
+  try {
+    const { name, features, trialDays, status } = req.body;
+
+    const result = await PlanModel.updatePlan(req.params.id, req.params.code, { name, features, trialDays, status });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '修改套餐失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/products/{id}/plans/{code}:
+ *   delete:
+ *     summary: 删除套餐（管理员可用）
+ *     description: 有订阅记录的套餐不能删除，可以改为归档
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 产品ID
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 套餐代码
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       400:
+ *         description: 已有订阅记录
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 套餐不存在
+ */
+router.delete('/:id/plans/:code', authJWT, requirePermission('products:manage'), audit('plan.delete', { target: 'plan', id: req => `${req.params.id}:${req.params.code}` }), async (req, res) => {
+  try {
+    const result = await PlanModel.deletePlan(req.params.id, req.params.code);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '删除套餐失败'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,277 @@
+// 角色管理路由 - 处理角色的查询、创建、修改和删除
+const express = require('express');
+const router = express.Router();
+const RoleModel = require('../models/role.model');
+const { authJWT, requirePermission } = require('../middleware/auth.jwt');
+const { audit } = require('../middleware/audit');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Role
+ *   description: 角色和权限管理相关接口
+ */
+
+/**
+ * @swagger
+ * /api/user-center/roles:
+ *   get:
+ *     summary: 获取角色列表（管理员可用）
+ *     tags: [Role]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       displayName:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       level:
+ *                         type: number
+ *                         description: 角色级别，只能管理级别不高于自己的用户和级别低于自己的角色
+ *                       builtIn:
+ *                         type: boolean
+ *                       permissions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       userCount:
+ *                         type: number
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get('/', authJWT, requirePermission('roles:read'), async (req, res) => {
+  try {
+    const result = await RoleModel.getRoles();
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取角色列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/roles/permissions:
+ *   get:
+ *     summary: 获取可分配的权限列表（管理员可用）
+ *     tags: [Role]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: number
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get('/permissions', authJWT, requirePermission('roles:read'), (req, res) => {
+  res.status(200).json({
+    code: 200,
+    message: '获取权限列表成功',
+    data: RoleModel.getPermissionDefinitions()
+  });
+});
+
+/**
+ * @swagger
+ * /api/user-center/roles:
+ *   post:
+ *     summary: 创建角色（超级管理员可用）
+ *     description: 只能创建级别低于自己的角色，并且只能授予自己拥有的权限
+ *     tags: [Role]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 角色名称，只能包含小写字母、数字、下划线和连字符，创建后不能修改
+ *               displayName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               level:
+ *                 type: integer
+ *                 description: 角色级别，默认为0
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       409:
+ *         description: 角色已存在
+ */
+router.post('/', authJWT, requirePermission('roles:manage'), audit('role.create', { target: 'role', id: (req, data) => data && data.name }), async (req, res) => {
+  try {
+    const { name, displayName, description, level, permissions } = req.body;
+
+    const result = await RoleModel.createRole(req.user, { name, displayName, description, level, permissions });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '创建角色失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/roles/{name}:
+ *   put:
+ *     summary: 修改角色（超级管理员可用）
+ *     description: 只能修改级别低于自己的角色；提供 permissions 时替换角色的全部权限；内置角色的级别不能修改
+ *     tags: [Role]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 角色名称
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               level:
+ *                 type: integer
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 角色不存在
+ */
+router.put('/:name', authJWT, requirePermission('roles:manage'), audit('role.update', { target: 'role', id: req => req.params.name }), async (req, res) => {
+  try {
+    const { displayName, description, level, permissions } = req.body;
+
+    const result = await RoleModel.updateRole(req.user, req.params.name, { displayName, description, level, permissions });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '修改角色失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/roles/{name}:
+ *   delete:
+ *     summary: 删除角色（超级管理员可用）
+ *     description: 内置角色和仍有用户使用的角色不能删除
+ *     tags: [Role]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 角色名称
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       400:
+ *         description: 内置角色或仍有用户使用
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 角色不存在
+ */
+router.delete('/:name', authJWT, requirePermission('roles:manage'), audit('role.delete', { target: 'role', id: req => req.params.name }), async (req, res) => {
+  try {
+    const result = await RoleModel.deleteRole(req.user, req.params.name);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '删除角色失败'
+    });
+  }
+});
+
+module.exports = router;
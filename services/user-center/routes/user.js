@@ -2,7 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const UserModel = require('../models/user.model');
-const { authJWT, authorizeRoles } = require('../middleware/auth.jwt');
+const ApiKeyModel = require('../models/api-key.model');
+const IdentityModel = require('../models/identity.model');
+const WebAuthnModel = require('../models/webauthn.model');
+const UserImportModel = require('../models/user-import.model');
+const RoleModel = require('../models/role.model');
+const ProductModel = require('../models/product.model');
+const { authJWT, requirePermission } = require('../middleware/auth.jwt');
+const { authJWTOrApiKey } = require('../middleware/auth.api-key');
+const { audit } = require('../middleware/audit');
+const { validatePassword } = require('../utils/password-policy');
+const { parseCsv } = require('../utils/csv');
+
+// 每次通过接口导入的最大行数，更大的文件请使用 scripts/import-users.js
+const USER_IMPORT_MAX_ROWS = 1000;
 
 /**
  * @swagger
@@ -19,6 +32,7 @@ const { authJWT, authorizeRoles } = require('../middleware/auth.jwt');
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: username
@@ -41,6 +55,17 @@ const { authJWT, authorizeRoles } = require('../middleware/auth.jwt');
  *           type: string
  *         description: 状态筛选
  *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: 产品ID筛选，只返回拥有该产品授权的用户
+ *       - in: query
+ *         name: productStatus
+ *         schema:
+ *           type: string
+ *           enum: [trial, active, expired]
+ *         description: 与 product 一起使用，按授权状态筛选
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -78,9 +103,9 @@ const { authJWT, authorizeRoles } = require('../middleware/auth.jwt');
  *       403: 
  *         description: 权限不足
  */
-router.get('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res) => {
+router.get('/', authJWTOrApiKey('users:read'), requirePermission('users:read'), async (req, res) => {
   try {
-    const { username, email, role, status, page = 1, pageSize = 10 } = req.query;
+    const { username, email, role, status, product, productStatus, page = 1, pageSize = 10 } = req.query;
     
     // 构建过滤条件
     const filters = {};
@@ -88,6 +113,8 @@ router.get('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res)
     if (email) filters.email = email;
     if (role) filters.role = role;
     if (status) filters.status = status;
+    if (product) filters.productId = product;
+    if (productStatus) filters.productStatus = productStatus;
     
     const result = await UserModel.getUserList(
       filters,
@@ -112,6 +139,7 @@ router.get('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res)
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -137,8 +165,7 @@ router.get('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res)
  *                 description: 昵称
  *               role: 
  *                 type: string
- *                 enum: [user, admin, superadmin]
- *                 description: 角色
+ *                 description: 角色名称，只能分配级别不高于自己的角色
  *               status: 
  *                 type: string
  *                 enum: [active, inactive, blocked]
@@ -146,6 +173,12 @@ router.get('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res)
  *               disabledRemark: 
  *                 type: string
  *                 description: 禁用备注（仅在status为blocked时有效）
+ *               emailVerified: 
+ *                 type: boolean
+ *                 description: 邮箱是否已确认，为false时将向用户发送验证邮件
+ *               passwordResetRequired: 
+ *                 type: boolean
+ *                 description: 为true时用户首次登录必须修改密码
  *     responses:
  *       200: 
  *         description: 创建成功
@@ -167,9 +200,9 @@ router.get('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res)
  *       403: 
  *         description: 权限不足
  */
-router.post('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res) => {
+router.post('/', authJWTOrApiKey('users:write'), requirePermission('users:create'), audit('user.create', { target: 'user', id: (req, data) => data && data.id }), async (req, res) => {
   try {
-    const { username, email, password, nickname, role, status, disabledRemark } = req.body;
+    const { username, email, password, nickname, role, status, disabledRemark, emailVerified, passwordResetRequired } = req.body;
     
     // 验证参数
     if (!username || !email || !password) {
@@ -179,11 +212,15 @@ router.post('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res
       });
     }
     
-    if (password.length < 6) {
-      return res.status(200).json({
-        code: 400,
-        message: '密码长度不能少于6位'
-      });
+    const passwordError = await validatePassword(password, { username, email });
+    if (passwordError) {
+      return res.status(200).json(passwordError);
+    }
+    
+    // 只能分配级别不高于自己的角色
+    const roleError = await RoleModel.checkAssignableRole(req.user, role || 'user');
+    if (roleError) {
+      return res.status(200).json(roleError);
     }
     
     const userData = {
@@ -193,7 +230,9 @@ router.post('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res
       nickname,
       role,
       status,
-      disabledRemark
+      disabledRemark,
+      emailVerified,
+      passwordResetRequired
     };
     
     const user = await UserModel.adminCreateUser(userData);
@@ -207,6 +246,168 @@ router.post('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res
   }
 });
 
+/**
+ * @swagger
+ * /api/user-center/users/import:
+ *   post:
+ *     summary: 批量导入用户（管理员可用）
+ *     description: 请求体为CSV（Content-Type 为 text/csv，第一行为字段名）或JSON数组，每次最多1000行。每行提供明文密码，或旧系统的密码哈希及其格式；导入哈希的用户首次登录成功后自动升级到当前的哈希算法。每行单独校验和创建，返回每一行的处理结果
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: 为true时只校验，不创建用户
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: 未指定来源的行使用的注册来源，默认为 import
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required:
+ *                 - username
+ *                 - email
+ *               properties:
+ *                 username: 
+ *                   type: string
+ *                 email: 
+ *                   type: string
+ *                 password: 
+ *                   type: string
+ *                   description: 明文密码，需符合密码策略，与passwordHash二选一
+ *                 passwordHash: 
+ *                   type: string
+ *                   description: 旧系统的密码哈希，md5-salted和sha256为十六进制摘要
+ *                 passwordHashFormat: 
+ *                   type: string
+ *                   enum: [bcrypt, argon2id, md5-salted, sha256]
+ *                   description: 密码哈希格式，默认为bcrypt；md5-salted和sha256的摘要为 digest(密码 + 盐)
+ *                 passwordSalt: 
+ *                   type: string
+ *                   description: 密码盐，md5-salted必填
+ *                 nickname: 
+ *                   type: string
+ *                 role: 
+ *                   type: string
+ *                   description: 角色名称，只能导入级别不高于自己的角色
+ *                 status: 
+ *                   type: string
+ *                   enum: [active, inactive, blocked]
+ *                 source: 
+ *                   type: string
+ *                 emailVerified: 
+ *                   type: boolean
+ *                 passwordResetRequired: 
+ *                   type: boolean
+ *     responses:
+ *       200: 
+ *         description: 处理完成，部分行可能失败
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *                   properties:
+ *                     dryRun: 
+ *                       type: boolean
+ *                     total: 
+ *                       type: number
+ *                     created: 
+ *                       type: number
+ *                     valid: 
+ *                       type: number
+ *                     failed: 
+ *                       type: number
+ *                     rows: 
+ *                       type: array
+ *                       items: 
+ *                         type: object
+ *                         properties:
+ *                           row: 
+ *                             type: number
+ *                             description: 行号，从1开始，不含CSV表头
+ *                           username: 
+ *                             type: string
+ *                           status: 
+ *                             type: string
+ *                             enum: [created, valid, error]
+ *                           errors: 
+ *                             type: array
+ *                             items: 
+ *                               type: string
+ *                           id: 
+ *                             type: number
+ *       400: 
+ *         description: 请求体格式错误或超过行数限制
+ *       401: 
+ *         description: 未授权
+ *       403: 
+ *         description: 权限不足
+ */
+router.post('/import', authJWTOrApiKey('users:write'), requirePermission('users:import'), express.text({ type: 'text/csv', limit: '5mb' }), audit('user.import', { metadata: (req, data) => ({ dryRun: req.query.dryRun === 'true', created: data.created, failed: data.failed, userIds: data.rows.filter(row => row.status === 'created').map(row => row.id) }) }), async (req, res) => {
+  try {
+    let rows;
+    if (typeof req.body === 'string') {
+      try {
+        rows = parseCsv(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          code: 400,
+          message: error.message
+        });
+      }
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body.users;
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        code: 400,
+        message: '请提供要导入的用户'
+      });
+    }
+
+    if (rows.length > USER_IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        code: 400,
+        message: `每次最多导入${USER_IMPORT_MAX_ROWS}行，更多的用户请分批导入`
+      });
+    }
+
+    const result = await UserImportModel.importUsers(rows, {
+      dryRun: req.query.dryRun === 'true',
+      source: req.query.source || 'import',
+      operator: req.user
+    });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '导入用户失败'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/user-center/users/{id}:
@@ -215,6 +416,7 @@ router.post('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -234,6 +436,8 @@ router.post('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res
  *                   type: number
  *                 message: 
  *                   type: string
+ *       400: 
+ *         description: 用户是组织的所有者或有未取消的付费订阅，不能删除
  *       401: 
  *         description: 未授权
  *       403: 
@@ -241,7 +445,7 @@ router.post('/', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res
  *       404: 
  *         description: 用户不存在
  */
-router.delete('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res) => {
+router.delete('/:id', authJWTOrApiKey('users:write'), requirePermission('users:delete', { targetUserParam: 'id' }), audit('user.delete', { target: 'user', id: req => req.params.id }), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
     if (isNaN(userId)) {
@@ -259,30 +463,10 @@ router.delete('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req
       });
     }
     
-    // 不允许普通管理员删除超级管理员
-    if (req.user.role === 'admin') {
-      const targetUser = await UserModel.getUserInfo(userId);
-      if (targetUser.role === 'superadmin') {
-        return res.status(403).json({
-          code: 403,
-          message: '权限不足，无法删除超级管理员'
-        });
-      }
-    }
-    
-    await UserModel.deleteUser(userId);
+    const result = await UserModel.deleteUser(userId);
     
-    res.status(200).json({
-      code: 200,
-      message: '删除成功'
-    });
+    res.status(result.code).json(result);
   } catch (error) {
-    if (error.message === '用户不存在') {
-      return res.status(404).json({
-        code: 404,
-        message: '用户不存在'
-      });
-    }
     res.status(500).json({
       code: 500,
       message: error.message || '删除用户失败'
@@ -298,6 +482,7 @@ router.delete('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -326,7 +511,7 @@ router.delete('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req
  *       404: 
  *         description: 用户不存在
  */
-router.get('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res) => {
+router.get('/:id', authJWTOrApiKey('users:read'), requirePermission('users:read'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
     if (isNaN(userId)) {
@@ -361,6 +546,7 @@ router.get('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req, r
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -394,7 +580,7 @@ router.get('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req, r
  *       401: 
  *         description: 未授权
  */
-router.put('/me', authJWT, async (req, res) => {
+router.put('/me', authJWTOrApiKey('profile:write'), audit('user.update', { target: 'user', id: req => req.user.id }), async (req, res) => {
   try {
     const { nickname, avatar, password } = req.body;
     
@@ -403,12 +589,17 @@ router.put('/me', authJWT, async (req, res) => {
     if (nickname !== undefined) updateData.nickname = nickname;
     if (avatar !== undefined) updateData.avatar = avatar;
     if (password) {
-      if (password.length < 6) {
-        return res.status(400).json({
-          code: 400,
-          message: '密码长度不能少于6位'
+      // API Key和OAuth访问令牌不能用于修改密码
+      if (req.apiKey || req.oauth) {
+        return res.status(403).json({
+          code: 403,
+          message: req.apiKey ? 'API Key不能用于修改密码' : 'OAuth访问令牌不能用于修改密码'
         });
       }
+      const passwordError = await validatePassword(password, req.user);
+      if (passwordError) {
+        return res.status(400).json(passwordError);
+      }
       updateData.password = password;
     }
 
@@ -433,46 +624,80 @@ router.put('/me', authJWT, async (req, res) => {
 
 /**
  * @swagger
- * /api/user-center/users/{id}:
- *   put:
- *     summary: 更新用户信息（管理员可用）
+ * /api/user-center/users/me/api-keys:
+ *   get:
+ *     summary: 获取当前用户的API Key列表
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: array
+ *                   items: 
+ *                     type: object
+ *                     properties:
+ *                       id: 
+ *                         type: number
+ *                       name: 
+ *                         type: string
+ *                       prefix: 
+ *                         type: string
+ *                       scopes: 
+ *                         type: array
+ *                         items: 
+ *                           type: string
+ *                       expiresAt: 
+ *                         type: number
+ *                       lastUsedAt: 
+ *                         type: number
+ *                       lastUsedIp: 
+ *                         type: string
+ *                       createdAt: 
+ *                         type: number
+ *       401: 
+ *         description: 未授权
+ *   post:
+ *     summary: 创建API Key
+ *     description: 返回的Key只显示这一次；使用时将 Authorization 请求头设置为 ApiKey {key}
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: 用户ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - name
+ *               - scopes
  *             properties:
- *               nickname: 
- *                 type: string
- *                 description: 昵称
- *               avatar: 
- *                 type: string
- *                 description: 头像URL
- *               role: 
- *                 type: string
- *                 enum: [user, admin, superadmin]
- *                 description: 角色
- *               status: 
- *                 type: string
- *                 enum: [active, inactive, blocked]
- *                 description: 状态
- *               disabledRemark: 
+ *               name: 
  *                 type: string
- *                 description: 禁用备注（仅在status为blocked时有效）
+ *                 description: 用途说明
+ *               scopes: 
+ *                 type: array
+ *                 items: 
+ *                   type: string
+ *                   enum: [profile:read, profile:write, users:read, users:write]
+ *                 description: 授权范围
+ *               expiresInDays: 
+ *                 type: integer
+ *                 description: 有效天数（1-365），不传表示永不过期
  *     responses:
  *       200: 
- *         description: 更新成功
+ *         description: 创建成功
  *         content:
  *           application/json:
  *             schema:
@@ -484,111 +709,498 @@ router.put('/me', authJWT, async (req, res) => {
  *                   type: string
  *                 data: 
  *                   type: object
+ *                   properties:
+ *                     key: 
+ *                       type: string
+ *                       description: API Key明文，只显示这一次
+ *       400: 
+ *         description: 参数错误
  *       401: 
  *         description: 未授权
- *       403: 
- *         description: 权限不足
- *       404: 
- *         description: 用户不存在
  */
-router.put('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req, res) => {
+router.get('/me/api-keys', authJWT, async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
-    if (isNaN(userId)) {
-      return res.status(400).json({
-        code: 400,
-        message: '无效的用户ID'
-      });
-    }
+    const result = await ApiKeyModel.getApiKeys(req.user.id);
 
-    // 不允许普通管理员修改超级管理员的信息
-    if (req.user.role === 'admin') {
-      const targetUser = await UserModel.getUserInfo(userId);
-      if (targetUser.role === 'superadmin') {
-        return res.status(403).json({
-          code: 403,
-          message: '权限不足，无法修改超级管理员信息'
-        });
-      }
-    }
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取API Key列表失败'
+    });
+  }
+});
 
-    // 构建更新数据
-    const { username, email, nickname, avatar, role, status, disabledRemark } = req.body;
-    const updateData = {};
-    if (username !== undefined) updateData.username = username;
-    if (email !== undefined) updateData.email = email;
-    if (nickname !== undefined) updateData.nickname = nickname;
-    if (avatar !== undefined) updateData.avatar = avatar;
-    if (role !== undefined) updateData.role = role;
-    if (status !== undefined) updateData.status = status;
-    if (disabledRemark !== undefined) updateData.disabledRemark = disabledRemark;
+router.post('/me/api-keys', authJWT, audit('api-key.create', { target: 'api-key', id: (req, data) => data && data.id }), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
 
-    // 如果禁用用户且没有备注，给出提示
-    if (status === 'blocked' && !disabledRemark) {
+    // 验证参数
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
       return res.status(400).json({
         code: 400,
-        message: '禁用用户时必须添加备注'
+        message: '请提供用途说明和授权范围'
       });
     }
 
-    // 如果启用用户，清空禁用备注
-    if (status !== 'blocked' && disabledRemark === undefined) {
-      // 获取当前用户信息，检查是否有禁用备注需要清空
-      const currentUser = await UserModel.getUserInfo(userId);
-      if (currentUser.disabledRemark) {
-        updateData.disabledRemark = null;
-      }
-    }
-
-    // 如果没有可更新的字段
-    if (Object.keys(updateData).length === 0) {
+    if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
       return res.status(400).json({
         code: 400,
-        message: '请提供要更新的字段'
+        message: '有效天数必须是1到365之间的整数'
       });
     }
 
-    const updatedUser = await UserModel.updateUser(userId, updateData);
+    const result = await ApiKeyModel.createApiKey(req.user.id, { name, scopes, expiresInDays });
 
-    res.status(200).json(updatedUser);
+    res.status(result.code).json(result);
   } catch (error) {
-    if (error.message === '用户不存在') {
-      return res.status(404).json({
-        code: 404,
-        message: '用户不存在'
-      });
-    }
-    res.status(400).json({
-      code: 400,
-      message: error.message || '更新失败'
+    res.status(500).json({
+      code: 500,
+      message: error.message || '创建API Key失败'
     });
   }
 });
 
 /**
  * @swagger
- * /api/user-center/users/change-password:
- *   put:
- *     summary: 修改密码
+ * /api/user-center/users/me/api-keys/{keyId}:
+ *   delete:
+ *     summary: 撤销API Key
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - currentPassword
- *               - newPassword
- *             properties:
- *               currentPassword: 
- *                 type: string
- *                 description: 当前密码
- *               newPassword: 
- *                 type: string
- *                 description: 新密码
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API Key ID
+ *     responses:
+ *       200: 
+ *         description: 撤销成功
+ *       401: 
+ *         description: 未授权
+ *       404: 
+ *         description: API Key不存在
+ */
+router.delete('/me/api-keys/:keyId', authJWT, audit('api-key.revoke', { target: 'api-key', id: req => req.params.keyId }), async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    if (isNaN(keyId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的API Key ID'
+      });
+    }
+
+    const result = await ApiKeyModel.revokeApiKey(req.user.id, keyId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '撤销API Key失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/me/identities:
+ *   get:
+ *     summary: 获取当前用户绑定的第三方账号
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: array
+ *                   items: 
+ *                     type: object
+ *                     properties:
+ *                       id: 
+ *                         type: integer
+ *                       provider: 
+ *                         type: string
+ *                       email: 
+ *                         type: string
+ *                       displayName: 
+ *                         type: string
+ *                       avatar: 
+ *                         type: string
+ *                       lastLoginAt: 
+ *                         type: string
+ *                       createdAt: 
+ *                         type: string
+ *       401: 
+ *         description: 未授权
+ */
+router.get('/me/identities', authJWT, async (req, res) => {
+  try {
+    const result = await IdentityModel.getIdentities(req.user.id);
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取第三方账号失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/me/identities/{provider}/start:
+ *   post:
+ *     summary: 发起绑定第三方账号
+ *     description: 返回第三方平台的授权地址和socialToken，第三方平台回调后调用 /users/me/identities/{provider}/callback 完成绑定
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 平台名称
+ *     responses:
+ *       200: 
+ *         description: 发起成功，返回内容与 /auth/social/{provider}/start 相同
+ *       401: 
+ *         description: 未授权
+ *       404: 
+ *         description: 不支持的第三方登录平台
+ */
+router.post('/me/identities/:provider/start', authJWT, async (req, res) => {
+  try {
+    const result = await IdentityModel.start(req.params.provider, req.user);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '发起绑定第三方账号失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/me/identities/{provider}/callback:
+ *   post:
+ *     summary: 完成绑定第三方账号
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 平台名称
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *               - socialToken
+ *             properties:
+ *               code: 
+ *                 type: string
+ *                 description: 第三方平台回调的授权码
+ *               state: 
+ *                 type: string
+ *                 description: 第三方平台回调的state
+ *               socialToken: 
+ *                 type: string
+ *                 description: 发起绑定时返回的socialToken
+ *     responses:
+ *       200: 
+ *         description: 绑定成功
+ *       400: 
+ *         description: 第三方认证失败
+ *       401: 
+ *         description: 未授权
+ *       409: 
+ *         description: 该第三方账号已绑定其他用户，或当前用户已绑定同一平台的其他账号
+ */
+router.post('/me/identities/:provider/callback', authJWT, audit('identity.link', { target: 'identity', id: (req, data) => data && data.id, metadata: req => ({ provider: req.params.provider }) }), async (req, res) => {
+  try {
+    const { code, state, socialToken } = req.body;
+
+    // 验证参数
+    if (!code || !state || !socialToken) {
+      return res.status(400).json({
+        code: 400,
+        message: '授权码、state和socialToken为必填项'
+      });
+    }
+
+    const result = await IdentityModel.linkIdentity(req.user, req.params.provider, { code, state, socialToken });
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '绑定第三方账号失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/me/identities/{identityId}:
+ *   delete:
+ *     summary: 解绑第三方账号
+ *     description: 未设置密码也没有通行密钥的用户不能解绑最后一个第三方账号
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: identityId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 第三方账号ID
+ *     responses:
+ *       200: 
+ *         description: 解绑成功
+ *       400: 
+ *         description: 这是唯一的登录方式
+ *       401: 
+ *         description: 未授权
+ *       404: 
+ *         description: 第三方账号不存在
+ */
+router.delete('/me/identities/:identityId', authJWT, audit('identity.unlink', { target: 'identity', id: req => req.params.identityId }), async (req, res) => {
+  try {
+    const identityId = parseInt(req.params.identityId);
+    if (isNaN(identityId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的第三方账号ID'
+      });
+    }
+
+    const result = await IdentityModel.unlinkIdentity(req.user.id, identityId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '解绑第三方账号失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/me/webauthn-credentials:
+ *   get:
+ *     summary: 获取当前用户的通行密钥
+ *     description: 添加通行密钥请使用 /auth/webauthn/register/options 和 /auth/webauthn/register/verify
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: array
+ *                   items: 
+ *                     type: object
+ *                     properties:
+ *                       id: 
+ *                         type: integer
+ *                       name: 
+ *                         type: string
+ *                       deviceType: 
+ *                         type: string
+ *                         enum: [singleDevice, multiDevice]
+ *                       backedUp: 
+ *                         type: boolean
+ *                       transports: 
+ *                         type: array
+ *                         items: 
+ *                           type: string
+ *                       lastUsedAt: 
+ *                         type: number
+ *                       createdAt: 
+ *                         type: number
+ *       401: 
+ *         description: 未授权
+ */
+router.get('/me/webauthn-credentials', authJWT, async (req, res) => {
+  try {
+    const result = await WebAuthnModel.getCredentials(req.user.id);
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取通行密钥失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/me/webauthn-credentials/{credentialId}:
+ *   put:
+ *     summary: 重命名通行密钥
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 通行密钥ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name: 
+ *                 type: string
+ *     responses:
+ *       200: 
+ *         description: 更新成功
+ *       401: 
+ *         description: 未授权
+ *       404: 
+ *         description: 通行密钥不存在
+ *   delete:
+ *     summary: 删除通行密钥
+ *     description: 未设置密码、也没有绑定第三方账号的用户不能删除最后一个通行密钥
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 通行密钥ID
+ *     responses:
+ *       200: 
+ *         description: 删除成功
+ *       400: 
+ *         description: 这是唯一的登录方式
+ *       401: 
+ *         description: 未授权
+ *       404: 
+ *         description: 通行密钥不存在
+ */
+router.put('/me/webauthn-credentials/:credentialId', authJWT, audit('webauthn-credential.update', { target: 'webauthn-credential', id: req => req.params.credentialId }), async (req, res) => {
+  try {
+    const credentialId = parseInt(req.params.credentialId);
+    if (isNaN(credentialId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的通行密钥ID'
+      });
+    }
+
+    const { name } = req.body;
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        code: 400,
+        message: '名称为必填项'
+      });
+    }
+
+    const result = await WebAuthnModel.renameCredential(req.user.id, credentialId, name);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '更新通行密钥失败'
+    });
+  }
+});
+
+router.delete('/me/webauthn-credentials/:credentialId', authJWT, audit('webauthn-credential.delete', { target: 'webauthn-credential', id: req => req.params.credentialId }), async (req, res) => {
+  try {
+    const credentialId = parseInt(req.params.credentialId);
+    if (isNaN(credentialId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的通行密钥ID'
+      });
+    }
+
+    const result = await WebAuthnModel.deleteCredential(req.user.id, credentialId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '删除通行密钥失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/change-password:
+ *   put:
+ *     summary: 修改密码
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword: 
+ *                 type: string
+ *                 description: 当前密码
+ *               newPassword: 
+ *                 type: string
+ *                 description: 新密码
  *     responses:
  *       200: 
  *         description: 修改成功
@@ -601,65 +1213,510 @@ router.put('/:id', authJWT, authorizeRoles('admin', 'superadmin'), async (req, r
  *                   type: number
  *                 message: 
  *                   type: string
- *       400: 
- *         description: 修改失败
+ *       400: 
+ *         description: 修改失败
+ *       401: 
+ *         description: 未授权
+ */
+router.put('/change-password', authJWT, audit('user.change-password', { target: 'user', id: req => req.user.id }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // 验证参数
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        code: 400,
+        message: '请提供当前密码和新密码'
+      });
+    }
+
+    // 按密码策略校验新密码
+    const passwordError = await validatePassword(newPassword, req.user);
+    if (passwordError) {
+      return res.status(400).json(passwordError);
+    }
+
+    // 验证当前密码
+    const isMatch = await UserModel.verifyPassword(req.user.id, currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        code: 400,
+        message: '当前密码错误'
+      });
+    }
+
+    // 更新密码，新密码与最近用过的密码相同时返回错误
+    const result = await UserModel.updateUser(req.user.id, { password: newPassword });
+    if (result.code !== 200) {
+      return res.status(result.code).json(result);
+    }
+
+    // 为了安全，注销所有会话
+    await UserModel.logout(req.user.id);
+
+    res.status(200).json({
+      code: 200,
+      message: '密码修改成功，请重新登录'
+    });
+  } catch (error) {
+    res.status(400).json({
+      code: 400,
+      message: error.message || '密码修改失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/{id}:
+ *   put:
+ *     summary: 更新用户信息（管理员可用）
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username: 
+ *                 type: string
+ *                 description: 用户名
+ *               email: 
+ *                 type: string
+ *                 description: 邮箱，修改后向新邮箱发送验证邮件，验证通过后生效
+ *               nickname: 
+ *                 type: string
+ *                 description: 昵称
+ *               avatar: 
+ *                 type: string
+ *                 description: 头像URL
+ *               role: 
+ *                 type: string
+ *                 description: 角色名称，只能分配级别不高于自己的角色
+ *               status: 
+ *                 type: string
+ *                 enum: [active, inactive, blocked]
+ *                 description: 状态
+ *               disabledRemark: 
+ *                 type: string
+ *                 description: 禁用备注（仅在status为blocked时有效）
+ *     responses:
+ *       200: 
+ *         description: 更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: object
+ *       401: 
+ *         description: 未授权
+ *       403: 
+ *         description: 权限不足
+ *       404: 
+ *         description: 用户不存在
+ */
+router.put('/:id', authJWTOrApiKey('users:write'), requirePermission('users:update', { targetUserParam: 'id' }), audit('user.update', { target: 'user', id: req => req.params.id }), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的用户ID'
+      });
+    }
+
+    // 构建更新数据
+    const { username, email, nickname, avatar, role, status, disabledRemark } = req.body;
+    const updateData = {};
+    if (username !== undefined) updateData.username = username;
+    if (email !== undefined) updateData.email = email;
+    if (nickname !== undefined) updateData.nickname = nickname;
+    if (avatar !== undefined) updateData.avatar = avatar;
+    if (role !== undefined) updateData.role = role;
+    if (status !== undefined) updateData.status = status;
+    if (disabledRemark !== undefined) updateData.disabledRemark = disabledRemark;
+
+    // 只能分配级别不高于自己的角色
+    if (role !== undefined) {
+      const roleError = await RoleModel.checkAssignableRole(req.user, role);
+      if (roleError) {
+        return res.status(roleError.code).json(roleError);
+      }
+    }
+
+    // 如果禁用用户且没有备注，给出提示
+    if (status === 'blocked' && !disabledRemark) {
+      return res.status(400).json({
+        code: 400,
+        message: '禁用用户时必须添加备注'
+      });
+    }
+
+    // 如果启用用户，清空禁用备注
+    if (status !== 'blocked' && disabledRemark === undefined) {
+      // 获取当前用户信息，检查是否有禁用备注需要清空
+      const currentUser = await UserModel.getUserInfo(userId);
+      if (currentUser.disabledRemark) {
+        updateData.disabledRemark = null;
+      }
+    }
+
+    // 如果没有可更新的字段
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        code: 400,
+        message: '请提供要更新的字段'
+      });
+    }
+
+    const updatedUser = await UserModel.updateUser(userId, updateData);
+
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    if (error.message === '用户不存在') {
+      return res.status(404).json({
+        code: 404,
+        message: '用户不存在'
+      });
+    }
+    res.status(400).json({
+      code: 400,
+      message: error.message || '更新失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/{id}/unlock:
+ *   post:
+ *     summary: 解除账号登录锁定（管理员可用）
+ *     description: 清除账号因多次登录失败产生的临时锁定和失败计数，不影响按IP的锁定
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     responses:
+ *       200: 
+ *         description: 解除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *       401: 
+ *         description: 未授权
+ *       403: 
+ *         description: 权限不足
+ *       404: 
+ *         description: 用户不存在
+ */
+router.post('/:id/unlock', authJWT, requirePermission('users:security', { targetUserParam: 'id' }), audit('user.unlock', { target: 'user', id: req => req.params.id }), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的用户ID'
+      });
+    }
+
+    const result = await UserModel.unlockAccount(userId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '解除锁定失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/{id}/require-password-change:
+ *   post:
+ *     summary: 要求用户下次登录时修改密码（管理员可用）
+ *     description: 设置后该用户的所有会话立即失效，下次使用密码登录时必须先修改密码
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     responses:
+ *       200: 
+ *         description: 设置成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *       400: 
+ *         description: 该用户未设置密码
+ *       401: 
+ *         description: 未授权
+ *       403: 
+ *         description: 权限不足
+ *       404: 
+ *         description: 用户不存在
+ */
+router.post('/:id/require-password-change', authJWT, requirePermission('users:security', { targetUserParam: 'id' }), audit('user.require-password-change', { target: 'user', id: req => req.params.id }), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的用户ID'
+      });
+    }
+
+    const result = await UserModel.requirePasswordChange(userId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '设置失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/{id}/sessions:
+ *   get:
+ *     summary: 获取指定用户的登录设备列表（管理员可用）
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: array
+ *                   items: 
+ *                     type: object
  *       401: 
  *         description: 未授权
+ *       403: 
+ *         description: 权限不足
+ *       404: 
+ *         description: 用户不存在
  */
-router.put('/change-password', authJWT, async (req, res) => {
+router.get('/:id/sessions', authJWT, requirePermission('users:security', { targetUserParam: 'id' }), async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-
-    // 验证参数
-    if (!currentPassword || !newPassword) {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
       return res.status(400).json({
         code: 400,
-        message: '请提供当前密码和新密码'
+        message: '无效的用户ID'
       });
     }
 
-    // 验证新密码长度
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        code: 400,
-        message: '新密码长度不能少于6位'
-      });
-    }
-
-    // 为了验证当前密码，我们需要先尝试登录
-    try {
-      const loginInfo = {
-        ipAddress: req.ip,
-        userAgent: req.headers['user-agent']
-      };
-      
-      // 获取当前用户的用户名或邮箱
-      const user = await UserModel.getUserInfo(req.user.id);
-      const username = user.username;
-      
-      // 尝试用当前密码登录来验证
-      await UserModel.login(username, currentPassword, loginInfo);
-    } catch (error) {
+    const targetUser = await UserModel.getUserInfo(userId);
+    if (targetUser.code !== 200) {
+      return res.status(404).json({
+        code: 404,
+        message: '用户不存在'
+      });
+    }
+
+    const result = await UserModel.getUserSessions(userId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取会话列表失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: 注销指定用户的指定会话（管理员可用）
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会话ID
+ *     responses:
+ *       200: 
+ *         description: 注销成功
+ *       401: 
+ *         description: 未授权
+ *       403: 
+ *         description: 权限不足
+ *       404: 
+ *         description: 用户或会话不存在
+ */
+router.delete('/:id/sessions/:sessionId', authJWT, requirePermission('users:security', { targetUserParam: 'id' }), audit('session.revoke', { target: 'session', id: req => req.params.sessionId, metadata: req => ({ userId: parseInt(req.params.id) }) }), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
       return res.status(400).json({
         code: 400,
-        message: '当前密码错误'
+        message: '无效的用户ID'
       });
     }
 
-    // 更新密码
-    await UserModel.updateUser(req.user.id, { password: newPassword });
+    const targetUser = await UserModel.getUserInfo(userId);
+    if (targetUser.code !== 200) {
+      return res.status(404).json({
+        code: 404,
+        message: '用户不存在'
+      });
+    }
 
-    // 为了安全，注销所有会话
-    await UserModel.logout(req.user.id);
+    const result = await UserModel.revokeSession(userId, req.params.sessionId);
 
-    res.status(200).json({
-      code: 200,
-      message: '密码修改成功，请重新登录'
+    res.status(result.code).json(result);
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '注销会话失败'
     });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/{userId}/products:
+ *   get:
+ *     summary: 获取用户的产品授权
+ *     description: 用户可以查看自己的授权，查看其他用户的授权需要 users:read 权限
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code: 
+ *                   type: number
+ *                 message: 
+ *                   type: string
+ *                 data: 
+ *                   type: array
+ *                   items: 
+ *                     type: object
+ *                     properties: 
+ *                       id: 
+ *                         type: string
+ *                         description: 产品ID
+ *                       name: 
+ *                         type: string
+ *                       productStatus: 
+ *                         type: string
+ *                         description: 产品状态（active、archived）
+ *                       status: 
+ *                         type: string
+ *                         description: 授权状态（trial、active、expired），超过结束时间的授权为 expired
+ *                       startsAt: 
+ *                         type: number
+ *                       endsAt: 
+ *                         type: number
+ *                         description: 为空表示长期有效
+ *       401: 
+ *         description: 未授权
+ *       403: 
+ *         description: 权限不足
+ *       404: 
+ *         description: 用户不存在
+ */
+router.get('/:userId/products', authJWT, requirePermission('users:read', { targetUserParam: 'userId', allowSelf: true }), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的用户ID'
+      });
+    }
+
+    const result = await ProductModel.getUserProducts(userId);
+
+    res.status(result.code).json(result);
   } catch (error) {
-    res.status(400).json({
-      code: 400,
-      message: error.message || '密码修改失败'
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取用户产品失败'
     });
   }
 });
@@ -668,7 +1725,8 @@ router.put('/change-password', authJWT, async (req, res) => {
  * @swagger
  * /api/user-center/users/{userId}/products:
  *   post:
- *     summary: 添加用户产品关联
+ *     summary: 添加用户产品授权
+ *     description: 需要 users:update 权限，用户为自己开通产品请使用 /billing/subscriptions 订阅免费套餐。产品必须存在于产品目录中且未归档
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
@@ -685,20 +1743,25 @@ router.put('/change-password', authJWT, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - productId
  *             properties:
- *               id: 
+ *               productId: 
  *                 type: string
  *                 description: 产品ID
- *               name: 
- *                 type: string
- *                 description: 产品名称
- *               accessTime: 
+ *               status: 
  *                 type: string
- *                 format: date-time
- *                 description: 访问时间
+ *                 enum: [trial, active, expired]
+ *                 description: 授权状态，默认为 active
+ *               startsAt: 
+ *                 type: number
+ *                 description: 授权开始时间（Unix时间戳，秒，也可以使用ISO 8601字符串），默认为当前时间
+ *               endsAt: 
+ *                 type: number
+ *                 description: 授权结束时间，不提供表示长期有效
  *     responses:
  *       200: 
- *         description: 关联成功
+ *         description: 添加成功
  *         content:
  *           application/json:
  *             schema:
@@ -710,8 +1773,25 @@ router.put('/change-password', authJWT, async (req, res) => {
  *                   type: string
  *                 data: 
  *                   type: object
+ *                   properties: 
+ *                     id: 
+ *                       type: string
+ *                       description: 产品ID
+ *                     name: 
+ *                       type: string
+ *                     productStatus: 
+ *                       type: string
+ *                       description: 产品状态（active、archived）
+ *                     status: 
+ *                       type: string
+ *                       description: 授权状态（trial、active、expired），超过结束时间的授权为 expired
+ *                     startsAt: 
+ *                       type: number
+ *                     endsAt: 
+ *                       type: number
+ *                       description: 为空表示长期有效
  *       400: 
- *         description: 产品已关联
+ *         description: 产品不存在、已归档或已关联
  *       401: 
  *         description: 未授权
  *       403: 
@@ -719,43 +1799,34 @@ router.put('/change-password', authJWT, async (req, res) => {
  *       404: 
  *         description: 用户不存在
  */
-router.post('/:userId/products', authJWT, authorizeRoles('admin', 'user'), async (req, res) => {
+router.post('/:userId/products', authJWT, requirePermission('users:update', { targetUserParam: 'userId' }), audit('user-product.grant', { target: 'user-product', id: req => `${req.params.userId}:${req.body.productId || req.body.id}` }), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const productInfo = req.body;
-    const currentUser = req.user;
-
-    // 检查权限
-    if (currentUser.role !== 'admin' && currentUser.id !== parseInt(userId)) {
-      return res.status(403).json({
-        code: 403,
-        message: '权限不足'
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的用户ID'
       });
     }
 
-    const result = await UserModel.addUserProduct(parseInt(userId), productInfo);
-    res.json({
-      code: 200,
-      message: '产品关联成功',
-      data: result
-    });
-  } catch (error) {
-    if (error.message === '用户不存在') {
-      return res.status(404).json({
-        code: 404,
-        message: error.message
-      });
-    }
-    if (error.message === '产品已关联') {
+    // 兼容旧版本使用 id 字段传递产品ID的请求
+    const productId = req.body.productId || req.body.id;
+    if (!productId) {
       return res.status(400).json({
         code: 400,
-        message: error.message
+        message: '产品ID为必填项'
       });
     }
+
+    const { status, startsAt, endsAt } = req.body;
+
+    const result = await ProductModel.grantUserProduct(userId, productId, { status, startsAt, endsAt });
+
+    res.status(result.code).json(result);
+  } catch (error) {
     res.status(500).json({
       code: 500,
-      message: '服务器错误',
-      error: error.message
+      message: error.message || '添加用户产品失败'
     });
   }
 });
@@ -763,8 +1834,9 @@ router.post('/:userId/products', authJWT, authorizeRoles('admin', 'user'), async
 /**
  * @swagger
  * /api/user-center/users/{userId}/products/{productId}:
- *   delete:
- *     summary: 移除用户产品关联
+ *   put:
+ *     summary: 修改用户产品授权（管理员可用）
+ *     description: 由订阅管理的授权随订阅状态自动更新，不能在此修改
  *     tags: [User]
  *     security:
  *       - bearerAuth: []
@@ -781,9 +1853,26 @@ router.post('/:userId/products', authJWT, authorizeRoles('admin', 'user'), async
  *         schema:
  *           type: string
  *         description: 产品ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status: 
+ *                 type: string
+ *                 enum: [trial, active, expired]
+ *               startsAt: 
+ *                 type: number
+ *                 description: 授权开始时间（Unix时间戳，秒，也可以使用ISO 8601字符串）
+ *               endsAt: 
+ *                 type: number
+ *                 nullable: true
+ *                 description: 授权结束时间，为null表示长期有效
  *     responses:
  *       200: 
- *         description: 移除成功
+ *         description: 修改成功
  *         content:
  *           application/json:
  *             schema:
@@ -795,51 +1884,108 @@ router.post('/:userId/products', authJWT, authorizeRoles('admin', 'user'), async
  *                   type: string
  *                 data: 
  *                   type: object
+ *                   properties: 
+ *                     id: 
+ *                       type: string
+ *                       description: 产品ID
+ *                     name: 
+ *                       type: string
+ *                     productStatus: 
+ *                       type: string
+ *                       description: 产品状态（active、archived）
+ *                     status: 
+ *                       type: string
+ *                       description: 授权状态（trial、active、expired），超过结束时间的授权为 expired
+ *                     startsAt: 
+ *                       type: number
+ *                     endsAt: 
+ *                       type: number
+ *                       description: 为空表示长期有效
  *       400: 
- *         description: 产品关联不存在
+ *         description: 参数错误
  *       401: 
  *         description: 未授权
  *       403: 
  *         description: 权限不足
  *       404: 
- *         description: 用户不存在
+ *         description: 产品关联不存在
+ *       409: 
+ *         description: 该产品授权由订阅管理
  */
-router.delete('/:userId/products/:productId', authJWT, authorizeRoles('admin', 'user'), async (req, res) => {
+router.put('/:userId/products/:productId', authJWT, requirePermission('users:update', { targetUserParam: 'userId' }), audit('user-product.update', { target: 'user-product', id: req => `${req.params.userId}:${req.params.productId}` }), async (req, res) => {
   try {
-    const { userId, productId } = req.params;
-    const currentUser = req.user;
-
-    // 检查权限
-    if (currentUser.role !== 'admin' && currentUser.id !== parseInt(userId)) {
-      return res.status(403).json({
-        code: 403,
-        message: '权限不足'
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        code: 400,
+        message: '无效的用户ID'
       });
     }
 
-    const result = await UserModel.removeUserProduct(parseInt(userId), productId);
-    res.json({
-      code: 200,
-      message: '产品关联移除成功',
-      data: result
-    });
+    const { status, startsAt, endsAt } = req.body;
+
+    const result = await ProductModel.updateUserProduct(userId, req.params.productId, { status, startsAt, endsAt });
+
+    res.status(result.code).json(result);
   } catch (error) {
-    if (error.message === '用户不存在') {
-      return res.status(404).json({
-        code: 404,
-        message: error.message
-      });
-    }
-    if (error.message === '产品关联不存在') {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '修改用户产品失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/users/{userId}/products/{productId}:
+ *   delete:
+ *     summary: 移除用户产品授权
+ *     description: 用户可以移除自己的授权，移除其他用户的授权需要 users:update 权限。由订阅管理的授权不能在此移除，需要先取消订阅
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 产品ID
+ *     responses:
+ *       200: 
+ *         description: 移除成功
+ *       401: 
+ *         description: 未授权
+ *       403: 
+ *         description: 权限不足
+ *       404: 
+ *         description: 产品关联不存在
+ *       409: 
+ *         description: 该产品授权由订阅管理
+ */
+router.delete('/:userId/products/:productId', authJWT, requirePermission('users:update', { targetUserParam: 'userId', allowSelf: true }), audit('user-product.revoke', { target: 'user-product', id: req => `${req.params.userId}:${req.params.productId}` }), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
       return res.status(400).json({
         code: 400,
-        message: error.message
+        message: '无效的用户ID'
       });
     }
+
+    const result = await ProductModel.revokeUserProduct(userId, req.params.productId);
+
+    res.status(result.code).json(result);
+  } catch (error) {
     res.status(500).json({
       code: 500,
-      message: '服务器错误',
-      error: error.message
+      message: error.message || '移除用户产品失败'
     });
   }
 });
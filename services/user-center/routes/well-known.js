@@ -0,0 +1,79 @@
+// 公开元数据路由 - 提供JWKS等供其他服务获取的公开信息
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../utils/jwt');
+const OidcModel = require('../models/oidc.model');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Discovery
+ *   description: 公开元数据接口
+ */
+
+/**
+ * @swagger
+ * /api/user-center/.well-known/jwks.json:
+ *   get:
+ *     summary: 获取JWT验证公钥（JWKS）
+ *     description: 其他服务使用这里的公钥，按令牌头中的kid验证用户中心签发的访问令牌；使用HS256签名时返回空列表
+ *     tags: [Discovery]
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys: 
+ *                   type: array
+ *                   items: 
+ *                     type: object
+ */
+router.get('/jwks.json', (req, res) => {
+  try {
+    // 允许其他服务缓存公钥，轮换时新旧密钥会同时出现一段时间
+    res.set('Cache-Control', 'public, max-age=600');
+    res.status(200).json(getJwks());
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取公钥失败'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/user-center/.well-known/openid-configuration:
+ *   get:
+ *     summary: 获取OpenID Connect发现文档
+ *     description: 标准OIDC客户端库通过此文档获取授权、令牌、用户信息端点和公钥地址。ID令牌只使用RS256或ES256签名，使用HS256签名时OpenID Connect不可用
+ *     tags: [Discovery]
+ *     responses:
+ *       200: 
+ *         description: 获取成功
+ *       503:
+ *         description: 未配置非对称签名密钥
+ */
+router.get('/openid-configuration', (req, res) => {
+  try {
+    if (!OidcModel.isEnabled()) {
+      return res.status(503).json({
+        code: 503,
+        message: '未配置非对称签名密钥，OpenID Connect不可用'
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.status(200).json(OidcModel.getDiscoveryDocument());
+  } catch (error) {
+    res.status(500).json({
+      code: 500,
+      message: error.message || '获取发现文档失败'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// 计费事件签名工具 - 支付平台（或内部计费服务）推送事件时使用共享密钥签名，防止伪造和重放
+const crypto = require('crypto');
+
+// 签名时间与当前时间的最大偏差（秒），超过时视为重放
+const BILLING_SIGNATURE_TOLERANCE = parseInt(process.env.BILLING_SIGNATURE_TOLERANCE || '300');
+
+/**
+ * 计算签名
+ * @param {string} secret - 共享密钥
+ * @param {number} timestamp - 签名时间（Unix时间戳，秒）
+ * @param {Buffer|string} body - 原始请求体
+ * @returns {string} 十六进制HMAC-SHA256签名
+ */
+const computeSignature = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+};
+
+/**
+ * 生成签名请求头的值
+ * @param {string} secret - 共享密钥
+ * @param {Buffer|string} body - 请求体
+ * @param {number} timestamp - 签名时间，默认为当前时间
+ * @returns {string} 格式为 t={时间戳},v1={签名}
+ */
+const signBillingPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`;
+};
+
+/**
+ * 验证签名请求头
+ * @param {string} secret - 共享密钥
+ * @param {string} header - 签名请求头的值
+ * @param {Buffer|string} body - 原始请求体
+ * @returns {boolean} 签名是否有效且未过期
+ */
+const verifyBillingSignature = (secret, header, body) => {
+  if (!secret || !header || body === undefined) {
+    return false;
+  }
+
+  const fields = Object.fromEntries(
+    header.split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2)
+  );
+  const timestamp = parseInt(fields.t);
+  if (!timestamp || !fields.v1 || Math.abs(Date.now() / 1000 - timestamp) > BILLING_SIGNATURE_TOLERANCE) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body), 'hex');
+  const actual = Buffer.from(fields.v1, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = { signBillingPayload, verifyBillingSignature };
@@ -0,0 +1,105 @@
+// CSV解析和生成 - 解析带表头的CSV文本，支持双引号包裹的字段、字段内的逗号、换行和转义的双引号
+
+/**
+ * 将CSV文本解析为二维数组
+ * @param {string} text - CSV文本
+ * @returns {Array<Array<string>>} 每行的字段
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // 去掉Excel导出时附带的BOM
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV格式错误: 引号未闭合');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 忽略空行
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+/**
+ * 解析带表头的CSV文本
+ * 第一行为字段名，之后每行转换为以字段名为键的对象；空字段不出现在对象中
+ * @param {string} text - CSV文本
+ * @returns {Array<Object>} 记录列表
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map(fields => {
+    const record = {};
+    columns.forEach((column, index) => {
+      const value = fields[index] !== undefined ? fields[index].trim() : '';
+      if (column && value !== '') {
+        record[column] = value;
+      }
+    });
+    return record;
+  });
+};
+
+/**
+ * 生成一行CSV
+ * 以 = + - @ 开头的文本字段前加单引号，防止在表格软件中打开时被当作公式执行
+ * @param {Array<*>} fields - 字段值，null和undefined输出为空字段
+ * @returns {string} 以换行结尾的CSV行
+ */
+const stringifyCsvRow = (fields) => {
+  return fields.map(value => {
+    let field = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(field)) {
+      field = `'${field}`;
+    }
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(',') + '\r\n';
+};
+
+module.exports = { parseCsv, stringifyCsvRow };
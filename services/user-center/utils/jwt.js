@@ -0,0 +1,155 @@
+// JWT签名工具 - 支持RS256/ES256非对称签名、多密钥轮换以及HS256共享密钥
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// 签名算法：HS256 使用 JWT_SECRET；RS256/ES256 使用 JWT_KEYS_DIR 中的私钥
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+// 密钥目录，私钥文件名为 {kid}.pem，仅用于验证的已退役公钥文件名为 {kid}.pub.pem
+const JWT_KEYS_DIR = process.env.JWT_KEYS_DIR || 'keys/jwt';
+// 当前用于签名的密钥ID，未配置时使用目录中按文件名排序的最后一个私钥
+const JWT_ACTIVE_KID = process.env.JWT_ACTIVE_KID;
+// 使用非对称签名时，是否仍接受 JWT_SECRET 签名的HS256令牌（用于切换期间的平滑过渡）
+const JWT_HS256_FALLBACK = process.env.JWT_HS256_FALLBACK === 'true';
+
+let keySet = null;
+
+/**
+ * 根据密钥类型确定签名算法
+ * @param {crypto.KeyObject} publicKey - 公钥
+ * @returns {string} 算法名称
+ */
+const algorithmForKey = (publicKey) => {
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (publicKey.asymmetricKeyType === 'ec' && publicKey.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  throw new Error(`不支持的密钥类型: ${publicKey.asymmetricKeyType}`);
+};
+
+/**
+ * 加载密钥目录
+ * @returns {{keys: Map, activeKid: string|null}} 密钥集合
+ */
+const loadKeySet = () => {
+  const keys = new Map();
+
+  if (JWT_ALGORITHM === 'HS256') {
+    return { keys, activeKid: null };
+  }
+
+  const files = fs.readdirSync(JWT_KEYS_DIR).filter(file => file.endsWith('.pem')).sort();
+  for (const file of files) {
+    const pem = fs.readFileSync(path.join(JWT_KEYS_DIR, file), 'utf8');
+    const isPublicOnly = file.endsWith('.pub.pem');
+    const kid = file.replace(/(\.pub)?\.pem$/, '');
+
+    const privateKey = isPublicOnly ? null : crypto.createPrivateKey(pem);
+    const publicKey = isPublicOnly ? crypto.createPublicKey(pem) : crypto.createPublicKey(privateKey);
+
+    // 同一个kid同时存在私钥和公钥文件时以私钥为准
+    if (!keys.has(kid) || privateKey) {
+      keys.set(kid, { kid, privateKey, publicKey, algorithm: algorithmForKey(publicKey) });
+    }
+  }
+
+  const signingKids = [...keys.values()].filter(key => key.privateKey).map(key => key.kid);
+  const activeKid = JWT_ACTIVE_KID || signingKids[signingKids.length - 1];
+  const activeKey = keys.get(activeKid);
+
+  if (!activeKey || !activeKey.privateKey) {
+    throw new Error(`找不到用于签名的JWT私钥: ${activeKid || JWT_KEYS_DIR}`);
+  }
+  if (activeKey.algorithm !== JWT_ALGORITHM) {
+    throw new Error(`JWT签名密钥 ${activeKid} 的算法为 ${activeKey.algorithm}，与 JWT_ALGORITHM=${JWT_ALGORITHM} 不一致`);
+  }
+
+  return { keys, activeKid };
+};
+
+/**
+ * 获取密钥集合，首次使用时加载
+ * @returns {{keys: Map, activeKid: string|null}} 密钥集合
+ */
+const getKeySet = () => {
+  if (!keySet) {
+    keySet = loadKeySet();
+  }
+  return keySet;
+};
+
+/**
+ * 签发JWT
+ * @param {Object} payload - 令牌载荷
+ * @param {Object} options - jsonwebtoken 的签名选项（如 expiresIn、jwtid）
+ * @returns {string} JWT
+ */
+const signJwt = (payload, options = {}) => {
+  const { keys, activeKid } = getKeySet();
+
+  if (!activeKid) {
+    return jwt.sign(payload, process.env.JWT_SECRET, { ...options, algorithm: 'HS256' });
+  }
+
+  const key = keys.get(activeKid);
+  return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.algorithm, keyid: activeKid });
+};
+
+/**
+ * 验证JWT
+ * 按令牌头中的kid选择公钥，并且只接受该密钥对应的算法，防止算法混淆攻击
+ * @param {string} token - JWT
+ * @param {Object} options - jsonwebtoken 的验证选项
+ * @returns {Object} 令牌载荷，验证失败时抛出 jsonwebtoken 的错误
+ */
+const verifyJwt = (token, options = {}) => {
+  const { keys, activeKid } = getKeySet();
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid, alg } = decoded.header;
+  if (kid && keys.has(kid)) {
+    const key = keys.get(kid);
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+  }
+
+  if (alg === 'HS256' && (!activeKid || JWT_HS256_FALLBACK)) {
+    return jwt.verify(token, process.env.JWT_SECRET, { ...options, algorithms: ['HS256'] });
+  }
+
+  throw new jwt.JsonWebTokenError('invalid signing key');
+};
+
+/**
+ * 获取当前签名使用的算法
+ * @returns {string} 算法名称
+ */
+const getSigningAlgorithm = () => {
+  const { keys, activeKid } = getKeySet();
+  return activeKid ? keys.get(activeKid).algorithm : 'HS256';
+};
+
+/**
+ * 获取用于验证的公钥集合（JWKS）
+ * 对称密钥不会出现在其中
+ * @returns {{keys: Array<Object>}} JWKS
+ */
+const getJwks = () => {
+  const { keys } = getKeySet();
+
+  return {
+    keys: [...keys.values()].map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig'
+    }))
+  };
+};
+
+module.exports = { signJwt, verifyJwt, getSigningAlgorithm, getJwks };
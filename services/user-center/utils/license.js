@@ -0,0 +1,151 @@
+// 许可证签名工具 - 使用Ed25519私钥签发可离线验证的许可证密钥，支持多密钥轮换
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// 密钥目录，私钥文件名为 {kid}.pem，仅用于验证的已退役公钥文件名为 {kid}.pub.pem
+const LICENSE_KEYS_DIR = process.env.LICENSE_KEYS_DIR || 'keys/license';
+// 当前用于签名的密钥ID，未配置时使用目录中按文件名排序的最后一个私钥
+const LICENSE_ACTIVE_KID = process.env.LICENSE_ACTIVE_KID;
+
+// 许可证密钥的签名算法（JWS中的名称）
+const LICENSE_ALGORITHM = 'EdDSA';
+
+let keySet = null;
+
+/**
+ * Base64URL编码
+ * @param {Buffer|string} value - 原始数据
+ * @returns {string} 编码结果
+ */
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * 加载密钥目录
+ * @returns {{keys: Map, activeKid: string|null}} 密钥集合，目录不存在时为空
+ */
+const loadKeySet = () => {
+  const keys = new Map();
+
+  if (!fs.existsSync(LICENSE_KEYS_DIR)) {
+    return { keys, activeKid: null };
+  }
+
+  const files = fs.readdirSync(LICENSE_KEYS_DIR).filter(file => file.endsWith('.pem')).sort();
+  for (const file of files) {
+    const pem = fs.readFileSync(path.join(LICENSE_KEYS_DIR, file), 'utf8');
+    const isPublicOnly = file.endsWith('.pub.pem');
+    const kid = file.replace(/(\.pub)?\.pem$/, '');
+
+    const privateKey = isPublicOnly ? null : crypto.createPrivateKey(pem);
+    const publicKey = isPublicOnly ? crypto.createPublicKey(pem) : crypto.createPublicKey(privateKey);
+
+    if (publicKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`许可证密钥 ${kid} 必须是Ed25519密钥`);
+    }
+
+    // 同一个kid同时存在私钥和公钥文件时以私钥为准
+    if (!keys.has(kid) || privateKey) {
+      keys.set(kid, { kid, privateKey, publicKey });
+    }
+  }
+
+  const signingKids = [...keys.values()].filter(key => key.privateKey).map(key => key.kid);
+  const activeKid = LICENSE_ACTIVE_KID || signingKids[signingKids.length - 1] || null;
+
+  if (activeKid && !(keys.get(activeKid) && keys.get(activeKid).privateKey)) {
+    throw new Error(`找不到用于签名的许可证私钥: ${activeKid}`);
+  }
+
+  return { keys, activeKid };
+};
+
+/**
+ * 获取密钥集合，首次使用时加载
+ * @returns {{keys: Map, activeKid: string|null}} 密钥集合
+ */
+const getKeySet = () => {
+  if (!keySet) {
+    keySet = loadKeySet();
+  }
+  return keySet;
+};
+
+/**
+ * 是否已配置许可证签名密钥
+ * @returns {boolean} 是否可以签发许可证
+ */
+const isLicenseSigningEnabled = () => Boolean(getKeySet().activeKid);
+
+/**
+ * 签发许可证密钥
+ * 格式为JWS紧凑序列化（header.payload.signature），客户端可以使用任意支持EdDSA的JOSE库验证
+ * @param {Object} payload - 许可证内容，需包含 jti、iat、exp
+ * @returns {string} 许可证密钥
+ */
+const signLicense = (payload) => {
+  const { keys, activeKid } = getKeySet();
+  if (!activeKid) {
+    throw new Error('未配置许可证签名密钥');
+  }
+
+  const header = base64url(JSON.stringify({ alg: LICENSE_ALGORITHM, typ: 'license', kid: activeKid }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), keys.get(activeKid).privateKey);
+
+  return `${header}.${body}.${base64url(signature)}`;
+};
+
+/**
+ * 验证许可证密钥的签名和有效期
+ * @param {string} licenseKey - 许可证密钥
+ * @returns {Object|null} 许可证内容，签名无效或已过期时返回null
+ */
+const verifyLicense = (licenseKey) => {
+  try {
+    const parts = typeof licenseKey === 'string' ? licenseKey.split('.') : [];
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    const [header, body, signature] = parts;
+    const { alg, kid } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    const key = getKeySet().keys.get(kid);
+    if (alg !== LICENSE_ALGORITHM || !key) {
+      return null;
+    }
+
+    if (!crypto.verify(null, Buffer.from(`${header}.${body}`), key.publicKey, Buffer.from(signature, 'base64url'))) {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * 获取用于验证许可证的公钥集合（JWKS）
+ * 桌面产品可以在发布时内置这些公钥，离线验证许可证
+ * @returns {{keys: Array<Object>}} JWKS
+ */
+const getLicenseJwks = () => {
+  const { keys } = getKeySet();
+
+  return {
+    keys: [...keys.values()].map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: LICENSE_ALGORITHM,
+      use: 'sig'
+    }))
+  };
+};
+
+module.exports = { isLicenseSigningEnabled, signLicense, verifyLicense, getLicenseJwks };
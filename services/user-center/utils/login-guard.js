@@ -0,0 +1,130 @@
+// 登录保护工具 - 按账号和IP统计登录失败次数，实现渐进延迟和临时锁定
+const MemoryStore = require('./memory-store');
+const { parseDuration } = require('./token');
+
+// 统计窗口内账号允许的失败次数，超过后锁定账号
+const LOGIN_MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || '5');
+// 统计窗口内同一IP允许的失败次数，超过后锁定该IP
+const LOGIN_MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20');
+// 失败次数统计窗口
+const LOGIN_FAILURE_WINDOW = process.env.LOGIN_FAILURE_WINDOW || '15m';
+// 锁定时长
+const LOGIN_LOCK_DURATION = process.env.LOGIN_LOCK_DURATION || '15m';
+// 账号失败次数达到该值后开始延迟响应
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER || '3');
+// 延迟基数和上限（毫秒），每多失败一次延迟翻倍
+const LOGIN_DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS || '500');
+const LOGIN_DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS || '8000');
+
+let store = new MemoryStore();
+
+/**
+ * 设置存储，多实例部署时替换为共享存储
+ * @param {Object} customStore - 存储对象，接口见 memory-store.js
+ */
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * 生成账号维度的键
+ * 已存在的用户按用户ID统计，使用户名和邮箱登录共享计数；不存在的用户按输入的登录名统计
+ * @param {number|null} userId - 用户ID
+ * @param {string} identifier - 登录时输入的用户名或邮箱
+ * @returns {string} 账号键
+ */
+const accountKey = (userId, identifier) => {
+  return userId ? `user:${userId}` : `name:${String(identifier).toLowerCase()}`;
+};
+
+/**
+ * 检查账号或IP是否处于锁定状态
+ * @param {string} account - 账号键
+ * @param {string} ipAddress - IP地址
+ * @returns {Promise<{retryAfter: number}|null>} 锁定信息，retryAfter 为剩余秒数；未锁定时返回null
+ */
+const checkLocked = async (account, ipAddress) => {
+  const locks = await Promise.all([
+    store.get(`login:lock:account:${account}`),
+    ipAddress ? store.get(`login:lock:ip:${ipAddress}`) : null
+  ]);
+
+  const expiresAt = Math.max(0, ...locks.filter(Boolean).map(lock => lock.expiresAt));
+  if (!expiresAt) {
+    return null;
+  }
+
+  return { retryAfter: Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000)) };
+};
+
+/**
+ * 记录一次登录失败
+ * 达到阈值时锁定账号或IP；失败次数较多时延迟返回，拖慢暴力破解速度
+ * @param {string} account - 账号键
+ * @param {string} ipAddress - IP地址
+ * @returns {Promise<{retryAfter: number}|null>} 本次失败触发锁定时返回锁定信息
+ */
+const registerFailure = async (account, ipAddress) => {
+  const windowMs = parseDuration(LOGIN_FAILURE_WINDOW);
+  const lockMs = parseDuration(LOGIN_LOCK_DURATION);
+
+  const accountFailures = await store.increment(`login:fail:account:${account}`, windowMs);
+  const ipFailures = ipAddress
+    ? await store.increment(`login:fail:ip:${ipAddress}`, windowMs)
+    : { value: 0 };
+
+  let locked = false;
+  if (accountFailures.value >= LOGIN_MAX_ACCOUNT_FAILURES) {
+    await store.set(`login:lock:account:${account}`, 1, lockMs);
+    await store.delete(`login:fail:account:${account}`);
+    locked = true;
+  }
+  if (ipFailures.value >= LOGIN_MAX_IP_FAILURES) {
+    await store.set(`login:lock:ip:${ipAddress}`, 1, lockMs);
+    await store.delete(`login:fail:ip:${ipAddress}`);
+    locked = true;
+  }
+
+  if (locked) {
+    return { retryAfter: Math.ceil(lockMs / 1000) };
+  }
+
+  // 渐进延迟
+  const overflow = accountFailures.value - LOGIN_DELAY_AFTER;
+  if (overflow >= 0) {
+    const delayMs = Math.min(LOGIN_DELAY_BASE_MS * 2 ** overflow, LOGIN_DELAY_MAX_MS);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+
+  return null;
+};
+
+/**
+ * 登录成功后清除账号的失败计数
+ * @param {string} account - 账号键
+ * @returns {Promise<void>}
+ */
+const registerSuccess = async (account) => {
+  await store.delete(`login:fail:account:${account}`);
+};
+
+/**
+ * 解除账号锁定并清除失败计数
+ * @param {string} account - 账号键
+ * @returns {Promise<void>}
+ */
+const unlockAccount = async (account) => {
+  await Promise.all([
+    store.delete(`login:lock:account:${account}`),
+    store.delete(`login:fail:account:${account}`)
+  ]);
+};
+
+module.exports = {
+  setStore,
+  accountKey,
+  checkLocked,
+  registerFailure,
+  registerSuccess,
+  unlockAccount
+};
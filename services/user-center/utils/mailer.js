@@ -0,0 +1,108 @@
+// 邮件发送工具 - 支持 smtp、file、console 三种传输方式，也可以注入自定义传输
+// 邮件中包含重置密码、登录链接等一次性令牌，file 和 console 传输仅供开发和测试使用，需要显式配置
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP传输，通过 SMTP_* 环境变量配置
+ * @returns {Object} 传输对象
+ */
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('未配置邮件传输：请设置 SMTP_HOST，或在开发和测试环境中设置 MAIL_TRANSPORT 为 file 或 console');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (mail) => transporter.sendMail(mail)
+  };
+};
+
+/**
+ * 文件传输，每封邮件以一行JSON追加到文件中，便于测试读取
+ * @returns {Object} 传输对象
+ */
+const createFileTransport = () => {
+  const filePath = process.env.MAIL_FILE_PATH || 'logs/mail.log';
+
+  return {
+    send: async (mail) => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const line = JSON.stringify({ ...mail, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(filePath, line + '\n');
+    }
+  };
+};
+
+/**
+ * 控制台传输，只打印收件人和主题；邮件正文包含一次性令牌，仅在测试环境（NODE_ENV=test）中打印
+ * @returns {Object} 传输对象
+ */
+const createConsoleTransport = () => {
+  const printBody = process.env.NODE_ENV === 'test';
+
+  return {
+    send: async (mail) => {
+      console.log(`[邮件] 收件人: ${mail.to} 主题: ${mail.subject}${printBody ? `\n${mail.text}` : ''}`);
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * 获取当前使用的传输，根据 MAIL_TRANSPORT 环境变量创建，默认为 smtp
+ * @returns {Object} 传输对象
+ */
+const getTransport = () => {
+  if (!transport) {
+    const type = process.env.MAIL_TRANSPORT || 'smtp';
+    const factory = transportFactories[type];
+    if (!factory) {
+      throw new Error(`不支持的邮件传输方式: ${type}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * 设置自定义传输，传输对象需实现 send(mail) 方法
+ * @param {Object} customTransport - 传输对象
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * 发送邮件
+ * @param {Object} mail - 邮件内容
+ * @param {string} mail.to - 收件人
+ * @param {string} mail.subject - 主题
+ * @param {string} mail.text - 纯文本内容
+ * @param {string} mail.html - HTML内容（可选）
+ * @returns {Promise<void>}
+ */
+const sendMail = async (mail) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    ...mail
+  });
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,118 @@
+// 内存存储 - 带过期时间的键值计数存储，用于登录保护、限流等单实例场景
+//
+// 多实例部署时可替换为共享存储（如 Redis），只需实现相同的异步接口：
+//   get(key)                      -> { value, expiresAt } | null
+//   set(key, value, ttlMs)        -> void
+//   increment(key, ttlMs)         -> { value, expiresAt }  键不存在或已过期时从1开始，并以 ttlMs 作为过期时间
+//   update(key, updater, ttlMs)   -> { value, expiresAt }  原子地读取并写回 updater(当前值或null) 的结果，重置过期时间
+//   delete(key)                   -> void
+// 共享存储需保证 increment 和 update 的原子性（如 Redis 的 INCR 和 Lua 脚本）
+
+/**
+ * 内存存储类
+ * 数据保存在进程内存中，进程重启后丢失，多个实例之间不共享
+ */
+class MemoryStore {
+  /**
+   * @param {Object} options - 配置项
+   * @param {number} options.cleanupInterval - 清理过期数据的间隔（毫秒）
+   */
+  constructor({ cleanupInterval = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    // 定期清理过期数据，避免内存持续增长；unref 保证定时器不会阻止进程退出
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupInterval);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * 读取未过期的数据
+   * @param {string} key - 键
+   * @returns {Promise<{value: *, expiresAt: number}|null>} 数据
+   */
+  async get(key) {
+    const entry = this.readEntry(key);
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * 写入数据
+   * @param {string} key - 键
+   * @param {*} value - 值
+   * @param {number} ttlMs - 有效期（毫秒）
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * 计数加一
+   * @param {string} key - 键
+   * @param {number} ttlMs - 键不存在时的有效期（毫秒）
+   * @returns {Promise<{value: number, expiresAt: number}>} 计数和过期时间
+   */
+  async increment(key, ttlMs) {
+    const entry = this.readEntry(key);
+    const next = entry
+      ? { value: entry.value + 1, expiresAt: entry.expiresAt }
+      : { value: 1, expiresAt: Date.now() + ttlMs };
+    this.entries.set(key, next);
+    return { ...next };
+  }
+
+  /**
+   * 原子更新数据
+   * @param {string} key - 键
+   * @param {Function} updater - 接收当前值（不存在时为null），返回新值
+   * @param {number} ttlMs - 有效期（毫秒）
+   * @returns {Promise<{value: *, expiresAt: number}>} 新值和过期时间
+   */
+  async update(key, updater, ttlMs) {
+    const entry = this.readEntry(key);
+    const next = { value: updater(entry ? entry.value : null), expiresAt: Date.now() + ttlMs };
+    this.entries.set(key, next);
+    return { ...next };
+  }
+
+  /**
+   * 删除数据
+   * @param {string} key - 键
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * 同步读取未过期的数据
+   * increment 和 update 在读取和写回之间没有异步等待，同一进程内的并发请求不会交错
+   * @param {string} key - 键
+   * @returns {{value: *, expiresAt: number}|null} 数据
+   */
+  readEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * 清理过期数据
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,147 @@
+// 密码哈希 - 统一负责密码的加密、校验，以及判断已保存的哈希是否需要升级到当前算法
+const crypto = require('crypto');
+const argon2 = require('argon2');
+const bcrypt = require('bcrypt');
+
+// 新密码使用的哈希算法：argon2id 或 bcrypt
+const PASSWORD_HASH_ALGORITHM = process.env.PASSWORD_HASH_ALGORITHM || 'argon2id';
+// bcrypt 的计算轮数
+const BCRYPT_COST = parseInt(process.env.BCRYPT_COST || '10');
+// argon2id 的内存开销（KiB）、迭代次数和并行度
+const ARGON2_MEMORY_COST = parseInt(process.env.ARGON2_MEMORY_COST || '65536');
+const ARGON2_TIME_COST = parseInt(process.env.ARGON2_TIME_COST || '3');
+const ARGON2_PARALLELISM = parseInt(process.env.ARGON2_PARALLELISM || '4');
+
+const ARGON2_OPTIONS = {
+  type: argon2.argon2id,
+  memoryCost: ARGON2_MEMORY_COST,
+  timeCost: ARGON2_TIME_COST,
+  parallelism: ARGON2_PARALLELISM
+};
+
+/**
+ * 计算旧系统的加盐摘要并与保存的摘要比较
+ * 旧系统的摘要算法为 digest(明文密码 + 盐)，结果为十六进制
+ * @param {string} digestAlgorithm - 摘要算法，md5 或 sha256
+ * @param {string} password - 明文密码
+ * @param {string} passwordHash - 已保存的密码哈希，格式为 $格式$盐的十六进制$摘要
+ * @returns {boolean} 是否匹配
+ */
+const verifyLegacyDigest = (digestAlgorithm, password, passwordHash) => {
+  const [, , saltHex, digest] = passwordHash.split('$');
+  const salt = Buffer.from(saltHex, 'hex').toString('utf8');
+  const expected = Buffer.from(digest.toLowerCase(), 'hex');
+  const actual = crypto.createHash(digestAlgorithm).update(password + salt).digest();
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * 各算法的实现
+ * 哈希字符串自带算法和参数标记（argon2 为 $argon2id$v=19$m=..,t=..,p=..$，bcrypt 为 $2b$轮数$），
+ * 校验时据此选择算法，不需要额外保存。
+ * legacy 为旧系统导入的格式，只用于校验，登录成功后升级到当前算法
+ */
+const HASHERS = {
+  argon2id: {
+    matches: (passwordHash) => passwordHash.startsWith('$argon2id$'),
+    hash: (password) => argon2.hash(password, ARGON2_OPTIONS),
+    verify: (password, passwordHash) => argon2.verify(passwordHash, password),
+    needsRehash: (passwordHash) => argon2.needsRehash(passwordHash, ARGON2_OPTIONS)
+  },
+  bcrypt: {
+    matches: (passwordHash) => /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(passwordHash),
+    hash: async (password) => bcrypt.hash(password, await bcrypt.genSalt(BCRYPT_COST)),
+    verify: (password, passwordHash) => bcrypt.compare(password, passwordHash),
+    needsRehash: (passwordHash) => bcrypt.getRounds(passwordHash) !== BCRYPT_COST
+  },
+  'md5-salted': {
+    legacy: true,
+    matches: (passwordHash) => /^\$md5-salted\$([0-9a-f]{2})*\$[0-9a-f]{32}$/i.test(passwordHash),
+    verify: async (password, passwordHash) => verifyLegacyDigest('md5', password, passwordHash)
+  },
+  sha256: {
+    legacy: true,
+    matches: (passwordHash) => /^\$sha256\$([0-9a-f]{2})*\$[0-9a-f]{64}$/i.test(passwordHash),
+    verify: async (password, passwordHash) => verifyLegacyDigest('sha256', password, passwordHash)
+  }
+};
+
+if (!HASHERS[PASSWORD_HASH_ALGORITHM] || HASHERS[PASSWORD_HASH_ALGORITHM].legacy) {
+  throw new Error(`不支持的密码哈希算法: ${PASSWORD_HASH_ALGORITHM}`);
+}
+
+/**
+ * 识别哈希使用的算法
+ * @param {string} passwordHash - 已保存的密码哈希
+ * @returns {string|null} 算法名称，无法识别时返回null
+ */
+const identifyAlgorithm = (passwordHash) => {
+  if (!passwordHash) {
+    return null;
+  }
+  return Object.keys(HASHERS).find(name => HASHERS[name].matches(passwordHash)) || null;
+};
+
+/**
+ * 使用当前配置的算法加密密码
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} 密码哈希
+ */
+const hashPassword = (password) => {
+  return HASHERS[PASSWORD_HASH_ALGORITHM].hash(password);
+};
+
+/**
+ * 校验密码
+ * @param {string} password - 明文密码
+ * @param {string} passwordHash - 已保存的密码哈希
+ * @returns {Promise<boolean>} 是否匹配，哈希为空或无法识别时返回false
+ */
+const verifyPassword = async (password, passwordHash) => {
+  const algorithm = identifyAlgorithm(passwordHash);
+  if (!algorithm) {
+    return false;
+  }
+  return await HASHERS[algorithm].verify(password, passwordHash);
+};
+
+/**
+ * 判断哈希是否需要按当前算法和参数重新加密
+ * @param {string} passwordHash - 已保存的密码哈希
+ * @returns {boolean} 是否需要重新加密
+ */
+const needsRehash = (passwordHash) => {
+  const algorithm = identifyAlgorithm(passwordHash);
+  if (algorithm !== PASSWORD_HASH_ALGORITHM) {
+    return true;
+  }
+  return HASHERS[algorithm].needsRehash(passwordHash);
+};
+
+/**
+ * 将从其他系统导入的密码哈希转换为保存格式
+ * bcrypt 和 argon2id 哈希原样保存；md5-salted 和 sha256 为十六进制摘要，盐转为十六进制后与摘要一起保存
+ * @param {string} format - 哈希格式：bcrypt、argon2id、md5-salted（需要盐）、sha256（盐可选）
+ * @param {string} passwordHash - 原系统保存的哈希
+ * @param {string} salt - 原系统保存的盐
+ * @returns {string|null} 保存格式的哈希，格式不支持或哈希不合法时返回null
+ */
+const importHash = (format, passwordHash, salt = '') => {
+  if (!HASHERS[format] || typeof passwordHash !== 'string') {
+    return null;
+  }
+
+  const stored = HASHERS[format].legacy
+    ? `$${format}$${Buffer.from(String(salt || ''), 'utf8').toString('hex')}$${passwordHash.toLowerCase()}`
+    : passwordHash;
+
+  if (!HASHERS[format].matches(stored) || stored.length > 255) {
+    return null;
+  }
+  if (format === 'md5-salted' && !salt) {
+    return null;
+  }
+  return stored;
+};
+
+module.exports = { hashPassword, verifyPassword, needsRehash, identifyAlgorithm, importHash };
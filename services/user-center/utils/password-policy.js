@@ -0,0 +1,183 @@
+// 密码策略 - 统一校验密码长度、字符种类、与用户名邮箱的相似度以及是否在泄露密码列表中
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// 密码最小长度和最大长度
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '6');
+const PASSWORD_MAX_LENGTH = parseInt(process.env.PASSWORD_MAX_LENGTH || '128');
+// 至少包含的字符种类数（小写字母、大写字母、数字、符号）
+const PASSWORD_MIN_CHAR_CLASSES = parseInt(process.env.PASSWORD_MIN_CHAR_CLASSES || '1');
+// 是否禁止密码包含用户名或邮箱名
+const PASSWORD_CHECK_SIMILARITY = process.env.PASSWORD_CHECK_SIMILARITY !== 'false';
+// 泄露密码列表文件，每行一个明文密码，或一个SHA-1哈希（可带 :次数 后缀，与 Have I Been Pwned 下载格式相同）
+const PASSWORD_DENYLIST_FILE = process.env.PASSWORD_DENYLIST_FILE || path.join(__dirname, '../data/common-passwords.txt');
+
+const CHAR_CLASSES = [
+  { name: '小写字母', pattern: /[a-z]/ },
+  { name: '大写字母', pattern: /[A-Z]/ },
+  { name: '数字', pattern: /[0-9]/ },
+  { name: '符号', pattern: /[^A-Za-z0-9]/ }
+];
+
+// 泄露密码列表，首次校验时加载
+let denylistPromise = null;
+
+/**
+ * 加载泄露密码列表
+ * 明文按小写保存，SHA-1哈希按大写保存；文件不存在时视为空列表
+ * @returns {Promise<{plain: Set<string>, sha1: Set<string>}>} 泄露密码列表
+ */
+const loadDenylist = async () => {
+  const denylist = { plain: new Set(), sha1: new Set() };
+  if (!fs.existsSync(PASSWORD_DENYLIST_FILE)) {
+    console.warn(`泄露密码列表文件不存在，已跳过: ${PASSWORD_DENYLIST_FILE}`);
+    return denylist;
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(PASSWORD_DENYLIST_FILE, 'utf8'),
+    crlfDelay: Infinity
+  });
+
+  for await (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const hashMatch = line.match(/^([0-9A-Fa-f]{40})(?::\d+)?$/);
+    if (hashMatch) {
+      denylist.sha1.add(hashMatch[1].toUpperCase());
+    } else {
+      denylist.plain.add(line.toLowerCase());
+    }
+  }
+
+  return denylist;
+};
+
+/**
+ * 获取泄露密码列表
+ * @returns {Promise<{plain: Set<string>, sha1: Set<string>}>} 泄露密码列表
+ */
+const getDenylist = () => {
+  if (!denylistPromise) {
+    // 加载失败时下次重新加载
+    denylistPromise = loadDenylist().catch(error => {
+      denylistPromise = null;
+      throw error;
+    });
+  }
+  return denylistPromise;
+};
+
+/**
+ * 判断密码是否在泄露密码列表中
+ * @param {string} password - 密码
+ * @returns {Promise<boolean>} 是否已泄露
+ */
+const isBreached = async (password) => {
+  const denylist = await getDenylist();
+  if (denylist.plain.has(password.toLowerCase())) {
+    return true;
+  }
+  if (denylist.sha1.size > 0) {
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    return denylist.sha1.has(hash);
+  }
+  return false;
+};
+
+/**
+ * 判断密码是否与用户名或邮箱相似
+ * 密码包含长度不少于3的用户名或邮箱名（@之前的部分），或与其倒序相同时视为相似
+ * @param {string} password - 密码
+ * @param {Object} context - 用户信息 { username, email }
+ * @returns {boolean} 是否相似
+ */
+const isSimilarToIdentity = (password, { username, email } = {}) => {
+  const lowerPassword = password.toLowerCase();
+  const candidates = [username, email, email ? String(email).split('@')[0] : null]
+    .filter(value => value && String(value).length >= 3)
+    .map(value => String(value).toLowerCase());
+
+  return candidates.some(value => {
+    return lowerPassword.includes(value) || lowerPassword === [...value].reverse().join('');
+  });
+};
+
+/**
+ * 按密码策略校验密码
+ * @param {string} password - 密码
+ * @param {Object} context - 用户信息 { username, email }，用于检查相似度
+ * @returns {Promise<Array<{code: string, message: string}>>} 不符合的规则，全部符合时为空数组
+ */
+const checkPassword = async (password, context = {}) => {
+  if (typeof password !== 'string') {
+    return [{ code: 'invalid', message: '密码必须是字符串' }];
+  }
+
+  const reasons = [];
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    reasons.push({ code: 'too_short', message: `密码长度不能少于${PASSWORD_MIN_LENGTH}位` });
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    reasons.push({ code: 'too_long', message: `密码长度不能超过${PASSWORD_MAX_LENGTH}位` });
+  }
+
+  const classCount = CHAR_CLASSES.filter(charClass => charClass.pattern.test(password)).length;
+  if (classCount < PASSWORD_MIN_CHAR_CLASSES) {
+    reasons.push({
+      code: 'too_few_char_classes',
+      message: `密码至少需要包含${CHAR_CLASSES.map(charClass => charClass.name).join('、')}中的${PASSWORD_MIN_CHAR_CLASSES}种`
+    });
+  }
+
+  if (PASSWORD_CHECK_SIMILARITY && isSimilarToIdentity(password, context)) {
+    reasons.push({ code: 'similar_to_identity', message: '密码不能包含用户名或邮箱' });
+  }
+
+  if (await isBreached(password)) {
+    reasons.push({ code: 'breached', message: '该密码过于常见或已在数据泄露中出现，请更换' });
+  }
+
+  return reasons;
+};
+
+/**
+ * 校验密码，返回可以直接响应给客户端的错误结果
+ * @param {string} password - 密码
+ * @param {Object} context - 用户信息 { username, email }
+ * @returns {Promise<Object|null>} 不符合时返回 { code: 400, message, data: { reasons } }，符合时返回null
+ */
+const validatePassword = async (password, context = {}) => {
+  const reasons = await checkPassword(password, context);
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  return {
+    code: 400,
+    message: reasons.map(reason => reason.message).join('；'),
+    data: { reasons }
+  };
+};
+
+/**
+ * 获取密码策略，供客户端展示密码要求
+ * @returns {Object} 密码策略
+ */
+const getPasswordPolicy = () => {
+  return {
+    minLength: PASSWORD_MIN_LENGTH,
+    maxLength: PASSWORD_MAX_LENGTH,
+    minCharClasses: PASSWORD_MIN_CHAR_CLASSES,
+    charClasses: CHAR_CLASSES.map(charClass => charClass.name),
+    disallowIdentity: PASSWORD_CHECK_SIMILARITY,
+    disallowBreached: true
+  };
+};
+
+module.exports = { checkPassword, validatePassword, getPasswordPolicy };
@@ -0,0 +1,6 @@
+// Prisma客户端 - 所有模型和中间件共用同一个客户端，避免每个模块各自创建连接池
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+module.exports = prisma;
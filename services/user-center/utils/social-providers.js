@@ -0,0 +1,322 @@
+// 第三方登录平台 - 按配置加载GitHub、微信以及任意OpenID Connect平台
+const jwt = require('jsonwebtoken');
+
+// 启用的平台名称，以逗号分隔，如 'github,wechat'
+const SOCIAL_PROVIDERS = (process.env.SOCIAL_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+// 前端的第三方登录回调页面，各平台的回调地址为 {SOCIAL_REDIRECT_URL}/{平台名称}
+const SOCIAL_REDIRECT_URL = process.env.SOCIAL_REDIRECT_URL || 'http://localhost:3000/social/callback';
+// 请求第三方平台的超时时间（毫秒）
+const REQUEST_TIMEOUT_MS = 10000;
+
+let providers = null;
+// OpenID Connect 发现文档缓存
+const discoveryCache = new Map();
+
+/**
+ * 在地址上附加查询参数
+ * @param {string} base - 地址
+ * @param {Object} params - 查询参数，值为空的参数会被忽略
+ * @returns {string} 完整地址
+ */
+const buildUrl = (base, params) => {
+  const url = new URL(base);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  }
+  return url.toString();
+};
+
+/**
+ * 请求第三方平台并解析JSON响应
+ * @param {string} url - 请求地址
+ * @param {Object} options - fetch 选项
+ * @returns {Promise<Object>} 响应内容
+ */
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', 'User-Agent': 'user-center', ...options.headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw new Error(`请求 ${new URL(url).host} 失败（HTTP ${response.status}）`);
+  }
+  return body;
+};
+
+/**
+ * 以表单格式提交请求
+ * @param {string} url - 请求地址
+ * @param {Object} params - 表单参数
+ * @returns {Promise<Object>} 响应内容
+ */
+const postForm = (url, params) => {
+  return requestJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null))
+  });
+};
+
+/**
+ * 获取OpenID Connect平台的发现文档
+ * @param {Object} provider - 平台配置
+ * @returns {Promise<Object>} 发现文档
+ */
+const discover = async (provider) => {
+  if (!discoveryCache.has(provider.name)) {
+    const document = await requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(provider.name, document);
+  }
+  return discoveryCache.get(provider.name);
+};
+
+/**
+ * 各平台类型的实现
+ * authorizationUrl 生成授权地址；fetchProfile 使用回调中的授权码换取用户资料，统一为
+ * { subject, username, displayName, avatar, email, emailVerified }
+ */
+const PROVIDER_TYPES = {
+  github: {
+    displayName: 'GitHub',
+    scope: 'read:user user:email',
+    authorizationUrl: async (provider, { state, codeChallenge }) => {
+      return buildUrl('https://github.com/login/oauth/authorize', {
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scope,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+    },
+    fetchProfile: async (provider, { code, codeVerifier }) => {
+      const token = await postForm('https://github.com/login/oauth/access_token', {
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code,
+        redirect_uri: provider.redirectUri,
+        code_verifier: codeVerifier
+      });
+      if (!token.access_token) {
+        throw new Error(token.error_description || token.error || '获取访问令牌失败');
+      }
+
+      const headers = { Authorization: `Bearer ${token.access_token}` };
+      const user = await requestJson('https://api.github.com/user', { headers });
+      // 未授予 user:email 时获取不到邮箱列表，按没有邮箱处理
+      const emails = await requestJson('https://api.github.com/user/emails', { headers }).catch(() => []);
+      const primary = Array.isArray(emails) ? emails.find(item => item.primary && item.verified) : null;
+
+      return {
+        subject: String(user.id),
+        username: user.login,
+        displayName: user.name || user.login,
+        avatar: user.avatar_url,
+        email: primary ? primary.email : null,
+        emailVerified: Boolean(primary)
+      };
+    }
+  },
+
+  // 微信开放平台网站应用（扫码登录），不提供邮箱，也不支持PKCE
+  wechat: {
+    displayName: '微信',
+    scope: 'snsapi_login',
+    authorizationUrl: async (provider, { state }) => {
+      const url = buildUrl('https://open.weixin.qq.com/connect/qrconnect', {
+        appid: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        response_type: 'code',
+        scope: provider.scope,
+        state
+      });
+      return `${url}#wechat_redirect`;
+    },
+    fetchProfile: async (provider, { code }) => {
+      const token = await requestJson(buildUrl('https://api.weixin.qq.com/sns/oauth2/access_token', {
+        appid: provider.clientId,
+        secret: provider.clientSecret,
+        code,
+        grant_type: 'authorization_code'
+      }));
+      if (token.errcode) {
+        throw new Error(token.errmsg || `errcode ${token.errcode}`);
+      }
+
+      const user = await requestJson(buildUrl('https://api.weixin.qq.com/sns/userinfo', {
+        access_token: token.access_token,
+        openid: token.openid
+      }));
+      if (user.errcode) {
+        throw new Error(user.errmsg || `errcode ${user.errcode}`);
+      }
+
+      return {
+        // 同一开放平台下的应用共享 unionid，优先使用
+        subject: user.unionid || token.unionid || token.openid,
+        username: null,
+        displayName: user.nickname,
+        avatar: user.headimgurl,
+        email: null,
+        emailVerified: false
+      };
+    }
+  },
+
+  // 任意支持发现文档的OpenID Connect平台
+  oidc: {
+    displayName: null,
+    scope: 'openid email profile',
+    authorizationUrl: async (provider, { state, nonce, codeChallenge }) => {
+      const document = await discover(provider);
+      return buildUrl(document.authorization_endpoint, {
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+    },
+    fetchProfile: async (provider, { code, codeVerifier, nonce }) => {
+      const document = await discover(provider);
+      const token = await postForm(document.token_endpoint, {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: provider.redirectUri,
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code_verifier: codeVerifier
+      });
+      if (!token.id_token) {
+        throw new Error(token.error_description || token.error || '未返回ID令牌');
+      }
+
+      // ID令牌由服务端直接从令牌端点获取，按 OIDC Core 3.1.3.7 校验签发者、受众、nonce 和有效期即可
+      const claims = jwt.decode(token.id_token);
+      const audiences = claims ? [].concat(claims.aud) : [];
+      if (!claims || claims.iss !== document.issuer || !audiences.includes(provider.clientId)
+        || claims.nonce !== nonce || !claims.exp || claims.exp * 1000 <= Date.now()) {
+        throw new Error('ID令牌校验失败');
+      }
+
+      let info = claims;
+      if (document.userinfo_endpoint && token.access_token) {
+        const userinfo = await requestJson(document.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${token.access_token}` }
+        });
+        if (userinfo.sub === claims.sub) {
+          info = { ...claims, ...userinfo };
+        }
+      }
+
+      return {
+        subject: String(claims.sub),
+        username: info.preferred_username,
+        displayName: info.name || info.nickname || info.preferred_username,
+        avatar: info.picture,
+        email: info.email || null,
+        emailVerified: info.email_verified === true
+      };
+    }
+  }
+};
+
+/**
+ * 按环境变量加载平台配置
+ * 每个平台读取 SOCIAL_{NAME}_TYPE、_CLIENT_ID、_CLIENT_SECRET、_ISSUER、_SCOPE、_DISPLAY_NAME，
+ * TYPE 默认与平台名称相同，可选值为 github、wechat、oidc
+ * @returns {Map<string, Object>} 平台配置
+ */
+const loadProviders = () => {
+  const result = new Map();
+
+  for (const name of SOCIAL_PROVIDERS) {
+    const prefix = `SOCIAL_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const env = (key) => process.env[`${prefix}${key}`];
+    const type = env('TYPE') || name;
+    const implementation = PROVIDER_TYPES[type];
+
+    if (!implementation) {
+      throw new Error(`不支持的第三方登录类型: ${type}（${name}）`);
+    }
+    if (!env('CLIENT_ID')) {
+      throw new Error(`第三方登录平台 ${name} 缺少配置 ${prefix}CLIENT_ID`);
+    }
+    if (type === 'oidc' && !env('ISSUER')) {
+      throw new Error(`第三方登录平台 ${name} 缺少配置 ${prefix}ISSUER`);
+    }
+
+    result.set(name, {
+      name,
+      type,
+      displayName: env('DISPLAY_NAME') || implementation.displayName || name,
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET'),
+      issuer: env('ISSUER') ? env('ISSUER').replace(/\/$/, '') : null,
+      scope: env('SCOPE') || implementation.scope,
+      redirectUri: `${SOCIAL_REDIRECT_URL}/${name}`
+    });
+  }
+
+  return result;
+};
+
+/**
+ * 获取平台配置，首次使用时加载
+ * @returns {Map<string, Object>} 平台配置
+ */
+const getProviderMap = () => {
+  if (!providers) {
+    providers = loadProviders();
+  }
+  return providers;
+};
+
+/**
+ * 获取已启用的平台列表（可公开的信息）
+ * @returns {Array<Object>} 平台列表
+ */
+const listProviders = () => {
+  return [...getProviderMap().values()].map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName
+  }));
+};
+
+/**
+ * 获取平台配置
+ * @param {string} name - 平台名称
+ * @returns {Object|null} 平台配置，未启用时返回null
+ */
+const getProvider = (name) => {
+  return getProviderMap().get(name) || null;
+};
+
+/**
+ * 生成平台的授权地址
+ * @param {Object} provider - 平台配置
+ * @param {Object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<string>} 授权地址
+ */
+const buildAuthorizationUrl = (provider, params) => {
+  return PROVIDER_TYPES[provider.type].authorizationUrl(provider, params);
+};
+
+/**
+ * 使用授权码获取平台上的用户资料
+ * @param {Object} provider - 平台配置
+ * @param {Object} params - { code, codeVerifier, nonce }
+ * @returns {Promise<Object>} 用户资料
+ */
+const fetchProfile = (provider, params) => {
+  return PROVIDER_TYPES[provider.type].fetchProfile(provider, params);
+};
+
+module.exports = { listProviders, getProvider, buildAuthorizationUrl, fetchProfile };
@@ -0,0 +1,16 @@
+// 时间工具 - 解析请求中的时间参数
+
+/**
+ * 解析请求中的时间，接受Unix时间戳（秒，与接口返回的时间格式一致）或ISO 8601字符串
+ * @param {*} value - 原始值
+ * @returns {Date|null|undefined} 时间，值为null时返回null，格式无效时返回undefined
+ */
+const parseTime = (value) => {
+  if (value === null) {
+    return null;
+  }
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+module.exports = { parseTime };
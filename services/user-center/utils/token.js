@@ -0,0 +1,113 @@
+// 令牌工具 - 生成和处理访问令牌、刷新令牌等
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { signJwt } = require('./jwt');
+
+// 时长单位对应的毫秒数
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * 解析时长字符串
+ * 支持 '30s'、'15m'、'24h'、'30d' 形式，纯数字按秒处理
+ * @param {string|number} value - 时长字符串
+ * @returns {number} 毫秒数
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return value * 1000;
+  }
+
+  const match = String(value).trim().match(/^(\d+)\s*([smhd]?)$/);
+  if (!match) {
+    throw new Error(`无效的时长配置: ${value}`);
+  }
+
+  const [, amount, unit] = match;
+  return parseInt(amount) * DURATION_UNITS[unit || 's'];
+};
+
+/**
+ * 生成不透明的随机令牌
+ * @param {number} bytes - 随机字节数
+ * @returns {string} base64url编码的令牌
+ */
+const generateOpaqueToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * 计算令牌的哈希值，数据库中只保存哈希
+ * @param {string} token - 原始令牌
+ * @returns {string} SHA-256十六进制哈希
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * 签发访问令牌（JWT）
+ * @param {Object} user - 用户信息
+ * @param {Object} claims - 附加的声明（可选，如OAuth令牌的 client_id、scope）
+ * @returns {{token: string, expiresAt: Date}} 访问令牌及其过期时间
+ */
+const signAccessToken = (user, claims = {}) => {
+  const token = signJwt(
+    { userId: user.id, username: user.username, role: user.role, ...claims },
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN,
+      // 保证同一秒内签发的令牌也互不相同
+      jwtid: crypto.randomUUID()
+    }
+  );
+
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * 签发短期挑战令牌
+ * 用于登录流程中的中间步骤（如二次验证），不对应任何会话，不能用于访问接口。
+ * 挑战令牌只在用户中心内部校验，始终使用 JWT_SECRET 签名，不会被持有公钥的其他服务误认为访问令牌
+ * @param {Object|null} user - 用户信息，尚未确定用户的流程（如第三方登录）传null
+ * @param {string} purpose - 令牌用途
+ * @param {string} expiresIn - 有效期
+ * @param {Object} data - 附加数据（可选），只有用户中心能够签发，但载荷对持有者可见，不能存放需要对持有者保密的数据
+ * @returns {string} 挑战令牌
+ */
+const signChallengeToken = (user, purpose, expiresIn, data = {}) => {
+  return jwt.sign(
+    { ...data, userId: user ? user.id : undefined, purpose },
+    process.env.JWT_SECRET,
+    // 令牌ID用于需要保证只能使用一次的流程（如WebAuthn挑战）
+    { expiresIn, algorithm: 'HS256', jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * 校验挑战令牌
+ * @param {string} token - 挑战令牌
+ * @param {Array<string>} purposes - 允许的令牌用途
+ * @returns {Object|null} 令牌载荷，无效时返回null
+ */
+const verifyChallengeToken = (token, purposes) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    return purposes.includes(payload.purpose) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  parseDuration,
+  generateOpaqueToken,
+  hashToken,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,147 @@
+// TOTP工具 - 基于 RFC 6238 生成和校验基于时间的一次性密码
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 时间步长（秒）和验证码位数，与主流身份验证器应用保持一致
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Base32编码
+ * @param {Buffer} buffer - 原始字节
+ * @returns {string} Base32字符串（不含填充）
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32解码
+ * @param {string} input - Base32字符串
+ * @returns {Buffer} 原始字节
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('无效的Base32字符');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * 生成TOTP密钥
+ * @returns {string} Base32编码的160位密钥
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * 计算指定时间步的验证码
+ * @param {string} secret - Base32编码的密钥
+ * @param {number} step - 时间步序号
+ * @returns {string} 验证码
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * 获取当前时间步序号
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {number} 时间步序号
+ */
+const currentStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+};
+
+/**
+ * 校验验证码
+ * 允许前后各 window 个时间步的时钟偏差
+ * @param {string} secret - Base32编码的密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {number} window - 允许的时间步偏差
+ * @returns {number|null} 匹配的时间步序号，不匹配时返回null
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 生成身份验证器应用可识别的 otpauth URI
+ * @param {string} secret - Base32编码的密钥
+ * @param {string} accountName - 账号名称
+ * @param {string} issuer - 签发方名称
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri
+};
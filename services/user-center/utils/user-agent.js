@@ -0,0 +1,73 @@
+// User-Agent解析工具 - 从User-Agent中识别设备类型、操作系统和浏览器
+
+// 按顺序匹配，靠前的规则优先（如 Edge 和 Chrome 的 User-Agent 同时包含 Chrome）
+const BROWSER_RULES = [
+  { name: 'WeChat', pattern: /MicroMessenger\/([\d.]+)/ },
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'okhttp', pattern: /okhttp\/([\d.]+)/ },
+  { name: 'curl', pattern: /curl\/([\d.]+)/ }
+];
+
+const OS_RULES = [
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*OS ([\d_]+)/ },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'HarmonyOS', pattern: /HarmonyOS(?:\/| )?([\d.]*)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * 按规则列表匹配名称和版本
+ * @param {string} userAgent - User-Agent字符串
+ * @param {Array} rules - 匹配规则
+ * @returns {{name: string|null, version: string|null}} 匹配结果
+ */
+const matchRules = (userAgent, rules) => {
+  for (const rule of rules) {
+    const match = userAgent.match(rule.pattern);
+    if (match) {
+      return {
+        name: rule.name,
+        version: match[1] ? match[1].replace(/_/g, '.') : null
+      };
+    }
+  }
+  return { name: null, version: null };
+};
+
+/**
+ * 解析User-Agent
+ * @param {string} userAgent - User-Agent字符串
+ * @returns {{type: string, os: Object, browser: Object}} 设备信息
+ */
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return {
+      type: 'unknown',
+      os: { name: null, version: null },
+      browser: { name: null, version: null }
+    };
+  }
+
+  let type = 'desktop';
+  if (/iPad|Tablet/i.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    type = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) {
+    type = 'mobile';
+  } else if (/bot|spider|crawler|curl|okhttp|PostmanRuntime/i.test(userAgent)) {
+    type = 'other';
+  }
+
+  return {
+    type,
+    os: matchRules(userAgent, OS_RULES),
+    browser: matchRules(userAgent, BROWSER_RULES)
+  };
+};
+
+module.exports = { parseUserAgent };